@@ -0,0 +1,87 @@
+-- ============================================================================
+-- MIGRASI 001 - TABEL TAMBAHAN BOT
+-- ============================================================================
+--
+-- Tabel milik bot yang tidak ada di schema SmartGov awal. Jalankan sekali
+-- di database SmartGov sebelum bot pertama kali dijalankan (lihat README,
+-- bagian Migrasi Database):
+--
+--   mysql -h <host> -u <user> -p <database> < database/migrations/001_bot_tables.sql
+--
+-- Bot tidak membuat tabel sendiri; saat startup bot berhenti dengan pesan
+-- error jika salah satu tabel di bawah belum ada. Semua statement memakai
+-- IF NOT EXISTS sehingga aman dijalankan ulang.
+--
+-- ============================================================================
+
+-- Audit perubahan field data penduduk (src/database/ResidentChangeLogModel.js)
+CREATE TABLE IF NOT EXISTS resident_change_logs (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  nik VARCHAR(16) NOT NULL,
+  family_card_number VARCHAR(16) NULL,
+  field VARCHAR(64) NOT NULL,
+  old_value TEXT NULL,
+  new_value TEXT NULL,
+  changed_by BIGINT UNSIGNED NULL,
+  source VARCHAR(32) NOT NULL DEFAULT 'ocr',
+  note VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_resident_change_logs_nik (nik)
+);
+
+-- Status validasi setiap penyimpanan KK (src/database/ValidationLogModel.js)
+CREATE TABLE IF NOT EXISTS ocr_validation_logs (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  family_card_number VARCHAR(16) NOT NULL,
+  status VARCHAR(16) NOT NULL,
+  error_count INT UNSIGNED NOT NULL DEFAULT 0,
+  warning_count INT UNSIGNED NOT NULL DEFAULT 0,
+  issues TEXT NULL,
+  validated_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL,
+  INDEX idx_ocr_validation_logs_kk (family_card_number)
+);
+
+-- Session login per chat, SESSION_STORE=mysql (src/services/MysqlSessionStore.js)
+CREATE TABLE IF NOT EXISTS bot_sessions (
+  chat_id BIGINT NOT NULL PRIMARY KEY,
+  user_id BIGINT UNSIGNED NOT NULL,
+  village_code VARCHAR(20) NULL,
+  data TEXT NOT NULL,
+  last_activity DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  INDEX idx_bot_sessions_expires (expires_at)
+);
+
+-- Wilayah kerja user (src/database/UserRegionModel.js)
+CREATE TABLE IF NOT EXISTS user_regions (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  user_id BIGINT UNSIGNED NOT NULL,
+  region_code VARCHAR(10) NOT NULL,
+  assigned_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL,
+  UNIQUE KEY uq_user_regions (user_id, region_code)
+);
+
+-- Penghitung login gagal (src/database/LoginAttemptModel.js)
+CREATE TABLE IF NOT EXISTS login_attempts (
+  scope VARCHAR(10) NOT NULL,
+  subject VARCHAR(100) NOT NULL,
+  failures INT UNSIGNED NOT NULL,
+  last_failure_at DATETIME NOT NULL,
+  blocked_until DATETIME NULL,
+  locked_until DATETIME NULL,
+  PRIMARY KEY (scope, subject)
+);
+
+-- Faktor kedua login (src/database/SecondFactorModel.js)
+CREATE TABLE IF NOT EXISTS user_second_factors (
+  user_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+  method VARCHAR(10) NOT NULL,
+  totp_secret VARCHAR(64) NULL,
+  telegram_user_id BIGINT NULL,
+  last_totp_step BIGINT NULL,
+  enrolled_by BIGINT UNSIGNED NULL,
+  created_at DATETIME NOT NULL,
+  confirmed_at DATETIME NULL
+);
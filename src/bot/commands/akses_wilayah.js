@@ -0,0 +1,158 @@
+/**
+ * ============================================================================
+ * FILE: src/bot/commands/akses_wilayah.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Command handler untuk perintah /akses-wilayah (khusus admin). Mengatur
+ * wilayah kerja user: desa/kelurahan untuk operator, atau kecamatan untuk
+ * supervisor. Operator hanya bisa memakai /kode-wilayah dan menyimpan KK
+ * di wilayah kerjanya.
+ *
+ * DEPENDENSI:
+ * - logger: Logging perubahan penugasan
+ * - AuthService: Session admin yang menjalankan perintah
+ * - UserModel: Lookup user berdasarkan username
+ * - UserRegionModel: Penyimpanan wilayah kerja
+ * - JurisdictionService: Normalisasi dan validasi kode wilayah
+ * - RegionService: Validasi kode wilayah ke database regional
+ *
+ * CARA PENGGUNAAN:
+ * /akses-wilayah operator1                        -> daftar wilayah kerja
+ * /akses-wilayah operator1 tambah 33.01.06.2016   -> tambah desa
+ * /akses-wilayah operator1 tambah 33.01.06        -> tambah kecamatan
+ * /akses-wilayah operator1 hapus 33.01.06.2016    -> hapus wilayah
+ *
+ * CATATAN PENTING:
+ * - Izin canManageUsers dicek oleh src/bot/middleware/permission.js
+ * - Pesan tidak memakai parse_mode karena username bisa mengandung "_"
+ *
+ * ============================================================================
+ */
+
+const logger = require('../../utils/logger');
+const AuthService = require('../../services/AuthService');
+const UserModel = require('../../database/UserModel');
+const UserRegionModel = require('../../database/UserRegionModel');
+const JurisdictionService = require('../../services/JurisdictionService');
+const RegionService = require('../../services/RegionService');
+
+/**
+ * Petunjuk penggunaan perintah
+ * @constant {string}
+ */
+const USAGE =
+  'Penggunaan /akses-wilayah:\n' +
+  '- /akses-wilayah <username> - daftar wilayah kerja user\n' +
+  '- /akses-wilayah <username> tambah <kode> - tambah wilayah kerja\n' +
+  '- /akses-wilayah <username> hapus <kode> - hapus wilayah kerja\n\n' +
+  'Kode wilayah berupa kode desa/kelurahan (contoh 33.01.06.2016) atau ' +
+  'kode kecamatan untuk supervisor (contoh 33.01.06).';
+
+/**
+ * Tampilkan daftar wilayah kerja user
+ *
+ * @async
+ * @param {Object} user - Record user (UserModel)
+ * @returns {Promise<string>} Pesan daftar wilayah
+ */
+async function describeRegions(user) {
+  if (user.user_type_id === 'admin') {
+    return `User ${user.username} adalah admin dan tidak dibatasi wilayah kerja.`;
+  }
+
+  const regionCodes = await UserRegionModel.findByUser(user.id);
+
+  if (regionCodes.length === 0) {
+    return `User ${user.username} belum memiliki wilayah kerja dan tidak bisa menyimpan KK.`;
+  }
+
+  return `Wilayah kerja ${user.username}:\n` +
+    regionCodes.map(code => `- ${JurisdictionService.formatCode(code)}`).join('\n');
+}
+
+/**
+ * Handler untuk perintah /akses-wilayah
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+module.exports = async (bot, msg) => {
+  const chatId = msg.chat.id;
+
+  logger.info(`/akses-wilayah command from chat ${chatId}`);
+
+  if (!AuthService.isLoggedIn(chatId)) {
+    await bot.sendMessage(chatId, 'Anda harus login terlebih dahulu.\n\nGunakan perintah:\n/login username password');
+    return;
+  }
+
+  const [, username, action, code] = msg.text.trim().split(/\s+/);
+
+  if (!username) {
+    await bot.sendMessage(chatId, USAGE);
+    return;
+  }
+
+  try {
+    const user = await UserModel.findByUsername(username);
+
+    if (!user) {
+      await bot.sendMessage(chatId, `User ${username} tidak ditemukan.`);
+      return;
+    }
+
+    if (!action) {
+      await bot.sendMessage(chatId, await describeRegions(user));
+      return;
+    }
+
+    const regionCode = JurisdictionService.normalizeCode(code);
+
+    if (!['tambah', 'hapus'].includes(action) || !JurisdictionService.isAssignableCode(regionCode)) {
+      await bot.sendMessage(chatId, USAGE);
+      return;
+    }
+
+    const admin = AuthService.getUserInfo(chatId);
+    const formattedCode = JurisdictionService.formatCode(regionCode);
+
+    if (action === 'tambah') {
+      const region = await RegionService.getRegion(regionCode);
+
+      if (!region) {
+        await bot.sendMessage(chatId, `Kode wilayah ${formattedCode} tidak ditemukan dalam database regional.`);
+        return;
+      }
+
+      const added = await UserRegionModel.assign(user.id, regionCode, admin.userId);
+      logger.info(`Admin ${admin.username} assigned region ${regionCode} to user ${user.username}`);
+
+      await bot.sendMessage(
+        chatId,
+        (added
+          ? `Wilayah ${formattedCode} (${region.name}) ditambahkan ke wilayah kerja ${user.username}.`
+          : `Wilayah ${formattedCode} sudah termasuk wilayah kerja ${user.username}.`) +
+        '\n\n' + await describeRegions(user)
+      );
+      return;
+    }
+
+    const removed = await UserRegionModel.revoke(user.id, regionCode);
+    logger.info(`Admin ${admin.username} revoked region ${regionCode} from user ${user.username}`);
+
+    await bot.sendMessage(
+      chatId,
+      (removed
+        ? `Wilayah ${formattedCode} dihapus dari wilayah kerja ${user.username}.`
+        : `Wilayah ${formattedCode} tidak termasuk wilayah kerja ${user.username}.`) +
+      '\n\n' + await describeRegions(user)
+    );
+
+  } catch (error) {
+    logger.error('Error in /akses-wilayah command:', error);
+    await bot.sendMessage(chatId, 'Terjadi kesalahan sistem saat mengatur wilayah kerja. Silakan coba lagi.');
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * ============================================================================
+ * FILE: src/bot/commands/aktifkan_dua_faktor.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Command handler untuk perintah /aktifkan-dua-faktor. User yang sudah
+ * didaftarkan kode TOTP oleh admin (/dua-faktor <username> totp)
+ * mengirim satu kode dari aplikasi authenticator untuk membuktikan secret
+ * sudah tersimpan dengan benar. Setelah itu kode diminta di setiap login.
+ *
+ * DEPENDENSI:
+ * - logger: Logging konfirmasi
+ * - AuthService: Session user dan verifikasi kode (confirmSecondFactor)
+ *
+ * CARA PENGGUNAAN:
+ * /aktifkan-dua-faktor 492039
+ *
+ * CATATAN PENTING:
+ * - Hanya untuk user yang sedang login; tidak butuh izin khusus
+ * - Pesan berisi kode dihapus dari chat; kode yang sudah dipakai untuk
+ *   konfirmasi tidak bisa dipakai lagi untuk login
+ *
+ * ============================================================================
+ */
+
+const logger = require('../../utils/logger');
+const AuthService = require('../../services/AuthService');
+
+/**
+ * Handler untuk perintah /aktifkan-dua-faktor
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+module.exports = async (bot, msg) => {
+  const chatId = msg.chat.id;
+
+  logger.info(`/aktifkan-dua-faktor command from chat ${chatId}`);
+
+  if (!AuthService.isLoggedIn(chatId)) {
+    await bot.sendMessage(chatId, 'Anda harus login terlebih dahulu.\n\nGunakan perintah:\n/login username password');
+    return;
+  }
+
+  const [, code] = msg.text.trim().split(/\s+/);
+
+  if (!code) {
+    await bot.sendMessage(
+      chatId,
+      'Penggunaan: /aktifkan-dua-faktor <kode 6 digit>\n\n' +
+      'Kode diambil dari aplikasi authenticator setelah secret dari admin dimasukkan.'
+    );
+    return;
+  }
+
+  try {
+    await bot.deleteMessage(chatId, msg.message_id);
+  } catch (error) {
+    logger.warn(`Failed to delete confirmation code message ${msg.message_id} in chat ${chatId}: ${error.message}`);
+  }
+
+  try {
+    const result = await AuthService.confirmSecondFactor(chatId, code);
+    await bot.sendMessage(chatId, result.message);
+  } catch (error) {
+    logger.error('Error in /aktifkan-dua-faktor command:', error);
+    await bot.sendMessage(chatId, 'Terjadi kesalahan sistem saat mengaktifkan verifikasi dua langkah. Silakan coba lagi.');
+  }
+};
@@ -289,7 +289,8 @@ const helpCommand = async (bot, msg) => {
    */
   message += `Perintah Autentikasi:\n`;
   message += `/start - Menampilkan informasi sistem dan status login\n`;
-  message += `/login username password - Melakukan autentikasi ke dalam sistem\n`;
+  message += `/login - Login bertahap (username dan password diminta terpisah)\n`;
+  message += `/login username password - Login dalam satu pesan\n`;
   message += `/logout - Keluar dari sistem dan mengakhiri sesi\n`;
   message += `/stop - Menghentikan bot dan keluar dari sistem\n`;
   message += `/cek-session - Memeriksa status sesi login saat ini\n\n`;
@@ -299,6 +300,10 @@ const helpCommand = async (bot, msg) => {
    */
   message += `Perintah Utilitas:\n`;
   message += `/kode-wilayah kode - Mengatur atau memeriksa kode wilayah kerja\n`;
+  message += `/akses-wilayah username - Mengatur wilayah kerja user (khusus admin)\n`;
+  message += `/dua-faktor username - Mengatur verifikasi dua langkah user (khusus admin)\n`;
+  message += `/aktifkan-dua-faktor kode - Mengaktifkan kode authenticator yang didaftarkan admin\n`;
+  message += `/koreksi anggota nomor field nilai - Mengoreksi draft KK yang sedang direview\n`;
   message += `/help - Menampilkan panduan lengkap penggunaan sistem\n\n`;
 
   /**
@@ -0,0 +1,222 @@
+/**
+ * ============================================================================
+ * FILE: src/bot/commands/dua_faktor.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Command handler untuk perintah /dua-faktor (khusus admin). Mengatur
+ * faktor kedua login user: kode TOTP dari aplikasi authenticator, atau
+ * ikatan ke satu akun Telegram (ID user Telegram). Faktor kedua bersifat
+ * opsional; user tanpa faktor kedua login hanya dengan password.
+ *
+ * DEPENDENSI:
+ * - logger: Logging perubahan faktor kedua
+ * - AuthService: Session admin yang menjalankan perintah
+ * - UserModel: Lookup user berdasarkan username
+ * - SecondFactorModel: Penyimpanan faktor kedua
+ * - Totp: Pembuatan secret dan URI authenticator
+ *
+ * CARA PENGGUNAAN:
+ * /dua-faktor operator1                       -> status faktor kedua
+ * /dua-faktor operator1 totp                  -> daftarkan kode TOTP
+ * /dua-faktor operator1 telegram 123456789    -> ikat ke akun Telegram
+ * /dua-faktor operator1 reset                 -> hapus faktor kedua
+ *
+ * CATATAN PENTING:
+ * - Izin canManageUsers dicek oleh src/bot/middleware/permission.js
+ * - Secret TOTP hanya ditampilkan sekali saat didaftarkan; pesannya
+ *   dihapus otomatis setelah SECRET_MESSAGE_TTL
+ * - TOTP baru berlaku setelah user mengirim satu kode yang benar lewat
+ *   /aktifkan-dua-faktor; sampai itu user login hanya dengan password
+ * - Daftar, ganti, dan reset mengakhiri semua session user tersebut
+ * - User bisa melihat ID Telegram-nya lewat /start
+ * - Pesan tidak memakai parse_mode karena username bisa mengandung "_"
+ *
+ * ============================================================================
+ */
+
+const logger = require('../../utils/logger');
+const AuthService = require('../../services/AuthService');
+const UserModel = require('../../database/UserModel');
+const SecondFactorModel = require('../../database/SecondFactorModel');
+const Totp = require('../../utils/totp');
+
+/**
+ * Lama pesan berisi secret TOTP dibiarkan di chat admin (milliseconds)
+ * @constant {number}
+ */
+const SECRET_MESSAGE_TTL = 2 * 60 * 1000;
+
+/**
+ * Petunjuk penggunaan perintah
+ * @constant {string}
+ */
+const USAGE =
+  'Penggunaan /dua-faktor:\n' +
+  '- /dua-faktor <username> - status verifikasi dua langkah user\n' +
+  '- /dua-faktor <username> totp - daftarkan kode dari aplikasi authenticator\n' +
+  '- /dua-faktor <username> telegram <id_telegram> - izinkan login hanya dari akun Telegram tersebut\n' +
+  '- /dua-faktor <username> reset - hapus verifikasi dua langkah\n\n' +
+  'ID Telegram user ditampilkan saat user mengirim /start.';
+
+/**
+ * Deskripsi status faktor kedua user
+ *
+ * @param {Object} user - Record user (UserModel)
+ * @param {Object|null} factor - Row SecondFactorModel
+ * @returns {string} Pesan status
+ */
+function describeFactor(user, factor) {
+  if (!factor) {
+    return `User ${user.username} belum memakai verifikasi dua langkah (login hanya dengan password).`;
+  }
+
+  if (factor.method === 'telegram') {
+    return `User ${user.username} hanya bisa login dari akun Telegram dengan ID ${factor.telegram_user_id}.`;
+  }
+
+  if (!SecondFactorModel.isActive(factor)) {
+    return `User ${user.username} sudah didaftarkan kode authenticator, tetapi belum mengonfirmasi kode pertama ` +
+      '(/aktifkan-dua-faktor). Sampai dikonfirmasi, login hanya dengan password.';
+  }
+
+  return `User ${user.username} wajib memasukkan kode dari aplikasi authenticator setelah password.`;
+}
+
+/**
+ * Akhiri session user setelah faktor keduanya diubah
+ *
+ * @async
+ * @param {Object} user - Record user (UserModel)
+ * @returns {Promise<string>} Keterangan untuk admin ('' jika tidak ada session)
+ */
+async function endSessions(user) {
+  const ended = await AuthService.forgetUserSessions(user.id);
+
+  return ended > 0 ? `\n\n${ended} sesi login ${user.username} yang aktif diakhiri; user perlu login ulang.` : '';
+}
+
+/**
+ * Hapus pesan berisi secret TOTP setelah SECRET_MESSAGE_TTL
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} message - Pesan yang dikirim bot
+ * @returns {void}
+ */
+function scheduleSecretDeletion(bot, message) {
+  setTimeout(() => {
+    bot.deleteMessage(message.chat.id, message.message_id).catch(error => {
+      logger.warn(`Failed to delete TOTP secret message ${message.message_id} in chat ${message.chat.id}: ${error.message}`);
+    });
+  }, SECRET_MESSAGE_TTL);
+}
+
+/**
+ * Handler untuk perintah /dua-faktor
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+module.exports = async (bot, msg) => {
+  const chatId = msg.chat.id;
+
+  logger.info(`/dua-faktor command from chat ${chatId}`);
+
+  if (!AuthService.isLoggedIn(chatId)) {
+    await bot.sendMessage(chatId, 'Anda harus login terlebih dahulu.\n\nGunakan perintah:\n/login username password');
+    return;
+  }
+
+  const [, username, action, telegramUserId] = msg.text.trim().split(/\s+/);
+
+  if (!username) {
+    await bot.sendMessage(chatId, USAGE);
+    return;
+  }
+
+  try {
+    const user = await UserModel.findByUsername(username);
+
+    if (!user) {
+      await bot.sendMessage(chatId, `User ${username} tidak ditemukan.`);
+      return;
+    }
+
+    if (!action) {
+      await bot.sendMessage(chatId, describeFactor(user, await SecondFactorModel.findByUser(user.id)));
+      return;
+    }
+
+    const admin = AuthService.getUserInfo(chatId);
+
+    if (action === 'reset') {
+      const removed = await SecondFactorModel.remove(user.id);
+      logger.info(`Admin ${admin.username} reset second factor of user ${user.username}`);
+
+      await bot.sendMessage(
+        chatId,
+        removed
+          ? `Verifikasi dua langkah user ${user.username} dihapus. User login hanya dengan password sampai didaftarkan ulang.` +
+            await endSessions(user)
+          : `User ${user.username} belum memakai verifikasi dua langkah.`
+      );
+      return;
+    }
+
+    if (action === 'telegram') {
+      if (!/^\d+$/.test(telegramUserId || '')) {
+        await bot.sendMessage(chatId, USAGE);
+        return;
+      }
+
+      await SecondFactorModel.enroll(user.id, { method: 'telegram', telegramUserId }, admin.userId);
+      logger.info(`Admin ${admin.username} bound user ${user.username} to Telegram user ${telegramUserId}`);
+
+      await bot.sendMessage(
+        chatId,
+        `User ${user.username} sekarang hanya bisa login dari akun Telegram dengan ID ${telegramUserId}. ` +
+        'Berlaku mulai login berikutnya.' +
+        await endSessions(user)
+      );
+      return;
+    }
+
+    if (action === 'totp') {
+      const secret = Totp.generateSecret();
+
+      await SecondFactorModel.enroll(user.id, { method: 'totp', totpSecret: secret }, admin.userId);
+      logger.info(`Admin ${admin.username} enrolled TOTP for user ${user.username}`);
+
+      const sessionNote = await endSessions(user);
+
+      const secretMessage = await bot.sendMessage(
+        chatId,
+        `Verifikasi dua langkah (TOTP) untuk ${user.username} didaftarkan.\n\n` +
+        `Secret: ${secret}\n\n` +
+        `URI authenticator:\n${Totp.buildUri(secret, user.username)}\n\n` +
+        'Berikan secret atau URI ini kepada user secara pribadi untuk dimasukkan ke aplikasi ' +
+        'authenticator (Google Authenticator, Microsoft Authenticator, dll).\n\n' +
+        `PENTING: Pesan ini dihapus otomatis dalam ${SECRET_MESSAGE_TTL / 60000} menit. Secret tidak bisa ` +
+        'ditampilkan lagi; jika hilang, daftarkan ulang dengan /dua-faktor ' + user.username + ' totp.'
+      );
+      scheduleSecretDeletion(bot, secretMessage);
+
+      await bot.sendMessage(
+        chatId,
+        `Kode authenticator ${user.username} belum berlaku. Setelah memasukkan secret ke aplikasi, user login ` +
+        'seperti biasa lalu mengirim /aktifkan-dua-faktor <kode 6 digit>. Mulai saat itu, kode diminta ' +
+        'setelah password.' +
+        sessionNote
+      );
+      return;
+    }
+
+    await bot.sendMessage(chatId, USAGE);
+
+  } catch (error) {
+    logger.error('Error in /dua-faktor command:', error);
+    await bot.sendMessage(chatId, 'Terjadi kesalahan sistem saat mengatur verifikasi dua langkah. Silakan coba lagi.');
+  }
+};
@@ -15,6 +15,7 @@
  * - logger: Logging utility untuk tracking command usage
  * - AuthService: Authentication service untuk session management
  * - RegionService: Region API integration untuk validasi kode wilayah
+ * - JurisdictionService: Pembatasan kode wilayah sesuai wilayah kerja user
  * - Validator: Input validation utilities
  *
  * FITUR UTAMA:
@@ -63,6 +64,8 @@
  * - Command memerlukan user sudah login
  * - Support multi-step conversation flow
  * - Format kode wilayah: XX.XX.XX.XXXX
+ * - Kode wilayah harus termasuk wilayah kerja user (user_regions);
+ *   admin tidak dibatasi
  * - State management dengan Map untuk tracking
  * - API integration untuk validasi kode wilayah
  *
@@ -72,6 +75,7 @@
 const logger = require('../../utils/logger');
 const AuthService = require('../../services/AuthService');
 const RegionService = require('../../services/RegionService');
+const JurisdictionService = require('../../services/JurisdictionService');
 const Validator = require('../../utils/validator');
 
 /**
@@ -80,6 +84,44 @@ const Validator = require('../../utils/validator');
  */
 const villageCodeStates = new Map();
 
+/**
+ * Cek kode wilayah terhadap wilayah kerja user
+ *
+ * Mengirim pesan penolakan jika kode di luar wilayah kerja atau wilayah
+ * kerja gagal dibaca.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} userInfo - AuthService.getUserInfo()
+ * @param {string} villageCode - Kode wilayah yang diminta
+ * @returns {Promise<boolean>} true jika boleh dipakai
+ */
+async function checkJurisdiction(bot, chatId, userInfo, villageCode) {
+  let access;
+
+  try {
+    access = await JurisdictionService.checkRegion(userInfo.userId, villageCode);
+  } catch (error) {
+    logger.error(`Failed to load jurisdiction for user ${userInfo.username}:`, error);
+    await bot.sendMessage(chatId, 'Gagal memeriksa wilayah kerja akun Anda. Silakan coba lagi dalam beberapa saat.');
+    return false;
+  }
+
+  if (access.allowed) {
+    return true;
+  }
+
+  logger.warn(`Region ${villageCode} outside jurisdiction of user ${userInfo.username} (id ${userInfo.userId})`);
+
+  await bot.sendMessage(
+    chatId,
+    JurisdictionService.describeDenial(`Kode wilayah ${villageCode}`, access.regionCodes) + '\n\n' +
+    'Silakan masukkan kode wilayah yang termasuk wilayah kerja Anda.'
+  );
+  return false;
+}
+
 /**
  * Main handler untuk perintah /kode-wilayah
  * 
@@ -203,6 +245,14 @@ module.exports = async (bot, msg) => {
       return;
     }
 
+    /**
+     * Validasi wilayah kerja user
+     * Operator hanya boleh memakai kode di wilayah yang ditugaskan
+     */
+    if (!(await checkJurisdiction(bot, chatId, userInfo, villageCode))) {
+      return;
+    }
+
     // ========================================================================
     // API VALIDATION
     // ========================================================================
@@ -407,6 +457,10 @@ module.exports.handleVillageCodeMessage = async (bot, msg) => {
         return;
       }
 
+      if (!(await checkJurisdiction(bot, chatId, AuthService.getUserInfo(chatId), villageCode))) {
+        return;
+      }
+
       await bot.sendMessage(chatId, 'Sedang memvalidasi kode wilayah dengan database regional. Mohon tunggu sebentar...');
 
       const normalizedCode = villageCode.replace(/\./g, '');
@@ -573,6 +627,7 @@ module.exports.handleVillageCodeMessage = async (bot, msg) => {
  * --------------
  * - src/services/AuthService.js: Session management
  * - src/services/RegionService.js: Region API integration
+ * - src/services/JurisdictionService.js: Wilayah kerja user
  * - src/utils/validator.js: Input validation
  * - src/utils/logger.js: Logging utilities
  * - src/bot/commands/cek_session.js: Session checking
@@ -14,7 +14,9 @@
  * DEPENDENSI:
  * - logger: Logging utility untuk tracking authentication attempts
  * - AuthService: Authentication service untuk login processing
+ * - DraftService: Membuang draft OCR yang belum disimpan saat logout
  * - Validator: Input validation utilities
+ * - config: Penerima tambahan notifikasi akun terkunci (loginProtection)
  *
  * FITUR UTAMA:
  * 1. Input Validation
@@ -44,6 +46,8 @@
  *    - Credential protection
  *    - Session management
  *    - Error logging
+ *    - Backoff dan penguncian akun setelah login gagal berulang
+ *      (AuthService + LoginGuardService), notifikasi ke admin saat akun dikunci
  *
  * CARA PENGGUNAAN:
  * ```javascript
@@ -57,7 +61,15 @@
  * ```
  *
  * CATATAN PENTING:
- * - Command memerlukan username dan password sebagai parameter
+ * - Dua cara login:
+ *   1. Bertahap: /login, lalu username dan password dikirim sebagai pesan
+ *      terpisah (handleLoginMessage dipanggil dari src/bot/index.js)
+ *   2. Satu baris: /login username password
+ * - Setiap pesan yang berisi username/password langsung dihapus dari chat
+ *   agar password tidak tertinggal di riwayat Telegram
+ * - Akun dengan faktor kedua (lihat /dua-faktor): setelah password benar,
+ *   bot meminta kode TOTP (langkah input_code), atau login hanya diterima
+ *   dari akun Telegram yang terdaftar
  * - Password dapat mengandung spasi (gunakan quotes jika perlu)
  * - Authentication dilakukan melalui SmartGov API
  * - Session akan dibuat jika login berhasil
@@ -68,7 +80,283 @@
 
 const logger = require('../../utils/logger');
 const AuthService = require('../../services/AuthService');
+const DraftService = require('../../services/DraftService');
 const Validator = require('../../utils/validator');
+const config = require('../../config/env');
+
+/**
+ * Kirim notifikasi akun terkunci ke admin
+ *
+ * Penerima: admin yang sedang login dan chat ID di
+ * config.loginProtection.alertChatIds. Gagal kirim ke satu penerima tidak
+ * menghentikan pengiriman ke penerima lain.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {string} username - Username yang dikunci
+ * @param {number} chatId - Chat asal percobaan login terakhir
+ * @returns {Promise<void>}
+ */
+async function notifyAccountLocked(bot, username, chatId) {
+  const recipients = new Set([...AuthService.getAdminChatIds(), ...config.loginProtection.alertChatIds]);
+
+  if (recipients.size === 0) {
+    logger.warn(`No admin to notify about locked account ${username}`);
+    return;
+  }
+
+  const text =
+    'Peringatan keamanan: akun dikunci sementara.\n\n' +
+    `Username: ${username}\n` +
+    `Gagal login berturut-turut: ${config.loginProtection.lockThreshold} kali\n` +
+    `Percobaan terakhir dari chat: ${chatId}\n` +
+    `Lama penguncian: ${config.loginProtection.lockMinutes} menit\n\n` +
+    'Jika percobaan ini bukan dari pemilik akun, pertimbangkan untuk mengganti password akun tersebut.';
+
+  for (const recipient of recipients) {
+    try {
+      await bot.sendMessage(recipient, text);
+    } catch (error) {
+      logger.error(`Failed to notify admin chat ${recipient} about locked account ${username}:`, error);
+    }
+  }
+}
+
+/**
+ * Batas waktu login bertahap (5 menit)
+ * Jika username/password tidak dikirim dalam waktu ini, login dibatalkan
+ * @constant {number}
+ */
+const LOGIN_FLOW_TTL = 5 * 60 * 1000;
+
+/**
+ * State login bertahap per chat
+ * Value: { step: 'input_username' | 'input_password' | 'input_code', username, startedAt }
+ * input_code: password benar, menunggu kode TOTP (faktor kedua)
+ * @type {Map<number, Object>}
+ */
+const loginStates = new Map();
+
+/**
+ * Hapus pesan user yang berisi kredensial
+ *
+ * Bot bisa menghapus pesan user di private chat (dan di grup jika bot
+ * admin). Kegagalan hanya dicatat; login tetap diproses.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Pesan yang akan dihapus
+ * @returns {Promise<boolean>} true jika pesan berhasil dihapus
+ */
+async function deleteCredentialMessage(bot, msg) {
+  try {
+    await bot.deleteMessage(msg.chat.id, msg.message_id);
+    return true;
+  } catch (error) {
+    logger.warn(`Failed to delete login message ${msg.message_id} in chat ${msg.chat.id}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Mulai login bertahap
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} [username] - Username dari "/login username" (opsional)
+ * @returns {Promise<void>}
+ */
+async function startGuidedLogin(bot, chatId, username) {
+  if (username) {
+    loginStates.set(chatId, { step: 'input_password', username, startedAt: Date.now() });
+    await bot.sendMessage(
+      chatId,
+      `Masukkan password untuk username ${username}.\n\n` +
+      'Pesan password akan langsung dihapus dari chat setelah dibaca.'
+    );
+    return;
+  }
+
+  loginStates.set(chatId, { step: 'input_username', startedAt: Date.now() });
+  await bot.sendMessage(
+    chatId,
+    'Login ke sistem SmartGov.\n\n' +
+    'Masukkan username akun SmartGov Anda. Setelah itu bot akan meminta password.\n\n' +
+    'Pesan username dan password langsung dihapus dari chat. ' +
+    'Kirim perintah lain untuk membatalkan login.'
+  );
+}
+
+/**
+ * Validasi kredensial dan jalankan login
+ *
+ * Dipakai oleh format satu baris (/login username password) dan login
+ * bertahap. Pesan berisi password sudah dihapus oleh caller.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Pesan terakhir user (chat ID dan ID user Telegram)
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @param {boolean} deleted - false jika pesan berisi password gagal dihapus
+ * @returns {Promise<void>}
+ */
+async function authenticate(bot, msg, username, password, deleted) {
+  const chatId = msg.chat.id;
+
+  if (!deleted) {
+    await bot.sendMessage(
+      chatId,
+      'Pesan berisi password tidak dapat dihapus otomatis. ' +
+      'Segera hapus pesan tersebut secara manual dari riwayat chat.'
+    );
+  }
+
+  // ========================================================================
+  // CREDENTIAL VALIDATION
+  // ========================================================================
+  
+  /**
+   * Validate username dan password format
+   * Pastikan input memenuhi requirements keamanan
+   */
+  const validation = Validator.validateLogin(username, password);
+
+  if (!validation.isValid) {
+    /**
+     * Validation gagal
+     * Tampilkan error details dan instruksi perbaikan
+     */
+    await bot.sendMessage(
+      chatId,
+      `Validasi gagal. Kesalahan yang ditemukan:\n\n${validation.errors.join('\n')}\n\n` +
+      'Silakan periksa kembali format input Anda dan coba lagi.'
+    );
+    return;
+  }
+
+  // ========================================================================
+  // AUTHENTICATION PROCESSING
+  // ========================================================================
+  
+  /**
+   * Kirim status message untuk user
+   * Memberikan feedback bahwa proses sedang berjalan
+   */
+  const processingMsg = await bot.sendMessage(chatId, 'Sedang memproses autentikasi pengguna. Mohon tunggu sebentar...');
+
+  try {
+    /**
+     * Call AuthService untuk proses login
+     * Integrate dengan SmartGov API untuk verifikasi credentials
+     */
+    const result = await AuthService.login(chatId, username, password, {
+      telegramUserId: msg.from && msg.from.id
+    });
+
+    await showLoginResult(bot, chatId, processingMsg.message_id, username, result);
+
+  } catch (error) {
+    logger.error('Error in login command:', error);
+
+    await bot.editMessageText(
+      'Terjadi kesalahan sistem saat melakukan autentikasi.\n\n' +
+      'Kemungkinan penyebab:\n' +
+      '- Koneksi ke database bermasalah\n' +
+      '- Server sedang dalam pemeliharaan\n' +
+      '- Terjadi gangguan pada sistem\n\n' +
+      'Silakan coba lagi dalam beberapa saat. Jika masalah berlanjut, hubungi administrator sistem.',
+      {
+        chat_id: chatId,
+        message_id: processingMsg.message_id
+      }
+    );
+  }
+}
+
+/**
+ * Tampilkan hasil login (AuthService.login / verifySecondFactor)
+ *
+ * Mengedit pesan "Sedang memproses" dengan hasilnya. Jika kode TOTP
+ * diperlukan, chat masuk ke langkah input_code login bertahap.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {number} messageId - ID pesan status yang diedit
+ * @param {string} username - Username yang login
+ * @param {Object} result - Response AuthService
+ * @returns {Promise<void>}
+ */
+async function showLoginResult(bot, chatId, messageId, username, result) {
+  if (result.success) {
+    await bot.editMessageText(
+      `Autentikasi berhasil! Selamat datang di sistem SmartGov Gemini Bot.\n\n` +
+      `Status login: BERHASIL\n` +
+      `Nama pengguna: ${result.user.nama_lengkap}\n` +
+      `Username: ${result.user.username}\n` +
+      `Level akses: ${result.user.level}\n\n` +
+      `Langkah selanjutnya:\n` +
+      `1. Login menggunakan akun SmartGov (Selesai)\n` +
+      `2. Atur kode wilayah menggunakan perintah: /kode-wilayah <kode-wilayah>\n` +
+      `   Contoh: /kode-wilayah 33.01.06.2016\n` +
+      `3. Kirim foto Kartu Keluarga (KK) untuk diproses\n` +
+      `4. Bot akan otomatis extract data menggunakan AI\n` +
+      `5. Data akan disimpan ke database SmartGov\n\n` +
+      `Sistem siap digunakan untuk memproses data KK secara otomatis.` +
+      (result.secondFactorPending
+        ? '\n\nAdmin telah mendaftarkan verifikasi dua langkah untuk akun Anda. Masukkan secret dari admin ' +
+          'ke aplikasi authenticator, lalu aktifkan dengan: /aktifkan-dua-faktor <kode 6 digit>'
+        : ''),
+      {
+        chat_id: chatId,
+        message_id: messageId
+      }
+    );
+  } else if (result.secondFactorRequired) {
+    loginStates.set(chatId, { step: 'input_code', username, startedAt: Date.now() });
+
+    await bot.editMessageText(
+      `Verifikasi dua langkah.\n\n${result.message}\n\n` +
+      'Pesan kode akan langsung dihapus dari chat setelah dibaca.',
+      {
+        chat_id: chatId,
+        message_id: messageId
+      }
+    );
+  } else if (result.throttled || result.secondFactorFailed) {
+    if (result.lockTriggered) {
+      await notifyAccountLocked(bot, username, chatId);
+    }
+
+    await bot.editMessageText(
+      `Autentikasi ditolak.\n\n${result.message}`,
+      {
+        chat_id: chatId,
+        message_id: messageId
+      }
+    );
+  } else {
+    if (result.lockTriggered) {
+      await notifyAccountLocked(bot, username, chatId);
+    }
+
+    await bot.editMessageText(
+      `Autentikasi gagal.\n\n` +
+      `Pesan kesalahan: ${result.message}\n\n` +
+      `Kemungkinan penyebab:\n` +
+      `- Username atau password salah\n` +
+      `- Akun tidak aktif\n` +
+      `- Koneksi ke server bermasalah\n\n` +
+      `Silakan periksa kembali kredensial Anda dan coba lagi.`,
+      {
+        chat_id: chatId,
+        message_id: messageId
+      }
+    );
+  }
+}
 
 /**
  * Handler untuk perintah /login
@@ -77,10 +365,10 @@ const Validator = require('../../utils/validator');
  * validasi input, error handling, dan session management.
  * 
  * AUTHENTICATION FLOW:
- * 1. Input Validation
+ * 1. Input Parsing
  *    - Parse command arguments
- *    - Validate format dan structure
- *    - Sanitize input data
+ *    - Tanpa password: mulai login bertahap
+ *    - Dengan password: hapus pesan command dari chat
  * 
  * 2. Credential Validation
  *    - Validate username format
@@ -115,9 +403,9 @@ const loginCommand = async (bot, msg) => {
   logger.info(`/login command from chat ${chatId}`);
 
   // ========================================================================
-  // INPUT PARSING & VALIDATION
+  // INPUT PARSING
   // ========================================================================
-  
+
   /**
    * Parse command arguments
    * Split text berdasarkan spasi untuk mendapatkan username dan password
@@ -126,21 +414,10 @@ const loginCommand = async (bot, msg) => {
 
   if (parts.length < 3) {
     /**
-     * Format command tidak valid
-     * Berikan instruksi yang jelas untuk user
+     * Password belum dikirim: lanjut ke login bertahap
+     * /login -> tanya username, /login username -> tanya password
      */
-    await bot.sendMessage(
-      chatId,
-      'Format perintah tidak valid.\n\n' +
-      'Format yang benar: /login username password\n\n' +
-      'Penjelasan:\n' +
-      '- username: Nama pengguna akun SmartGov Anda\n' +
-      '- password: Kata sandi akun SmartGov Anda\n\n' +
-      'Contoh penggunaan:\n' +
-      '/login admin123 password123\n' +
-      '/login kepala\\_desa kata\\_sandi\\_rahasia\n' +
-      '/login sekretaris\\_desa sandi123456'
-    );
+    await startGuidedLogin(bot, chatId, parts[1]);
     return;
   }
 
@@ -152,98 +429,106 @@ const loginCommand = async (bot, msg) => {
   const username = parts[1];
   const password = parts.slice(2).join(' ');
 
-  // ========================================================================
-  // CREDENTIAL VALIDATION
-  // ========================================================================
-  
   /**
-   * Validate username dan password format
-   * Pastikan input memenuhi requirements keamanan
+   * Pesan berisi password langsung dihapus dari chat, sebelum validasi
+   * agar password dengan format salah pun tidak tertinggal
    */
-  const validation = Validator.validateLogin(username, password);
+  loginStates.delete(chatId);
+  const deleted = await deleteCredentialMessage(bot, msg);
 
-  if (!validation.isValid) {
-    /**
-     * Validation gagal
-     * Tampilkan error details dan instruksi perbaikan
-     */
-    await bot.sendMessage(
-      chatId,
-      `Validasi gagal. Kesalahan yang ditemukan:\n\n${validation.errors.join('\n')}\n\n` +
-      'Silakan periksa kembali format input Anda dan coba lagi.'
-    );
+  await authenticate(bot, msg, username, password, deleted);
+};
+
+/**
+ * Handler pesan teks selama login bertahap
+ *
+ * Setiap pesan (username, password, maupun kode TOTP) langsung dihapus. Pesan berupa
+ * perintah (diawali "/") membatalkan login bertahap; perintah tersebut
+ * tetap diproses oleh handler-nya sendiri. Perintah /login tidak dihapus di
+ * sini karena loginCommand sudah menghapusnya.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+const handleLoginMessage = async (bot, msg) => {
+  const chatId = msg.chat.id;
+  const text = msg.text.trim();
+  const loginState = loginStates.get(chatId);
+
+  if (!loginState) {
     return;
   }
 
-  // ========================================================================
-  // AUTHENTICATION PROCESSING
-  // ========================================================================
-  
-  /**
-   * Kirim status message untuk user
-   * Memberikan feedback bahwa proses sedang berjalan
-   */
-  const processingMsg = await bot.sendMessage(chatId, 'Sedang memproses autentikasi pengguna. Mohon tunggu sebentar...');
+  // Hapus state secara sinkron: /login baru yang diproses setelah handler
+  // ini boleh langsung membuat state baru
+  loginStates.delete(chatId);
+
+  if (text.startsWith('/')) {
+    // /login dihapus oleh loginCommand; menghapusnya di sini juga membuat
+    // salah satu deleteMessage gagal dan loginCommand salah melapor
+    if (loginState.step === 'input_password' && !text.startsWith('/login')) {
+      await deleteCredentialMessage(bot, msg);
+    }
+
+    if (!text.startsWith('/login')) {
+      await bot.sendMessage(chatId, 'Login dibatalkan.');
+    }
+    return;
+  }
+
+  const deleted = await deleteCredentialMessage(bot, msg);
 
   try {
-    /**
-     * Call AuthService untuk proses login
-     * Integrate dengan SmartGov API untuk verifikasi credentials
-     */
-    const result = await AuthService.login(chatId, username, password);
+    if (loginState.step === 'input_username') {
+      if (!Validator.isValidUsername(text)) {
+        loginStates.set(chatId, loginState);
+        await bot.sendMessage(chatId, 'Username tidak valid (3-30 karakter huruf, angka, atau garis bawah). Masukkan username lagi:');
+        return;
+      }
 
-    if (result.success) {
-      await bot.editMessageText(
-        `Autentikasi berhasil! Selamat datang di sistem SmartGov Gemini Bot.\n\n` +
-        `Status login: BERHASIL\n` +
-        `Nama pengguna: ${result.user.nama_lengkap}\n` +
-        `Username: ${result.user.username}\n` +
-        `Level akses: ${result.user.level}\n\n` +
-        `Langkah selanjutnya:\n` +
-        `1. Login menggunakan akun SmartGov (Selesai)\n` +
-        `2. Atur kode wilayah menggunakan perintah: /kode-wilayah <kode-wilayah>\n` +
-        `   Contoh: /kode-wilayah 33.01.06.2016\n` +
-        `3. Kirim foto Kartu Keluarga (KK) untuk diproses\n` +
-        `4. Bot akan otomatis extract data menggunakan AI\n` +
-        `5. Data akan disimpan ke database SmartGov\n\n` +
-        `Sistem siap digunakan untuk memproses data KK secara otomatis.`,
-        {
-          chat_id: chatId,
-          message_id: processingMsg.message_id
-        }
-      );
-    } else {
-      await bot.editMessageText(
-        `Autentikasi gagal.\n\n` +
-        `Pesan kesalahan: ${result.message}\n\n` +
-        `Kemungkinan penyebab:\n` +
-        `- Username atau password salah\n` +
-        `- Akun tidak aktif\n` +
-        `- Koneksi ke server bermasalah\n\n` +
-        `Silakan periksa kembali kredensial Anda dan coba lagi.`,
-        {
-          chat_id: chatId,
-          message_id: processingMsg.message_id
-        }
-      );
+      await startGuidedLogin(bot, chatId, text);
+      return;
+    }
+
+    if (loginState.step === 'input_code') {
+      const processingMsg = await bot.sendMessage(chatId, 'Sedang memverifikasi kode. Mohon tunggu sebentar...');
+      const result = await AuthService.verifySecondFactor(chatId, text);
+
+      await showLoginResult(bot, chatId, processingMsg.message_id, loginState.username, result);
+      return;
     }
 
+    await authenticate(bot, msg, loginState.username, msg.text, deleted);
+
   } catch (error) {
-    logger.error('Error in login command:', error);
+    logger.error('Error in guided login:', error);
+    await bot.sendMessage(chatId, 'Terjadi kesalahan sistem saat melakukan login.\n\nSilakan coba lagi dengan perintah /login.');
+  }
+};
 
-    await bot.editMessageText(
-      'Terjadi kesalahan sistem saat melakukan autentikasi.\n\n' +
-      'Kemungkinan penyebab:\n' +
-      '- Koneksi ke database bermasalah\n' +
-      '- Server sedang dalam pemeliharaan\n' +
-      '- Terjadi gangguan pada sistem\n\n' +
-      'Silakan coba lagi dalam beberapa saat. Jika masalah berlanjut, hubungi administrator sistem.',
-      {
-        chat_id: chatId,
-        message_id: processingMsg.message_id
-      }
-    );
+/**
+ * Cek apakah chat sedang dalam login bertahap
+ *
+ * State yang melewati LOGIN_FLOW_TTL dihapus dan dianggap tidak aktif.
+ *
+ * @param {number} chatId - Chat ID
+ * @returns {boolean} true jika bot sedang menunggu username/password
+ */
+const isInLoginProcess = (chatId) => {
+  const loginState = loginStates.get(chatId);
+
+  if (!loginState) {
+    return false;
   }
+
+  if (Date.now() - loginState.startedAt > LOGIN_FLOW_TTL) {
+    loginStates.delete(chatId);
+    return false;
+  }
+
+  return true;
 };
 
 const logoutCommand = async (bot, msg) => {
@@ -253,6 +538,7 @@ const logoutCommand = async (bot, msg) => {
 
   try {
     const result = await AuthService.logout(chatId);
+    DraftService.deleteDraft(chatId);
 
     if (result.success) {
       await bot.sendMessage(chatId, `Logout berhasil.\n\n${result.message}\n\nSesi Anda telah berakhir. Untuk menggunakan sistem kembali, silakan lakukan login ulang.`);
@@ -273,6 +559,7 @@ const stopCommand = async (bot, msg) => {
 
   try {
     const result = await AuthService.logout(chatId);
+    DraftService.deleteDraft(chatId);
 
     if (result.success) {
       await bot.sendMessage(chatId, 
@@ -305,6 +592,7 @@ const stopCommand = async (bot, msg) => {
  *    - Extract username (argumen kedua)
  *    - Extract password (argumen sisanya)
  *    - Support password dengan spasi
+ *    - Tanpa password: login bertahap (state di loginStates, 5 menit)
  *
  * 2. Input Validation
  *    - Format validation (minimal 3 argumen)
@@ -333,6 +621,8 @@ const stopCommand = async (bot, msg) => {
  *    - Length validation
  *
  * 2. Credential Protection
+ *    - Pesan berisi password dihapus dari chat (deleteCredentialMessage);
+ *      jika gagal dihapus, user diminta menghapusnya manual
  *    - Tidak log password dalam plain text
  *    - Secure transmission ke API
  *    - Session management yang aman
@@ -341,7 +631,8 @@ const stopCommand = async (bot, msg) => {
  * 3. Error Handling
  *    - Generic error messages untuk security
  *    - Detailed logging untuk debugging
- *    - Rate limiting untuk prevent brute force
+ *    - Backoff per chat/username dan penguncian akun untuk prevent brute
+ *      force (lihat src/services/LoginGuardService.js)
  *    - Input validation untuk prevent attacks
  *
  * USER EXPERIENCE:
@@ -396,6 +687,7 @@ const stopCommand = async (bot, msg) => {
  * RELATED FILES:
  * --------------
  * - src/services/AuthService.js: Authentication logic
+ * - src/services/LoginGuardService.js: Backoff dan penguncian akun
  * - src/utils/validator.js: Input validation utilities
  * - src/utils/logger.js: Logging utilities
  * - src/bot/commands/start.js: Welcome message
@@ -406,6 +698,8 @@ const stopCommand = async (bot, msg) => {
 
 module.exports = {
   loginCommand,
+  handleLoginMessage,
+  isInLoginProcess,
   logoutCommand,
   stopCommand
 };
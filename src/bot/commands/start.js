@@ -198,11 +198,10 @@ module.exports = async (bot, msg) => {
      */
     message += `Status autentikasi: *BELUM LOGIN*\n\n`;
     message += `Untuk menggunakan sistem ini, Anda harus melakukan login terlebih dahulu.\n`;
-    message += `Format perintah login:\n`;
+    message += `Kirim /login, lalu masukkan username dan password saat diminta. `;
+    message += `Pesan username dan password langsung dihapus dari chat.\n\n`;
+    message += `Format satu baris juga bisa dipakai:\n`;
     message += `/login username password\n\n`;
-    message += `Contoh penggunaan:\n`;
-    message += `/login admin123 password123\n`;
-    message += `/login kepala\\_desa kata\\_sandi\\_rahasia\n\n`;
   }
 
   // ========================================================================
@@ -239,6 +238,14 @@ module.exports = async (bot, msg) => {
    */
   message += `Sistem ini didukung oleh teknologi Google Gemini AI untuk akurasi ekstraksi data yang optimal.`;
 
+  /**
+   * ID user Telegram, diperlukan admin untuk mengikat akun ke Telegram ini
+   * (verifikasi dua langkah, lihat /dua-faktor)
+   */
+  if (msg.from) {
+    message += `\n\nID Telegram Anda: \`${msg.from.id}\``;
+  }
+
   // ========================================================================
   // SEND MESSAGE TO USER
   // ========================================================================
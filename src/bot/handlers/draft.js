@@ -0,0 +1,1746 @@
+/**
+ * ============================================================================
+ * FILE: src/bot/handlers/draft.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Handler untuk draft hasil OCR Kartu Keluarga (KK). File ini merender preview
+ * draft beserta inline keyboard (Simpan / Koreksi / Batal) dan memproses
+ * callback_query dari tombol-tombol tersebut. Data baru ditulis ke database
+ * setelah operator menekan tombol Simpan.
+ *
+ * TANGGAL DIBUAT: 2025
+ *
+ * DEPENDENSI:
+ * - moment-timezone: Format waktu expiry draft (WIB)
+ * - logger: Logging utility untuk tracking aksi draft
+ * - AuthService: Validasi session sebelum memproses tombol
+ * - DraftService: Penyimpanan draft per chat
+ * - AutoCreateService: Penyimpanan data ke database setelah konfirmasi
+ * - GeminiOcrService: Daftar field dengan confidence rendah
+ * - ValidationService: Validasi data KK (format, NIK, struktur keluarga)
+ * - textCleaner: Normalisasi NIK untuk mencocokkan status anggota
+ *
+ * FITUR UTAMA:
+ * 1. Draft Preview
+ *    - Informasi header KK dan detail seluruh anggota keluarga
+ *    - Waktu kedaluwarsa draft
+ *    - Field dengan confidence di bawah config.ocr.confidenceThreshold
+ *      ditandai (?) dan didaftar beserta alasannya
+ *    - Ringkasan mode konsensus (field kritis sama/berbeda antar pembacaan)
+ *    - Temuan ValidationService (error dan peringatan) dengan nomor anggota,
+ *      kecuali field yang sudah tercantum di daftar confidence rendah
+ *    - Inline keyboard Simpan / Koreksi / Batal
+ *
+ * 2. Callback Handling
+ *    - Simpan: Tulis data ke database via AutoCreateService
+ *    - Cek Confidence: Jika ada field dengan confidence rendah atau error
+ *      validasi (status review), operator harus memilih Sudah Dicek atau
+ *      Koreksi sebelum data disimpan
+ *    - Review Perubahan: Jika NIK sudah terdaftar dan datanya berbeda,
+ *      tampilkan perubahan per-field dan minta persetujuan operator
+ *    - Pindah KK: NIK yang terdaftar di KK lain ditampilkan dengan KK lama
+ *      dan KK baru, dipindahkan jika disetujui operator
+ *    - Anggota Hilang: Anggota KK di database yang tidak ada di hasil scan
+ *      bisa dinonaktifkan dengan alasan Pindah / Meninggal / Pecah KK
+ *    - Koreksi: Pilih anggota/header KK lalu pilih field via inline keyboard
+ *    - Batal: Buang draft tanpa menyimpan apapun
+ *
+ * 3. Koreksi Percakapan
+ *    - Format teks dengan pemisah: "anggota 3 NIK: 3301..." atau
+ *      "alamat = JL. MAWAR NO. 5"
+ *    - Perintah /koreksi tanpa pemisah: "/koreksi anggota 3 NIK 3301..."
+ *    - Teks tanpa format hanya dipakai sebagai nilai field yang dipilih
+ *      lewat tombol Koreksi
+ *    - Nilai baru divalidasi ulang dengan aturan yang sama dengan hasil OCR
+ *    - Pesan draft diperbarui in-place setelah koreksi berhasil
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const draftHandler = require('./handlers/draft');
+ *
+ * // Render preview dari photo handler
+ * await bot.editMessageText(draftHandler.renderDraftMessage(draft), {
+ *   chat_id: chatId,
+ *   message_id: messageId,
+ *   parse_mode: 'Markdown',
+ *   reply_markup: draftHandler.buildDraftKeyboard(draft)
+ * });
+ *
+ * // Proses tombol
+ * bot.on('callback_query', (query) => draftHandler(bot, query));
+ * ```
+ *
+ * CATATAN PENTING:
+ * - Format callback_data: draft:<aksi>:<draftId>[:<argumen>...]
+ * - Tombol dari preview lama ditolak karena draftId tidak cocok
+ * - Setiap callback_query harus dijawab dengan answerCallbackQuery
+ *
+ * ============================================================================
+ */
+
+const moment = require('moment-timezone');
+const logger = require('../../utils/logger');
+const config = require('../../config/env');
+const AuthService = require('../../services/AuthService');
+const DraftService = require('../../services/DraftService');
+const AutoCreateService = require('../../services/AutoCreateService');
+const GeminiOcrService = require('../../services/GeminiOcrService');
+const ValidationService = require('../../services/ValidationService');
+const { normalizeNIK } = require('../../utils/textCleaner');
+
+/**
+ * Prefix callback_data untuk semua tombol draft
+ * @constant {string}
+ */
+const CALLBACK_PREFIX = 'draft';
+
+/**
+ * Aksi tombol draft yang mengubah penduduk yang sudah terdaftar
+ * (setujui perubahan, pindah KK, alasan nonaktif). Aksi lain memerlukan
+ * izin membuat KK.
+ * @constant {Array<string>}
+ */
+const EDIT_ACTIONS = ['toggle', 'move', 'reason', 'apply'];
+
+/**
+ * Field header KK yang bisa dikoreksi
+ * Key: nama field di parsedData, label: teks tampilan, aliases: kata kunci
+ * yang dikenali pada koreksi format teks (lowercase)
+ * @constant {Object}
+ */
+const HEADER_FIELDS = {
+  nomor_kk: { label: 'Nomor KK', aliases: ['nomor kk', 'no kk', 'no. kk'] },
+  nama_kepala_keluarga: { label: 'Nama Kepala Keluarga', aliases: ['nama kepala keluarga', 'kepala keluarga'] },
+  alamat: { label: 'Alamat', aliases: ['alamat'] },
+  rt_rw: { label: 'RT/RW', aliases: ['rt/rw', 'rt rw', 'rtrw'] },
+  desa_kelurahan: { label: 'Desa/Kelurahan', aliases: ['desa/kelurahan', 'desa', 'kelurahan'] },
+  kecamatan: { label: 'Kecamatan', aliases: ['kecamatan'] },
+  kabupaten_kota: { label: 'Kabupaten/Kota', aliases: ['kabupaten/kota', 'kabupaten', 'kota'] },
+  provinsi: { label: 'Provinsi', aliases: ['provinsi'] },
+  kode_pos: { label: 'Kode Pos', aliases: ['kode pos'] }
+};
+
+/**
+ * Field anggota keluarga yang bisa dikoreksi
+ * @constant {Object}
+ */
+const MEMBER_FIELDS = {
+  nik: { label: 'NIK', aliases: ['nik'] },
+  nama_lengkap: { label: 'Nama Lengkap', aliases: ['nama lengkap', 'nama'] },
+  jenis_kelamin: { label: 'Jenis Kelamin', aliases: ['jenis kelamin', 'kelamin', 'jk'] },
+  tempat_lahir: { label: 'Tempat Lahir', aliases: ['tempat lahir'] },
+  tanggal_lahir: { label: 'Tanggal Lahir', aliases: ['tanggal lahir', 'tgl lahir'] },
+  agama: { label: 'Agama', aliases: ['agama'] },
+  pendidikan: { label: 'Pendidikan', aliases: ['pendidikan'] },
+  jenis_pekerjaan: { label: 'Pekerjaan', aliases: ['jenis pekerjaan', 'pekerjaan'] },
+  status_perkawinan: { label: 'Status Perkawinan', aliases: ['status perkawinan', 'perkawinan'] },
+  tanggal_perkawinan: { label: 'Tanggal Perkawinan', aliases: ['tanggal perkawinan', 'tgl perkawinan'] },
+  status_hubungan_dalam_keluarga: { label: 'Hubungan dalam Keluarga', aliases: ['status hubungan', 'hubungan'] },
+  kewarganegaraan: { label: 'Kewarganegaraan', aliases: ['kewarganegaraan'] },
+  nama_ayah: { label: 'Nama Ayah', aliases: ['nama ayah', 'ayah'] },
+  nama_ibu: { label: 'Nama Ibu', aliases: ['nama ibu', 'ibu'] }
+};
+
+/**
+ * Kata yang membatalkan koreksi yang sedang menunggu input
+ * @constant {Array<string>}
+ */
+const CANCEL_WORDS = ['batal', 'cancel'];
+
+/**
+ * Prefix perintah /koreksi (koreksi format teks tanpa pemisah : atau =)
+ * @constant {RegExp}
+ */
+const CORRECTION_COMMAND = /^\/koreksi(\s+|$)/i;
+
+/**
+ * Urutan pilihan alasan nonaktif pada tombol anggota yang tidak tercantum
+ * (null = tetap aktif)
+ * @constant {Array<string|null>}
+ */
+const REASON_CYCLE = [null, ...Object.keys(AutoCreateService.INACTIVE_REASONS)];
+
+/**
+ * Penanda field dengan confidence rendah pada preview draft
+ * @constant {string}
+ */
+const LOW_CONFIDENCE_MARK = ' (?)';
+
+/**
+ * Label status validasi pada hasil simpan
+ * @constant {Object<string, string>}
+ */
+const VALIDATION_STATUS_LABELS = {
+  [ValidationService.STATUS.VALID]: 'Valid',
+  [ValidationService.STATUS.WARNING]: 'Valid dengan peringatan',
+  [ValidationService.STATUS.CONFIRMED]: 'Ada kesalahan, dikonfirmasi operator'
+};
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Penanda confidence rendah untuk satu baris tampilan
+ *
+ * @param {Array<string>} lowFields - Nama field dengan confidence rendah
+ * @param {...string} fields - Field yang ditampilkan di baris tersebut
+ * @returns {string} LOW_CONFIDENCE_MARK atau string kosong
+ */
+function markLowConfidence(lowFields, ...fields) {
+  return fields.some(field => lowFields.includes(field)) ? LOW_CONFIDENCE_MARK : '';
+}
+
+/**
+ * Render informasi header Kartu Keluarga
+ *
+ * @param {Object} data - parsedData hasil OCR
+ * @param {Array<string>} [lowFields=[]] - Field header yang ditandai (?)
+ * @returns {string} Blok teks informasi KK
+ */
+function renderFamilyHeader(data, lowFields = []) {
+  const mark = (field) => markLowConfidence(lowFields, field);
+
+  let message = 'Informasi Kartu Keluarga:\n';
+  message += `Nomor KK: \`${data.nomor_kk}\`${mark('nomor_kk')}\n`;
+  message += `Nama Kepala Keluarga: ${data.nama_kepala_keluarga}${mark('nama_kepala_keluarga')}\n`;
+  message += `Alamat: ${data.alamat}${mark('alamat')}\n`;
+
+  if (data.rt_rw) {
+    message += `RT/RW: ${data.rt_rw}${mark('rt_rw')}\n`;
+  }
+
+  if (data.desa_kelurahan) {
+    message += `Desa/Kelurahan: ${data.desa_kelurahan}${mark('desa_kelurahan')}\n`;
+  }
+
+  if (data.kecamatan) {
+    message += `Kecamatan: ${data.kecamatan}${mark('kecamatan')}\n`;
+  }
+
+  if (data.kabupaten_kota) {
+    message += `Kabupaten/Kota: ${data.kabupaten_kota}${mark('kabupaten_kota')}\n`;
+  }
+
+  if (data.provinsi) {
+    message += `Provinsi: ${data.provinsi}${mark('provinsi')}\n`;
+  }
+
+  if (data.kode_pos) {
+    message += `Kode Pos: ${data.kode_pos}${mark('kode_pos')}\n`;
+  }
+
+  return message;
+}
+
+/**
+ * Render detail satu anggota keluarga
+ *
+ * @param {Object} member - Data anggota dari parsedData.table
+ * @param {number} index - Index anggota (0-based)
+ * @param {string} [status] - Label status (contoh: BERHASIL, SUDAH ADA)
+ * @param {Array<string>} [lowFields=[]] - Field anggota yang ditandai (?)
+ * @returns {string} Blok teks detail anggota
+ */
+function renderMember(member, index, status, lowFields = []) {
+  const mark = (...fields) => markLowConfidence(lowFields, ...fields);
+
+  let message = `${index + 1}. ${member.nama_lengkap}${mark('nama_lengkap')}${status ? ` (${status})` : ''}\n`;
+  message += `   NIK: \`${member.nik}\`${mark('nik')}\n`;
+  message += `   Tempat/Tanggal Lahir: ${member.tempat_lahir}, ${member.tanggal_lahir}${mark('tempat_lahir', 'tanggal_lahir')}\n`;
+  message += `   Jenis Kelamin: ${member.jenis_kelamin}${mark('jenis_kelamin')}\n`;
+  message += `   Agama: ${member.agama}${mark('agama')}\n`;
+  message += `   Pendidikan: ${member.pendidikan}${mark('pendidikan')}\n`;
+  message += `   Pekerjaan: ${member.jenis_pekerjaan}${mark('jenis_pekerjaan')}\n`;
+  message += `   Status Perkawinan: ${member.status_perkawinan}${mark('status_perkawinan')}\n`;
+  message += `   Hubungan dalam Keluarga: ${member.status_hubungan_dalam_keluarga}${mark('status_hubungan_dalam_keluarga')}\n`;
+
+  return message;
+}
+
+/**
+ * Render daftar field dengan confidence rendah
+ *
+ * @param {Array<Object>} lowFields - Hasil GeminiOcrService.getLowConfidenceFields
+ * @returns {string} Blok daftar field, '' jika tidak ada
+ */
+function renderLowConfidence(lowFields) {
+  if (lowFields.length === 0) {
+    return '';
+  }
+
+  let message = `Perlu dicek (akurasi di bawah ${config.ocr.confidenceThreshold}%, bertanda${LOW_CONFIDENCE_MARK}):\n`;
+
+  lowFields.forEach(item => {
+    message += `- ${describeTarget(item)}: ${item.reason || 'Tidak terbaca jelas'} (${item.score}%)\n`;
+  });
+
+  return message + '\n';
+}
+
+/**
+ * Temuan validasi yang belum tercantum di daftar confidence rendah
+ *
+ * Field dengan format tidak valid sudah muncul di renderLowConfidence,
+ * sehingga temuan untuk field yang sama tidak ditampilkan dua kali.
+ *
+ * @param {Object} validation - Hasil ValidationService.validateDocument
+ * @param {Array<Object>} lowFields - Hasil GeminiOcrService.getLowConfidenceFields
+ * @param {string} [severity] - Hanya 'error', 'warning' atau 'info' (default: semua)
+ * @returns {Array<Object>} Daftar issue
+ */
+function getValidationIssues(validation, lowFields, severity) {
+  return validation.issues.filter(issue =>
+    (!severity || issue.severity === severity) &&
+    !(issue.field && lowFields.some(item => item.memberIndex === issue.memberIndex && item.field === issue.field))
+  );
+}
+
+/**
+ * Render temuan validasi (error, peringatan dan informasi)
+ *
+ * @param {Array<Object>} issues - Hasil getValidationIssues
+ * @returns {string} Blok temuan, '' jika tidak ada
+ */
+function renderValidationIssues(issues) {
+  if (issues.length === 0) {
+    return '';
+  }
+
+  let message = 'Hasil validasi:\n';
+
+  issues.filter(issue => issue.severity === 'error').forEach(issue => {
+    message += `- KESALAHAN: ${issue.message}\n`;
+  });
+  issues.filter(issue => issue.severity === 'warning').forEach(issue => {
+    message += `- Peringatan: ${issue.message}\n`;
+  });
+  issues.filter(issue => issue.severity === 'info').forEach(issue => {
+    message += `- Info: ${issue.message}\n`;
+  });
+
+  return message + '\n';
+}
+
+/**
+ * Ambil kode wilayah session operator untuk dicocokkan dengan alamat KK
+ *
+ * Dibaca langsung dari session (bukan disimpan di draft) agar operator bisa
+ * memperbaiki /kode-wilayah tanpa mengirim ulang foto.
+ *
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Object} { villageCode, villageData }
+ */
+function getSessionRegion(chatId) {
+  return {
+    villageCode: AuthService.getVillageCode(chatId),
+    villageData: AuthService.getVillageData(chatId)
+  };
+}
+
+/**
+ * Render peringatan jika alamat KK tidak sesuai kode wilayah session
+ *
+ * @param {Array<Object>} mismatch - Hasil AutoCreateService.checkRegionMismatch
+ * @param {string} villageCode - Kode wilayah session
+ * @returns {string} Blok peringatan, '' jika tidak ada perbedaan
+ */
+function renderRegionWarning(mismatch, villageCode) {
+  if (mismatch.length === 0) return '';
+
+  let message = `PERINGATAN: Alamat KK tidak sesuai dengan kode wilayah \`${villageCode}\`\n`;
+
+  mismatch.forEach(item => {
+    message += `- ${item.label}: ${item.ocrName} (kode wilayah: ${item.sessionName})\n`;
+  });
+
+  if (config.regionApi.mismatchMode === 'block') {
+    message += 'Data tidak dapat disimpan. Koreksi alamat KK atau atur ulang /kode-wilayah.\n';
+  } else {
+    message += 'Data tetap disimpan dengan kode wilayah session. Pastikan KK berasal dari wilayah ini.\n';
+  }
+
+  return message + '\n';
+}
+
+/**
+ * Render sumber draft multi-halaman (PDF atau album foto)
+ *
+ * Halaman yang gagal ditampilkan beserta alasannya (hasil quality gate),
+ * agar operator bisa memfoto ulang halaman tersebut.
+ *
+ * @param {Object|null} pages - ocrInfo.pages { source, total, failed }
+ *   (lihat GeminiOcrService.mergeResults)
+ * @returns {string} Baris info sumber, atau string kosong untuk foto tunggal
+ */
+function renderPagesInfo(pages) {
+  if (!pages) {
+    return '';
+  }
+
+  const unit = pages.source === 'album' ? 'Foto' : 'Halaman';
+  let message = `Sumber: ${pages.source === 'album' ? 'Album' : 'PDF'} ${pages.total} ${unit.toLowerCase()}\n`;
+  if (pages.failed.length > 0) {
+    message += `${unit} tidak terbaca: ${pages.failed.map(item => item.page).join(', ')} ` +
+      '(periksa apakah ada anggota yang terlewat)\n';
+
+    pages.failed.forEach(item => {
+      const reasons = item.qualityIssues.length > 0
+        ? item.qualityIssues.map(issue => issue.message)
+        : [item.rejectionMessage || 'Data KK tidak dapat dibaca.'];
+
+      message += `- ${unit} ${item.page}: ${reasons.join(' ')}\n`;
+    });
+
+    message += `Kirim ulang ${unit.toLowerCase()} tersebut bersama ${unit.toLowerCase()} lainnya jika ada anggota yang terlewat.\n`;
+  }
+
+  return message;
+}
+
+/**
+ * Render ringkasan mode konsensus (pembacaan ganda)
+ *
+ * @param {Object|null} consensus - ocrInfo.consensus { requested, passes, agreed, disputed }
+ * @returns {string} Baris ringkasan, atau string kosong jika mode konsensus nonaktif
+ */
+function renderConsensusInfo(consensus) {
+  if (!consensus) {
+    return '';
+  }
+
+  if (consensus.passes < 2) {
+    return `Verifikasi ganda: pembacaan ulang gagal (${consensus.passes}/${consensus.requested}), NIK dan tanggal lahir belum terkonfirmasi\n`;
+  }
+
+  return `Verifikasi ganda: ${consensus.passes} pembacaan, ${consensus.agreed} field kritis sama, ${consensus.disputed} berbeda\n`;
+}
+
+/**
+ * Render preview draft untuk direview operator
+ *
+ * @param {Object} draft - Draft dari DraftService
+ * @returns {string} Pesan preview (Markdown)
+ */
+function renderDraftMessage(draft) {
+  const data = draft.data;
+  const expiresAt = moment(draft.expiresAt).tz('Asia/Jakarta');
+
+  let message = 'Data berhasil diekstrak dari Kartu Keluarga (KK).\n';
+  message += 'Data BELUM disimpan. Periksa kembali sebelum menyimpan.\n\n';
+  const lowFields = GeminiOcrService.getLowConfidenceFields(draft.ocrInfo.fieldConfidence);
+  const lowFieldsOf = (memberIndex) => lowFields
+    .filter(item => item.memberIndex === memberIndex)
+    .map(item => item.field);
+
+  message += renderFamilyHeader(data, lowFieldsOf(null));
+  message += `\nJumlah Anggota Keluarga: ${data.table.length} orang\n\n`;
+  message += 'Detail Anggota Keluarga:\n\n';
+
+  data.table.forEach((member, index) => {
+    const memberLowFields = lowFieldsOf(index);
+    message += renderMember(member, index, undefined, memberLowFields);
+
+    if (member.nama_ayah) {
+      message += `   Nama Ayah: ${member.nama_ayah}${markLowConfidence(memberLowFields, 'nama_ayah')}\n`;
+    }
+    if (member.nama_ibu) {
+      message += `   Nama Ibu: ${member.nama_ibu}${markLowConfidence(memberLowFields, 'nama_ibu')}\n`;
+    }
+
+    message += '\n';
+  });
+
+  const region = getSessionRegion(draft.chatId);
+  message += renderRegionWarning(AutoCreateService.checkRegionMismatch(data, region), region.villageCode);
+  message += renderValidationIssues(getValidationIssues(ValidationService.validateDocument(data), lowFields));
+
+  message += renderLowConfidence(lowFields);
+  message += renderPagesInfo(draft.ocrInfo.pages);
+  message += renderConsensusInfo(draft.ocrInfo.consensus);
+  if (draft.ocrInfo.confidence !== undefined) {
+    message += `Tingkat Akurasi: ${draft.ocrInfo.confidence}%\n`;
+  }
+  if (draft.corrections.length > 0) {
+    message += `Koreksi Operator: ${draft.corrections.length} perubahan\n`;
+  }
+  message += `Draft berlaku sampai: ${expiresAt.format('DD-MM-YYYY HH:mm')} WIB\n\n`;
+  message += 'Pilih Simpan untuk menyimpan ke database SmartGov, Koreksi untuk memperbaiki data, atau Batal untuk membuang draft.\n\n';
+  message += 'Koreksi cepat dengan mengetik pesan, contoh:\n';
+  message += '- anggota 3 NIK: 3301012345670001\n';
+  message += '- alamat = JL. MAWAR NO. 5\n';
+  message += '- /koreksi anggota 3 nama BUDI SANTOSO';
+
+  return message;
+}
+
+/**
+ * Build inline keyboard Simpan / Koreksi / Batal
+ *
+ * @param {Object} draft - Draft dari DraftService
+ * @returns {Object} reply_markup untuk Telegram
+ */
+function buildDraftKeyboard(draft) {
+  return {
+    inline_keyboard: [[
+      { text: 'Simpan', callback_data: `${CALLBACK_PREFIX}:save:${draft.id}` },
+      { text: 'Koreksi', callback_data: `${CALLBACK_PREFIX}:edit:${draft.id}` },
+      { text: 'Batal', callback_data: `${CALLBACK_PREFIX}:cancel:${draft.id}` }
+    ]]
+  };
+}
+
+/**
+ * Build inline keyboard konfirmasi field dengan confidence rendah
+ *
+ * @param {Object} draft - Draft dari DraftService
+ * @returns {Object} reply_markup untuk Telegram
+ */
+function buildConfidenceKeyboard(draft) {
+  return {
+    inline_keyboard: [
+      [{ text: 'Sudah Dicek, Simpan', callback_data: `${CALLBACK_PREFIX}:verify:${draft.id}` }],
+      [
+        { text: 'Koreksi', callback_data: `${CALLBACK_PREFIX}:edit:${draft.id}` },
+        { text: 'Kembali', callback_data: `${CALLBACK_PREFIX}:back:${draft.id}` }
+      ]
+    ]
+  };
+}
+
+/**
+ * Build inline keyboard pilihan target koreksi (header KK atau anggota)
+ *
+ * @param {Object} draft - Draft dari DraftService
+ * @returns {Object} reply_markup untuk Telegram
+ */
+function buildTargetKeyboard(draft) {
+  const rows = [[{ text: 'Data KK (header)', callback_data: `${CALLBACK_PREFIX}:target:${draft.id}:kk` }]];
+
+  draft.data.table.forEach((member, index) => {
+    rows.push([{
+      text: `${index + 1}. ${member.nama_lengkap}`,
+      callback_data: `${CALLBACK_PREFIX}:target:${draft.id}:${index}`
+    }]);
+  });
+
+  rows.push([{ text: 'Kembali', callback_data: `${CALLBACK_PREFIX}:back:${draft.id}` }]);
+
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Build inline keyboard pilihan field untuk target koreksi
+ *
+ * @param {Object} draft - Draft dari DraftService
+ * @param {string} target - 'kk' untuk header atau index anggota (string)
+ * @returns {Object} reply_markup untuk Telegram
+ */
+function buildFieldKeyboard(draft, target) {
+  const fields = target === 'kk' ? HEADER_FIELDS : MEMBER_FIELDS;
+  const rows = [];
+  let row = [];
+
+  Object.entries(fields).forEach(([field, { label }]) => {
+    row.push({ text: label, callback_data: `${CALLBACK_PREFIX}:field:${draft.id}:${target}:${field}` });
+
+    if (row.length === 2) {
+      rows.push(row);
+      row = [];
+    }
+  });
+
+  if (row.length > 0) {
+    rows.push(row);
+  }
+
+  rows.push([{ text: 'Kembali', callback_data: `${CALLBACK_PREFIX}:edit:${draft.id}` }]);
+
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Deskripsi target koreksi untuk pesan ke operator
+ *
+ * @param {Object} target - { memberIndex, field }
+ * @returns {string} Contoh: 'NIK anggota 3' atau 'Alamat (data KK)'
+ */
+function describeTarget({ memberIndex, field }) {
+  if (memberIndex === null) {
+    return `${HEADER_FIELDS[field].label} (data KK)`;
+  }
+
+  return `${MEMBER_FIELDS[field].label} anggota ${memberIndex + 1}`;
+}
+
+/**
+ * Cari field berdasarkan alias di awal teks
+ *
+ * Alias terpanjang dicocokkan lebih dulu agar 'nama ayah' tidak tertangkap
+ * sebagai 'nama'.
+ *
+ * @param {Object} fields - HEADER_FIELDS atau MEMBER_FIELDS
+ * @param {string} text - Teks setelah prefix (contoh: 'NIK: 3301...')
+ * @param {boolean} requireSeparator - true: alias harus diikuti ':' atau '=';
+ *   false: spasi saja cukup
+ * @returns {Object|null} { field, value } atau null jika tidak ada alias cocok
+ */
+function matchFieldAlias(fields, text, requireSeparator) {
+  const lower = text.toLowerCase();
+  const candidates = [];
+
+  Object.entries(fields).forEach(([field, { aliases }]) => {
+    aliases.forEach(alias => candidates.push({ field, alias }));
+  });
+
+  candidates.sort((a, b) => b.alias.length - a.alias.length);
+  const separator = requireSeparator ? /^\s*[:=]/ : /^[\s:=]/;
+
+  for (const { field, alias } of candidates) {
+    if (lower.startsWith(alias) && separator.test(text.slice(alias.length))) {
+      return { field, value: text.slice(alias.length).replace(/^[\s:=]+/, '').trim() };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse koreksi format teks
+ *
+ * Format yang didukung:
+ * - anggota <nomor> <field>: <nilai>  (contoh: anggota 3 NIK: 3301...)
+ * - <field header>: <nilai>           (contoh: alamat: JL. MAWAR NO. 5)
+ * Pemisah boleh ':' atau '='. Setelah /koreksi pemisah boleh diganti spasi;
+ * tanpa pemisah, teks biasa (misalnya "nama saya Budi") tidak dianggap
+ * koreksi.
+ *
+ * @param {string} text - Pesan dari operator (tanpa prefix /koreksi)
+ * @param {Object} [options] - Opsi parsing
+ * @param {boolean} [options.requireSeparator=true] - false untuk teks setelah /koreksi
+ * @returns {Object|null} { memberIndex, field, value } atau null jika bukan koreksi
+ */
+function parseCorrectionText(text, { requireSeparator = true } = {}) {
+  const trimmed = text.trim();
+  const memberMatch = trimmed.match(/^anggota\s+(\d+)\s+(.+)$/i);
+
+  if (memberMatch) {
+    const matched = matchFieldAlias(MEMBER_FIELDS, memberMatch[2], requireSeparator);
+    return matched ? { memberIndex: parseInt(memberMatch[1]) - 1, ...matched } : null;
+  }
+
+  const matched = matchFieldAlias(HEADER_FIELDS, trimmed, requireSeparator);
+  return matched ? { memberIndex: null, ...matched } : null;
+}
+
+/**
+ * Render review sebelum simpan untuk diputuskan operator
+ *
+ * Berisi tiga bagian (masing-masing hanya jika ada):
+ * - Anggota yang sudah terdaftar dengan data berbeda (perubahan per field)
+ * - Anggota yang terdaftar di KK lain (kandidat pindah KK)
+ * - Anggota KK di database yang tidak ada di hasil scan (kandidat nonaktif)
+ *
+ * @param {Object} draft - Draft dengan draft.review terisi
+ * @returns {string} Pesan review (Markdown)
+ */
+function renderReviewMessage(draft) {
+  const { updates, approved, moves, approvedMoves, missing, deactivations } = draft.review;
+
+  let message = 'Periksa perubahan data penduduk sebelum menyimpan.\n\n';
+  message += `Nomor KK: \`${draft.data.nomor_kk}\`\n\n`;
+
+  if (updates.length > 0) {
+    message += 'Anggota sudah terdaftar dengan data berbeda:\n\n';
+
+    updates.forEach((update, index) => {
+      const status = approved.includes(update.nik) ? 'DIPERBARUI' : 'TIDAK DIUBAH';
+
+      message += `${index + 1}. ${update.nama} (${status})\n`;
+      message += `   NIK: \`${update.nik}\`\n`;
+
+      update.changes.forEach(change => {
+        message += `   ${change.label}: ${change.oldDisplay} -> ${change.newDisplay}\n`;
+      });
+
+      message += '\n';
+    });
+  }
+
+  if (moves.length > 0) {
+    message += 'Anggota terdaftar di KK lain:\n\n';
+
+    moves.forEach((move, index) => {
+      const status = approvedMoves.includes(move.nik) ? 'DIPINDAHKAN' : 'TIDAK DIPINDAHKAN';
+
+      message += `${index + 1}. ${move.nama} (${status})\n`;
+      message += `   NIK: \`${move.nik}\`\n`;
+      message += `   KK Lama: \`${move.fromFamilyCard}\`\n`;
+      message += `   KK Baru: \`${draft.data.nomor_kk}\`\n`;
+
+      move.changes.forEach(change => {
+        message += `   ${change.label}: ${change.oldDisplay} -> ${change.newDisplay}\n`;
+      });
+
+      message += '\n';
+    });
+  }
+
+  if (missing.length > 0) {
+    message += 'Anggota terdaftar di KK ini tetapi tidak ada di hasil scan:\n\n';
+
+    const pages = draft.ocrInfo.pages;
+    if (pages && pages.failed.length > 0) {
+      message += `Catatan: ${pages.source === 'album' ? 'foto' : 'halaman'} ` +
+        `${pages.failed.map(item => item.page).join(', ')} tidak terbaca, anggota di dalamnya ikut muncul di sini. ` +
+        'Batalkan draft dan kirim ulang jika anggota tersebut masih tercantum di KK.\n\n';
+    }
+
+    missing.forEach((resident, index) => {
+      const reason = deactivations[resident.nik];
+      const status = reason ? `NONAKTIF - ${AutoCreateService.INACTIVE_REASONS[reason]}` : 'TETAP AKTIF';
+
+      message += `${index + 1}. ${resident.nama} (${status})\n`;
+      message += `   NIK: \`${resident.nik}\`\n\n`;
+    });
+  }
+
+  if (updates.length > 0) {
+    message += 'Tekan tombol Perbarui/Lewati untuk menyetujui atau menolak perubahan anggota.\n';
+  }
+  if (moves.length > 0) {
+    message += 'Tekan tombol Pindahkan/Lewati untuk menyetujui perpindahan KK.\n';
+  }
+  if (missing.length > 0) {
+    message += 'Tekan tombol Aktif/Nonaktif untuk memilih alasan (Pindah / Meninggal / Pecah KK).\n';
+  }
+  message += 'Lalu tekan Simpan. Anggota baru tetap ditambahkan seperti biasa.';
+
+  return message;
+}
+
+/**
+ * Build inline keyboard review (toggle per anggota + Simpan / Kembali)
+ *
+ * @param {Object} draft - Draft dengan draft.review terisi
+ * @returns {Object} reply_markup untuk Telegram
+ */
+function buildReviewKeyboard(draft) {
+  const { updates, approved, moves, approvedMoves, missing, deactivations } = draft.review;
+
+  const rows = updates.map((update, index) => [{
+    text: `${approved.includes(update.nik) ? 'Perbarui' : 'Lewati'}: ${index + 1}. ${update.nama}`,
+    callback_data: `${CALLBACK_PREFIX}:toggle:${draft.id}:${index}`
+  }]);
+
+  moves.forEach((move, index) => {
+    rows.push([{
+      text: `${approvedMoves.includes(move.nik) ? 'Pindahkan' : 'Lewati'}: ${move.nama}`,
+      callback_data: `${CALLBACK_PREFIX}:move:${draft.id}:${index}`
+    }]);
+  });
+
+  missing.forEach((resident, index) => {
+    const reason = deactivations[resident.nik];
+
+    rows.push([{
+      text: `${reason ? `Nonaktif (${AutoCreateService.INACTIVE_REASONS[reason]})` : 'Aktif'}: ${resident.nama}`,
+      callback_data: `${CALLBACK_PREFIX}:reason:${draft.id}:${index}`
+    }]);
+  });
+
+  rows.push([
+    { text: 'Simpan', callback_data: `${CALLBACK_PREFIX}:apply:${draft.id}` },
+    { text: 'Kembali', callback_data: `${CALLBACK_PREFIX}:back:${draft.id}` }
+  ]);
+
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Render hasil penyimpanan ke database
+ *
+ * @param {Object} draft - Draft yang disimpan
+ * @param {Object} createResult - Hasil AutoCreateService.autoCreate
+ * @param {Object} userInfo - Informasi user dari AuthService
+ * @returns {string} Pesan hasil (Markdown)
+ */
+function renderSaveResultMessage(draft, createResult, userInfo) {
+  const data = draft.data;
+
+  let message = 'Data Kartu Keluarga (KK) berhasil disimpan ke database SmartGov.\n\n';
+  message += renderFamilyHeader(data);
+  message += '\n';
+  message += renderRegionWarning(createResult.data.regionMismatch || [], AuthService.getVillageCode(draft.chatId));
+
+  if (createResult.isNewFamily) {
+    message += `Status: Kartu Keluarga Baru\n`;
+  } else {
+    message += `Status: Kartu Keluarga Sudah Ada - Update Anggota\n`;
+  }
+
+  if (createResult.data.validation) {
+    const validation = createResult.data.validation;
+    message += `Status Validasi: ${VALIDATION_STATUS_LABELS[validation.status] || validation.status}`;
+    if (validation.errorCount > 0 || validation.warningCount > 0) {
+      message += ` (${validation.errorCount} kesalahan, ${validation.warningCount} peringatan)`;
+    }
+    message += '\n';
+  }
+
+  message += `Total Anggota dari OCR: ${data.table.length} orang\n`;
+  message += `Anggota Baru Ditambahkan: ${createResult.data.residentCount} orang\n`;
+
+  if (createResult.data.updatedCount > 0) {
+    message += `Anggota Lama Diperbarui: ${createResult.data.updatedCount} orang\n`;
+  }
+
+  if (createResult.data.movedCount > 0) {
+    message += `Anggota Pindah dari KK Lain: ${createResult.data.movedCount} orang\n`;
+  }
+
+  if (createResult.data.deactivatedCount > 0) {
+    message += `Anggota Dinonaktifkan: ${createResult.data.deactivatedCount} orang\n`;
+  }
+
+  if (createResult.data.skippedCount > 0) {
+    message += `Anggota Sudah Ada (Dilewati): ${createResult.data.skippedCount} orang\n`;
+  }
+
+  if (createResult.data.invalidCount > 0) {
+    message += `Anggota Tidak Valid (Dilewati): ${createResult.data.invalidCount} orang\n`;
+  }
+
+  message += `\nDetail Anggota Keluarga:\n\n`;
+
+  data.table.forEach((member, index) => {
+    const wasSkipped = createResult.data.skippedResidents.find(s => s.nik === normalizeNIK(member.nik));
+    const wasInvalid = createResult.data.invalidResidents.find(i => i.nik === normalizeNIK(member.nik));
+    const wasUpdated = createResult.data.updatedResidents.find(u => u.nik === normalizeNIK(member.nik));
+    const wasMoved = createResult.data.movedResidents.find(m => m.nik === normalizeNIK(member.nik));
+
+    let status = 'BERHASIL';
+    if (wasMoved) {
+      status = 'PINDAH KK';
+    } else if (wasUpdated) {
+      status = 'DIPERBARUI';
+    } else if (wasSkipped) {
+      status = 'SUDAH ADA';
+    } else if (wasInvalid) {
+      status = 'TIDAK VALID';
+    }
+
+    message += renderMember(member, index, status);
+
+    if (wasMoved) {
+      message += `   Dari KK: \`${wasMoved.fromFamilyCard}\`\n`;
+      wasMoved.changes.forEach(change => {
+        message += `   Perubahan ${change.label}: ${change.oldDisplay} -> ${change.newDisplay}\n`;
+      });
+    } else if (wasUpdated) {
+      wasUpdated.changes.forEach(change => {
+        message += `   Perubahan ${change.label}: ${change.oldDisplay} -> ${change.newDisplay}\n`;
+      });
+    } else if (wasSkipped) {
+      message += `   Alasan Dilewati: ${wasSkipped.reason}\n`;
+    } else if (wasInvalid) {
+      message += `   Alasan Tidak Valid: ${wasInvalid.reason}\n`;
+    }
+
+    if (member.nama_ayah && !wasSkipped && !wasInvalid) {
+      message += `   Nama Ayah: ${member.nama_ayah}\n`;
+    }
+    if (member.nama_ibu && !wasSkipped && !wasInvalid) {
+      message += `   Nama Ibu: ${member.nama_ibu}\n`;
+    }
+
+    message += `\n`;
+  });
+
+  if (createResult.data.deactivatedResidents.length > 0) {
+    message += `Anggota Dinonaktifkan:\n\n`;
+
+    createResult.data.deactivatedResidents.forEach((resident, index) => {
+      message += `${index + 1}. ${resident.nama} (NONAKTIF)\n`;
+      message += `   NIK: \`${resident.nik}\`\n`;
+      message += `   Alasan: ${resident.reason}\n\n`;
+    });
+  }
+
+  message += `\nInformasi Pemrosesan:\n`;
+  if (draft.ocrInfo.processingTime !== undefined) {
+    message += `Waktu Proses: ${Math.round(draft.ocrInfo.processingTime / 1000)} detik\n`;
+  }
+  if (draft.ocrInfo.confidence !== undefined) {
+    message += `Tingkat Akurasi: ${draft.ocrInfo.confidence}%\n\n`;
+  }
+  message += `Diproses oleh: ${userInfo.nama_lengkap}\n`;
+  message += `Dibantu oleh teknologi Google Gemini AI`;
+
+  return message;
+}
+
+// ============================================================================
+// CALLBACK ACTIONS
+// ============================================================================
+
+/**
+ * Aksi tombol Simpan pada preview draft
+ *
+ * Field dengan confidence di bawah config.ocr.confidenceThreshold dan error
+ * validasi harus dikonfirmasi operator terlebih dahulu
+ * (requestConfidenceCheck).
+ *
+ * Setelah itu cek apakah ada anggota yang sudah terdaftar dengan data berbeda,
+ * terdaftar di KK lain (hanya KK lama di wilayah kerja user), atau anggota
+ * KK lama yang tidak ada di hasil scan. Jika ada, tampilkan review; default: perubahan data disetujui, pindah KK
+ * tidak disetujui (harus dipilih eksplisit), anggota tetap aktif. Jika tidak
+ * ada, langsung simpan.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @returns {Promise<void>}
+ */
+async function confirmDraft(bot, query, draft) {
+  if (await rejectRegionMismatch(bot, query, draft)) {
+    return;
+  }
+
+  if (await requestConfidenceCheck(bot, query, draft)) {
+    return;
+  }
+
+  const preview = await AutoCreateService.previewChanges(draft.data, AuthService.getUserInfo(draft.chatId).userId);
+
+  if (!preview.success) {
+    await bot.answerCallbackQuery(query.id, {
+      text: `${preview.message}. Silakan coba lagi.`,
+      show_alert: true
+    });
+    return;
+  }
+
+  const { updates, moves, missing } = preview.data;
+
+  if (updates.length === 0 && moves.length === 0 && missing.length === 0) {
+    await saveDraft(bot, query, draft, {});
+    return;
+  }
+
+  DraftService.clearPendingEdit(draft.chatId);
+  DraftService.setReview(draft.chatId, {
+    updates,
+    approved: updates.map(update => update.nik),
+    moves,
+    approvedMoves: [],
+    missing,
+    deactivations: {}
+  });
+
+  await bot.answerCallbackQuery(query.id, { text: 'Periksa perubahan data penduduk.' });
+  await showReview(bot, query, draft);
+}
+
+/**
+ * Tolak penyimpanan jika alamat KK menunjuk desa lain (mode 'block')
+ *
+ * Pada mode 'warn' tidak menolak apa pun; peringatan sudah tampil di
+ * preview draft dan hasil simpan.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @returns {Promise<boolean>} true jika penyimpanan ditolak
+ */
+async function rejectRegionMismatch(bot, query, draft) {
+  if (config.regionApi.mismatchMode !== 'block') {
+    return false;
+  }
+
+  const region = getSessionRegion(draft.chatId);
+  const mismatch = AutoCreateService.checkRegionMismatch(draft.data, region);
+
+  if (mismatch.length === 0) {
+    return false;
+  }
+
+  logger.warn(`Draft ${draft.id} blocked: address does not match village code ${region.villageCode}`);
+
+  await bot.answerCallbackQuery(query.id, {
+    text: `Alamat KK (${mismatch.map(item => item.ocrName).join(', ')}) tidak sesuai dengan kode wilayah ${region.villageCode}. ` +
+      'Koreksi alamat atau atur ulang /kode-wilayah.',
+    show_alert: true
+  });
+  return true;
+}
+
+/**
+ * Minta konfirmasi operator untuk field dengan confidence rendah dan
+ * error validasi
+ *
+ * Draft tidak bisa disimpan sebelum operator memilih Sudah Dicek (aksi
+ * verify) atau mengoreksi field tersebut; field yang dikoreksi otomatis
+ * bernilai 100. Error validasi (ValidationService.validateDocument)
+ * dihitung ulang dari data draft, sehingga hilang sendiri setelah data
+ * yang salah dikoreksi. Peringatan hanya ditampilkan di preview.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @returns {Promise<boolean>} true jika konfirmasi ditampilkan (simpan ditunda)
+ */
+async function requestConfidenceCheck(bot, query, draft) {
+  if (draft.confidenceChecked) {
+    return false;
+  }
+
+  const lowFields = GeminiOcrService.getLowConfidenceFields(draft.ocrInfo.fieldConfidence);
+  const validationErrors = getValidationIssues(ValidationService.validateDocument(draft.data), lowFields, 'error');
+
+  if (lowFields.length === 0 && validationErrors.length === 0) {
+    return false;
+  }
+
+  DraftService.clearPendingEdit(draft.chatId);
+
+  await bot.answerCallbackQuery(query.id, { text: 'Ada data yang perlu dicek sebelum disimpan.' });
+
+  await bot.editMessageText(
+    (lowFields.length > 0
+      ? 'Beberapa data terbaca dengan tingkat akurasi rendah.\n\n'
+      : 'Data KK tidak lolos validasi.\n\n') +
+    `Nomor KK: \`${draft.data.nomor_kk}\`\n\n` +
+    renderLowConfidence(lowFields) +
+    renderValidationIssues(validationErrors) +
+    'Cocokkan data di atas dengan KK asli. Tekan Koreksi untuk memperbaiki, ' +
+    'atau Sudah Dicek jika datanya sudah benar.',
+    {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: buildConfidenceKeyboard(draft)
+    }
+  );
+  return true;
+}
+
+/**
+ * Aksi tombol Sudah Dicek pada konfirmasi confidence rendah / error validasi
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @returns {Promise<void>}
+ */
+async function verifyDraft(bot, query, draft) {
+  DraftService.markConfidenceChecked(draft.chatId);
+
+  const lowFields = GeminiOcrService.getLowConfidenceFields(draft.ocrInfo.fieldConfidence);
+  const validation = ValidationService.validateDocument(draft.data);
+  logger.info(
+    `Draft ${draft.id}: ${lowFields.length} low-confidence field(s) and ` +
+    `${validation.errors.length} validation error(s) confirmed by operator`
+  );
+
+  await confirmDraft(bot, query, draft);
+}
+
+/**
+ * Tampilkan (atau perbarui) pesan review perubahan
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft dengan draft.review terisi
+ * @returns {Promise<void>}
+ */
+async function showReview(bot, query, draft) {
+  await bot.editMessageText(renderReviewMessage(draft), {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+    parse_mode: 'Markdown',
+    reply_markup: buildReviewKeyboard(draft)
+  });
+}
+
+/**
+ * Aksi tombol toggle persetujuan satu anggota
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @param {string} index - Index pada draft.review.updates / draft.review.moves
+ * @param {string} [list='updates'] - 'updates' (perubahan data) atau 'moves' (pindah KK)
+ * @returns {Promise<void>}
+ */
+async function toggleReview(bot, query, draft, index, list = 'updates') {
+  const item = draft.review && draft.review[list][parseInt(index)];
+
+  if (!item) {
+    await bot.answerCallbackQuery(query.id, { text: 'Daftar perubahan sudah tidak berlaku. Tekan Simpan lagi.' });
+    return;
+  }
+
+  DraftService.toggleApproval(draft.chatId, item.nik, list === 'moves' ? 'approvedMoves' : 'approved');
+
+  await bot.answerCallbackQuery(query.id);
+  await showReview(bot, query, draft);
+}
+
+/**
+ * Aksi tombol alasan nonaktif untuk anggota yang tidak tercantum
+ *
+ * Setiap tekan berpindah ke pilihan berikutnya:
+ * Aktif -> Pindah -> Meninggal -> Pecah KK -> Aktif
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @param {string} index - Index pada draft.review.missing
+ * @returns {Promise<void>}
+ */
+async function cycleReason(bot, query, draft, index) {
+  const resident = draft.review && draft.review.missing[parseInt(index)];
+
+  if (!resident) {
+    await bot.answerCallbackQuery(query.id, { text: 'Daftar perubahan sudah tidak berlaku. Tekan Simpan lagi.' });
+    return;
+  }
+
+  const current = draft.review.deactivations[resident.nik] || null;
+  const next = REASON_CYCLE[(REASON_CYCLE.indexOf(current) + 1) % REASON_CYCLE.length];
+
+  DraftService.setDeactivation(draft.chatId, resident.nik, next);
+
+  await bot.answerCallbackQuery(query.id);
+  await showReview(bot, query, draft);
+}
+
+/**
+ * Aksi tombol Simpan pada review perubahan
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @returns {Promise<void>}
+ */
+async function applyReview(bot, query, draft) {
+  if (!draft.review) {
+    // Draft dikoreksi setelah review ditampilkan, hitung ulang perubahan
+    await confirmDraft(bot, query, draft);
+    return;
+  }
+
+  await saveDraft(bot, query, draft, {
+    approvedUpdates: draft.review.approved,
+    approvedMoves: draft.review.approvedMoves,
+    deactivations: Object.entries(draft.review.deactivations).map(([nik, reason]) => ({ nik, reason }))
+  });
+}
+
+/**
+ * Aksi tombol Kembali ke preview draft
+ *
+ * Pesan di-render ulang (bukan hanya keyboard) karena bisa dipanggil dari
+ * pesan review perubahan.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @returns {Promise<void>}
+ */
+async function showDraft(bot, query, draft) {
+  DraftService.clearPendingEdit(draft.chatId);
+  DraftService.setReview(draft.chatId, null);
+
+  await bot.answerCallbackQuery(query.id);
+
+  await bot.editMessageText(renderDraftMessage(draft), {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+    parse_mode: 'Markdown',
+    reply_markup: buildDraftKeyboard(draft)
+  });
+}
+
+/**
+ * Simpan draft ke database
+ *
+ * Draft dikunci (DraftService.lockDraft) selama disimpan sehingga
+ * double-click tidak menyimpan data dua kali. Draft dihapus hanya jika
+ * penyimpanan berhasil; jika gagal, draft dikembalikan dengan tombol
+ * Simpan / Koreksi / Batal agar operator bisa memperbaiki atau mencoba lagi.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @param {Object} options - Keputusan review, diteruskan ke AutoCreateService.autoCreate
+ * @param {Array<string>} [options.approvedUpdates] - NIK penduduk lama yang perubahannya disetujui
+ * @param {Array<string>} [options.approvedMoves] - NIK dari KK lain yang disetujui pindah
+ * @param {Array<Object>} [options.deactivations] - [{ nik, reason }] penduduk yang dinonaktifkan
+ * @returns {Promise<void>}
+ */
+async function saveDraft(bot, query, draft, options) {
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+
+  if (await rejectRegionMismatch(bot, query, draft)) {
+    return;
+  }
+
+  if (!DraftService.lockDraft(chatId, draft.id)) {
+    await bot.answerCallbackQuery(query.id, { text: 'Draft sedang disimpan.' });
+    return;
+  }
+
+  const userInfo = AuthService.getUserInfo(chatId);
+  let createResult = null;
+
+  try {
+    await bot.answerCallbackQuery(query.id, { text: 'Menyimpan data...' });
+
+    await bot.editMessageText(
+      'Data Kartu Keluarga (KK) telah dikonfirmasi.\n\n' +
+      `Nomor KK: \`${draft.data.nomor_kk}\`\n\n` +
+      'Sedang menyimpan data ke database SmartGov...',
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown'
+      }
+    );
+
+    /**
+     * Simpan data ke database menggunakan AutoCreateService
+     * Service ini akan:
+     * 1. Create/update family data
+     * 2. Insert resident records
+     * 3. Update penduduk lama yang perubahannya disetujui
+     *    dan pindahkan penduduk dari KK lain yang disetujui
+     * 4. Nonaktifkan penduduk yang tidak lagi tercantum (jika dipilih)
+     * 5. Update member counts
+     */
+    createResult = await AutoCreateService.autoCreate(draft.data, userInfo.userId, {
+      ...options,
+      region: getSessionRegion(chatId),
+      reviewConfirmed: draft.confidenceChecked
+    });
+  } finally {
+    DraftService.releaseDraft(chatId, draft.id, !!(createResult && createResult.success));
+  }
+
+  await showSaveResult(bot, query, draft, createResult, userInfo);
+}
+
+/**
+ * Tampilkan hasil penyimpanan draft
+ *
+ * Jika gagal, draft sudah dikembalikan oleh saveDraft sehingga tombol
+ * draft dipasang lagi.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft yang disimpan
+ * @param {Object} createResult - Hasil AutoCreateService.autoCreate
+ * @param {Object} userInfo - User yang menyimpan (AuthService.getUserInfo)
+ * @returns {Promise<void>}
+ */
+async function showSaveResult(bot, query, draft, createResult, userInfo) {
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+
+  if (createResult.success) {
+    logger.info(`Draft ${draft.id} saved:`, createResult.data);
+
+    if (draft.ocrInfo.imageAudit) {
+      logger.info(`Audit images for KK ${draft.data.nomor_kk}:`, draft.ocrInfo.imageAudit);
+    }
+
+    await bot.editMessageText(renderSaveResultMessage(draft, createResult, userInfo), {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown'
+    });
+    return;
+  }
+
+  const replyMarkup = buildDraftKeyboard(draft);
+
+  if (createResult.outOfJurisdiction) {
+    logger.warn(`Draft ${draft.id} rejected: outside jurisdiction of user ${userInfo.username}`);
+
+    await bot.editMessageText(
+      'Data Kartu Keluarga (KK) tidak dapat disimpan.\n\n' +
+      `${createResult.message}\n\n` +
+      'Periksa kode wilayah dengan /kode-wilayah atau hubungi admin jika KK ini memang termasuk wilayah kerja Anda. ' +
+      'Draft masih tersimpan; tekan Simpan untuk mencoba lagi.',
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: replyMarkup
+      }
+    );
+
+  } else if (createResult.validation) {
+    logger.warn(`Draft ${draft.id} rejected by validation: ${createResult.validation.status}`);
+
+    await bot.editMessageText(
+      'Data Kartu Keluarga (KK) tidak dapat disimpan.\n\n' +
+      `Pesan kesalahan: ${createResult.message}\n\n` +
+      createResult.validation.errors.map(error => `- ${error}`).join('\n') + '\n\n' +
+      'Draft masih tersimpan. Perbaiki data dengan tombol Koreksi lalu tekan Simpan, atau kirim ulang foto KK.',
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: replyMarkup
+      }
+    );
+
+  } else {
+    logger.error(`Saving draft ${draft.id} failed:`, createResult.error);
+
+    await bot.editMessageText(
+      'Gagal menyimpan data ke database SmartGov.\n\n' +
+      `Pesan kesalahan: ${createResult.message}\n\n` +
+      'Data berhasil diekstrak dari foto KK, namun terjadi kesalahan saat menyimpan ke database.\n' +
+      (createResult.rolledBack
+        ? 'Semua perubahan dibatalkan, tidak ada data KK maupun anggota yang tersimpan sebagian.\n\n'
+        : '\n') +
+      'Kemungkinan penyebab:\n' +
+      '- Koneksi ke database bermasalah\n' +
+      '- Server sedang dalam pemeliharaan\n' +
+      '- Terjadi gangguan pada sistem penyimpanan\n\n' +
+      'Draft masih tersimpan. Tekan Simpan untuk mencoba lagi atau hubungi administrator sistem untuk bantuan lebih lanjut.',
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: replyMarkup
+      }
+    );
+  }
+}
+
+/**
+ * Aksi tombol Batal
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @returns {Promise<void>}
+ */
+async function cancelDraft(bot, query, draft) {
+  const chatId = query.message.chat.id;
+
+  DraftService.deleteDraft(chatId);
+
+  await bot.answerCallbackQuery(query.id, { text: 'Draft dibatalkan.' });
+
+  await bot.editMessageText(
+    'Draft Kartu Keluarga (KK) dibatalkan.\n\n' +
+    `Nomor KK: \`${draft.data.nomor_kk}\`\n\n` +
+    'Tidak ada data yang disimpan ke database SmartGov.\n' +
+    'Silakan kirim ulang foto KK jika ingin memproses kembali.',
+    {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown'
+    }
+  );
+}
+
+/**
+ * Ganti inline keyboard pesan draft
+ *
+ * Dipakai tombol Koreksi (daftar target header KK / anggota) dan pilihan
+ * field koreksi.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @param {Object} replyMarkup - Keyboard yang akan dipasang
+ * @returns {Promise<void>}
+ */
+async function showKeyboard(bot, query, draft, replyMarkup) {
+  DraftService.clearPendingEdit(draft.chatId);
+
+  await bot.answerCallbackQuery(query.id);
+
+  await bot.editMessageReplyMarkup(replyMarkup, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id
+  });
+}
+
+/**
+ * Aksi pilih target koreksi (header KK atau anggota tertentu)
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @param {string} target - 'kk' atau index anggota
+ * @returns {Promise<void>}
+ */
+async function selectTarget(bot, query, draft, target) {
+  if (target !== 'kk' && !draft.data.table[parseInt(target)]) {
+    await bot.answerCallbackQuery(query.id, { text: 'Anggota tidak ditemukan dalam draft.' });
+    return;
+  }
+
+  await showKeyboard(bot, query, draft, buildFieldKeyboard(draft, target));
+}
+
+/**
+ * Aksi pilih field yang akan dikoreksi
+ *
+ * Field ditandai sebagai pendingEdit; pesan teks berikutnya dari operator
+ * diproses oleh handleDraftMessage sebagai nilai baru.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {Object} draft - Draft aktif
+ * @param {string} target - 'kk' atau index anggota
+ * @param {string} field - Nama field
+ * @returns {Promise<void>}
+ */
+async function selectField(bot, query, draft, target, field) {
+  const memberIndex = target === 'kk' ? null : parseInt(target);
+  const fields = memberIndex === null ? HEADER_FIELDS : MEMBER_FIELDS;
+  const record = memberIndex === null ? draft.data : draft.data.table[memberIndex];
+
+  if (!fields[field] || !record) {
+    await bot.answerCallbackQuery(query.id, { text: 'Field tidak dikenali.' });
+    return;
+  }
+
+  DraftService.setPendingEdit(draft.chatId, { memberIndex, field });
+
+  await bot.answerCallbackQuery(query.id);
+
+  await bot.sendMessage(
+    query.message.chat.id,
+    `Koreksi ${describeTarget({ memberIndex, field })}\n\n` +
+    `Nilai sekarang: ${record[field] || '-'}\n\n` +
+    'Silakan kirim nilai yang benar.\n' +
+    'Ketik "batal" untuk membatalkan koreksi.'
+  );
+}
+
+// ============================================================================
+// MAIN CALLBACK HANDLER
+// ============================================================================
+
+/**
+ * Handler callback_query untuk tombol draft
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} query - Telegram callback_query
+ * @param {string} query.data - callback_data (draft:<aksi>:<draftId>[:<argumen>...])
+ * @returns {Promise<void>}
+ */
+module.exports = async (bot, query) => {
+  const chatId = query.message.chat.id;
+  const [, action, draftId, ...args] = query.data.split(':');
+
+  logger.info(`Draft callback from chat ${chatId}: ${action} (${draftId})`);
+
+  try {
+    if (!AuthService.isLoggedIn(chatId)) {
+      await bot.answerCallbackQuery(query.id, {
+        text: 'Sesi login telah berakhir. Silakan login ulang menggunakan /login.',
+        show_alert: true
+      });
+      return;
+    }
+
+    const draft = DraftService.getDraft(chatId, draftId);
+
+    if (!draft) {
+      await bot.answerCallbackQuery(query.id, {
+        text: 'Draft tidak ditemukan atau sudah kedaluwarsa. Silakan kirim ulang foto KK.',
+        show_alert: true
+      });
+
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+      });
+      return;
+    }
+
+    if (draft.processing) {
+      await bot.answerCallbackQuery(query.id, { text: 'Draft sedang disimpan, mohon tunggu.' });
+      return;
+    }
+
+    switch (action) {
+      case 'save':
+        await confirmDraft(bot, query, draft);
+        break;
+      case 'verify':
+        await verifyDraft(bot, query, draft);
+        break;
+      case 'toggle':
+        await toggleReview(bot, query, draft, args[0]);
+        break;
+      case 'move':
+        await toggleReview(bot, query, draft, args[0], 'moves');
+        break;
+      case 'reason':
+        await cycleReason(bot, query, draft, args[0]);
+        break;
+      case 'apply':
+        await applyReview(bot, query, draft);
+        break;
+      case 'cancel':
+        await cancelDraft(bot, query, draft);
+        break;
+      case 'edit':
+        await showKeyboard(bot, query, draft, buildTargetKeyboard(draft));
+        break;
+      case 'back':
+        await showDraft(bot, query, draft);
+        break;
+      case 'target':
+        await selectTarget(bot, query, draft, args[0]);
+        break;
+      case 'field':
+        await selectField(bot, query, draft, args[0], args[1]);
+        break;
+      default:
+        await bot.answerCallbackQuery(query.id, { text: 'Aksi tidak dikenali.' });
+    }
+
+  } catch (error) {
+    logger.error('Error in draft callback handler:', error);
+
+    await bot.sendMessage(
+      chatId,
+      'Terjadi kesalahan sistem saat memproses draft Kartu Keluarga (KK).\n\n' +
+      'Silakan coba lagi dalam beberapa saat. Jika masalah berlanjut, hubungi administrator sistem untuk bantuan lebih lanjut.'
+    );
+  }
+};
+
+// ============================================================================
+// CORRECTION MESSAGE HANDLER
+// ============================================================================
+
+/**
+ * Cek apakah pesan teks adalah input koreksi draft
+ *
+ * True jika chat punya draft aktif dan:
+ * - Ada field yang sedang menunggu input (pendingEdit), atau
+ * - Pesan cocok dengan format koreksi teks (dengan pemisah : atau =)
+ *
+ * Pesan /koreksi tidak lewat sini; perintah itu didaftarkan langsung ke
+ * handleDraftMessage di src/bot/index.js.
+ *
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} text - Isi pesan
+ * @returns {boolean}
+ */
+function isDraftInput(chatId, text) {
+  const draft = DraftService.getDraft(chatId);
+
+  if (!draft) {
+    return false;
+  }
+
+  return !!draft.pendingEdit || parseCorrectionText(text) !== null;
+}
+
+/**
+ * Handler pesan teks koreksi draft
+ *
+ * Dipakai untuk pesan teks biasa (lihat isDraftInput) dan perintah
+ * /koreksi.
+ *
+ * Flow:
+ * 1. Tentukan target: parse teks (format koreksi atau /koreksi), atau
+ *    pendingEdit (dari inline keyboard) untuk teks tanpa format
+ * 2. Terapkan via DraftService.updateField (validasi ulang)
+ * 3. Jika tidak valid: kirim alasan, pendingEdit tetap aktif
+ * 4. Jika valid: edit pesan draft in-place dan kirim konfirmasi singkat
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<void>}
+ */
+async function handleDraftMessage(bot, msg) {
+  const chatId = msg.chat.id;
+  const command = msg.text.trim().match(CORRECTION_COMMAND);
+  const text = command ? msg.text.trim().slice(command[0].length) : msg.text.trim();
+
+  try {
+    const draft = DraftService.getDraft(chatId);
+
+    if (!draft) {
+      if (command) {
+        await bot.sendMessage(chatId, 'Tidak ada draft KK yang sedang direview. Kirim foto KK terlebih dahulu.');
+      }
+      return;
+    }
+
+    if (draft.processing) {
+      await bot.sendMessage(chatId, 'Draft sedang disimpan ke database. Koreksi tidak dapat diterapkan.');
+      return;
+    }
+
+    if (!command && draft.pendingEdit && CANCEL_WORDS.includes(text.toLowerCase())) {
+      DraftService.clearPendingEdit(chatId);
+      await bot.sendMessage(chatId, 'Koreksi dibatalkan. Draft tidak berubah.');
+      return;
+    }
+
+    /**
+     * Format teks selalu diutamakan, sehingga operator bisa langsung
+     * mengetik koreksi lain walaupun masih ada field yang menunggu input.
+     * Teks tanpa format hanya dipakai untuk pendingEdit.
+     */
+    const parsed = parseCorrectionText(text, { requireSeparator: !command });
+
+    if (command && !parsed) {
+      await bot.sendMessage(chatId,
+        'Format koreksi tidak dikenali.\n\n' +
+        'Penggunaan:\n' +
+        '/koreksi anggota <nomor> <field> <nilai>\n' +
+        '/koreksi <field KK> <nilai>\n\n' +
+        'Contoh: /koreksi anggota 3 NIK 3301012345670001'
+      );
+      return;
+    }
+
+    const target = parsed
+      ? { memberIndex: parsed.memberIndex, field: parsed.field }
+      : draft.pendingEdit;
+    const value = parsed ? parsed.value : text;
+
+    if (!target) {
+      return;
+    }
+
+    if (target.memberIndex !== null && !draft.data.table[target.memberIndex]) {
+      await bot.sendMessage(chatId,
+        `Anggota nomor ${target.memberIndex + 1} tidak ada dalam draft.\n\n` +
+        `Draft ini memiliki ${draft.data.table.length} anggota keluarga.`
+      );
+      return;
+    }
+
+    const result = DraftService.updateField(chatId, target, value);
+
+    if (!result.success) {
+      await bot.sendMessage(chatId,
+        `Koreksi ${describeTarget(target)} ditolak.\n\n` +
+        `Alasan: ${result.message}\n\n` +
+        'Silakan kirim nilai yang benar.'
+      );
+      return;
+    }
+
+    if (draft.messageId) {
+      await bot.editMessageText(renderDraftMessage(draft), {
+        chat_id: chatId,
+        message_id: draft.messageId,
+        parse_mode: 'Markdown',
+        reply_markup: buildDraftKeyboard(draft)
+      });
+    }
+
+    await bot.sendMessage(chatId,
+      `${describeTarget(target)} diperbarui.\n` +
+      `${result.oldValue || '-'} -> ${result.newValue || '-'}\n\n` +
+      'Pesan draft di atas sudah diperbarui. Tekan Simpan jika data sudah benar.'
+    );
+
+  } catch (error) {
+    logger.error('Error in draft correction handler:', error);
+
+    await bot.sendMessage(chatId,
+      'Terjadi kesalahan sistem saat memproses koreksi draft.\n\n' +
+      'Silakan coba lagi dalam beberapa saat.'
+    );
+  }
+}
+
+/**
+ * Tentukan aksi permission untuk tombol draft
+ *
+ * @param {Object} query - Telegram callback query (data draft:<aksi>:<id>)
+ * @returns {string} Key ACTIONS di src/bot/middleware/permission.js
+ */
+function getPermissionAction(query) {
+  const [, action] = query.data.split(':');
+  return EDIT_ACTIONS.includes(action) ? 'edit_kk' : 'create_kk';
+}
+
+module.exports.CALLBACK_PREFIX = CALLBACK_PREFIX;
+module.exports.getPermissionAction = getPermissionAction;
+module.exports.isDraftInput = isDraftInput;
+module.exports.handleDraftMessage = handleDraftMessage;
+module.exports.renderDraftMessage = renderDraftMessage;
+module.exports.buildDraftKeyboard = buildDraftKeyboard;
+
+/**
+ * ============================================================================
+ * DEVELOPER NOTES & BEST PRACTICES
+ * ============================================================================
+ *
+ * ALUR REVIEW DRAFT:
+ * ------------------
+ * 1. photo.js memproses OCR lalu membuat draft via DraftService.createDraft
+ * 2. Preview draft dikirim dengan inline keyboard
+ * 3. Operator memilih:
+ *    - Simpan  -> AutoCreateService.previewChanges; jika ada penduduk lama
+ *                 dengan data berbeda, operator menyetujui perubahan per
+ *                 anggota (toggle) dan memilih alasan nonaktif untuk anggota
+ *                 yang tidak tercantum, lalu Simpan -> AutoCreateService.autoCreate
+ *    - Koreksi -> pilih target -> pilih field -> kirim nilai baru
+ *    - Batal   -> draft dibuang, tidak ada data tersimpan
+ * 4. Draft yang tidak dikonfirmasi expired sesuai DRAFT_EXPIRE_MINUTES
+ *
+ * CALLBACK DATA:
+ * --------------
+ * - Format: draft:<aksi>:<draftId>
+ * - Telegram membatasi callback_data maksimal 64 byte
+ * - Draft ID dicek ulang untuk menolak tombol dari preview lama
+ * - Aksi koreksi: edit, target:<kk|index>, field:<kk|index>:<field>, back
+ * - Aksi review perubahan: toggle:<index>, move:<index>, reason:<index>, apply
+ *
+ * KOREKSI:
+ * --------
+ * - Daftar field di HEADER_FIELDS / MEMBER_FIELDS; tambahkan alias baru
+ *   di sana jika operator memakai istilah lain
+ * - Koreksi teks bebas wajib memakai pemisah (: atau =) atau /koreksi,
+ *   agar pesan biasa yang kebetulan diawali nama field (misalnya "nama
+ *   saya ...") tidak mengubah draft
+ * - Validasi nilai ada di GeminiOcrService.normalizeField, jangan duplikasi
+ *   aturan di handler ini
+ *
+ * RELATED FILES:
+ * --------------
+ * - src/services/DraftService.js: Penyimpanan draft
+ * - src/bot/handlers/photo.js: Pembuatan draft dari hasil OCR
+ * - src/services/AutoCreateService.js: Database operations
+ *
+ * ============================================================================
+ */
@@ -6,24 +6,26 @@
  * DESKRIPSI:
  * Handler utama untuk memproses foto Kartu Keluarga (KK) yang di-upload user
  * melalui Telegram bot. File ini mengintegrasikan seluruh pipeline OCR dari
- * download foto hingga penyimpanan data ke database dengan validasi lengkap.
+ * download foto hingga pembuatan draft yang menunggu konfirmasi operator.
  *
  * TANGGAL DIBUAT: 2024
  * TANGGAL MODIFIKASI TERAKHIR: 2025-10-26
  *
  * DEPENDENSI:
  * - fs.promises: File system operations untuk download dan cleanup
- * - path: Path manipulation untuk file handling
  * - logger: Logging utility untuk tracking dan debugging
  * - AuthService: Session management dan user authentication
  * - GeminiOcrService: AI-powered OCR processing
- * - AutoCreateService: Automatic data creation dan database insertion
- * - textCleaner: Text normalization utilities
+ * - ValidationService: Validasi data KK (format, NIK, struktur keluarga)
+ * - DraftService: Penyimpanan draft hasil OCR sebelum dikonfirmasi
+ * - draft handler: Render preview draft dan inline keyboard
  * - config: Environment configuration
  *
  * FITUR UTAMA:
  * 1. Authentication & Authorization
  *    - Validasi user login status
+ *    - Izin membuat KK (canCreateKK) dicek oleh src/bot/middleware/permission.js
+ *      sebelum handler dipanggil
  *    - Cek village code requirement
  *    - Rate limiting (DINONAKTIFKAN)
  *
@@ -31,13 +33,16 @@
  *    - Download foto dari Telegram server
  *    - Temporary file management
  *    - OCR processing dengan Google Gemini AI
- *    - Data validation dan cleaning
+ *    - Scan PDF (dokumen application/pdf) diproses per halaman dan digabung
+ *    - Album foto (media_group_id) dikumpulkan dan digabung menjadi satu draft
+ *    - Data validation dan cleaning (ValidationService.validateDocument):
+ *      data yang tidak bisa dipakai ditolak, temuan lain tampil di preview
+ *      draft
  *
- * 3. Database Operations
- *    - Automatic family data creation
- *    - Resident data insertion
- *    - Duplicate detection dan handling
- *    - Transaction management
+ * 3. Draft Review
+ *    - Hasil OCR disimpan sebagai draft (belum ke database)
+ *    - Preview dengan tombol Simpan / Koreksi / Batal
+ *    - Penyimpanan ke database dilakukan di src/bot/handlers/draft.js
  *
  * 4. User Experience
  *    - Real-time status updates
@@ -65,19 +70,19 @@
  * - Rate limit: DINONAKTIFKAN (tidak ada batasan upload)
  * - File temporary akan di-cleanup otomatis
  * - OCR processing membutuhkan 5-15 detik
- * - Data akan disimpan ke database jika valid
- * - Duplicate NIK akan di-skip dengan notifikasi
+ * - Data baru disimpan ke database setelah operator menekan Simpan
+ * - Draft expired sesuai config.draft.expireMinutes
  *
  * ============================================================================
  */
 
 const fs = require('fs').promises;
-const path = require('path');
 const logger = require('../../utils/logger');
 const AuthService = require('../../services/AuthService');
 const GeminiOcrService = require('../../services/GeminiOcrService');
-const AutoCreateService = require('../../services/AutoCreateService');
-const { normalizeNIK } = require('../../utils/textCleaner');
+const ValidationService = require('../../services/ValidationService');
+const DraftService = require('../../services/DraftService');
+const draftHandler = require('./draft');
 const config = require('../../config/env');
 
 
@@ -148,6 +153,75 @@ function cleanupRateLimitTracker() {
  */
 setInterval(cleanupRateLimitTracker, 10 * 60 * 1000);
 
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Album yang sedang dikumpulkan
+ * Key: `${chatId}:${media_group_id}`
+ * Value: { messages: Array<Object>, timer: Timeout }
+ */
+const pendingAlbums = new Map();
+
+/**
+ * Tambahkan pesan ke album yang sedang dikumpulkan
+ *
+ * Timer di-reset setiap ada foto baru; setelah tidak ada foto masuk selama
+ * config.upload.album.waitMs, seluruh album diproses (urut message_id).
+ *
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Pesan foto dengan media_group_id
+ */
+function queueAlbumMessage(bot, msg) {
+  const key = `${msg.chat.id}:${msg.media_group_id}`;
+  const album = pendingAlbums.get(key) || { messages: [], timer: null };
+
+  album.messages.push(msg);
+  clearTimeout(album.timer);
+
+  album.timer = setTimeout(() => {
+    pendingAlbums.delete(key);
+    const messages = album.messages.sort((a, b) => a.message_id - b.message_id);
+    processKkMessages(bot, messages).catch(error => {
+      logger.error(`Error processing album ${msg.media_group_id} in chat ${msg.chat.id}:`, error);
+    });
+  }, config.upload.album.waitMs);
+
+  pendingAlbums.set(key, album);
+}
+
+/**
+ * Cek apakah pesan berisi dokumen PDF
+ *
+ * @param {Object} msg - Telegram message object
+ * @returns {boolean}
+ */
+function isPdfMessage(msg) {
+  return !!msg.document && msg.document.mime_type === 'application/pdf';
+}
+
+/**
+ * Hapus file hasil download
+ *
+ * Array dikosongkan agar file tidak dihapus dua kali (misalnya cleanup
+ * normal lalu error handler).
+ *
+ * @async
+ * @param {Array<string>} files - Path file temporary
+ * @param {string} reason - Keterangan untuk log
+ */
+async function cleanupTempFiles(files, reason) {
+  for (const file of files.splice(0)) {
+    try {
+      await fs.unlink(file);
+      logger.info(`Cleaned up temp file ${reason}: ${file}`);
+    } catch (cleanupError) {
+      logger.warn(`Failed to cleanup temp file ${file}:`, cleanupError.message);
+    }
+  }
+}
+
 // ============================================================================
 // MAIN PHOTO HANDLER
 // ============================================================================
@@ -156,7 +230,7 @@ setInterval(cleanupRateLimitTracker, 10 * 60 * 1000);
  * Handler utama untuk memproses foto Kartu Keluarga (KK)
  * 
  * Handler ini dipanggil otomatis oleh Telegram bot saat user mengirim foto.
- * Melakukan validasi lengkap, processing OCR, dan penyimpanan data ke database.
+ * Melakukan validasi lengkap, processing OCR, dan membuat draft untuk direview.
  * 
  * PROCESSING PIPELINE:
  * 1. Authentication & Authorization Check
@@ -174,29 +248,25 @@ setInterval(cleanupRateLimitTracker, 10 * 60 * 1000);
  *    - Extract data dari Kartu Keluarga
  *    - Validasi hasil OCR
  * 
- * 4. Database Operations
- *    - Create/update family data
- *    - Insert resident records
- *    - Handle duplicates dan validation errors
- * 
- * 5. User Feedback
- *    - Real-time status updates
- *    - Detailed success/error messages
+ * 4. Draft Review
+ *    - Simpan hasil OCR sebagai draft
+ *    - Tampilkan preview dengan inline keyboard
  *    - Cleanup temporary files
  * 
  * ERROR HANDLING:
  * - Authentication errors: Redirect ke login
  * - Rate limit exceeded: Informasi batas upload
  * - OCR failures: Retry dengan error message
- * - Database errors: Rollback dengan notifikasi
  * - System errors: Generic error message
  * 
  * @async
  * @param {Object} bot - Telegram bot instance
- * @param {Object} msg - Telegram message object
- * @param {number} msg.chat.id - Chat ID (user identifier)
- * @param {number} msg.message_id - Message ID untuk reply
- * @param {Array} msg.photo - Array foto dengan berbagai ukuran
+ * @param {Array<Object>} messages - Pesan foto (satu foto, satu PDF, atau
+ *   seluruh foto dalam satu album); pesan pertama dipakai untuk chat ID
+ *   dan reply
+ * @param {number} messages[].chat.id - Chat ID (user identifier)
+ * @param {number} messages[].message_id - Message ID untuk reply
+ * @param {Array} messages[].photo - Array foto dengan berbagai ukuran
  * 
  * @returns {Promise<void>} Tidak return value, hanya side effects
  * 
@@ -208,14 +278,18 @@ setInterval(cleanupRateLimitTracker, 10 * 60 * 1000);
  * // 1. Cek login status
  * // 2. Download foto
  * // 3. Process OCR
- * // 4. Save to database
- * // 5. Send result to user
+ * // 4. Create draft
+ * // 5. Send preview with Simpan / Koreksi / Batal
  */
-module.exports = async (bot, msg) => {
+async function processKkMessages(bot, messages) {
+  const msg = messages[0];
   const chatId = msg.chat.id;
   const messageId = msg.message_id;
+  const downloadedFiles = [];
 
-  logger.info(`Photo received from chat ${chatId}`);
+  logger.info(messages.length > 1
+    ? `Album of ${messages.length} photos received from chat ${chatId}`
+    : `Photo received from chat ${chatId}`);
 
   try {
     // ========================================================================
@@ -316,14 +390,19 @@ module.exports = async (bot, msg) => {
     );
 
     /**
-     * Ambil foto dengan resolusi tertinggi
-     * Telegram mengirim array foto dengan berbagai ukuran
-     * Index terakhir adalah yang terbesar
+     * Album dengan foto lebih dari batas ditolak sebelum download
      */
-    const photo = msg.photo[msg.photo.length - 1];
-    const fileId = photo.file_id;
-
-    logger.info(`Processing photo file_id: ${fileId}`);
+    if (messages.length > config.upload.album.maxPhotos) {
+      await bot.editMessageText(
+        `Album berisi ${messages.length} foto, maksimal ${config.upload.album.maxPhotos} foto untuk satu Kartu Keluarga (KK).\n\n` +
+        'Kirim ulang hanya foto bagian-bagian KK yang sama dalam satu album.',
+        {
+          chat_id: chatId,
+          message_id: statusMsg.message_id
+        }
+      );
+      return;
+    }
 
     /**
      * Update status message untuk download progress
@@ -338,23 +417,22 @@ module.exports = async (bot, msg) => {
     );
 
     /**
-     * Download foto dari Telegram server
-     * 1. Get file info dari Telegram API
-     * 2. Build file URL
-     * 3. Download ke temporary directory
+     * Download foto dari Telegram server ke temporary directory
+     * Untuk setiap foto, ambil ukuran dengan resolusi tertinggi
+     * (Telegram mengirim array foto dengan berbagai ukuran, index terakhir
+     * adalah yang terbesar)
      */
-    const file = await bot.getFile(fileId);
-    const filePath = file.file_path;
-    const fileUrl = `https://api.telegram.org/file/bot${config.telegram.token}/${filePath}`;
-
     const tempDir = config.upload.tempDir;
     await fs.mkdir(tempDir, { recursive: true });
 
-    const localFileName = `kk_${Date.now()}_${chatId}.jpg`;
-    const localFilePath = path.join(tempDir, localFileName);
+    for (const item of messages) {
+      const photo = item.photo[item.photo.length - 1];
+      logger.info(`Processing photo file_id: ${photo.file_id}`);
 
-    const fileStream = await bot.downloadFile(fileId, tempDir);
-    logger.info(`Photo downloaded to: ${localFilePath}`);
+      const downloadedPath = await bot.downloadFile(photo.file_id, tempDir);
+      downloadedFiles.push(downloadedPath);
+      logger.info(`Photo downloaded to: ${downloadedPath}`);
+    }
 
     // ========================================================================
     // STEP 4: OCR PROCESSING
@@ -375,22 +453,46 @@ module.exports = async (bot, msg) => {
 
     /**
      * Proses OCR menggunakan Google Gemini AI
-     * Extract data dari foto Kartu Keluarga
+     * Extract data dari foto Kartu Keluarga; scan PDF (per halaman) dan
+     * album (per foto) digabung menjadi satu KK
      */
-    const ocrResult = await GeminiOcrService.processImage(fileStream);
+    let ocrResult;
+    if (isPdfMessage(msg)) {
+      ocrResult = await GeminiOcrService.processPdf(downloadedFiles[0]);
+    } else if (downloadedFiles.length > 1) {
+      ocrResult = await GeminiOcrService.processImages(downloadedFiles, 'album');
+    } else {
+      ocrResult = await GeminiOcrService.processImage(downloadedFiles[0]);
+    }
 
     if (!ocrResult.success) {
       logger.error(`OCR failed: ${ocrResult.error}`);
 
+      /**
+       * Dokumen ditolak (PDF terenkripsi/terlalu banyak halaman) atau foto
+       * ditolak quality gate (sebelum OCR): tampilkan alasan dan saran
+       * spesifik, bukan daftar kemungkinan penyebab umum
+       */
+      let failureMessage;
+      if (ocrResult.rejectionMessage) {
+        failureMessage = 'Dokumen Kartu Keluarga (KK) tidak dapat diproses.\n\n' + ocrResult.rejectionMessage;
+      } else if (ocrResult.qualityIssues) {
+        failureMessage = 'Foto Kartu Keluarga (KK) tidak dapat diproses karena kualitasnya kurang baik:\n\n' +
+          ocrResult.qualityIssues.map(issue => `- ${issue.message}`).join('\n') +
+          '\n\nSilakan foto ulang KK dan kirim kembali.';
+      } else {
+        failureMessage = 'Gagal memproses gambar Kartu Keluarga (KK).\n\n' +
+          `Pesan kesalahan: ${ocrResult.error}\n\n` +
+          'Kemungkinan penyebab:\n' +
+          '- Kualitas foto tidak memadai (terlalu blur atau gelap)\n' +
+          '- Format file tidak didukung\n' +
+          '- Terjadi gangguan pada sistem AI\n' +
+          '- Foto tidak menampilkan Kartu Keluarga (KK) yang valid\n\n' +
+          'Silakan coba lagi dengan foto yang lebih jelas dan pastikan seluruh bagian KK terlihat dengan baik.';
+      }
+
       await bot.editMessageText(
-        'Gagal memproses gambar Kartu Keluarga (KK).\n\n' +
-        `Pesan kesalahan: ${ocrResult.error}\n\n` +
-        'Kemungkinan penyebab:\n' +
-        '- Kualitas foto tidak memadai (terlalu blur atau gelap)\n' +
-        '- Format file tidak didukung\n' +
-        '- Terjadi gangguan pada sistem AI\n' +
-        '- Foto tidak menampilkan Kartu Keluarga (KK) yang valid\n\n' +
-        'Silakan coba lagi dengan foto yang lebih jelas dan pastikan seluruh bagian KK terlihat dengan baik.',
+        failureMessage,
         {
           chat_id: chatId,
           message_id: statusMsg.message_id,
@@ -398,12 +500,7 @@ module.exports = async (bot, msg) => {
         }
       );
 
-      try {
-        await fs.unlink(fileStream);
-        logger.info(`Cleaned up temp file after OCR failure: ${fileStream}`);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup temp file ${fileStream}:`, cleanupError.message);
-      }
+      await cleanupTempFiles(downloadedFiles, 'after OCR failure');
 
       return;
     }
@@ -411,18 +508,24 @@ module.exports = async (bot, msg) => {
     logger.info('OCR processing completed successfully');
 
     /**
-     * Validasi hasil OCR
-     * Pastikan data yang diekstrak valid dan lengkap
+     * Validasi hasil OCR (ValidationService, lapisan validasi yang sama
+     * dengan preview draft dan penyimpanan). Hanya data yang tidak bisa
+     * dipakai (nomor KK salah, tidak ada anggota/NIK valid) yang ditolak;
+     * error lain dikoreksi atau dikonfirmasi operator di draft
      */
-    const validation = GeminiOcrService.validateOcrResult(ocrResult);
+    const validation = ValidationService.validateDocument(ocrResult.parsedData);
+
+    if (validation.status === ValidationService.STATUS.INVALID) {
+      logger.warn(`OCR validation failed: ${validation.errors.join('; ')}`);
 
-    if (!validation.valid) {
-      logger.warn('OCR validation failed:', validation.errors);
+      const blockingErrors = validation.issues
+        .filter(issue => ValidationService.BLOCKING_CODES.includes(issue.code))
+        .map(issue => issue.message);
 
       await bot.editMessageText(
         'Data yang diekstrak tidak lengkap atau tidak valid.\n\n' +
         'Kriteria yang tidak terpenuhi:\n' +
-        validation.errors.map(e => `- ${e}`).join('\n') + '\n\n' +
+        blockingErrors.map(e => `- ${e}`).join('\n') + '\n\n' +
         'Kemungkinan penyebab:\n' +
         '- Foto tidak jelas atau terpotong\n' +
         '- Kartu Keluarga (KK) tidak lengkap\n' +
@@ -431,234 +534,63 @@ module.exports = async (bot, msg) => {
         'Silakan ambil foto ulang dengan kualitas yang lebih baik dan pastikan seluruh bagian KK terlihat jelas.',
         {
           chat_id: chatId,
-          message_id: statusMsg.message_id,
-          parse_mode: 'Markdown'
+          message_id: statusMsg.message_id
         }
       );
 
-      try {
-        await fs.unlink(fileStream);
-        logger.info(`Cleaned up temp file after validation failure: ${fileStream}`);
-      } catch (cleanupError) {
-        logger.warn(`Failed to cleanup temp file ${fileStream}:`, cleanupError.message);
-      }
+      await cleanupTempFiles(downloadedFiles, 'after validation failure');
 
       return;
     }
 
+    logger.info(
+      `OCR validation status: ${validation.status} ` +
+      `(${validation.errors.length} error(s), ${validation.warnings.length} warning(s))`
+    );
+
     // ========================================================================
-    // STEP 5: DATA EXTRACTION & PREVIEW
+    // STEP 5: CLEANUP
     // ========================================================================
-    
-    /**
-     * Ambil data yang telah diekstrak dari OCR
-     */
-    const data = ocrResult.parsedData;
 
     /**
-     * Buat preview message untuk user
-     * Menampilkan data yang berhasil diekstrak sebelum disimpan
+     * Cleanup temporary file
+     * Hapus file foto yang sudah tidak diperlukan
      */
-    let extractedMessage = 'Data berhasil diekstrak dari Kartu Keluarga (KK).\n\n';
-    extractedMessage += `Informasi Kartu Keluarga:\n`;
-    extractedMessage += `Nomor KK: \`${data.nomor_kk}\`\n`;
-    extractedMessage += `Nama Kepala Keluarga: ${data.nama_kepala_keluarga}\n`;
-    extractedMessage += `Alamat: ${data.alamat}\n`;
-
-    if (data.rt_rw) {
-      extractedMessage += `RT/RW: ${data.rt_rw}\n`;
-    }
-
-    if (data.desa_kelurahan) {
-      extractedMessage += `Desa/Kelurahan: ${data.desa_kelurahan}\n`;
-    }
-
-    if (data.kecamatan) {
-      extractedMessage += `Kecamatan: ${data.kecamatan}\n`;
-    }
-
-    if (data.kabupaten_kota) {
-      extractedMessage += `Kabupaten/Kota: ${data.kabupaten_kota}\n`;
-    }
-
-    if (data.provinsi) {
-      extractedMessage += `Provinsi: ${data.provinsi}\n`;
-    }
-
-    extractedMessage += `\nJumlah Anggota Keluarga: ${data.table.length} orang\n\n`;
-
-    extractedMessage += 'Daftar Anggota Keluarga:\n';
-    data.table.slice(0, 3).forEach((member, index) => {
-      extractedMessage += `${index + 1}. ${member.nama_lengkap} (NIK: ${member.nik})\n`;
-    });
-
-    if (data.table.length > 3) {
-      extractedMessage += `... dan ${data.table.length - 3} anggota keluarga lainnya\n`;
-    }
-
-    extractedMessage += '\nSedang menyimpan data ke database SmartGov...';
-
-    await bot.editMessageText(extractedMessage, {
-      chat_id: chatId,
-      message_id: statusMsg.message_id,
-      parse_mode: 'Markdown'
-    });
+    await cleanupTempFiles(downloadedFiles, 'after processing');
 
     // ========================================================================
-    // STEP 6: DATABASE OPERATIONS
+    // STEP 6: DRAFT CREATION & PREVIEW
     // ========================================================================
-    
-    /**
-     * Simpan data ke database menggunakan AutoCreateService
-     * Service ini akan:
-     * 1. Create/update family data
-     * 2. Insert resident records
-     * 3. Handle duplicates dan validation
-     * 4. Update member counts
-     */
-    const createResult = await AutoCreateService.autoCreate(data, userInfo.userId);
 
-    // ========================================================================
-    // STEP 7: CLEANUP & RESULT HANDLING
-    // ========================================================================
-    
     /**
-     * Cleanup temporary file
-     * Hapus file foto yang sudah tidak diperlukan
+     * Simpan hasil OCR sebagai draft
+     * Data TIDAK ditulis ke database sampai operator menekan tombol Simpan
+     * (lihat src/bot/handlers/draft.js)
      */
-    try {
-      await fs.unlink(fileStream);
-      logger.info(`Cleaned up temp file after processing: ${fileStream}`);
-    } catch (cleanupError) {
-      logger.warn(`Failed to cleanup temp file ${fileStream}:`, cleanupError.message);
-    }
+    const draft = DraftService.createDraft(chatId, {
+      userId: userInfo.userId,
+      data: ocrResult.parsedData,
+      ocrInfo: {
+        confidence: ocrResult.confidence,
+        fieldConfidence: ocrResult.fieldConfidence || null,
+        processingTime: ocrResult.processingTime,
+        imageAudit: ocrResult.imageAudit || null,
+        pages: ocrResult.pages || null,
+        consensus: ocrResult.consensus || null
+      }
+    });
 
     /**
-     * Handle database operation results
-     * Tampilkan hasil sesuai dengan status operasi
+     * Tampilkan preview draft dengan tombol Simpan / Koreksi / Batal
      */
-    if (createResult.success) {
-      logger.info('Auto-create successful:', createResult.data);
-
-      let successMessage = 'Data Kartu Keluarga (KK) berhasil disimpan ke database SmartGov.\n\n';
-      successMessage += `Informasi Kartu Keluarga:\n`;
-      successMessage += `Nomor KK: \`${data.nomor_kk}\`\n`;
-      successMessage += `Nama Kepala Keluarga: ${data.nama_kepala_keluarga}\n`;
-      successMessage += `Alamat: ${data.alamat}\n`;
-      
-      if (data.rt_rw) {
-        successMessage += `RT/RW: ${data.rt_rw}\n`;
-      }
-      
-      successMessage += `Desa/Kelurahan: ${data.desa_kelurahan}\n`;
-      successMessage += `Kecamatan: ${data.kecamatan}\n`;
-      successMessage += `Kabupaten/Kota: ${data.kabupaten_kota}\n`;
-      successMessage += `Provinsi: ${data.provinsi}\n\n`;
-      
-      if (createResult.isNewFamily) {
-        successMessage += `Status: Kartu Keluarga Baru\n`;
-      } else {
-        successMessage += `Status: Kartu Keluarga Sudah Ada - Update Anggota\n`;
-      }
-      
-      successMessage += `Total Anggota dari OCR: ${data.table.length} orang\n`;
-      successMessage += `Anggota Baru Ditambahkan: ${createResult.data.residentCount} orang\n`;
-      
-      if (createResult.data.skippedCount > 0) {
-        successMessage += `Anggota Sudah Ada (Dilewati): ${createResult.data.skippedCount} orang\n`;
-      }
-      
-      if (createResult.data.invalidCount > 0) {
-        successMessage += `Anggota Tidak Valid (Dilewati): ${createResult.data.invalidCount} orang\n`;
-      }
-      
-      successMessage += `\n`;
-      
-      successMessage += `Detail Anggota Keluarga:\n\n`;
-      
-      data.table.forEach((member, index) => {
-        const wasSkipped = createResult.data.skippedResidents.find(s => s.nik === normalizeNIK(member.nik));
-        const wasInvalid = createResult.data.invalidResidents.find(i => i.nik === normalizeNIK(member.nik));
-        
-        let status = 'BERHASIL';
-        if (wasSkipped) {
-          status = 'SUDAH ADA';
-        } else if (wasInvalid) {
-          status = 'TIDAK VALID';
-        }
-        
-        successMessage += `${index + 1}. ${member.nama_lengkap} (${status})\n`;
-        successMessage += `   NIK: \`${member.nik}\`\n`;
-        successMessage += `   Tempat/Tanggal Lahir: ${member.tempat_lahir}, ${member.tanggal_lahir}\n`;
-        successMessage += `   Jenis Kelamin: ${member.jenis_kelamin}\n`;
-        successMessage += `   Agama: ${member.agama}\n`;
-        successMessage += `   Pendidikan: ${member.pendidikan}\n`;
-        successMessage += `   Pekerjaan: ${member.jenis_pekerjaan}\n`;
-        successMessage += `   Status Perkawinan: ${member.status_perkawinan}\n`;
-        successMessage += `   Hubungan dalam Keluarga: ${member.status_hubungan_dalam_keluarga}\n`;
-        
-        if (wasSkipped) {
-          successMessage += `   Alasan Dilewati: ${wasSkipped.reason}\n`;
-        } else if (wasInvalid) {
-          successMessage += `   Alasan Tidak Valid: ${wasInvalid.reason}\n`;
-        }
-        
-        if (member.nama_ayah && !wasSkipped && !wasInvalid) {
-          successMessage += `   Nama Ayah: ${member.nama_ayah}\n`;
-        }
-        if (member.nama_ibu && !wasSkipped && !wasInvalid) {
-          successMessage += `   Nama Ibu: ${member.nama_ibu}\n`;
-        }
-        
-        successMessage += `\n`;
-      });
-      
-      successMessage += `\nInformasi Pemrosesan:\n`;
-      successMessage += `Waktu Proses: ${Math.round(ocrResult.processingTime / 1000)} detik\n`;
-      successMessage += `Tingkat Akurasi: ${ocrResult.confidence}%\n\n`;
-      successMessage += `Diproses oleh: ${userInfo.nama_lengkap}\n`;
-      successMessage += `Dibantu oleh teknologi Google Gemini AI`;
-
-      await bot.editMessageText(successMessage, {
-        chat_id: chatId,
-        message_id: statusMsg.message_id,
-        parse_mode: 'Markdown'
-      });
-
-    } else if (createResult.exists) {
-      logger.warn('Family already exists:', data.nomor_kk);
-
-      await bot.editMessageText(
-        'Kartu Keluarga (KK) sudah terdaftar dalam database.\n\n' +
-        `Nomor KK: \`${data.nomor_kk}\` sudah ada dalam sistem SmartGov.\n\n` +
-        'Data yang diekstrak berhasil, namun tidak dapat disimpan karena KK sudah terdaftar.\n\n' +
-        'Jika Anda ingin memperbarui data KK yang sudah ada, silakan hubungi administrator sistem untuk bantuan lebih lanjut.',
-        {
-          chat_id: chatId,
-          message_id: statusMsg.message_id,
-          parse_mode: 'Markdown'
-        }
-      );
-
-    } else {
-      logger.error('Auto-create failed:', createResult.error);
+    await bot.editMessageText(draftHandler.renderDraftMessage(draft), {
+      chat_id: chatId,
+      message_id: statusMsg.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: draftHandler.buildDraftKeyboard(draft)
+    });
 
-      await bot.editMessageText(
-        'Gagal menyimpan data ke database SmartGov.\n\n' +
-        `Pesan kesalahan: ${createResult.message}\n\n` +
-        'Data berhasil diekstrak dari foto KK, namun terjadi kesalahan saat menyimpan ke database.\n\n' +
-        'Kemungkinan penyebab:\n' +
-        '- Koneksi ke database bermasalah\n' +
-        '- Server sedang dalam pemeliharaan\n' +
-        '- Terjadi gangguan pada sistem penyimpanan\n\n' +
-        'Silakan hubungi administrator sistem untuk bantuan lebih lanjut.',
-        {
-          chat_id: chatId,
-          message_id: statusMsg.message_id,
-          parse_mode: 'Markdown'
-        }
-      );
-    }
+    DraftService.setDraftMessage(chatId, statusMsg.message_id);
 
   } catch (error) {
     // ========================================================================
@@ -671,6 +603,8 @@ module.exports = async (bot, msg) => {
      */
     logger.error('Error in photo handler:', error);
 
+    await cleanupTempFiles(downloadedFiles, 'after error');
+
     await bot.sendMessage(
       chatId,
       'Terjadi kesalahan sistem saat memproses foto Kartu Keluarga (KK).\n\n' +
@@ -683,6 +617,33 @@ module.exports = async (bot, msg) => {
       { reply_to_message_id: messageId }
     );
   }
+}
+
+// ============================================================================
+// ENTRY POINT & ALBUM BATCHING
+// ============================================================================
+
+/**
+ * Handler foto/dokumen KK yang didaftarkan ke bot
+ *
+ * Foto dalam album (media_group_id sama) dikirim Telegram sebagai pesan
+ * terpisah. Pesan album ditahan selama config.upload.album.waitMs sejak
+ * foto terakhir masuk, lalu diproses bersama menjadi satu draft. Foto
+ * tunggal dan PDF langsung diproses.
+ *
+ * @async
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object (photo, atau document yang
+ *   sudah diberi msg.photo oleh src/bot/index.js)
+ * @returns {Promise<void>}
+ */
+module.exports = async (bot, msg) => {
+  if (msg.media_group_id && !isPdfMessage(msg)) {
+    queueAlbumMessage(bot, msg);
+    return;
+  }
+
+  await processKkMessages(bot, [msg]);
 };
 
 /**
@@ -707,14 +668,13 @@ module.exports = async (bot, msg) => {
  *    - Extract data dari Kartu Keluarga
  *    - Validasi hasil OCR
  *
- * 4. Database Operations
- *    - Create/update family data
- *    - Insert resident records
- *    - Handle duplicates
+ * 4. Draft Review
+ *    - Simpan hasil OCR sebagai draft
+ *    - Preview dengan tombol Simpan / Koreksi / Batal
+ *    - Penyimpanan database di handler draft setelah konfirmasi
  *
  * 5. User Feedback
  *    - Real-time status updates
- *    - Detailed success/error messages
  *    - Cleanup temporary files
  *
  * RATE LIMITING STRATEGY:
@@ -768,7 +728,8 @@ module.exports = async (bot, msg) => {
  * RELATED FILES:
  * --------------
  * - src/services/GeminiOcrService.js: OCR processing
- * - src/services/AutoCreateService.js: Database operations
+ * - src/bot/handlers/draft.js: Review draft dan penyimpanan database
+ * - src/services/DraftService.js: Penyimpanan draft
  * - src/services/AuthService.js: Authentication
  * - src/utils/textCleaner.js: Text normalization
  * - src/config/env.js: Configuration
@@ -3,11 +3,16 @@ const config = require('../config/env');
 const logger = require('../utils/logger');
 
 const startCommand = require('./commands/start');
-const { loginCommand, logoutCommand, stopCommand } = require('./commands/login');
+const { loginCommand, logoutCommand, stopCommand, handleLoginMessage, isInLoginProcess } = require('./commands/login');
 const kodeWilayahCommand = require('./commands/kode_wilayah');
+const aksesWilayahCommand = require('./commands/akses_wilayah');
+const duaFaktorCommand = require('./commands/dua_faktor');
+const aktifkanDuaFaktorCommand = require('./commands/aktifkan_dua_faktor');
 const { cekSessionCommand, helpCommand } = require('./commands/cek_session');
 
 const photoHandler = require('./handlers/photo');
+const draftHandler = require('./handlers/draft');
+const { requirePermission } = require('./middleware/permission');
 
 class TelegramBotService {
   constructor() {
@@ -66,6 +71,28 @@ class TelegramBotService {
       kodeWilayahCommand(this.bot, msg);
     });
 
+    const guardedAksesWilayahCommand = requirePermission('manage_users', aksesWilayahCommand);
+
+    this.bot.onText(/\/akses-wilayah(.*)/, (msg) => {
+      guardedAksesWilayahCommand(this.bot, msg);
+    });
+
+    const guardedDuaFaktorCommand = requirePermission('manage_users', duaFaktorCommand);
+
+    this.bot.onText(/^\/dua-faktor(.*)/, (msg) => {
+      guardedDuaFaktorCommand(this.bot, msg);
+    });
+
+    this.bot.onText(/\/aktifkan-dua-faktor(.*)/, (msg) => {
+      aktifkanDuaFaktorCommand(this.bot, msg);
+    });
+
+    const guardedKoreksiCommand = requirePermission('create_kk', draftHandler.handleDraftMessage);
+
+    this.bot.onText(/^\/koreksi(\s|$)/, (msg) => {
+      guardedKoreksiCommand(this.bot, msg);
+    });
+
     this.bot.onText(/\/cek-session/, (msg) => {
       cekSessionCommand(this.bot, msg);
     });
@@ -78,13 +105,21 @@ class TelegramBotService {
   }
 
   setupHandlers() {
+    const guardedPhotoHandler = requirePermission('create_kk', photoHandler);
+    const guardedDraftHandler = requirePermission(draftHandler.getPermissionAction, draftHandler);
+    const guardedDraftMessage = requirePermission('create_kk', draftHandler.handleDraftMessage);
+
     this.bot.on('photo', (msg) => {
-      photoHandler(this.bot, msg);
+      guardedPhotoHandler(this.bot, msg);
     });
 
     this.bot.on('document', (msg) => {
-      if (msg.document.mime_type && msg.document.mime_type.startsWith('image/')) {
-        logger.info('Image document received, treating as photo');
+      const mimeType = msg.document.mime_type || '';
+
+      if (mimeType.startsWith('image/') || mimeType === 'application/pdf') {
+        logger.info(mimeType === 'application/pdf'
+          ? 'PDF document received, processing as KK scan'
+          : 'Image document received, treating as photo');
 
         msg.photo = [{
           file_id: msg.document.file_id,
@@ -94,21 +129,42 @@ class TelegramBotService {
           height: 0
         }];
 
-        photoHandler(this.bot, msg);
+        guardedPhotoHandler(this.bot, msg);
+      }
+    });
+
+    this.bot.on('callback_query', (query) => {
+      if (query.data && query.data.startsWith(`${draftHandler.CALLBACK_PREFIX}:`)) {
+        guardedDraftHandler(this.bot, query);
+        return;
       }
+
+      this.bot.answerCallbackQuery(query.id);
     });
 
     this.bot.on('message', async (msg) => {
+      // Login bertahap juga menerima pesan "/" agar pesan di langkah password
+      // tetap dihapus; perintah membatalkan login bertahap
+      if (msg.text && isInLoginProcess(msg.chat.id)) {
+        await handleLoginMessage(this.bot, msg);
+        return;
+      }
+
       if (msg.text && !msg.text.startsWith('/')) {
         if (kodeWilayahCommand.isInVillageCodeProcess && kodeWilayahCommand.isInVillageCodeProcess(msg.chat.id)) {
           await kodeWilayahCommand.handleVillageCodeMessage(this.bot, msg);
           return;
         }
+
+        if (draftHandler.isDraftInput(msg.chat.id, msg.text)) {
+          await guardedDraftMessage(this.bot, msg);
+          return;
+        }
       }
 
       if (msg.text && msg.text.startsWith('/')) {
         const command = msg.text.split(' ')[0];
-        const knownCommands = ['/start', '/login', '/logout', '/stop', '/kode-wilayah', '/cek-session', '/help'];
+        const knownCommands = ['/start', '/login', '/logout', '/stop', '/kode-wilayah', '/akses-wilayah', '/dua-faktor', '/aktifkan-dua-faktor', '/koreksi', '/cek-session', '/help'];
 
         if (!knownCommands.includes(command)) {
           this.bot.sendMessage(
@@ -0,0 +1,189 @@
+/**
+ * ============================================================================
+ * FILE: src/bot/middleware/permission.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Middleware hak akses untuk command dan handler Telegram bot. Membungkus
+ * handler sehingga sebelum handler dijalankan, permission user yang login
+ * (UserModel.getUserPermissions) dicek terhadap aksi yang diminta. User
+ * tanpa izin mendapat pesan penolakan yang seragam dan penolakan dicatat
+ * di log bersama user dan aksinya.
+ *
+ * DEPENDENSI:
+ * - AuthService: Session user yang sedang login
+ * - UserModel: Permission per role (admin, operator, viewer)
+ * - logger: Logging penolakan akses
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const { requirePermission } = require('./middleware/permission');
+ *
+ * // Aksi tetap
+ * bot.on('photo', requirePermission('create_kk', photoHandler));
+ *
+ * // Aksi ditentukan dari update (misalnya per tombol callback)
+ * bot.on('callback_query', requirePermission(draftHandler.getPermissionAction, draftHandler));
+ * ```
+ *
+ * CATATAN PENTING:
+ * - Middleware hanya memeriksa user yang sudah login; user yang belum
+ *   login diteruskan ke handler yang menampilkan pesan login-nya sendiri
+ * - Permission dibaca dari database setiap kali dicek, sehingga perubahan
+ *   role langsung berlaku tanpa login ulang
+ * - Gagal membaca permission = akses ditolak (fail closed)
+ *
+ * ============================================================================
+ */
+
+const AuthService = require('../../services/AuthService');
+const UserModel = require('../../database/UserModel');
+const logger = require('../../utils/logger');
+
+/**
+ * Aksi yang dilindungi permission
+ * Key dipakai di requirePermission, permission = property hasil
+ * UserModel.getUserPermissions, label ditampilkan di pesan penolakan
+ * @constant {Object<string, {permission: string, label: string}>}
+ */
+const ACTIONS = {
+  create_kk: { permission: 'canCreateKK', label: 'memproses dan menyimpan data KK' },
+  edit_kk: { permission: 'canEditKK', label: 'mengubah data penduduk yang sudah terdaftar' },
+  delete_kk: { permission: 'canDeleteKK', label: 'menghapus data KK' },
+  manage_users: { permission: 'canManageUsers', label: 'mengatur akses user' }
+};
+
+/**
+ * Lama media_group_id yang sudah ditolak diingat (milliseconds)
+ * Album berisi beberapa foto cukup mendapat satu pesan penolakan
+ * @constant {number}
+ */
+const DENIED_ALBUM_TTL = 60 * 1000;
+
+/**
+ * media_group_id album yang sudah mendapat pesan penolakan
+ * @type {Set<string>}
+ */
+const deniedAlbums = new Set();
+
+/**
+ * Ambil chat ID dari message atau callback query
+ *
+ * @param {Object} update - Telegram message atau callback query
+ * @returns {number} Chat ID
+ */
+function getChatId(update) {
+  return update.chat ? update.chat.id : update.message.chat.id;
+}
+
+/**
+ * Kirim pesan penolakan
+ *
+ * Callback query dijawab dengan alert, message dengan pesan biasa.
+ *
+ * @async
+ * @param {TelegramBot} bot - Instance bot
+ * @param {Object} update - Telegram message atau callback query
+ * @param {string} text - Pesan penolakan
+ * @returns {Promise<void>}
+ */
+async function sendDenial(bot, update, text) {
+  if (!update.chat) {
+    await bot.answerCallbackQuery(update.id, { text, show_alert: true });
+    return;
+  }
+
+  if (update.media_group_id) {
+    if (deniedAlbums.has(update.media_group_id)) {
+      return;
+    }
+
+    deniedAlbums.add(update.media_group_id);
+    setTimeout(() => deniedAlbums.delete(update.media_group_id), DENIED_ALBUM_TTL);
+  }
+
+  await bot.sendMessage(update.chat.id, text);
+}
+
+/**
+ * Bungkus handler dengan pemeriksaan permission
+ *
+ * @param {string|Function} action - Key ACTIONS, atau function(update) yang
+ *   mengembalikan key ACTIONS (null = tidak perlu permission)
+ * @param {Function} handler - Handler (bot, update, ...args)
+ * @returns {Function} Handler baru dengan signature yang sama
+ * @throws {Error} Jika action berupa string yang tidak ada di ACTIONS
+ */
+function requirePermission(action, handler) {
+  if (typeof action === 'string' && !ACTIONS[action]) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  return async (bot, update, ...args) => {
+    const chatId = getChatId(update);
+    const actionKey = typeof action === 'function' ? action(update) : action;
+
+    if (!actionKey || !AuthService.isLoggedIn(chatId)) {
+      return handler(bot, update, ...args);
+    }
+
+    const userInfo = AuthService.getUserInfo(chatId);
+    const { permission, label } = ACTIONS[actionKey];
+    let permissions;
+
+    try {
+      permissions = await UserModel.getUserPermissions(userInfo.userId);
+    } catch (error) {
+      logger.error(`Permission check failed for user ${userInfo.username} (${actionKey}):`, error);
+      await sendDenial(bot, update, 'Gagal memeriksa hak akses akun Anda. Silakan coba lagi dalam beberapa saat.');
+      return;
+    }
+
+    if (permissions && permissions[permission]) {
+      return handler(bot, update, ...args);
+    }
+
+    logger.warn(
+      `Permission denied: user ${userInfo.username} (id ${userInfo.userId}, level ${userInfo.level}) ` +
+      `action ${actionKey} in chat ${chatId}`
+    );
+
+    await sendDenial(
+      bot,
+      update,
+      `Akses ditolak. Akun Anda (level ${userInfo.level}) tidak memiliki izin untuk ${label}. ` +
+      'Hubungi admin jika Anda memerlukan akses ini.'
+    );
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  requirePermission
+};
+
+/**
+ * ============================================================================
+ * DEVELOPER NOTES
+ * ============================================================================
+ *
+ * MENAMBAH AKSI BARU:
+ * -------------------
+ * 1. Tambahkan permission di UserModel.getUserPermissions (jika belum ada)
+ * 2. Tambahkan key di ACTIONS dengan label untuk pesan penolakan
+ * 3. Bungkus registrasi command/handler di src/bot/index.js dengan
+ *    requirePermission
+ *
+ * PESAN PENOLAKAN:
+ * ----------------
+ * - Satu kalimat agar muat di alert callback query (maks. 200 karakter)
+ * - Tidak memakai parse_mode, sehingga aman untuk username apa pun
+ *
+ * RELATED FILES:
+ * --------------
+ * - src/bot/index.js: Registrasi command dan handler
+ * - src/bot/handlers/draft.js: getPermissionAction() per tombol draft
+ * - src/database/UserModel.js: Mapping role -> permission
+ *
+ * ============================================================================
+ */
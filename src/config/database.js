@@ -384,6 +384,34 @@ const testConnection = async () => {
   }
 };
 
+/**
+ * Mencari tabel yang belum ada di database aktif
+ *
+ * Dipakai saat startup untuk memastikan migrasi tabel tambahan bot
+ * (database/migrations) sudah dijalankan. Bot tidak membuat tabel sendiri.
+ *
+ * @async
+ * @param {Array<string>} tables - Nama tabel yang wajib ada
+ * @returns {Promise<Array<string>>} Nama tabel yang belum ada (kosong jika lengkap)
+ * @throws {Error} Jika query information_schema gagal
+ *
+ * @example
+ * const missing = await findMissingTables(['bot_sessions', 'user_regions']);
+ * if (missing.length > 0) {
+ *   throw new Error(`Tabel belum ada: ${missing.join(', ')}`);
+ * }
+ */
+const findMissingTables = async (tables) => {
+  const rows = await query(
+    `SELECT table_name AS name FROM information_schema.tables
+     WHERE table_schema = DATABASE() AND table_name IN (${tables.map(() => '?').join(', ')})`,
+    tables
+  );
+  const existing = rows.map(row => row.name);
+
+  return tables.filter(table => !existing.includes(table));
+};
+
 /**
  * Menutup connection pool
  *
@@ -614,6 +642,11 @@ module.exports = {
    */
   testConnection,
 
+  /**
+   * Cek tabel migrasi yang belum ada (dipanggil saat startup)
+   */
+  findMissingTables,
+
   /**
    * Menutup pool (dipanggil saat shutdown)
    */
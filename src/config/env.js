@@ -265,7 +265,20 @@ module.exports = {
      * Beberapa API wilayah memerlukan API key untuk autentikasi.
      * Jika API yang digunakan tidak memerlukan key, kosongkan saja.
      */
-    key: process.env.REGION_API_KEY
+    key: process.env.REGION_API_KEY,
+
+    /**
+     * Aksi saat alamat hasil OCR tidak cocok dengan kode wilayah session
+     * @type {string}
+     * Default: 'warn'
+     *
+     * Kode wilayah dari /kode-wilayah adalah sumber utama kode provinsi,
+     * kabupaten, kecamatan dan desa. Jika nama wilayah yang terbaca di KK
+     * menunjuk ke desa lain:
+     * - 'warn': Draft diberi peringatan, operator tetap bisa menyimpan
+     * - 'block': Penyimpanan ditolak sampai kode wilayah diperbaiki
+     */
+    mismatchMode: process.env.REGION_MISMATCH_MODE === 'block' ? 'block' : 'warn'
   },
 
   /**
@@ -288,6 +301,30 @@ module.exports = {
      */
     expireHours: parseInt(process.env.SESSION_EXPIRE_HOURS) || 24,
 
+    /**
+     * Penyimpanan session login (SessionStore)
+     * @type {string}
+     * Default: 'mysql'
+     *
+     * Pilihan:
+     * - mysql: Tabel bot_sessions di database SmartGov (migrasi database/migrations)
+     * - file: File JSON di disk (lihat file)
+     *
+     * Session dimuat ulang saat bot start, sehingga restart/deploy tidak
+     * membuat operator logout dan kehilangan kode wilayah.
+     */
+    store: process.env.SESSION_STORE || 'mysql',
+
+    /**
+     * Path file session untuk store 'file'
+     * @type {string}
+     * Default: './data/sessions.json'
+     *
+     * PENTING: Berisi data operator; batasi akses dan mount sebagai volume
+     * di Docker agar tidak hilang saat container dibuat ulang.
+     */
+    file: process.env.SESSION_FILE || './data/sessions.json',
+
     /**
      * Jumlah rounds untuk bcrypt hashing
      * @type {number}
@@ -307,6 +344,69 @@ module.exports = {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10
   },
 
+  /**
+   * LOGIN PROTECTION CONFIGURATION
+   * ----------------------------------------------------------------------------
+   * Pembatasan percobaan /login yang gagal (LoginGuardService). Penghitung
+   * disimpan di tabel login_attempts sehingga tetap berlaku setelah restart.
+   */
+  loginProtection: {
+    /**
+     * Jumlah login gagal yang dibiarkan tanpa jeda
+     * @type {number}
+     * Default: 3
+     *
+     * Berlaku per chat ID dan per username.
+     */
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+
+    /**
+     * Jeda pertama setelah freeAttempts terlewati (dalam detik)
+     * @type {number}
+     * Default: 30 detik
+     *
+     * Jeda berlipat dua setiap gagal berikutnya: 30, 60, 120, ... detik.
+     */
+    backoffBaseSeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 30,
+
+    /**
+     * Jeda maksimal antar percobaan (dalam detik)
+     * @type {number}
+     * Default: 900 detik (15 menit)
+     */
+    backoffMaxSeconds: parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 900,
+
+    /**
+     * Jumlah login gagal untuk satu username sebelum akun dikunci
+     * @type {number}
+     * Default: 10
+     *
+     * Saat akun dikunci, admin mendapat notifikasi di Telegram.
+     */
+    lockThreshold: parseInt(process.env.LOGIN_LOCK_THRESHOLD) || 10,
+
+    /**
+     * Lama penguncian akun (dalam menit)
+     * @type {number}
+     * Default: 30 menit
+     *
+     * Selama dikunci, login ditolak walaupun password benar.
+     */
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 30,
+
+    /**
+     * Chat ID tambahan penerima notifikasi penguncian akun
+     * @type {Array<number>}
+     * Default: [] (hanya admin yang sedang login)
+     *
+     * Format: daftar dipisah koma, contoh: 123456789,987654321
+     */
+    alertChatIds: (process.env.ADMIN_CHAT_IDS || '')
+      .split(',')
+      .map(id => parseInt(id.trim()))
+      .filter(id => !isNaN(id))
+  },
+
   /**
    * LOGGING CONFIGURATION
    * ----------------------------------------------------------------------------
@@ -356,23 +456,50 @@ module.exports = {
    */
   ocr: {
     /**
-     * Threshold minimum confidence score untuk menerima hasil OCR (dalam %)
+     * Threshold minimum confidence per field (dalam %)
      * @type {number}
      * Default: 80%
      *
-     * Hasil OCR dengan confidence di bawah threshold akan ditolak dan
-     * user diminta upload foto yang lebih jelas.
+     * Setiap field hasil OCR diberi skor (GeminiOcrService.calculateFieldConfidence).
+     * Field dengan skor di bawah threshold ditandai di preview draft, dan
+     * draft baru bisa disimpan setelah operator mengoreksi field tersebut
+     * atau menyatakan sudah dicek.
      *
-     * Pertimbangan:
-     * - Threshold tinggi (90-95%): Lebih akurat, tapi lebih banyak reject
-     * - Threshold sedang (80-85%): Balance antara akurasi dan acceptance rate
-     * - Threshold rendah (60-70%): Lebih banyak diterima, tapi risiko error tinggi
+     * Skor per field: 100 valid, 60 nilai di luar daftar KK, 50 dilaporkan
+     * tidak terbaca jelas oleh Gemini, 70 dibaca ulang oleh repair pass,
+     * 40 NIK tidak cocok dengan tanggal lahir/jenis kelamin/kode kecamatan,
+     * 30 hasil baca berbeda (mode konsensus),
+     * 20 format tidak valid, 0 wajib tapi kosong.
      *
-     * Untuk data kependudukan, disarankan minimal 80% untuk menghindari
-     * data error dalam database.
+     * Pertimbangan:
+     * - Threshold tinggi (90-100%): Field yang ragu sekecil apa pun harus dicek
+     * - Threshold sedang (60-80%): Hanya field ragu/tidak valid yang harus dicek
+     * - Threshold rendah (<= 50%): Field yang dilaporkan ragu bisa lolos tanpa dicek
      */
     confidenceThreshold: parseInt(process.env.OCR_CONFIDENCE_THRESHOLD) || 80,
 
+    /**
+     * Sumber ekstraksi data KK (OCR provider)
+     * @type {string}
+     * Default: 'gemini'
+     *
+     * Pilihan:
+     * - gemini: Google Gemini AI (memerlukan GEMINI_API_KEY)
+     * - fixture: JSON dari disk per hash SHA-256 foto (lihat fixtureDir),
+     *   untuk staging/test yang tidak bisa memanggil Gemini
+     */
+    provider: process.env.OCR_PROVIDER || 'gemini',
+
+    /**
+     * Direktori file fixture untuk provider 'fixture'
+     * @type {string}
+     * Default: './fixtures/ocr'
+     *
+     * Isi: <sha256 foto>.json dan (optional) default.json dengan struktur
+     * yang sama seperti respons Gemini (src/config/kkSchema.js).
+     */
+    fixtureDir: process.env.OCR_FIXTURE_DIR || './fixtures/ocr',
+
     /**
      * Jumlah maksimal retry jika OCR gagal
      * @type {number}
@@ -402,7 +529,121 @@ module.exports = {
      *
      * CATATAN: Jika sering timeout, cek ukuran gambar atau koneksi internet.
      */
-    timeout: parseInt(process.env.OCR_TIMEOUT) || 30000
+    timeout: parseInt(process.env.OCR_TIMEOUT) || 30000,
+
+    /**
+     * Quality gate foto sebelum OCR (src/services/ImageQualityService.js)
+     * @type {Object}
+     *
+     * Foto yang gagal salah satu pemeriksaan ditolak sebelum memanggil
+     * OCR provider, dan operator diberi saran spesifik ("foto terlalu
+     * gelap", "foto buram", dll). Tidak menghabiskan quota/retry Gemini.
+     *
+     * Brightness dan contrast dalam skala 0-255 (greyscale); rata-rata
+     * brightness hanya dipakai untuk foto terlalu gelap, silau diukur dari
+     * porsi piksel yang terpotong putih (>= glareLevel). Blur diukur
+     * sebagai variance Laplacian pada gambar yang di-resize ke 1000px;
+     * makin kecil nilainya, makin buram fotonya.
+     *
+     * Nilai metrik setiap foto ditulis di log untuk kalibrasi.
+     */
+    quality: {
+      /** Aktifkan quality gate (OCR_QUALITY_CHECK=false untuk menonaktifkan) */
+      enabled: process.env.OCR_QUALITY_CHECK !== 'false',
+
+      /** Panjang minimal sisi terpanjang foto (piksel). Default: 1000 */
+      minLongSide: parseInt(process.env.OCR_QUALITY_MIN_LONG_SIDE) || 1000,
+
+      /** Panjang minimal sisi terpendek foto (piksel). Default: 600 */
+      minShortSide: parseInt(process.env.OCR_QUALITY_MIN_SHORT_SIDE) || 600,
+
+      /** Perbandingan sisi panjang : sisi pendek maksimal. Default: 2.2 (KK ~1.5) */
+      maxAspectRatio: parseFloat(process.env.OCR_QUALITY_MAX_ASPECT_RATIO) || 2.2,
+
+      /** Variance Laplacian minimal (di bawah ini = buram). Default: 100 */
+      minBlurVariance: parseFloat(process.env.OCR_QUALITY_MIN_BLUR_VARIANCE) || 100,
+
+      /** Rata-rata brightness minimal (di bawah ini = terlalu gelap). Default: 60 */
+      minBrightness: parseInt(process.env.OCR_QUALITY_MIN_BRIGHTNESS) || 60,
+
+      /** Intensitas piksel yang dianggap terpotong/silau (0-255). Default: 250 */
+      glareLevel: parseInt(process.env.OCR_QUALITY_GLARE_LEVEL) || 250,
+
+      /**
+       * Porsi piksel silau maksimal (0-1). Default: 0.2
+       * Kertas putih yang terang tetap lolos; yang ditolak adalah foto
+       * dengan area luas yang terpotong putih (pantulan flash/lampu)
+       */
+      maxGlareRatio: parseFloat(process.env.OCR_QUALITY_MAX_GLARE_RATIO) || 0.2,
+
+      /** Standar deviasi brightness minimal (di bawah ini = kontras rendah). Default: 25 */
+      minContrast: parseInt(process.env.OCR_QUALITY_MIN_CONTRAST) || 25
+    },
+
+    /**
+     * Normalisasi dokumen sebelum OCR (src/services/ImageNormalizationService.js)
+     * @type {boolean}
+     * Default: true
+     *
+     * Deteksi batas KK, koreksi perspektif/kemiringan dan EXIF orientation,
+     * lalu crop background. Jika false, foto hanya di-resize seperti sebelumnya.
+     */
+    normalize: process.env.OCR_NORMALIZE !== 'false',
+
+    /**
+     * Mode konsensus (pembacaan ganda) untuk field kritis
+     * @type {Object}
+     *
+     * Jika passes > 1, setiap foto dibaca beberapa kali secara independen
+     * (prompt verifikasi berbeda) dan nomor KK, NIK, serta tanggal lahir
+     * dibandingkan. Nilai yang sama di semua pembacaan diterima otomatis;
+     * nilai yang berbeda ditandai dan harus dicek operator.
+     *
+     * Setiap pembacaan tambahan = satu request Gemini lagi.
+     */
+    consensus: {
+      /** Jumlah pembacaan per foto (1 = nonaktif). Default: 1 */
+      passes: Math.max(1, parseInt(process.env.OCR_CONSENSUS_PASSES) || 1)
+    },
+
+    /**
+     * Repair pass untuk field yang tidak valid
+     * @type {Object}
+     *
+     * Jika hasil OCR gagal validasi (contoh: NIK 15 digit, jenis kelamin
+     * kosong), hanya field tersebut yang dibaca ulang dengan prompt
+     * terfokus, lalu hasilnya digabung ke data yang ada. Retry penuh baru
+     * dijalankan jika repair tidak berhasil.
+     */
+    repair: {
+      /** Aktifkan repair pass. Default: true */
+      enabled: process.env.OCR_REPAIR !== 'false',
+
+      /** Jumlah ronde repair maksimal per pembacaan. Default: 2 */
+      maxRounds: parseInt(process.env.OCR_REPAIR_MAX_ROUNDS) || 2,
+
+      /** Jumlah field tidak valid maksimal yang masih di-repair (lebih dari ini = retry penuh). Default: 6 */
+      maxFields: parseInt(process.env.OCR_REPAIR_MAX_FIELDS) || 6
+    },
+
+    /**
+     * Penyimpanan foto asli dan hasil normalisasi untuk audit
+     * @type {Object}
+     *
+     * Setiap foto yang diproses OCR disimpan sebagai pasangan file
+     * <id>_original.<ext> dan <id>_normalized.jpg di direktori ini, sehingga
+     * hasil OCR bisa dicek ulang terhadap gambar yang benar-benar dilihat AI.
+     *
+     * PENTING: Foto KK berisi data pribadi. Batasi akses direktori ini dan
+     * setup cron job untuk menghapus file sesuai kebijakan retensi.
+     */
+    imageAudit: {
+      /** Simpan foto untuk audit (OCR_IMAGE_AUDIT=false untuk menonaktifkan) */
+      enabled: process.env.OCR_IMAGE_AUDIT !== 'false',
+
+      /** Direktori penyimpanan. Default: './audit/ocr' */
+      dir: process.env.OCR_IMAGE_AUDIT_DIR || './audit/ocr'
+    }
   },
 
   /**
@@ -446,7 +687,64 @@ module.exports = {
      * - /tmp untuk Linux (auto-cleanup)
      * - Cloud storage (S3, GCS) untuk scalability
      */
-    tempDir: process.env.TEMP_DIR || './temp'
+    tempDir: process.env.TEMP_DIR || './temp',
+
+    /**
+     * Konfigurasi upload KK berbentuk PDF (scan dari kantor kelurahan)
+     * @type {Object}
+     *
+     * Setiap halaman di-render menjadi JPEG (pdftoppm dari poppler-utils),
+     * diproses OCR satu per satu, lalu digabung menjadi satu draft KK.
+     * PDF terenkripsi atau dengan halaman lebih dari maxPages ditolak.
+     */
+    pdf: {
+      /** Jumlah halaman maksimal per PDF. Default: 4 */
+      maxPages: parseInt(process.env.PDF_MAX_PAGES) || 4,
+
+      /** Resolusi render halaman (DPI). Default: 200 (A4 = 1654x2339 piksel) */
+      dpi: parseInt(process.env.PDF_RENDER_DPI) || 200
+    },
+
+    /**
+     * Konfigurasi album foto (media group Telegram)
+     * @type {Object}
+     *
+     * KK keluarga besar sering dikirim sebagai album 2-3 foto (bagian atas
+     * dan bawah). Foto dalam satu album dikumpulkan lalu diproses menjadi
+     * satu draft: header dari foto yang memuat nomor KK, anggota digabung
+     * berdasarkan NIK.
+     */
+    album: {
+      /** Waktu tunggu foto berikutnya dalam album (ms). Default: 1500 */
+      waitMs: parseInt(process.env.ALBUM_WAIT_MS) || 1500,
+
+      /** Jumlah foto maksimal per album. Default: 4 */
+      maxPhotos: parseInt(process.env.ALBUM_MAX_PHOTOS) || 4
+    }
+  },
+
+  /**
+   * DRAFT REVIEW CONFIGURATION
+   * ----------------------------------------------------------------------------
+   * Konfigurasi untuk draft hasil OCR yang menunggu konfirmasi operator
+   */
+  draft: {
+    /**
+     * Durasi draft sebelum expired (dalam menit)
+     * @type {number}
+     * Default: 30 menit
+     *
+     * Hasil OCR tidak langsung disimpan ke database, tapi ditampilkan sebagai
+     * draft dengan tombol Simpan / Koreksi / Batal. Jika operator tidak
+     * mengkonfirmasi dalam waktu ini, draft dihapus dan foto harus dikirim ulang.
+     *
+     * Pertimbangan:
+     * - Terlalu pendek: Operator tidak sempat mencocokkan data dengan KK fisik
+     * - Terlalu panjang: Draft lama menumpuk di memory
+     *
+     * CATATAN: Draft disimpan di memory, akan hilang jika aplikasi restart.
+     */
+    expireMinutes: parseInt(process.env.DRAFT_EXPIRE_MINUTES) || 30
   },
 
   /**
@@ -0,0 +1,321 @@
+/**
+ * ============================================================================
+ * FILE: src/config/kkSchema.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Definisi tunggal struktur data Kartu Keluarga (KK) hasil ekstraksi OCR.
+ * Satu sumber untuk:
+ * - responseSchema Gemini (structured output / JSON mode), termasuk schema
+ *   pembacaan ulang field yang tidak valid (REPAIR_SCHEMA)
+ * - Nilai enum (jenis kelamin, agama, hubungan keluarga, kewarganegaraan)
+ * - Pola format field (nomor KK, NIK, tanggal, RT/RW, kode pos)
+ * - Daftar field yang dilaporkan Gemini tidak terbaca jelas (uncertain_fields)
+ *
+ * Validator (GeminiOcrService.findInvalidFields, ValidationService) memakai
+ * konstanta dari file ini agar aturan yang diminta ke Gemini dan aturan yang
+ * dicek setelahnya tidak berbeda.
+ *
+ * TANGGAL DIBUAT: 2025-10-27
+ *
+ * DEPENDENSI:
+ * - @google/generative-ai: SchemaType untuk definisi responseSchema
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const KkSchema = require('./config/kkSchema');
+ *
+ * genAI.getGenerativeModel({
+ *   model,
+ *   generationConfig: {
+ *     responseMimeType: 'application/json',
+ *     responseSchema: KkSchema.RESPONSE_SCHEMA
+ *   }
+ * });
+ *
+ * KkSchema.GENDERS.includes(member.jenis_kelamin);
+ * KkSchema.PATTERNS.nik.test(member.nik);
+ * ```
+ *
+ * CATATAN PENTING:
+ * - Nilai enum ditulis UPPERCASE sesuai cetakan KK; ReferenceService
+ *   mencocokkan nama referensi secara case-insensitive
+ * - Field dengan enum dipaksa oleh Gemini, sehingga hanya field yang
+ *   nilainya benar-benar tetap yang diberi enum (pendidikan, pekerjaan,
+ *   dan status perkawinan bervariasi antar versi blanko KK)
+ *
+ * ============================================================================
+ */
+
+const { SchemaType } = require('@google/generative-ai');
+
+// ============================================================================
+// ENUM VALUES
+// ============================================================================
+
+/**
+ * Nilai jenis kelamin yang valid
+ * @constant {Array<string>}
+ */
+const GENDERS = ['LAKI-LAKI', 'PEREMPUAN'];
+
+/**
+ * Nilai agama yang valid (tabel religions SmartGov)
+ * @constant {Array<string>}
+ */
+const RELIGIONS = [
+  'ISLAM',
+  'KRISTEN',
+  'KATHOLIK',
+  'HINDU',
+  'BUDHA',
+  'KONGHUCU',
+  'KEPERCAYAAN TERHADAP TUHAN YME'
+];
+
+/**
+ * Nilai status hubungan dalam keluarga yang valid
+ * (tabel family_relationships SmartGov)
+ * @constant {Array<string>}
+ */
+const FAMILY_RELATIONSHIPS = [
+  'KEPALA KELUARGA',
+  'SUAMI',
+  'ISTRI',
+  'ANAK',
+  'MENANTU',
+  'CUCU',
+  'ORANG TUA',
+  'MERTUA',
+  'FAMILI',
+  'LAINNYA'
+];
+
+/**
+ * Nilai kewarganegaraan yang valid
+ * @constant {Array<string>}
+ */
+const CITIZENSHIPS = ['WNI', 'WNA'];
+
+// ============================================================================
+// FIELD FORMATS
+// ============================================================================
+
+/**
+ * Pola format field KK
+ *
+ * - nomor_kk / nik: 16 digit angka
+ * - tanggal: DD-MM-YYYY (tanggal_lahir dan tanggal_perkawinan)
+ * - rt_rw: 3 digit / 3 digit
+ * - kode_pos: 5 digit angka
+ *
+ * @constant {Object<string, RegExp>}
+ */
+const PATTERNS = {
+  nomor_kk: /^\d{16}$/,
+  nik: /^\d{16}$/,
+  tanggal: /^\d{2}-\d{2}-\d{4}$/,
+  rt_rw: /^\d{3}\/\d{3}$/,
+  kode_pos: /^\d{5}$/
+};
+
+// ============================================================================
+// FIELD DEFINITIONS
+// ============================================================================
+
+/**
+ * Field header KK
+ * description dikirim ke Gemini sebagai bagian dari responseSchema
+ * @constant {Object<string, Object>}
+ */
+const HEADER_FIELDS = {
+  nomor_kk: { description: '16 digit family card number (Nomor KK) from the header' },
+  nama_kepala_keluarga: { description: 'Head of family name' },
+  alamat: { description: 'Complete address' },
+  rt_rw: { description: 'RT/RW in format 001/002 (3 digits / 3 digits)' },
+  desa_kelurahan: { description: 'Village/subdistrict name (Desa/Kelurahan)' },
+  kecamatan: { description: 'District name (Kecamatan)' },
+  kabupaten_kota: { description: 'Regency/city name (Kabupaten/Kota)' },
+  provinsi: { description: 'Province name (Provinsi)' },
+  kode_pos: { description: 'Postal code (5 digits), empty string if not available' }
+};
+
+/**
+ * Field anggota keluarga (baris tabel KK)
+ * enum diisi untuk field dengan nilai tetap
+ * @constant {Object<string, Object>}
+ */
+const MEMBER_FIELDS = {
+  nik: { description: '16 digit ID number (NIK), must be exact' },
+  nama_lengkap: { description: 'Full name, exactly as printed' },
+  jenis_kelamin: { description: 'Gender', enum: GENDERS },
+  tempat_lahir: { description: 'Birth place' },
+  tanggal_lahir: { description: 'Birth date in DD-MM-YYYY format' },
+  agama: { description: 'Religion', enum: RELIGIONS },
+  pendidikan: { description: 'Education level' },
+  jenis_pekerjaan: { description: 'Occupation' },
+  status_perkawinan: { description: 'Marital status' },
+  tanggal_perkawinan: { description: 'Marriage date in DD-MM-YYYY format, empty string if not married or not available' },
+  status_hubungan_dalam_keluarga: { description: 'Family relationship', enum: FAMILY_RELATIONSHIPS },
+  kewarganegaraan: { description: 'Citizenship', enum: CITIZENSHIPS },
+  nama_ayah: { description: "Father's name, empty string if not available" },
+  nama_ibu: { description: "Mother's name, empty string if not available" }
+};
+
+/**
+ * Field header yang wajib ada di respons Gemini
+ * @constant {Array<string>}
+ */
+const REQUIRED_HEADER_FIELDS = ['nomor_kk', 'table'];
+
+/**
+ * Field anggota yang wajib ada di respons Gemini
+ * @constant {Array<string>}
+ */
+const REQUIRED_MEMBER_FIELDS = ['nik', 'nama_lengkap', 'jenis_kelamin', 'tanggal_lahir', 'status_hubungan_dalam_keluarga'];
+
+/**
+ * Property tempat Gemini melaporkan field yang tidak terbaca jelas
+ *
+ * Ada di header KK dan di setiap anggota, berisi nama field dari object
+ * yang sama. Dipakai GeminiOcrService.calculateFieldConfidence lalu dihapus
+ * dari parsedData.
+ *
+ * @constant {string}
+ */
+const UNCERTAIN_FIELDS = 'uncertain_fields';
+
+// ============================================================================
+// GEMINI RESPONSE SCHEMA
+// ============================================================================
+
+/**
+ * Ubah definisi field menjadi properties responseSchema
+ *
+ * @param {Object<string, Object>} fields - HEADER_FIELDS atau MEMBER_FIELDS
+ * @returns {Object} properties untuk SchemaType.OBJECT
+ */
+function toSchemaProperties(fields) {
+  const properties = {};
+
+  Object.entries(fields).forEach(([name, def]) => {
+    properties[name] = def.enum
+      ? { type: SchemaType.STRING, format: 'enum', enum: def.enum, description: def.description }
+      : { type: SchemaType.STRING, description: def.description };
+  });
+
+  return properties;
+}
+
+/**
+ * Schema daftar field yang tidak terbaca jelas
+ *
+ * @param {Object<string, Object>} fields - HEADER_FIELDS atau MEMBER_FIELDS
+ * @returns {Object} Schema SchemaType.ARRAY berisi enum nama field
+ */
+function toUncertainSchema(fields) {
+  return {
+    type: SchemaType.ARRAY,
+    description: 'Names of fields in this object whose printed value is blurred, covered, damaged or otherwise not clearly readable; empty array if every field is clear',
+    items: { type: SchemaType.STRING, format: 'enum', enum: Object.keys(fields) }
+  };
+}
+
+/**
+ * responseSchema untuk GenerativeModel.generationConfig
+ *
+ * Dengan responseMimeType 'application/json', Gemini mengembalikan JSON
+ * murni sesuai schema ini (tanpa markdown code block).
+ *
+ * @constant {Object}
+ */
+const RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    ...toSchemaProperties(HEADER_FIELDS),
+    [UNCERTAIN_FIELDS]: toUncertainSchema(HEADER_FIELDS),
+    table: {
+      type: SchemaType.ARRAY,
+      description: 'All family members listed in the table, in printed order',
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          ...toSchemaProperties(MEMBER_FIELDS),
+          [UNCERTAIN_FIELDS]: toUncertainSchema(MEMBER_FIELDS)
+        },
+        required: REQUIRED_MEMBER_FIELDS
+      }
+    }
+  },
+  required: REQUIRED_HEADER_FIELDS
+};
+
+/**
+ * responseSchema untuk pembacaan ulang field yang tidak valid (repair pass)
+ *
+ * target berisi ID yang disebut di prompt repair (contoh: 'anggota3.nik'),
+ * sehingga jawaban bisa dipetakan kembali ke field asalnya.
+ *
+ * @constant {Object}
+ */
+const REPAIR_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    fields: {
+      type: SchemaType.ARRAY,
+      description: 'One entry per requested target',
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          target: { type: SchemaType.STRING, description: 'Target ID exactly as listed in the request' },
+          value: { type: SchemaType.STRING, description: 'Value exactly as printed, empty string if not readable' }
+        },
+        required: ['target', 'value']
+      }
+    }
+  },
+  required: ['fields']
+};
+
+module.exports = {
+  GENDERS,
+  RELIGIONS,
+  FAMILY_RELATIONSHIPS,
+  CITIZENSHIPS,
+  PATTERNS,
+  HEADER_FIELDS,
+  MEMBER_FIELDS,
+  REQUIRED_HEADER_FIELDS,
+  REQUIRED_MEMBER_FIELDS,
+  UNCERTAIN_FIELDS,
+  RESPONSE_SCHEMA,
+  REPAIR_SCHEMA
+};
+
+/**
+ * ============================================================================
+ * DEVELOPER NOTES
+ * ============================================================================
+ *
+ * MENAMBAH FIELD:
+ * ---------------
+ * 1. Tambahkan ke HEADER_FIELDS atau MEMBER_FIELDS (beserta description)
+ * 2. Jika wajib, tambahkan ke REQUIRED_*_FIELDS
+ * 3. Tambahkan aturan normalisasi di GeminiOcrService.normalizeField
+ * 4. Field otomatis masuk enum uncertain_fields dan confidence per-field
+ *
+ * MENGUBAH ENUM:
+ * --------------
+ * - Nilai enum harus bisa dicocokkan ke tabel referensi SmartGov
+ *   (lihat ReferenceService.get*Id)
+ * - Gemini hanya akan mengembalikan nilai dari daftar enum; nilai di KK
+ *   yang tidak ada di daftar dipaksa ke nilai terdekat
+ *
+ * RELATED FILES:
+ * --------------
+ * - src/services/GeminiOcrProvider.js: Pemakai responseSchema
+ * - src/services/ValidationService.js: Validasi enum dan format
+ * - src/services/ReferenceService.js: Mapping nama ke ID referensi
+ *
+ * ============================================================================
+ */
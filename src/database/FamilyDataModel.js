@@ -229,6 +229,8 @@ class FamilyDataModel {
    * @param {number} [familyData.total_members=0] - Total anggota
    * @param {number} [familyData.active_members=0] - Anggota aktif
    * @param {string} [familyData.status='active'] - Status KK
+   * @param {mysql.PoolConnection} [connection] - Koneksi transaksi dari
+   *   db.executeTransaction (optional, default pakai pool)
    *
    * @returns {Promise<Object>} Data KK yang baru dibuat
    * @returns {number} return.id - ID auto-generated dari database
@@ -257,7 +259,7 @@ class FamilyDataModel {
    *   status: 'active'
    * });
    */
-  static async create(familyData) {
+  static async create(familyData, connection = null) {
     try {
       // SQL INSERT statement
       // Semua field di-list explicitly untuk clarity dan security
@@ -299,8 +301,10 @@ class FamilyDataModel {
         familyData.status || 'active'                     // Default 'active'
       ];
 
-      // Execute INSERT query
-      const result = await db.query(sql, params);
+      // Execute INSERT query (dalam transaksi jika connection diberikan)
+      const result = connection
+        ? await db.queryInTransaction(connection, sql, params)
+        : await db.query(sql, params);
 
       // Log successful operation untuk audit trail
       logger.info(`Family created: ${familyData.family_card_number}`);
@@ -656,6 +660,8 @@ class FamilyDataModel {
    * @async
    * @static
    * @param {string} familyCardNumber - Nomor KK yang akan diupdate
+   * @param {mysql.PoolConnection} [connection] - Koneksi transaksi dari
+   *   db.executeTransaction (optional, default pakai pool)
    *
    * @returns {Promise<boolean>} true jika update berhasil
    *
@@ -676,7 +682,7 @@ class FamilyDataModel {
    * await ResidentModel.update(nik, { is_active: 0 });
    * await FamilyDataModel.updateMemberCounts(familyCardNumber);
    */
-  static async updateMemberCounts(familyCardNumber) {
+  static async updateMemberCounts(familyCardNumber, connection = null) {
     try {
       // SQL UPDATE dengan subqueries untuk counting
       // Subquery 1: COUNT semua residents
@@ -699,7 +705,13 @@ class FamilyDataModel {
       // Param 1: untuk COUNT total
       // Param 2: untuk COUNT active
       // Param 3: untuk WHERE clause
-      await db.query(sql, [familyCardNumber, familyCardNumber, familyCardNumber]);
+      // Dijalankan dalam transaksi jika connection diberikan
+      const params = [familyCardNumber, familyCardNumber, familyCardNumber];
+      if (connection) {
+        await db.queryInTransaction(connection, sql, params);
+      } else {
+        await db.query(sql, params);
+      }
 
       // Log operation untuk tracking
       logger.info(`Member counts updated for family: ${familyCardNumber}`);
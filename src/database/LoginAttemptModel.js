@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * LOGIN ATTEMPT MODEL - PERCOBAAN LOGIN GAGAL
+ * ============================================================================
+ *
+ * File: LoginAttemptModel.js
+ *
+ * Deskripsi:
+ * Model database untuk penghitung percobaan login gagal. Satu baris = satu
+ * subjek yang dibatasi: chat ID Telegram (scope 'chat') atau username
+ * (scope 'username'). Disimpan di database agar batasan tetap berlaku
+ * setelah bot restart atau deploy ulang.
+ *
+ * Fitur Utama:
+ * - Baca dan simpan (upsert) penghitung per subjek
+ * - Hapus penghitung setelah login berhasil
+ * - Bersihkan baris lama yang sudah tidak membatasi
+ *
+ * Database Schema (dibuat oleh migrasi database/migrations/001_bot_tables.sql):
+ * CREATE TABLE login_attempts (
+ *   scope VARCHAR(10) NOT NULL,            -- 'chat' atau 'username'
+ *   subject VARCHAR(100) NOT NULL,         -- chat ID atau username (lowercase)
+ *   failures INT UNSIGNED NOT NULL,
+ *   last_failure_at DATETIME NOT NULL,
+ *   blocked_until DATETIME NULL,           -- backoff: login ditolak sampai
+ *   locked_until DATETIME NULL,            -- akun dikunci sampai
+ *   PRIMARY KEY (scope, subject)
+ * )
+ *
+ * Error Handling:
+ * - Semua errors di-log dengan logger utility
+ * - Errors di-throw ke caller untuk handling lebih lanjut
+ *
+ * Related Files:
+ * - src/services/LoginGuardService.js (aturan backoff dan penguncian)
+ *
+ * ============================================================================
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Class LoginAttemptModel
+ *
+ * Static class untuk penghitung percobaan login gagal.
+ *
+ * @class LoginAttemptModel
+ */
+class LoginAttemptModel {
+  /**
+   * Mengambil penghitung satu subjek
+   *
+   * @async
+   * @param {string} scope - 'chat' atau 'username'
+   * @param {string} subject - Chat ID atau username (lowercase)
+   * @returns {Promise<Object|null>} Row login_attempts atau null
+   * @throws {Error} Database error
+   */
+  static async find(scope, subject) {
+    try {
+      const rows = await db.query(
+        'SELECT * FROM login_attempts WHERE scope = ? AND subject = ? LIMIT 1',
+        [scope, subject]
+      );
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding login attempts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Menyimpan penghitung satu subjek (insert atau replace)
+   *
+   * @async
+   * @param {string} scope - 'chat' atau 'username'
+   * @param {string} subject - Chat ID atau username (lowercase)
+   * @param {Object} attempt - Data penghitung
+   * @param {number} attempt.failures - Jumlah gagal berturut-turut
+   * @param {Date} attempt.lastFailureAt - Waktu gagal terakhir
+   * @param {Date|null} attempt.blockedUntil - Akhir backoff
+   * @param {Date|null} attempt.lockedUntil - Akhir penguncian akun
+   * @returns {Promise<void>}
+   * @throws {Error} Database error
+   */
+  static async save(scope, subject, attempt) {
+    try {
+      await db.query(
+        `INSERT INTO login_attempts (scope, subject, failures, last_failure_at, blocked_until, locked_until)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           failures = VALUES(failures),
+           last_failure_at = VALUES(last_failure_at),
+           blocked_until = VALUES(blocked_until),
+           locked_until = VALUES(locked_until)`,
+        [scope, subject, attempt.failures, attempt.lastFailureAt, attempt.blockedUntil, attempt.lockedUntil]
+      );
+    } catch (error) {
+      logger.error('Error saving login attempts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Menghapus penghitung satu subjek
+   *
+   * @async
+   * @param {string} scope - 'chat' atau 'username'
+   * @param {string} subject - Chat ID atau username (lowercase)
+   * @returns {Promise<void>}
+   * @throws {Error} Database error
+   */
+  static async clear(scope, subject) {
+    try {
+      await db.query('DELETE FROM login_attempts WHERE scope = ? AND subject = ?', [scope, subject]);
+    } catch (error) {
+      logger.error('Error clearing login attempts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Menghapus penghitung yang sudah tidak membatasi
+   *
+   * Baris dihapus jika gagal terakhir sebelum `before` dan akun tidak
+   * sedang dikunci.
+   *
+   * @async
+   * @param {Date} before - Batas waktu gagal terakhir
+   * @param {Date} now - Waktu sekarang (pembanding locked_until)
+   * @returns {Promise<number>} Jumlah baris yang dihapus
+   * @throws {Error} Database error
+   */
+  static async removeStale(before, now) {
+    try {
+      const result = await db.query(
+        `DELETE FROM login_attempts
+         WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until <= ?)`,
+        [before, now]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Error removing stale login attempts:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LoginAttemptModel;
@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ * RESIDENT CHANGE LOG MODEL - AUDIT PERUBAHAN DATA PENDUDUK
+ * ============================================================================
+ *
+ * File: ResidentChangeLogModel.js
+ *
+ * Deskripsi:
+ * Model database untuk mencatat setiap perubahan field data penduduk yang
+ * dilakukan melalui bot (contoh: KK di-scan ulang dengan pekerjaan baru atau
+ * nama yang dikoreksi). Satu baris = satu field yang berubah.
+ *
+ * Fitur Utama:
+ * - Pencatatan perubahan per-field (nilai lama dan nilai baru)
+ * - Informasi user yang menyetujui perubahan
+ * - Riwayat perubahan per NIK
+ *
+ * Database Schema (dibuat oleh migrasi database/migrations/001_bot_tables.sql):
+ * CREATE TABLE resident_change_logs (
+ *   id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+ *   nik VARCHAR(16) NOT NULL,
+ *   family_card_number VARCHAR(16) NULL,
+ *   field VARCHAR(64) NOT NULL,
+ *   old_value TEXT NULL,
+ *   new_value TEXT NULL,
+ *   changed_by BIGINT UNSIGNED NULL,
+ *   source VARCHAR(32) NOT NULL DEFAULT 'ocr',
+ *   note VARCHAR(255) NULL,
+ *   created_at DATETIME NOT NULL,
+ *   INDEX idx_resident_change_logs_nik (nik)
+ * )
+ *
+ * Error Handling:
+ * - Semua errors di-log dengan logger utility
+ * - Errors di-throw ke caller untuk handling lebih lanjut
+ *
+ * Related Files:
+ * - src/database/ResidentModel.js (data penduduk)
+ * - src/services/AutoCreateService.js (sumber perubahan dari OCR)
+ *
+ * ============================================================================
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Class ResidentChangeLogModel
+ *
+ * Static class untuk audit trail perubahan data penduduk.
+ *
+ * @class ResidentChangeLogModel
+ */
+class ResidentChangeLogModel {
+  /**
+   * Mencatat satu atau lebih perubahan field
+   *
+   * @async
+   * @param {Array<Object>} changes - Daftar perubahan
+   * @param {string} changes[].nik - NIK penduduk
+   * @param {string} [changes[].family_card_number] - Nomor KK saat perubahan
+   * @param {string} changes[].field - Nama kolom residents yang berubah
+   * @param {*} changes[].old_value - Nilai lama
+   * @param {*} changes[].new_value - Nilai baru
+   * @param {number} [changes[].changed_by] - ID user yang menyetujui
+   * @param {string} [changes[].source] - Sumber perubahan (default 'ocr')
+   * @param {string} [changes[].note] - Keterangan (contoh: alasan nonaktif)
+   * @param {mysql.PoolConnection} [connection] - Koneksi transaksi (optional).
+   *
+   * @returns {Promise<number>} Jumlah baris yang dicatat
+   *
+   * @throws {Error} Database error
+   *
+   * @example
+   * await ResidentChangeLogModel.create([
+   *   { nik: '3301...', field: 'occupation_id', old_value: 5, new_value: 4, changed_by: 1 }
+   * ]);
+   */
+  static async create(changes, connection = null) {
+    if (!changes || changes.length === 0) {
+      return 0;
+    }
+
+    try {
+      // Satu INSERT multi-row untuk semua perubahan
+      const placeholders = changes.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, NOW())').join(', ');
+      const sql = `
+        INSERT INTO resident_change_logs (
+          nik, family_card_number, field, old_value, new_value, changed_by, source, note, created_at
+        ) VALUES ${placeholders}
+      `;
+
+      const params = [];
+      changes.forEach(change => {
+        params.push(
+          change.nik,
+          change.family_card_number || null, // Optional
+          change.field,
+          change.old_value === null || change.old_value === undefined ? null : String(change.old_value),
+          change.new_value === null || change.new_value === undefined ? null : String(change.new_value),
+          change.changed_by || null, // Optional
+          change.source || 'ocr',
+          change.note || null // Optional
+        );
+      });
+
+      if (connection) {
+        await db.queryInTransaction(connection, sql, params);
+      } else {
+        await db.query(sql, params);
+      }
+
+      logger.info(`Recorded ${changes.length} resident field changes`);
+      return changes.length;
+    } catch (error) {
+      logger.error('Error recording resident changes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mengambil riwayat perubahan untuk satu NIK
+   *
+   * @async
+   * @param {string} nik - NIK penduduk
+   * @param {number} [limit=50] - Jumlah maksimal baris
+   * @returns {Promise<Array>} Riwayat perubahan terbaru di urutan pertama
+   * @throws {Error} Database error
+   */
+  static async findByNIK(nik, limit = 50) {
+    try {
+      const sql = `
+        SELECT * FROM resident_change_logs
+        WHERE nik = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${parseInt(limit) || 50}
+      `;
+
+      return await db.query(sql, [nik]);
+    } catch (error) {
+      logger.error('Error finding resident changes:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ResidentChangeLogModel;
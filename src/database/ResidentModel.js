@@ -582,6 +582,8 @@ class ResidentModel {
    * @param {string} [residentData.hamlet_code] - Kode dusun (optional)
    * @param {string} [residentData.community_unit_code] - Kode RW (optional)
    * @param {string} [residentData.citizen_association_code] - Kode RT (optional)
+   * @param {mysql.PoolConnection} [connection] - Koneksi transaksi dari
+   *   db.executeTransaction (optional, default pakai pool)
    *
    * @returns {Promise<boolean>} true jika update berhasil
    *
@@ -626,7 +628,7 @@ class ResidentModel {
    * @see ResidentModel.findByNIK - Check existence sebelum update
    * @see ResidentModel.create - Create resident baru
    */
-  static async update(nik, residentData) {
+  static async update(nik, residentData, connection = null) {
     try {
       // SQL UPDATE statement untuk semua editable columns
       // NIK tidak di-update (digunakan di WHERE)
@@ -697,8 +699,12 @@ class ResidentModel {
         nik // WHERE clause parameter
       ];
 
-      // Execute UPDATE query
-      await db.query(sql, params);
+      // Execute UPDATE query (dalam transaksi jika connection diberikan)
+      if (connection) {
+        await db.queryInTransaction(connection, sql, params);
+      } else {
+        await db.query(sql, params);
+      }
 
       // Log successful update untuk audit trail
       logger.info(`Resident updated: NIK ${nik}`);
@@ -712,6 +718,62 @@ class ResidentModel {
     }
   }
 
+  /**
+   * Mengubah status aktif penduduk (Soft Delete / Restore)
+   *
+   * Method ini hanya meng-update kolom is_active, record tetap ada di database.
+   * Dipakai saat penduduk tidak lagi tercantum di KK (pindah, meninggal,
+   * pecah KK) sehingga riwayat datanya tetap tersimpan.
+   *
+   * Flow:
+   * 1. Execute UPDATE residents SET is_active = ? WHERE nik = ?
+   * 2. Log perubahan status untuk audit trail
+   * 3. Return true jika ada row yang ter-update
+   *
+   * PENTING:
+   * - Method ini TIDAK meng-update family_data.active_members
+   * - Caller harus memanggil FamilyDataModel.updateMemberCounts setelahnya
+   *
+   * @async
+   * @param {string} nik - NIK penduduk
+   * @param {boolean} isActive - true untuk aktif, false untuk nonaktif
+   * @param {mysql.PoolConnection} [connection] - Koneksi transaksi (optional)
+   *
+   * @returns {Promise<boolean>} true jika NIK ditemukan dan status di-update
+   *
+   * @throws {Error} Database connection error
+   *
+   * @example
+   * // Nonaktifkan penduduk yang meninggal
+   * await ResidentModel.setActive(nik, false);
+   * await FamilyDataModel.updateMemberCounts(familyCardNumber);
+   *
+   * @see FamilyDataModel.updateMemberCounts - Sinkronisasi jumlah anggota aktif
+   */
+  static async setActive(nik, isActive, connection = null) {
+    try {
+      const sql = `
+        UPDATE residents
+        SET is_active = ?, updated_at = NOW()
+        WHERE nik = ?
+      `;
+
+      const params = [isActive ? 1 : 0, nik];
+      const result = connection
+        ? await db.queryInTransaction(connection, sql, params)
+        : await db.query(sql, params);
+
+      // Log perubahan status untuk audit trail
+      logger.info(`Resident ${isActive ? 'activated' : 'deactivated'}: NIK ${nik}`);
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      // Log error dengan detail
+      logger.error('Error updating resident active status:', error);
+      throw error; // Re-throw untuk caller handling
+    }
+  }
+
   /**
    * Menghapus data penduduk berdasarkan NIK (Hard Delete)
    *
@@ -1194,13 +1256,28 @@ class ResidentModel {
     }
   }
 
-  
-  static async bulkCreate(residentsData) {
-    const connection = await db.getConnection();
+  /**
+   * Insert banyak penduduk sekaligus dalam satu transaksi
+   *
+   * Jika connection diberikan (dari db.executeTransaction), insert dijalankan
+   * di transaksi milik caller tanpa commit/rollback di sini, sehingga bisa
+   * digabung dengan operasi lain (contoh: insert family_data di AutoCreateService).
+   * Tanpa connection, method ini membuka transaksi sendiri.
+   *
+   * @async
+   * @param {Array<Object>} residentsData - Daftar data penduduk (format sama dengan create)
+   * @param {mysql.PoolConnection} [connection] - Koneksi transaksi (optional)
+   *
+   * @returns {Promise<Array>} [{ id, nik }] untuk setiap penduduk yang di-insert
+   *
+   * @throws {Error} Database error (semua insert di-rollback)
+   */
+  static async bulkCreate(residentsData, connection = null) {
+    if (!connection) {
+      return db.executeTransaction(conn => this.bulkCreate(residentsData, conn));
+    }
 
     try {
-      await connection.beginTransaction();
-
       const results = [];
 
       for (const resident of residentsData) {
@@ -1270,21 +1347,16 @@ class ResidentModel {
           resident.is_active !== undefined ? resident.is_active : 1
         ];
 
-        const [result] = await connection.execute(sql, params);
+        const result = await db.queryInTransaction(connection, sql, params);
         results.push({ id: result.insertId, nik: resident.nik });
       }
 
-      await connection.commit();
-
       logger.info(`Bulk created ${results.length} residents`);
 
       return results;
     } catch (error) {
-      await connection.rollback();
       logger.error('Error in bulk create residents:', error);
       throw error;
-    } finally {
-      connection.release();
     }
   }
 }
@@ -0,0 +1,210 @@
+/**
+ * ============================================================================
+ * SECOND FACTOR MODEL - FAKTOR KEDUA LOGIN
+ * ============================================================================
+ *
+ * File: SecondFactorModel.js
+ *
+ * Deskripsi:
+ * Model database untuk faktor kedua login user bot. Satu user paling
+ * banyak punya satu faktor kedua:
+ * - totp: kode 6 digit dari aplikasi authenticator (secret base32)
+ * - telegram: login hanya diterima dari ID user Telegram yang terdaftar
+ * User tanpa baris di tabel ini login hanya dengan password. Faktor totp
+ * baru berlaku setelah user mengonfirmasi satu kode (confirmed_at terisi),
+ * sehingga secret yang salah dimasukkan tidak mengunci user.
+ *
+ * Fitur Utama:
+ * - Daftar / ganti faktor kedua user (oleh admin)
+ * - Reset (hapus) faktor kedua
+ * - Konfirmasi faktor totp dengan kode pertama dari user
+ * - Pencatatan time step TOTP terakhir agar kode tidak bisa dipakai ulang
+ *
+ * Database Schema (dibuat oleh migrasi database/migrations/001_bot_tables.sql):
+ * CREATE TABLE user_second_factors (
+ *   user_id BIGINT UNSIGNED NOT NULL PRIMARY KEY,
+ *   method VARCHAR(10) NOT NULL,           -- 'totp' atau 'telegram'
+ *   totp_secret VARCHAR(64) NULL,          -- secret base32 (method totp)
+ *   telegram_user_id BIGINT NULL,          -- ID user Telegram (method telegram)
+ *   last_totp_step BIGINT NULL,            -- time step kode terakhir yang diterima
+ *   enrolled_by BIGINT UNSIGNED NULL,
+ *   created_at DATETIME NOT NULL,
+ *   confirmed_at DATETIME NULL             -- NULL = totp belum dikonfirmasi (belum berlaku)
+ * )
+ *
+ * Error Handling:
+ * - Semua errors di-log dengan logger utility
+ * - Errors di-throw ke caller untuk handling lebih lanjut
+ *
+ * Related Files:
+ * - src/services/AuthService.js (pemeriksaan faktor kedua saat login)
+ * - src/bot/commands/dua_faktor.js (pengelolaan oleh admin)
+ * - src/bot/commands/aktifkan_dua_faktor.js (konfirmasi oleh user)
+ *
+ * ============================================================================
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Class SecondFactorModel
+ *
+ * Static class untuk faktor kedua login.
+ *
+ * @class SecondFactorModel
+ */
+class SecondFactorModel {
+  /**
+   * Mengambil faktor kedua satu user
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @returns {Promise<Object|null>} Row user_second_factors atau null
+   * @throws {Error} Database error
+   */
+  static async findByUser(userId) {
+    try {
+      const rows = await db.query(
+        'SELECT * FROM user_second_factors WHERE user_id = ? LIMIT 1',
+        [userId]
+      );
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      logger.error('Error finding second factor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cek apakah faktor kedua sudah berlaku saat login
+   *
+   * @static
+   * @param {Object|null} factor - Row user_second_factors
+   * @returns {boolean} true jika faktor ada dan sudah dikonfirmasi
+   */
+  static isActive(factor) {
+    return !!factor && !!factor.confirmed_at;
+  }
+
+  /**
+   * Mendaftarkan faktor kedua user
+   *
+   * Faktor kedua yang sudah ada diganti. Faktor telegram langsung berlaku;
+   * faktor totp menunggu konfirmasi user (confirm()).
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @param {Object} factor - Faktor kedua
+   * @param {string} factor.method - 'totp' atau 'telegram'
+   * @param {string} [factor.totpSecret] - Secret base32 (method totp)
+   * @param {number} [factor.telegramUserId] - ID user Telegram (method telegram)
+   * @param {number} [enrolledBy] - ID admin yang mendaftarkan
+   * @returns {Promise<void>}
+   * @throws {Error} Database error
+   */
+  static async enroll(userId, factor, enrolledBy = null) {
+    try {
+      await db.query(
+        `REPLACE INTO user_second_factors
+           (user_id, method, totp_secret, telegram_user_id, last_totp_step, enrolled_by, created_at, confirmed_at)
+         VALUES (?, ?, ?, ?, NULL, ?, NOW(), ?)`,
+        [
+          userId,
+          factor.method,
+          factor.totpSecret || null,
+          factor.telegramUserId || null,
+          enrolledBy,
+          factor.method === 'totp' ? null : new Date()
+        ]
+      );
+
+      logger.info(`Second factor ${factor.method} enrolled for user ${userId} by ${enrolledBy}`);
+    } catch (error) {
+      logger.error('Error enrolling second factor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mengonfirmasi faktor totp dengan kode pertama dari user
+   *
+   * Time step kode ikut dicatat sehingga kode konfirmasi tidak bisa dipakai
+   * lagi untuk login.
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @param {number} step - Time step kode yang diterima
+   * @returns {Promise<boolean>} false jika faktor sudah dikonfirmasi atau kode sudah dipakai
+   * @throws {Error} Database error
+   */
+  static async confirm(userId, step) {
+    try {
+      const result = await db.query(
+        `UPDATE user_second_factors SET confirmed_at = NOW(), last_totp_step = ?
+         WHERE user_id = ? AND method = 'totp' AND confirmed_at IS NULL
+           AND (last_totp_step IS NULL OR last_totp_step < ?)`,
+        [step, userId, step]
+      );
+
+      if (result.affectedRows > 0) {
+        logger.info(`Second factor totp confirmed by user ${userId}`);
+      }
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error confirming second factor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Menghapus faktor kedua user (reset)
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @returns {Promise<boolean>} true jika ada faktor kedua yang dihapus
+   * @throws {Error} Database error
+   */
+  static async remove(userId) {
+    try {
+      const result = await db.query('DELETE FROM user_second_factors WHERE user_id = ?', [userId]);
+
+      logger.info(`Second factor removed for user ${userId}`);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error removing second factor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mencatat time step TOTP yang diterima
+   *
+   * Update hanya berhasil jika step lebih baru dari step terakhir, sehingga
+   * satu kode tidak bisa dipakai dua kali (termasuk dari dua chat sekaligus).
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @param {number} step - Time step kode yang diterima
+   * @returns {Promise<boolean>} false jika kode untuk step ini sudah dipakai
+   * @throws {Error} Database error
+   */
+  static async markTotpStep(userId, step) {
+    try {
+      const result = await db.query(
+        `UPDATE user_second_factors SET last_totp_step = ?
+         WHERE user_id = ? AND (last_totp_step IS NULL OR last_totp_step < ?)`,
+        [step, userId, step]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error marking TOTP step:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SecondFactorModel;
@@ -430,6 +430,8 @@ class UserModel {
    *   - canEditKK: true
    *   - canDeleteKK: true (ONLY admin)
    *   - canViewReports: true
+   *   - canAccessAllRegions: true (ONLY admin, tanpa batas wilayah kerja)
+   *   - canManageUsers: true (ONLY admin, contoh: /akses-wilayah)
    *
    * Operator:
    *   - canCreateKK: true
@@ -445,7 +447,7 @@ class UserModel {
    *
    * PERMISSION LOGIC:
    * - Create/Edit: Array includes check ['admin', 'operator']
-   * - Delete: Strict equality check (hanya admin)
+   * - Delete, all regions, manage users: Strict equality check (hanya admin)
    * - View: Always true (semua role bisa view)
    *
    * USE CASES:
@@ -519,7 +521,16 @@ class UserModel {
         // VIEW PERMISSION
         // Semua user type bisa view reports
         // Hardcoded true karena ini basic permission
-        canViewReports: true
+        canViewReports: true,
+
+        // REGION PERMISSION (RESTRICTED)
+        // Admin tidak dibatasi wilayah kerja (user_regions);
+        // role lain hanya boleh menangani wilayah yang ditugaskan
+        canAccessAllRegions: user.user_type_id === 'admin',
+
+        // USER MANAGEMENT PERMISSION (RESTRICTED)
+        // HANYA admin yang bisa mengatur akses user lain
+        canManageUsers: user.user_type_id === 'admin'
       };
     } catch (error) {
       // Log error dan throw untuk handling di level atas
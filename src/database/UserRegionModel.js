@@ -0,0 +1,126 @@
+/**
+ * ============================================================================
+ * USER REGION MODEL - WILAYAH KERJA USER
+ * ============================================================================
+ *
+ * File: UserRegionModel.js
+ *
+ * Deskripsi:
+ * Model database untuk penugasan wilayah kerja user bot. Satu baris = satu
+ * wilayah yang boleh ditangani user: kode desa/kelurahan (10 digit) untuk
+ * operator desa, atau kode kecamatan (6 digit) untuk supervisor yang
+ * membawahi semua desa di kecamatan tersebut. Satu user boleh punya
+ * beberapa wilayah.
+ *
+ * Fitur Utama:
+ * - Daftar wilayah kerja per user
+ * - Tambah / hapus penugasan wilayah (dengan pencatatan admin pemberi)
+ *
+ * Database Schema (dibuat oleh migrasi database/migrations/001_bot_tables.sql):
+ * CREATE TABLE user_regions (
+ *   id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+ *   user_id BIGINT UNSIGNED NOT NULL,
+ *   region_code VARCHAR(10) NOT NULL,      -- hanya digit, tanpa titik
+ *   assigned_by BIGINT UNSIGNED NULL,
+ *   created_at DATETIME NOT NULL,
+ *   UNIQUE KEY uq_user_regions (user_id, region_code)
+ * )
+ *
+ * Error Handling:
+ * - Semua errors di-log dengan logger utility
+ * - Errors di-throw ke caller untuk handling lebih lanjut
+ *
+ * Related Files:
+ * - src/services/JurisdictionService.js (pemeriksaan wilayah kerja)
+ * - src/bot/commands/akses_wilayah.js (pengelolaan oleh admin)
+ *
+ * ============================================================================
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Class UserRegionModel
+ *
+ * Static class untuk penugasan wilayah kerja user.
+ *
+ * @class UserRegionModel
+ */
+class UserRegionModel {
+  /**
+   * Mengambil kode wilayah kerja satu user
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @returns {Promise<Array<string>>} Kode wilayah (digit saja), urut kode
+   * @throws {Error} Database error
+   */
+  static async findByUser(userId) {
+    try {
+      const rows = await db.query(
+        'SELECT region_code FROM user_regions WHERE user_id = ? ORDER BY region_code',
+        [userId]
+      );
+
+      return rows.map(row => row.region_code);
+    } catch (error) {
+      logger.error('Error finding user regions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Menambahkan wilayah kerja user
+   *
+   * Penugasan yang sudah ada diabaikan (tidak error).
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @param {string} regionCode - Kode kecamatan (6 digit) atau desa (10 digit)
+   * @param {number} [assignedBy] - ID admin yang menugaskan
+   * @returns {Promise<boolean>} true jika penugasan baru ditambahkan
+   * @throws {Error} Database error
+   */
+  static async assign(userId, regionCode, assignedBy = null) {
+    try {
+      const result = await db.query(
+        `INSERT IGNORE INTO user_regions (user_id, region_code, assigned_by, created_at)
+         VALUES (?, ?, ?, NOW())`,
+        [userId, regionCode, assignedBy]
+      );
+
+      logger.info(`Region ${regionCode} assigned to user ${userId} by ${assignedBy}`);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error assigning user region:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Menghapus wilayah kerja user
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @param {string} regionCode - Kode wilayah (digit saja)
+   * @returns {Promise<boolean>} true jika ada penugasan yang dihapus
+   * @throws {Error} Database error
+   */
+  static async revoke(userId, regionCode) {
+    try {
+      const result = await db.query(
+        'DELETE FROM user_regions WHERE user_id = ? AND region_code = ?',
+        [userId, regionCode]
+      );
+
+      logger.info(`Region ${regionCode} revoked from user ${userId}`);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Error revoking user region:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserRegionModel;
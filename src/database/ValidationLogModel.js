@@ -0,0 +1,140 @@
+/**
+ * ============================================================================
+ * VALIDATION LOG MODEL - STATUS VALIDASI KK YANG DISIMPAN
+ * ============================================================================
+ *
+ * File: ValidationLogModel.js
+ *
+ * Deskripsi:
+ * Model database untuk mencatat hasil ValidationService.validateDocument
+ * setiap kali data KK dari OCR disimpan. Satu baris = satu penyimpanan,
+ * berisi status validasi (valid / warning / confirmed) beserta seluruh
+ * error dan peringatan, sehingga KK yang disimpan dengan kesalahan yang
+ * dikonfirmasi operator bisa ditelusuri kembali.
+ *
+ * Fitur Utama:
+ * - Pencatatan status validasi dan issues (JSON) per penyimpanan
+ * - Informasi user yang menyimpan
+ * - Riwayat validasi per nomor KK
+ *
+ * Database Schema (dibuat oleh migrasi database/migrations/001_bot_tables.sql):
+ * CREATE TABLE ocr_validation_logs (
+ *   id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+ *   family_card_number VARCHAR(16) NOT NULL,
+ *   status VARCHAR(16) NOT NULL,
+ *   error_count INT UNSIGNED NOT NULL DEFAULT 0,
+ *   warning_count INT UNSIGNED NOT NULL DEFAULT 0,
+ *   issues TEXT NULL,
+ *   validated_by BIGINT UNSIGNED NULL,
+ *   created_at DATETIME NOT NULL,
+ *   INDEX idx_ocr_validation_logs_kk (family_card_number)
+ * )
+ *
+ * Error Handling:
+ * - Semua errors di-log dengan logger utility
+ * - Errors di-throw ke caller untuk handling lebih lanjut
+ *
+ * Related Files:
+ * - src/services/ValidationService.js (sumber status dan issues)
+ * - src/services/AutoCreateService.js (mencatat saat menyimpan KK)
+ *
+ * ============================================================================
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Class ValidationLogModel
+ *
+ * Static class untuk riwayat status validasi KK.
+ *
+ * @class ValidationLogModel
+ */
+class ValidationLogModel {
+  /**
+   * Mencatat hasil validasi satu penyimpanan KK
+   *
+   * @async
+   * @param {Object} entry - Data log
+   * @param {string} entry.family_card_number - Nomor KK
+   * @param {string} entry.status - Status validasi (ValidationService.STATUS)
+   * @param {Array<Object>} entry.issues - validateDocument().issues
+   * @param {number} [entry.validated_by] - ID user yang menyimpan
+   * @param {mysql.PoolConnection} [connection] - Koneksi transaksi (optional).
+   *
+   * @returns {Promise<void>}
+   *
+   * @throws {Error} Database error
+   *
+   * @example
+   * await ValidationLogModel.create({
+   *   family_card_number: '3301...',
+   *   status: 'warning',
+   *   issues: validation.issues,
+   *   validated_by: 1
+   * });
+   */
+  static async create(entry, connection = null) {
+    try {
+      const issues = entry.issues || [];
+      const sql = `
+        INSERT INTO ocr_validation_logs (
+          family_card_number, status, error_count, warning_count, issues, validated_by, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, NOW())
+      `;
+
+      const params = [
+        entry.family_card_number,
+        entry.status,
+        issues.filter(issue => issue.severity === 'error').length,
+        issues.filter(issue => issue.severity === 'warning').length,
+        issues.length > 0 ? JSON.stringify(issues) : null,
+        entry.validated_by || null // Optional
+      ];
+
+      if (connection) {
+        await db.queryInTransaction(connection, sql, params);
+      } else {
+        await db.query(sql, params);
+      }
+
+      logger.info(`Recorded validation status ${entry.status} for KK ${entry.family_card_number}`);
+    } catch (error) {
+      logger.error('Error recording validation status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mengambil status validasi terakhir satu KK
+   *
+   * @async
+   * @param {string} familyCardNumber - Nomor KK
+   * @returns {Promise<Object|null>} Baris terbaru (issues sudah di-parse),
+   *   null jika KK belum pernah disimpan lewat bot
+   * @throws {Error} Database error
+   */
+  static async findLatest(familyCardNumber) {
+    try {
+      const rows = await db.query(
+        `SELECT * FROM ocr_validation_logs
+         WHERE family_card_number = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        [familyCardNumber]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return { ...rows[0], issues: rows[0].issues ? JSON.parse(rows[0].issues) : [] };
+    } catch (error) {
+      logger.error('Error finding validation status:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ValidationLogModel;
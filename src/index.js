@@ -86,6 +86,19 @@ const db = require('./config/database');
 const botService = require('./bot');
 const AuthService = require('./services/AuthService');
 
+/**
+ * Tabel tambahan bot yang dibuat oleh database/migrations/001_bot_tables.sql
+ * bot_sessions hanya wajib jika SESSION_STORE=mysql
+ * @constant {Array<string>}
+ */
+const MIGRATED_TABLES = [
+  'resident_change_logs',
+  'ocr_validation_logs',
+  'user_regions',
+  'login_attempts',
+  'user_second_factors'
+];
+
 // ============================================================================
 // APPLICATION BANNER
 // ============================================================================
@@ -129,6 +142,7 @@ const banner = `
  *    - Test database connection
  *    - Initialize connection pool
  *    - Validate database accessibility
+ *    - Pastikan tabel migrasi bot sudah ada (MIGRATED_TABLES)
  * 
  * 4. Bot Service Initialization
  *    - Initialize Telegram bot
@@ -199,6 +213,28 @@ async function startup() {
      */
     db.createPool();
 
+    /**
+     * Pastikan migrasi tabel tambahan bot sudah dijalankan
+     * Bot tidak membuat tabel sendiri saat runtime
+     */
+    const requiredTables = config.session.store === 'mysql'
+      ? [...MIGRATED_TABLES, 'bot_sessions']
+      : MIGRATED_TABLES;
+    const missingTables = await db.findMissingTables(requiredTables);
+
+    if (missingTables.length > 0) {
+      throw new Error(
+        `Missing database tables: ${missingTables.join(', ')}. ` +
+        'Run database/migrations/001_bot_tables.sql (see README, Migrasi Database)'
+      );
+    }
+
+    /**
+     * Load persisted login sessions
+     * Operator tetap login (beserta kode wilayah) setelah restart/deploy
+     */
+    await AuthService.loadSessions();
+
     // ========================================================================
     // STEP 3: BOT SERVICE INITIALIZATION
     // ========================================================================
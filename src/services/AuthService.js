@@ -5,11 +5,14 @@
  *
  * File: AuthService.js
  * Deskripsi: Service untuk mengelola autentikasi user dan session management
- *            menggunakan in-memory storage (Map) untuk Telegram bot
+ *            menggunakan Map di memory yang disimpan ke SessionStore
+ *            (MySQL atau file) agar session bertahan saat bot restart
  *
  * Fitur Utama:
  * - Login/Logout user dengan validasi credentials
  * - In-memory session management menggunakan JavaScript Map
+ * - Session persisten lewat SessionStore (tabel bot_sessions atau file JSON),
+ *   dimuat ulang saat startup (loadSessions)
  * - Session expiry otomatis setelah 24 jam inaktivitas
  * - Village code management untuk setiap user session
  * - Auto cleanup expired sessions setiap 1 jam
@@ -17,12 +20,19 @@
  * - Session statistics monitoring
  *
  * Teknologi:
- * - JavaScript Map untuk session storage (in-memory)
+ * - JavaScript Map untuk session storage (in-memory, dibaca sinkron)
+ * - SessionStore (MysqlSessionStore / FileSessionStore) untuk persistensi
  * - setInterval untuk periodic cleanup
  * - Async/await untuk database operations
  *
  * Keamanan:
  * - Password validation melalui UserModel
+ * - Brute-force protection: backoff per chat/username dan penguncian akun
+ *   (LoginGuardService, persisten di tabel login_attempts)
+ * - Faktor kedua opsional per user (SecondFactorModel): kode TOTP atau
+ *   ikatan ke ID user Telegram tertentu; TOTP berlaku setelah user
+ *   mengonfirmasi kode pertama (confirmSecondFactor)
+ * - Session user diakhiri saat faktor keduanya diubah (forgetUserSessions)
  * - Session expiry 24 jam
  * - Auto cleanup untuk mencegah memory leak
  * - Activity-based session refresh
@@ -30,16 +40,23 @@
  *
  * Dependencies:
  * - UserModel: Autentikasi dan data user dari database
+ * - LoginGuardService: Backoff dan penguncian akun untuk login gagal
+ * - SecondFactorModel, Totp: Faktor kedua login (TOTP / ID Telegram)
+ * - MysqlSessionStore / FileSessionStore: Penyimpanan session
  * - logger: Logging aktivitas dan error
  * - dateParser: (imported tapi tidak digunakan di file ini)
- * - config: (imported tapi tidak digunakan di file ini)
+ * - config: Pilihan session store (config.session.store, config.session.file)
  *
  * Author: Development Team
  * Created: 2024
  * Last Modified: 2025
  *
  * CATATAN PENTING:
- * - Sessions disimpan di memory, akan hilang jika aplikasi restart
+ * - Sessions disimpan di memory dan ditulis ke SessionStore setiap login,
+ *   logout, dan ganti kode wilayah; loadSessions() wajib dipanggil saat
+ *   startup agar operator tidak perlu login ulang setelah restart
+ * - lastActivity ditulis ke store paling sering sekali per
+ *   ACTIVITY_PERSIST_INTERVAL, bukan di setiap pesan
  * - Satu chat ID = satu session (user tidak bisa login dari multiple chats)
  * - Session timeout: 24 jam dari lastActivity (bukan loginAt)
  * - Cleanup berjalan setiap 1 jam untuk membersihkan expired sessions
@@ -49,10 +66,40 @@
  */
 
 const UserModel = require('../database/UserModel');
+const LoginGuardService = require('./LoginGuardService');
+const SecondFactorModel = require('../database/SecondFactorModel');
+const Totp = require('../utils/totp');
+const MysqlSessionStore = require('./MysqlSessionStore');
+const FileSessionStore = require('./FileSessionStore');
 const logger = require('../utils/logger');
 const dateParser = require('../utils/dateParser');
 const config = require('../config/env');
 
+/**
+ * Session timeout dihitung dari lastActivity (24 jam)
+ * @constant {number}
+ */
+const SESSION_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Jarak minimal penulisan lastActivity ke store (1 menit)
+ * Setelah restart, lastActivity paling lambat 1 menit lebih lama dari aslinya
+ * @constant {number}
+ */
+const ACTIVITY_PERSIST_INTERVAL = 60 * 1000;
+
+/**
+ * Batas waktu memasukkan kode TOTP setelah password benar (5 menit)
+ * @constant {number}
+ */
+const SECOND_FACTOR_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Jumlah kode TOTP salah sebelum user harus login ulang
+ * @constant {number}
+ */
+const MAX_SECOND_FACTOR_ATTEMPTS = 3;
+
 /**
  * AuthService Class
  *
@@ -71,6 +118,8 @@ const config = require('../config/env');
  *   lastActivity: Date        // Waktu aktivitas terakhir (untuk expiry check)
  * }
  *
+ * Di store, session disimpan bersama expiresAt (lastActivity + 24 jam).
+ *
  * @class AuthService
  */
 class AuthService {
@@ -81,8 +130,9 @@ class AuthService {
    *
    * Flow:
    * 1. Inisialisasi Map kosong untuk sessions
-   * 2. Setup interval timer untuk cleanup setiap 1 jam
-   * 3. Timer akan menjalankan cleanupExpiredSessions() secara periodik
+   * 2. Buat SessionStore sesuai config.session.store
+   * 3. Setup interval timer untuk cleanup setiap 1 jam
+   * 4. Timer akan menjalankan cleanupExpiredSessions() secara periodik
    *
    * CATATAN TEKNIS:
    * - Map dipilih karena performance O(1) untuk get/set/delete
@@ -98,6 +148,17 @@ class AuthService {
     // Value: session object - Data session user
     this.sessions = new Map();
 
+    // Waktu terakhir session ditulis ke store, per chatId
+    // Dipakai untuk membatasi penulisan lastActivity
+    this.persistedAt = new Map();
+
+    // Login yang menunggu kode TOTP, per chatId
+    // Value: { user, username, expiresAt, attempts } (tidak dipersist)
+    this.pendingSecondFactor = new Map();
+
+    // Penyimpanan session persisten (MySQL atau file)
+    this.store = this.createStore(config.session.store);
+
     // Setup auto cleanup untuk expired sessions
     // Berjalan setiap 1 jam (60 * 60 * 1000 ms)
     // Mencegah memory leak dari sessions yang tidak terpakai
@@ -106,6 +167,101 @@ class AuthService {
     }, 60 * 60 * 1000); // 3600000 ms = 1 jam
   }
 
+  /**
+   * Buat SessionStore berdasarkan nama
+   *
+   * @param {string} name - 'mysql' atau 'file'
+   * @returns {SessionStore} Instance store
+   * @throws {Error} Jika nama store tidak dikenal
+   */
+  createStore(name) {
+    switch (name) {
+      case 'mysql':
+        return new MysqlSessionStore();
+
+      case 'file':
+        return new FileSessionStore({ filePath: config.session.file });
+
+      default:
+        throw new Error(`Unknown session store: ${name} (expected 'mysql' or 'file')`);
+    }
+  }
+
+  /**
+   * Muat session yang tersimpan ke Map
+   *
+   * Dipanggil sekali saat startup (setelah pool database dibuat). Jika store
+   * gagal dibaca, bot tetap berjalan dengan session kosong (operator login
+   * ulang) dan error dicatat di log.
+   *
+   * @async
+   * @returns {Promise<number>} Jumlah session yang dimuat
+   */
+  async loadSessions() {
+    try {
+      const entries = await this.store.load();
+
+      for (const [chatId, session] of entries) {
+        const { expiresAt, ...data } = session;
+        this.sessions.set(chatId, data);
+        this.persistedAt.set(chatId, data.lastActivity.getTime());
+      }
+
+      logger.info(`Loaded ${entries.length} session(s) from ${this.store.name} session store`);
+      return entries.length;
+    } catch (error) {
+      logger.error(`Failed to load sessions from ${this.store.name} session store:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Tulis session satu chat ke store
+   *
+   * Error penulisan hanya dicatat di log; session di memory tetap berlaku
+   * sehingga operator tidak terganggu, hanya tidak bertahan saat restart.
+   *
+   * @async
+   * @param {number|string} chatId - Telegram chat ID
+   * @returns {Promise<void>}
+   */
+  async persistSession(chatId) {
+    const session = this.sessions.get(chatId);
+
+    if (!session) {
+      return;
+    }
+
+    this.persistedAt.set(chatId, session.lastActivity.getTime());
+
+    try {
+      await this.store.save(chatId, {
+        ...session,
+        expiresAt: new Date(session.lastActivity.getTime() + SESSION_MAX_AGE)
+      });
+    } catch (error) {
+      logger.error(`Failed to persist session for chat ${chatId}:`, error);
+    }
+  }
+
+  /**
+   * Hapus session satu chat dari Map dan store
+   *
+   * @async
+   * @param {number|string} chatId - Telegram chat ID
+   * @returns {Promise<void>}
+   */
+  async forgetSession(chatId) {
+    this.sessions.delete(chatId);
+    this.persistedAt.delete(chatId);
+
+    try {
+      await this.store.remove(chatId);
+    } catch (error) {
+      logger.error(`Failed to remove session for chat ${chatId} from store:`, error);
+    }
+  }
+
   /**
    * Login User
    *
@@ -114,12 +270,17 @@ class AuthService {
    *
    * Flow Login:
    * 1. Log attempt untuk security audit
-   * 2. Validasi credentials melalui UserModel.authenticate()
-   * 3. Jika gagal, return error message
-   * 4. Jika sukses, update last_login di database
-   * 5. Buat session object dengan data user
-   * 6. Simpan session ke Map dengan chatId sebagai key
-   * 7. Return success dengan user info
+   * 2. Tolak jika chat/username masih dalam jeda atau akun dikunci
+   *    (LoginGuardService), tanpa memeriksa password
+   * 3. Validasi credentials melalui UserModel.authenticate()
+   * 4. Jika gagal, catat kegagalan dan return error message
+   * 5. Jika user punya faktor kedua yang berlaku (SecondFactorModel):
+   *    - telegram: tolak jika options.telegramUserId bukan akun terdaftar
+   *    - totp: return secondFactorRequired; session dibuat oleh
+   *      verifySecondFactor() setelah kode benar
+   *    TOTP yang belum dikonfirmasi tidak diminta (secondFactorPending)
+   * 6. createSession(): hapus penghitung gagal, update last_login, buat
+   *    session, simpan ke Map dan store, return success dengan user info
    *
    * Session Behavior:
    * - Jika chatId sudah ada session, akan di-overwrite (re-login)
@@ -135,10 +296,23 @@ class AuthService {
    * @param {number|string} chatId - Telegram chat ID
    * @param {string} username - Username untuk login
    * @param {string} password - Password user (plain text, akan di-hash di UserModel)
+   * @param {Object} [options] - Opsi tambahan
+   * @param {number} [options.telegramUserId] - ID user Telegram pengirim
+   *   (msg.from.id), dicek untuk faktor kedua 'telegram'
    * @returns {Promise<Object>} Response object
    * @returns {boolean} response.success - Status login
    * @returns {string} response.message - Pesan untuk user
    * @returns {Object} [response.user] - User data jika berhasil
+   * @returns {boolean} [response.throttled] - true jika ditolak karena jeda,
+   *   akun dikunci, atau login lain dari chat/username yang sama masih berjalan
+   * @returns {boolean} [response.lockTriggered] - true jika login gagal ini
+   *   membuat akun dikunci (caller memberi tahu admin)
+   * @returns {boolean} [response.secondFactorRequired] - true jika password
+   *   benar dan kode TOTP perlu dikirim ke verifySecondFactor()
+   * @returns {boolean} [response.secondFactorFailed] - true jika faktor
+   *   kedua tidak terpenuhi (akun Telegram tidak terdaftar)
+   * @returns {boolean} [response.secondFactorPending] - true jika login
+   *   berhasil dan TOTP user menunggu konfirmasi (/aktifkan-dua-faktor)
    *
    * @example
    * const result = await authService.login(123456, 'admin', 'pass123');
@@ -146,11 +320,39 @@ class AuthService {
    *   console.log(result.user.nama_lengkap);
    * }
    */
-  async login(chatId, username, password) {
+  async login(chatId, username, password, options = {}) {
+    // Log login attempt untuk security monitoring
+    // Tidak log password untuk keamanan
+    logger.info(`Login attempt for user: ${username}, chat: ${chatId}`);
+
+    // Login baru membatalkan verifikasi TOTP yang belum selesai di chat ini
+    this.pendingSecondFactor.delete(chatId);
+
+    // Satu login per chat/username dalam satu waktu, agar percobaan paralel
+    // tidak lolos sebelum kegagalan sebelumnya tercatat
+    if (!LoginGuardService.acquire(chatId, username)) {
+      return {
+        success: false,
+        throttled: true,
+        message: 'Login sebelumnya masih diproses. Tunggu hasilnya lalu coba lagi.'
+      };
+    }
+
     try {
-      // Log login attempt untuk security monitoring
-      // Tidak log password untuk keamanan
-      logger.info(`Login attempt for user: ${username}, chat: ${chatId}`);
+      // Tolak tanpa memeriksa password jika masih dalam jeda atau dikunci
+      const guard = await LoginGuardService.check(chatId, username);
+
+      if (!guard.allowed) {
+        logger.warn(
+          `Login blocked for user: ${username}, chat: ${chatId} ` +
+          `(${guard.locked ? 'account locked' : 'backoff'}, ${guard.retryAfter}s left)`
+        );
+        return {
+          success: false,
+          throttled: true,
+          message: LoginGuardService.describeBlock(guard)
+        };
+      }
 
       // Validasi credentials melalui UserModel
       // UserModel.authenticate() akan:
@@ -162,64 +364,347 @@ class AuthService {
       // Handle failed authentication
       if (!user) {
         logger.warn(`Login failed for user: ${username}`);
+
+        const failure = await LoginGuardService.recordFailure(chatId, username);
+
+        if (failure.lockTriggered) {
+          logger.warn(`Account ${username} locked after repeated login failures (last from chat ${chatId})`);
+          return {
+            success: false,
+            lockTriggered: true,
+            message: 'Username atau password salah. ' +
+              LoginGuardService.describeBlock({ locked: true, retryAfter: failure.retryAfter })
+          };
+        }
+
         return {
           success: false,
-          message: 'Username atau password salah'
+          message: failure.retryAfter > 0
+            ? `Username atau password salah. Percobaan berikutnya bisa dilakukan dalam ${LoginGuardService.formatWait(failure.retryAfter)}.`
+            : 'Username atau password salah'
         };
       }
 
-      // Update last_login timestamp di database
-      // Untuk tracking aktivitas user
-      await UserModel.updateLastLogin(user.id);
-
-      // Buat session object
-      // Struktur session yang akan disimpan di Map
-      const session = {
-        userId: user.id,                    // ID dari database
-        username: user.username,            // Username
-        nama_lengkap: user.name,            // Nama lengkap
-        level: user.user_type_id,           // Role/permission level
-        villageCode: null,                  // Belum pilih desa, diset null
-        villageData: null,                  // Data desa belum ada
-        loginAt: new Date(),                // Waktu login
-        lastActivity: new Date()            // Waktu aktivitas terakhir
+      // Faktor kedua (opsional, didaftarkan admin lewat /dua-faktor)
+      const enrolled = await SecondFactorModel.findByUser(user.id);
+      const factor = SecondFactorModel.isActive(enrolled) ? enrolled : null;
+
+      if (factor && factor.method === 'telegram' &&
+          String(factor.telegram_user_id) !== String(options.telegramUserId)) {
+        logger.warn(
+          `Login for user ${username} rejected: Telegram user ${options.telegramUserId} ` +
+          `is not the registered account (chat ${chatId})`
+        );
+        return {
+          success: false,
+          secondFactorFailed: true,
+          message: 'Akun ini hanya bisa login dari akun Telegram yang terdaftar. ' +
+            'Hubungi admin jika Anda mengganti akun Telegram.'
+        };
+      }
+
+      if (factor && factor.method === 'totp') {
+        // Password benar, session dibuat setelah kode TOTP diverifikasi
+        this.pendingSecondFactor.set(chatId, {
+          user,
+          username,
+          expiresAt: Date.now() + SECOND_FACTOR_TIMEOUT,
+          attempts: 0
+        });
+
+        logger.info(`Password accepted for user: ${username}, waiting for TOTP code in chat: ${chatId}`);
+        return {
+          success: false,
+          secondFactorRequired: true,
+          message: 'Masukkan kode 6 digit dari aplikasi authenticator Anda.'
+        };
+      }
+
+      const result = await this.createSession(chatId, user);
+
+      if (enrolled && !factor) {
+        result.secondFactorPending = true;
+      }
+
+      return result;
+    } catch (error) {
+      // Handle unexpected errors (database errors, dll)
+      logger.error('Error in login:', error);
+      return {
+        success: false,
+        message: 'Terjadi kesalahan saat login. Silakan coba lagi.'
       };
+    } finally {
+      LoginGuardService.release(chatId, username);
+    }
+  }
+
+  /**
+   * Buat session setelah semua faktor login terverifikasi
+   *
+   * Menghapus penghitung login gagal, update last_login, lalu menyimpan
+   * session ke Map dan store.
+   *
+   * @async
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {Object} user - User dari UserModel.authenticate()
+   * @returns {Promise<Object>} Response sukses login (lihat login())
+   * @throws {Error} Database error
+   */
+  async createSession(chatId, user) {
+    // Login berhasil: hapus penghitung gagal chat dan username
+    await LoginGuardService.recordSuccess(chatId, user.username);
+
+    // Update last_login timestamp di database
+    // Untuk tracking aktivitas user
+    await UserModel.updateLastLogin(user.id);
+
+    // Buat session object
+    // Struktur session yang akan disimpan di Map
+    const session = {
+      userId: user.id,                    // ID dari database
+      username: user.username,            // Username
+      nama_lengkap: user.name,            // Nama lengkap
+      level: user.user_type_id,           // Role/permission level
+      villageCode: null,                  // Belum pilih desa, diset null
+      villageData: null,                  // Data desa belum ada
+      loginAt: new Date(),                // Waktu login
+      lastActivity: new Date()            // Waktu aktivitas terakhir
+    };
+
+    // Simpan session ke Map
+    // Key: chatId (unik per chat)
+    // Value: session object
+    // Jika chatId sudah ada, akan overwrite (re-login)
+    this.sessions.set(chatId, session);
+    await this.persistSession(chatId);
 
-      // Simpan session ke Map
-      // Key: chatId (unik per chat)
-      // Value: session object
-      // Jika chatId sudah ada, akan overwrite (re-login)
-      this.sessions.set(chatId, session);
+    // Log successful login
+    logger.info(`Login successful for user: ${user.username}, session created for chat: ${chatId}`);
+
+    // Return success response dengan user info
+    return {
+      success: true,
+      message: `Selamat datang, ${user.name}!`,
+      user: {
+        id: user.id,
+        username: user.username,
+        nama_lengkap: user.name,
+        level: user.user_type_id
+      }
+    };
+  }
 
-      // Log successful login
-      logger.info(`Login successful for user: ${username}, session created for chat: ${chatId}`);
+  /**
+   * Verifikasi kode TOTP (langkah kedua login)
+   *
+   * Dipanggil setelah login() mengembalikan secondFactorRequired. Kode
+   * salah dihitung sebagai login gagal (LoginGuardService), dan setelah
+   * MAX_SECOND_FACTOR_ATTEMPTS kali salah user harus login ulang. Kode yang
+   * sudah pernah dipakai ditolak.
+   *
+   * @async
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {string} code - Kode 6 digit dari aplikasi authenticator
+   * @returns {Promise<Object>} Response object seperti login():
+   *   success, message, user, throttled, lockTriggered,
+   *   secondFactorRequired (kode salah, boleh coba lagi),
+   *   secondFactorFailed (harus login ulang)
+   *
+   * @example
+   * const result = await authService.verifySecondFactor(123456, '492039');
+   */
+  async verifySecondFactor(chatId, code) {
+    const pending = this.pendingSecondFactor.get(chatId);
 
-      // Return success response dengan user info
+    if (!pending || pending.expiresAt < Date.now()) {
+      this.pendingSecondFactor.delete(chatId);
       return {
-        success: true,
-        message: `Selamat datang, ${user.name}!`,
-        user: {
-          id: user.id,
-          username: user.username,
-          nama_lengkap: user.name,
-          level: user.user_type_id
+        success: false,
+        secondFactorFailed: true,
+        message: 'Waktu verifikasi sudah habis. Silakan login ulang dengan /login.'
+      };
+    }
+
+    const { user, username } = pending;
+
+    if (!LoginGuardService.acquire(chatId, username)) {
+      return {
+        success: false,
+        throttled: true,
+        message: 'Login sebelumnya masih diproses. Tunggu hasilnya lalu coba lagi.'
+      };
+    }
+
+    try {
+      const guard = await LoginGuardService.check(chatId, username);
+
+      if (!guard.allowed) {
+        this.pendingSecondFactor.delete(chatId);
+        return {
+          success: false,
+          throttled: true,
+          message: LoginGuardService.describeBlock(guard)
+        };
+      }
+
+      const factor = await SecondFactorModel.findByUser(user.id);
+
+      // Faktor kedua di-reset/diganti admin selama verifikasi: password sudah benar
+      if (!SecondFactorModel.isActive(factor) || factor.method !== 'totp') {
+        this.pendingSecondFactor.delete(chatId);
+        return await this.createSession(chatId, user);
+      }
+
+      const step = Totp.verify(factor.totp_secret, code);
+
+      if (step !== null && await SecondFactorModel.markTotpStep(user.id, step)) {
+        this.pendingSecondFactor.delete(chatId);
+        return await this.createSession(chatId, user);
+      }
+
+      logger.warn(`Invalid TOTP code for user: ${username}, chat: ${chatId}`);
+
+      pending.attempts++;
+      const failure = await LoginGuardService.recordFailure(chatId, username);
+
+      if (failure.lockTriggered || pending.attempts >= MAX_SECOND_FACTOR_ATTEMPTS) {
+        this.pendingSecondFactor.delete(chatId);
+
+        if (failure.lockTriggered) {
+          logger.warn(`Account ${username} locked after repeated login failures (last from chat ${chatId})`);
         }
+
+        return {
+          success: false,
+          secondFactorFailed: true,
+          lockTriggered: failure.lockTriggered,
+          message: failure.lockTriggered
+            ? 'Kode verifikasi salah. ' + LoginGuardService.describeBlock({ locked: true, retryAfter: failure.retryAfter })
+            : 'Kode verifikasi salah terlalu banyak. Silakan login ulang dengan /login.'
+        };
+      }
+
+      return {
+        success: false,
+        secondFactorRequired: true,
+        message: 'Kode verifikasi salah atau sudah dipakai. Masukkan kode terbaru dari aplikasi authenticator Anda.'
       };
 
     } catch (error) {
-      // Handle unexpected errors (database errors, dll)
-      logger.error('Error in login:', error);
+      logger.error('Error in second factor verification:', error);
       return {
         success: false,
-        message: 'Terjadi kesalahan saat login. Silakan coba lagi.'
+        message: 'Terjadi kesalahan saat verifikasi login. Silakan coba lagi.'
+      };
+    } finally {
+      LoginGuardService.release(chatId, username);
+    }
+  }
+
+  /**
+   * Konfirmasi TOTP yang baru didaftarkan admin
+   *
+   * User yang sedang login mengirim satu kode dari aplikasi authenticator.
+   * Jika benar, TOTP mulai berlaku untuk login berikutnya dan session user
+   * di chat lain diakhiri (belum melewati faktor kedua).
+   *
+   * @async
+   * @param {number|string} chatId - Telegram chat ID (harus sudah login)
+   * @param {string} code - Kode 6 digit dari aplikasi authenticator
+   * @returns {Promise<Object>} { success, message }
+   *
+   * @example
+   * const result = await authService.confirmSecondFactor(123456, '492039');
+   */
+  async confirmSecondFactor(chatId, code) {
+    const session = this.getSession(chatId);
+
+    if (!session) {
+      return { success: false, message: 'Anda harus login terlebih dahulu.' };
+    }
+
+    try {
+      const factor = await SecondFactorModel.findByUser(session.userId);
+
+      if (!factor || factor.method !== 'totp') {
+        return {
+          success: false,
+          message: 'Akun Anda tidak memiliki kode authenticator yang menunggu konfirmasi. Hubungi admin untuk pendaftaran.'
+        };
+      }
+
+      if (SecondFactorModel.isActive(factor)) {
+        return { success: false, message: 'Verifikasi dua langkah akun Anda sudah aktif.' };
+      }
+
+      const step = Totp.verify(factor.totp_secret, code);
+
+      if (step === null || !(await SecondFactorModel.confirm(session.userId, step))) {
+        logger.warn(`Invalid TOTP confirmation code for user: ${session.username}, chat: ${chatId}`);
+        return {
+          success: false,
+          message: 'Kode salah atau sudah dipakai. Pastikan secret sudah dimasukkan ke aplikasi authenticator, ' +
+            'lalu kirim kode terbaru.'
+        };
+      }
+
+      const ended = await this.forgetUserSessions(session.userId, chatId);
+      logger.info(`User ${session.username} confirmed TOTP in chat ${chatId}, ${ended} other session(s) ended`);
+
+      return {
+        success: true,
+        message: 'Verifikasi dua langkah aktif. Mulai login berikutnya, kode dari aplikasi authenticator ' +
+          'diminta setelah password.'
+      };
+
+    } catch (error) {
+      logger.error('Error in second factor confirmation:', error);
+      return {
+        success: false,
+        message: 'Terjadi kesalahan saat mengaktifkan verifikasi dua langkah. Silakan coba lagi.'
       };
     }
   }
 
+  /**
+   * Akhiri semua session satu user
+   *
+   * Dipakai saat faktor kedua user diubah (daftar, reset, konfirmasi), agar
+   * session yang dibuat dengan aturan lama tidak tetap berlaku. Login yang
+   * sedang menunggu kode TOTP ikut dibatalkan.
+   *
+   * @async
+   * @param {number} userId - ID user
+   * @param {number|string} [exceptChatId] - Chat yang session-nya dipertahankan
+   * @returns {Promise<number>} Jumlah session yang diakhiri
+   */
+  async forgetUserSessions(userId, exceptChatId = null) {
+    const chatIds = [...this.sessions.entries()]
+      .filter(([chatId, session]) => session.userId === userId && chatId !== exceptChatId)
+      .map(([chatId]) => chatId);
+
+    for (const chatId of chatIds) {
+      await this.forgetSession(chatId);
+    }
+
+    for (const [chatId, pending] of this.pendingSecondFactor.entries()) {
+      if (pending.user.id === userId) {
+        this.pendingSecondFactor.delete(chatId);
+      }
+    }
+
+    if (chatIds.length > 0) {
+      logger.info(`Ended ${chatIds.length} session(s) of user ${userId}`);
+    }
+
+    return chatIds.length;
+  }
+
   /**
    * Logout User
    *
-   * Menghapus session user dari memory.
+   * Menghapus session user dari memory dan session store.
    * Tidak melakukan validasi expiry, langsung delete jika ada.
    *
    * Flow Logout:
@@ -235,8 +720,7 @@ class AuthService {
    * - User harus login ulang untuk akses sistem
    *
    * CATATAN:
-   * - Method ini tidak async tapi dibuat async untuk konsistensi API
-   * - Tidak ada database operation, pure in-memory
+   * - Session juga dihapus dari store (forgetSession)
    * - Tidak perlu check expiry karena akan delete anyway
    *
    * @async
@@ -260,9 +744,8 @@ class AuthService {
 
       // Jika session ada, hapus dari Map
       if (session) {
-        // Delete session dari Map
-        // Map.delete() return true jika key ditemukan dan dihapus
-        this.sessions.delete(chatId);
+        // Delete session dari Map dan store
+        await this.forgetSession(chatId);
 
         // Log successful logout
         logger.info(`Session deleted for chat: ${chatId}`);
@@ -309,6 +792,7 @@ class AuthService {
    * - Dihitung dari lastActivity (bukan loginAt)
    * - Setiap check yang valid akan refresh lastActivity
    * - Expired session otomatis dihapus (lazy deletion)
+   * - lastActivity ditulis ke store paling sering sekali per menit
    *
    * Activity-Based Refresh:
    * - Setiap kali method ini dipanggil dan session valid
@@ -343,13 +827,10 @@ class AuthService {
     const now = new Date();
     const sessionAge = now - session.lastActivity; // Dalam milliseconds
 
-    // Max age: 24 jam = 24 * 60 * 60 * 1000 ms = 86400000 ms
-    const maxAge = 24 * 60 * 60 * 1000;
-
     // Check apakah session sudah expired
-    if (sessionAge > maxAge) {
-      // Session expired: hapus dari Map (lazy deletion)
-      this.sessions.delete(chatId);
+    if (sessionAge > SESSION_MAX_AGE) {
+      // Session expired: hapus dari Map dan store (lazy deletion)
+      this.forgetSession(chatId);
       logger.info(`Session expired for chat: ${chatId}`);
       return false;
     }
@@ -358,6 +839,10 @@ class AuthService {
     // Setiap activity akan memperpanjang session 24 jam dari sekarang
     session.lastActivity = now;
 
+    if (now - (this.persistedAt.get(chatId) || 0) >= ACTIVITY_PERSIST_INTERVAL) {
+      this.persistSession(chatId);
+    }
+
     return true;
   }
 
@@ -513,6 +998,7 @@ class AuthService {
 
     // Update lastActivity untuk refresh session
     session.lastActivity = new Date();
+    this.persistSession(chatId);
 
     // Log untuk monitoring
     logger.info(`Village code set for user ${session.username}: ${villageCode}`);
@@ -647,7 +1133,7 @@ class AuthService {
   /**
    * Cleanup Expired Sessions (Auto Cleanup)
    *
-   * Menghapus semua session yang sudah expired dari Map.
+   * Menghapus semua session yang sudah expired dari Map dan session store.
    * Dipanggil otomatis setiap 1 jam oleh timer di constructor.
    *
    * Flow Cleanup:
@@ -655,7 +1141,9 @@ class AuthService {
    * 2. Iterate semua sessions di Map
    * 3. Hitung session age dari lastActivity
    * 4. Jika > 24 jam, delete dari Map
-   * 5. Count dan log jumlah sessions yang dihapus
+   * 5. Hapus session expired di store (expiresAt sudah lewat), termasuk
+   *    session yang tidak pernah dimuat ke Map
+   * 6. Count dan log jumlah sessions yang dihapus
    *
    * Cleanup Strategy:
    * - Proactive cleanup: Berjalan periodik (setiap 1 jam)
@@ -680,15 +1168,13 @@ class AuthService {
    * - Silent operation (hanya log jika ada yang dihapus)
    * - Tidak throw error untuk menjaga stability timer
    *
-   * @returns {void}
+   * @async
+   * @returns {Promise<void>}
    */
-  cleanupExpiredSessions() {
+  async cleanupExpiredSessions() {
     // Get current timestamp untuk comparison
     const now = new Date();
 
-    // Max age: 24 jam dalam milliseconds
-    const maxAge = 24 * 60 * 60 * 1000;
-
     // Counter untuk logging
     let removedCount = 0;
 
@@ -699,18 +1185,48 @@ class AuthService {
       const sessionAge = now - session.lastActivity;
 
       // Check apakah expired
-      if (sessionAge > maxAge) {
+      if (sessionAge > SESSION_MAX_AGE) {
         // Delete expired session dari Map
         this.sessions.delete(chatId);
+        this.persistedAt.delete(chatId);
         removedCount++;
       }
     }
 
+    // Verifikasi TOTP yang tidak diselesaikan
+    for (const [chatId, pending] of this.pendingSecondFactor.entries()) {
+      if (pending.expiresAt < now.getTime()) {
+        this.pendingSecondFactor.delete(chatId);
+      }
+    }
+
     // Log hanya jika ada sessions yang dihapus
     // Mengurangi noise di logs
     if (removedCount > 0) {
       logger.info(`Cleaned up ${removedCount} expired sessions`);
     }
+
+    // Bersihkan store dengan aturan expiry yang sama
+    try {
+      const storeRemoved = await this.store.removeExpired(now);
+
+      if (storeRemoved > 0) {
+        logger.info(`Cleaned up ${storeRemoved} expired sessions from ${this.store.name} session store`);
+      }
+    } catch (error) {
+      logger.error(`Failed to clean up ${this.store.name} session store:`, error);
+    }
+
+    // Penghitung login gagal yang sudah direset ikut dibersihkan
+    try {
+      const attemptsRemoved = await LoginGuardService.cleanup();
+
+      if (attemptsRemoved > 0) {
+        logger.info(`Cleaned up ${attemptsRemoved} stale login attempt counters`);
+      }
+    } catch (error) {
+      logger.error('Failed to clean up login attempts:', error);
+    }
   }
 
   /**
@@ -723,6 +1239,7 @@ class AuthService {
    * - total: Total semua sessions di Map (active + expired)
    * - active: Jumlah sessions yang masih valid (< 24 jam)
    * - expired: Jumlah sessions yang sudah expired (> 24 jam)
+   * - store: Nama session store yang dipakai (mysql / file)
    *
    * Use Case:
    * - Monitoring berapa banyak active users
@@ -739,6 +1256,7 @@ class AuthService {
    * @returns {number} stats.total - Total sessions di Map
    * @returns {number} stats.active - Sessions yang masih valid
    * @returns {number} stats.expired - Sessions yang sudah expired
+   * @returns {string} stats.store - Nama session store
    *
    * @example
    * const stats = authService.getSessionStats();
@@ -748,9 +1266,6 @@ class AuthService {
     // Get current timestamp untuk comparison
     const now = new Date();
 
-    // Max age: 24 jam
-    const maxAge = 24 * 60 * 60 * 1000;
-
     // Counters untuk active dan expired sessions
     let activeSessions = 0;
     let expiredSessions = 0;
@@ -762,7 +1277,7 @@ class AuthService {
       const sessionAge = now - session.lastActivity;
 
       // Classify sebagai active atau expired
-      if (sessionAge <= maxAge) {
+      if (sessionAge <= SESSION_MAX_AGE) {
         activeSessions++;
       } else {
         expiredSessions++;
@@ -773,9 +1288,37 @@ class AuthService {
     return {
       total: this.sessions.size,      // Total sessions (size of Map)
       active: activeSessions,          // Valid sessions
-      expired: expiredSessions         // Expired tapi belum dihapus
+      expired: expiredSessions,        // Expired tapi belum dihapus
+      store: this.store.name           // Session store (mysql / file)
     };
   }
+
+  /**
+   * Get Admin Chat IDs
+   *
+   * Mengambil chat ID semua admin yang sedang login (session belum expired).
+   * Dipakai untuk notifikasi keamanan, contoh: akun dikunci karena
+   * percobaan login gagal berulang.
+   *
+   * @returns {Array<number|string>} Chat ID admin yang sedang login
+   *
+   * @example
+   * for (const chatId of authService.getAdminChatIds()) {
+   *   await bot.sendMessage(chatId, 'Notifikasi keamanan');
+   * }
+   */
+  getAdminChatIds() {
+    const now = new Date();
+    const chatIds = [];
+
+    for (const [chatId, session] of this.sessions.entries()) {
+      if (session.level === 'admin' && now - session.lastActivity <= SESSION_MAX_AGE) {
+        chatIds.push(chatId);
+      }
+    }
+
+    return chatIds;
+  }
 }
 
 // ============================================================================
@@ -814,11 +1357,17 @@ module.exports = new AuthService();
  * SESSION MANAGEMENT ARCHITECTURE
  * ================================
  *
- * 1. IN-MEMORY STORAGE
- *    - Sessions disimpan di JavaScript Map (in-memory)
- *    - Pros: Super cepat, O(1) operations, simple
- *    - Cons: Hilang saat restart, tidak shared across processes
- *    - Cocok untuk: Single-process bot dengan session temporary
+ * 1. IN-MEMORY STORAGE + SESSION STORE
+ *    - Sessions dibaca dari JavaScript Map (in-memory), sehingga
+ *      isLoggedIn() dan getSession() tetap sinkron untuk semua caller
+ *    - Setiap perubahan ditulis ke SessionStore (write-through):
+ *      login, logout, setVillageCode, expiry, dan lastActivity (maks.
+ *      sekali per menit per chat)
+ *    - loadSessions() saat startup mengisi Map dari store, sehingga restart
+ *      atau crash tidak membuat operator logout / kehilangan kode wilayah
+ *    - Store: MysqlSessionStore (tabel bot_sessions) atau FileSessionStore
+ *      (JSON), dipilih dengan SESSION_STORE
+ *    - Cons: Tetap single process; Map tidak disinkronkan antar instance
  *
  * 2. SESSION EXPIRY STRATEGY
  *    Menggunakan dual strategy untuk optimal performance:
@@ -850,7 +1399,7 @@ module.exports = new AuthService();
  * 5. VILLAGE CODE MANAGEMENT
  *    - villageCode optional, bisa null
  *    - Diset setelah user pilih desa via command
- *    - Hilang saat logout atau session expired
+ *    - Hilang saat logout atau session expired, bertahan saat restart
  *    - User harus pilih ulang jika re-login
  *
  * 6. SCALABILITY LIMITATIONS
@@ -859,7 +1408,7 @@ module.exports = new AuthService();
  *    - Max sessions limited by server memory
  *    - Untuk production scale, consider:
  *      * Redis untuk session storage
- *      * Database-backed sessions
+ *      * Membaca session langsung dari store (bukan cache Map)
  *      * Stateless JWT tokens
  *
  * 7. PERFORMANCE CHARACTERISTICS
@@ -884,8 +1433,8 @@ module.exports = new AuthService();
  *
  * 10. MIGRATION PATH (Jika Butuh Scale)
  *     Jika aplikasi perlu scale, migration steps:
- *     a) Implement Redis adapter
- *     b) Wrap Map operations dengan Redis commands
+ *     a) Implement RedisSessionStore (extends SessionStore)
+ *     b) Tambahkan ke createStore() dan SESSION_STORE
  *     c) Keep same interface (no caller code change)
  *     d) Add session serialization/deserialization
  *     e) Handle Redis connection failures gracefully
@@ -919,7 +1468,8 @@ module.exports = new AuthService();
  * A: Check:
  *    - Apakah ada multiple bot instances (sessions tidak shared)
  *    - Server clock accuracy (timezone issues)
- *    - Application restart (in-memory sessions hilang)
+ *    - Session store gagal dimuat saat startup (log "Failed to load
+ *      sessions"), misalnya file session rusak atau tabel tidak bisa dibuat
  *
  * Q: Memory usage terus naik
  * A: Check:
@@ -937,7 +1487,6 @@ module.exports = new AuthService();
  * A: Kemungkinan:
  *    - Session expired (24 jam idle)
  *    - User logout
- *    - Application restart
  *    - All expected behavior
  *
  * Q: Bagaimana migrate ke Redis?
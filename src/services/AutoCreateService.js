@@ -15,6 +15,7 @@
  * DEPENDENSI:
  * - FamilyDataModel: Database operations untuk family data
  * - ResidentModel: Database operations untuk resident data
+ * - ResidentChangeLogModel: Audit log perubahan data penduduk
  * - RegionService: Region code parsing dan validation
  * - ReferenceService: Reference data lookup (religion, education, etc.)
  * - logger: Logging utility untuk tracking dan debugging
@@ -68,19 +69,38 @@
  *   console.error('Error:', result.message);
  * }
  * 
- * // Validate OCR data sebelum processing
- * const validation = AutoCreateService.validateOcrData(ocrData);
- * if (!validation.isValid) {
- *   console.log('Validation errors:', validation.errors);
- * }
+ * // KK dengan kesalahan validasi (status review) hanya disimpan setelah
+ * // operator mengecek draft
+ * const result = await AutoCreateService.autoCreate(ocrData, userId, {
+ *   reviewConfirmed: true
+ * });
+ * console.log('Validation status:', result.data.validation.status);
  * ```
  *
  * CATATAN PENTING:
- * - OCR data harus sudah divalidasi sebelum diproses
+ * - OCR data divalidasi ulang dengan ValidationService.validateDocument;
+ *   status invalid selalu ditolak, status review butuh
+ *   options.reviewConfirmed, dan status akhirnya dicatat di
+ *   ocr_validation_logs dalam transaksi yang sama
  * - NIK dan KK numbers akan dinormalisasi otomatis
- * - Duplicate NIK akan di-skip dengan notifikasi
- * - Region codes akan di-parse dari address data
- * - Transaction rollback jika ada error critical
+ * - NIK yang sudah ada dibandingkan per-field (previewChanges); perubahan
+ *   hanya diterapkan jika disetujui operator (options.approvedUpdates)
+ * - NIK yang terdaftar di KK lain dipindahkan jika disetujui operator
+ *   (options.approvedMoves); jumlah anggota kedua KK ikut diperbarui
+ * - Semua penulisan (family, residents, member counts, audit log) dalam
+ *   satu transaksi db.executeTransaction; gagal = rollback semua
+ * - Penduduk KK lama yang tidak ada di hasil scan bisa dinonaktifkan
+ *   dengan alasan (options.deactivations), bukan dihapus
+ * - Setiap field yang diperbarui dicatat di resident_change_logs
+ * - Region codes diambil dari kode wilayah session (/kode-wilayah) jika
+ *   ada (options.region); nama wilayah hasil OCR hanya fallback dan dipakai
+ *   untuk mendeteksi KK dari desa lain (checkRegionMismatch)
+ * - KK di luar wilayah kerja user (JurisdictionService, tabel user_regions)
+ *   ditolak sebelum ada penulisan (result.outOfJurisdiction = true); admin
+ *   tidak dibatasi. Pindah KK juga dicek terhadap KK lama: penduduk dari
+ *   KK di luar wilayah kerja tidak ditawarkan di review dan tidak
+ *   dipindahkan walaupun ada di approvedMoves
+ * - Transaction rollback jika ada error critical (result.rolledBack = true)
  * - Partial success didukung untuk batch operations
  *
  * ============================================================================
@@ -88,13 +108,64 @@
 
 const FamilyDataModel = require('../database/FamilyDataModel');
 const ResidentModel = require('../database/ResidentModel');
+const ResidentChangeLogModel = require('../database/ResidentChangeLogModel');
+const ValidationLogModel = require('../database/ValidationLogModel');
+const db = require('../config/database');
 const RegionService = require('./RegionService');
 const ReferenceService = require('./ReferenceService');
+const ValidationService = require('./ValidationService');
+const JurisdictionService = require('./JurisdictionService');
 const logger = require('../utils/logger');
+const config = require('../config/env');
 const dateParser = require('../utils/dateParser');
 const { normalizeKK, normalizeNIK } = require('../utils/textCleaner');
 const moment = require('moment');
 
+// ============================================================================
+// RESIDENT DIFF CONFIGURATION
+// ============================================================================
+
+/**
+ * Kolom residents yang dibandingkan saat KK di-scan ulang
+ *
+ * - label: Nama field yang ditampilkan ke operator
+ * - type: 'date' untuk kolom DATE (dibandingkan dalam format YYYY-MM-DD)
+ * - reference: Key ReferenceService untuk menampilkan nama dari ID
+ * - source: Field OCR asal; jika kosong, field tidak dibandingkan
+ *   (mencegah nilai default reference menimpa data lama)
+ *
+ * Kolom region (province_code, dst) sengaja tidak dibandingkan karena
+ * berasal dari lookup API, bukan langsung dari teks KK.
+ */
+const RESIDENT_DIFF_FIELDS = [
+  { field: 'name', label: 'Nama' },
+  { field: 'birth_place', label: 'Tempat Lahir' },
+  { field: 'birth_date', label: 'Tanggal Lahir', type: 'date' },
+  { field: 'marriage_date', label: 'Tanggal Perkawinan', type: 'date' },
+  { field: 'gender', label: 'Jenis Kelamin', source: 'jenis_kelamin' },
+  { field: 'father_name', label: 'Nama Ayah' },
+  { field: 'mother_name', label: 'Nama Ibu' },
+  { field: 'family_relationship_id', label: 'Hubungan Keluarga', reference: 'familyRelationships', source: 'status_hubungan_dalam_keluarga' },
+  { field: 'religion_id', label: 'Agama', reference: 'religions', source: 'agama' },
+  { field: 'education_id', label: 'Pendidikan', reference: 'educations', source: 'pendidikan' },
+  { field: 'occupation_id', label: 'Pekerjaan', reference: 'occupations', source: 'jenis_pekerjaan' },
+  { field: 'marital_status_id', label: 'Status Perkawinan', reference: 'maritalStatuses', source: 'status_perkawinan' },
+  { field: 'citizenship_id', label: 'Kewarganegaraan', reference: 'citizenships', source: 'kewarganegaraan' },
+  { field: 'address', label: 'Alamat' },
+  { field: 'postal_code', label: 'Kode Pos' }
+];
+
+/**
+ * Alasan penonaktifan penduduk yang tidak lagi tercantum di KK hasil scan
+ * Key dipakai di options.deactivations dan callback_data, value ditampilkan
+ * ke operator dan dicatat di resident_change_logs.note
+ */
+const INACTIVE_REASONS = {
+  pindah: 'Pindah',
+  meninggal: 'Meninggal',
+  pecah_kk: 'Pecah KK'
+};
+
 // ============================================================================
 // AUTO CREATE SERVICE CLASS
 // ============================================================================
@@ -175,6 +246,22 @@ class AutoCreateService {
    * @param {string} ocrData.provinsi - Nama provinsi
    * @param {Array} ocrData.table - Array anggota keluarga
    * @param {string} userId - ID user yang melakukan operasi
+   * @param {Object} [options] - Opsi tambahan
+   * @param {Array<string>} [options.approvedUpdates] - NIK penduduk lama yang
+   *   perubahannya sudah disetujui operator (lihat previewChanges). NIK yang
+   *   tidak ada di daftar ini tetap di-skip tanpa perubahan.
+   * @param {Array<Object>} [options.deactivations] - Penduduk KK ini yang tidak
+   *   ada di hasil scan dan dinonaktifkan operator: [{ nik, reason }] dengan
+   *   reason salah satu key INACTIVE_REASONS (pindah, meninggal, pecah_kk)
+   * @param {Array<string>} [options.approvedMoves] - NIK yang terdaftar di KK
+   *   lain dan disetujui operator untuk dipindahkan ke KK ini
+   * @param {Object} [options.region] - Kode wilayah session operator
+   *   ({ villageCode, villageData } dari AuthService). Jika ada, menjadi
+   *   sumber utama kode wilayah; jika alamat KK menunjuk desa lain dan
+   *   config.regionApi.mismatchMode = 'block', penyimpanan ditolak
+   * @param {boolean} [options.reviewConfirmed] - Operator sudah mengecek
+   *   kesalahan validasi di draft. Tanpa ini, KK berstatus review ditolak;
+   *   dengan ini, KK disimpan berstatus confirmed
    * @returns {Promise<Object>} Result object dengan struktur:
    *   - success: {boolean} - Status keberhasilan
    *   - message: {string} - Pesan hasil operasi
@@ -184,11 +271,26 @@ class AutoCreateService {
    *     - residents: {Array} - Resident records yang dibuat
    *     - familyCount: {number} - Jumlah family yang dibuat
    *     - residentCount: {number} - Jumlah resident yang dibuat
+   *     - updatedCount: {number} - Jumlah resident lama yang diperbarui
+   *     - deactivatedCount: {number} - Jumlah resident yang dinonaktifkan
+   *     - movedCount: {number} - Jumlah resident yang pindah dari KK lain
    *     - skippedCount: {number} - Jumlah resident yang di-skip
    *     - invalidCount: {number} - Jumlah resident yang tidak valid
+   *     - updatedResidents: {Array} - Detail perubahan per resident ({nik, nama, changes})
+   *     - deactivatedResidents: {Array} - Detail resident nonaktif ({nik, nama, reason})
+   *     - movedResidents: {Array} - Detail resident pindah KK ({nik, nama, fromFamilyCard, changes})
    *     - skippedResidents: {Array} - Detail resident yang di-skip
    *     - invalidResidents: {Array} - Detail resident yang tidak valid
+   *     - regionMismatch: {Array} - Perbedaan wilayah KK vs session (mode warn)
+   *     - validation: {Object} - Status validasi yang disimpan
+   *       ({ status, errorCount, warningCount })
+   *   - regionMismatch: {Array} - Perbedaan wilayah jika ditolak (mode block)
+   *   - outOfJurisdiction: {boolean} - true jika KK di luar wilayah kerja user
+   *   - validation: {Object} - Hasil ValidationService.validateDocument jika
+   *     ditolak karena validasi
    *   - error: {string} - Error message jika gagal
+   *   - rolledBack: {boolean} - true jika gagal saat menulis ke database
+   *     (seluruh perubahan sudah di-rollback)
    * 
    * @throws {Error} Jika OCR data tidak valid atau missing required fields
    * 
@@ -204,7 +306,7 @@ class AutoCreateService {
    *   console.log('Created:', result.data.residentCount, 'residents');
    * }
    */
-  static async autoCreate(ocrData, userId) {
+  static async autoCreate(ocrData, userId, options = {}) {
     try {
       logger.info('Starting auto-create process...');
 
@@ -213,25 +315,56 @@ class AutoCreateService {
       // ========================================================================
       
       /**
-       * Validasi OCR data structure
-       * Pastikan data yang diperlukan ada dan valid
+       * Validasi dokumen dengan ValidationService
+       * invalid: selalu ditolak (nomor KK / anggota / NIK tidak bisa disimpan)
+       * review: ditolak kecuali operator sudah mengecek draft
        */
-      if (!ocrData || !ocrData.nomor_kk) {
-        throw new Error('Invalid OCR data: missing nomor_kk');
+      const validation = ValidationService.validateDocument(ocrData);
+
+      if (validation.status === ValidationService.STATUS.INVALID) {
+        logger.warn(`OCR data rejected by validation: ${validation.errors.join('; ')}`);
+
+        return {
+          success: false,
+          message: 'Data KK tidak valid dan tidak bisa disimpan',
+          validation
+        };
       }
 
-      if (!ocrData.table || ocrData.table.length === 0) {
-        throw new Error('Invalid OCR data: no family members');
+      if (validation.status === ValidationService.STATUS.REVIEW && !options.reviewConfirmed) {
+        logger.warn(`OCR data has ${validation.errors.length} unreviewed validation error(s), save blocked`);
+
+        return {
+          success: false,
+          message: 'Data KK memiliki kesalahan validasi yang belum dicek operator',
+          validation
+        };
       }
 
+      const validationStatus = validation.status === ValidationService.STATUS.REVIEW
+        ? ValidationService.STATUS.CONFIRMED
+        : validation.status;
+
       /**
-       * Normalize dan validasi nomor KK
-       * Pastikan format 16 digit yang valid
+       * Normalize nomor KK
+       * Format 16 digit sudah dijamin oleh validasi di atas
        */
       const familyCardNumber = normalizeKK(ocrData.nomor_kk);
 
-      if (!familyCardNumber) {
-        throw new Error('Invalid family card number format');
+      /**
+       * Cocokkan alamat KK dengan kode wilayah session
+       * Mode 'block': tolak sebelum ada lookup atau penulisan database
+       */
+      const regionMismatch = this.checkRegionMismatch(ocrData, options.region);
+
+      if (regionMismatch.length > 0 && config.regionApi.mismatchMode === 'block') {
+        logger.warn(`Region mismatch for KK ${familyCardNumber}, save blocked`);
+
+        return {
+          success: false,
+          message: `Alamat KK tidak sesuai dengan kode wilayah ${options.region.villageCode}`,
+          regionMismatch
+        };
       }
 
       // ========================================================================
@@ -244,14 +377,37 @@ class AutoCreateService {
        */
       const existingFamily = await FamilyDataModel.findByFamilyCard(familyCardNumber);
       
-      let familyResult;
+      let familyData = null;
       let isNewFamily = false;
 
       /**
-       * Parse region codes dari address data
-       * Convert nama wilayah ke kode wilayah
+       * Tentukan region codes
+       * Kode wilayah session diutamakan, nama wilayah OCR sebagai fallback
        */
-      const regionCodes = await this.parseRegionCodes(ocrData);
+      const regionCodes = await this.resolveRegionCodes(ocrData, options.region);
+
+      /**
+       * Cek wilayah kerja user
+       * KK lama dicek dengan desa yang tersimpan, KK baru dengan kode wilayah
+       * yang akan disimpan; admin tidak dibatasi
+       */
+      const jurisdictionCode = existingFamily
+        ? existingFamily.village_code
+        : (regionCodes.village_code || regionCodes.district_code);
+      const access = await JurisdictionService.checkRegion(userId, jurisdictionCode);
+
+      if (!access.allowed) {
+        logger.warn(`KK ${familyCardNumber} (region ${jurisdictionCode}) outside jurisdiction of user ${userId}, save blocked`);
+
+        return {
+          success: false,
+          message: JurisdictionService.describeDenial(
+            `KK ${familyCardNumber} (wilayah ${jurisdictionCode ? JurisdictionService.formatCode(jurisdictionCode) : 'tidak diketahui'})`,
+            access.regionCodes
+          ),
+          outOfJurisdiction: true
+        };
+      }
 
       /**
        * Parse RT/RW dari format XXX/XXX
@@ -272,7 +428,7 @@ class AutoCreateService {
       if (!existingFamily) {
         
         isNewFamily = true;
-        const familyData = {
+        familyData = {
           family_card_number: familyCardNumber,
           province_code: regionCodes.province_code,
           regency_code: regionCodes.regency_code,
@@ -288,17 +444,31 @@ class AutoCreateService {
           status: 'active'
         };
 
-        logger.info(`Creating new family record: ${familyCardNumber}`);
-        familyResult = await FamilyDataModel.create(familyData);
+        logger.info(`Family not found, will create new family record: ${familyCardNumber}`);
       } else {
         logger.info(`Family already exists: ${familyCardNumber}, will check and add new members`);
-        familyResult = { id: existingFamily.id, family_card_number: familyCardNumber };
       }
 
+      // ========================================================================
+      // STEP 3: RESIDENT DATA PROCESSING (READ ONLY)
+      // ========================================================================
+
+      /**
+       * Semua data dibaca dan disiapkan dulu di luar transaksi.
+       * Penulisan ke database dilakukan sekaligus di STEP 4.
+       */
+
       
       const residentsData = [];
+      const updatedResidents = [];
+      const movedResidents = [];
       const skippedResidents = [];
       const invalidResidents = [];
+      const pendingUpdates = [];
+      const pendingMoves = [];
+      const approvedUpdates = options.approvedUpdates || [];
+      const approvedMoves = options.approvedMoves || [];
+      const context = { familyCardNumber, ocrData, regionCodes, rtRwCodes };
 
       for (const member of ocrData.table) {
         const nik = normalizeNIK(member.nik);
@@ -313,101 +483,167 @@ class AutoCreateService {
           continue;
         }
 
-        
-        const existingResident = await ResidentModel.findByNIK(nik);
+        const built = await this.buildResidentData(member, nik, context);
 
-        if (existingResident) {
-          logger.warn(`Resident already exists, skipping: ${nik} - ${member.nama_lengkap}`);
-          skippedResidents.push({
-            nik: nik,
+        if (!built.valid) {
+          logger.warn(`Invalid resident data for ${member.nama_lengkap}: ${built.reason}`);
+          invalidResidents.push({
             nama: member.nama_lengkap,
-            reason: 'NIK already exists in database'
+            nik: nik,
+            reason: built.reason
           });
           continue;
         }
 
+        
+        const existingResident = await ResidentModel.findByNIK(nik);
+
+        if (existingResident) {
+          /**
+           * Penduduk sudah ada: bandingkan per-field dengan data OCR.
+           * - KK sama: perubahan diterapkan jika NIK ada di approvedUpdates
+           * - KK lain: dipindahkan jika NIK ada di approvedMoves
+           */
+          const changes = await this.diffResident(existingResident, built.data, member);
 
-        const birthDate = dateParser.toMySQLDate(member.tanggal_lahir);
+          if (existingResident.family_card_number !== familyCardNumber) {
+            const sourceAccess = await this.checkMoveJurisdiction(existingResident, userId);
 
-        if (!birthDate) {
-          logger.warn(`Invalid birth date for ${member.nama_lengkap}: ${member.tanggal_lahir}`);
-          invalidResidents.push({
-            nama: member.nama_lengkap,
+            if (!sourceAccess.allowed) {
+              logger.warn(`Resident ${nik} belongs to KK ${existingResident.family_card_number} outside jurisdiction of user ${userId}, move refused`);
+              skippedResidents.push({
+                nik: nik,
+                nama: member.nama_lengkap,
+                reason: `NIK terdaftar di KK lain (${existingResident.family_card_number}) di luar wilayah kerja Anda, tidak dapat dipindahkan`
+              });
+              continue;
+            }
+
+            if (!approvedMoves.includes(nik)) {
+              logger.warn(`Resident registered under another KK, skipping: ${nik} (${existingResident.family_card_number})`);
+              skippedResidents.push({
+                nik: nik,
+                nama: member.nama_lengkap,
+                reason: `NIK terdaftar di KK lain (${existingResident.family_card_number}), pindah KK tidak disetujui`
+              });
+              continue;
+            }
+
+            pendingMoves.push({ existing: existingResident, data: built.data, changes });
+            movedResidents.push({
+              nik: nik,
+              nama: member.nama_lengkap,
+              fromFamilyCard: existingResident.family_card_number,
+              changes: changes
+            });
+            continue;
+          }
+
+          if (changes.length === 0) {
+            skippedResidents.push({
+              nik: nik,
+              nama: member.nama_lengkap,
+              reason: 'Data sudah sesuai'
+            });
+            continue;
+          }
+
+          if (!approvedUpdates.includes(nik)) {
+            logger.warn(`Resident changes not approved, skipping: ${nik} - ${member.nama_lengkap}`);
+            skippedResidents.push({
+              nik: nik,
+              nama: member.nama_lengkap,
+              reason: 'Perubahan tidak disetujui operator'
+            });
+            continue;
+          }
+
+          pendingUpdates.push({ existing: existingResident, data: built.data, changes });
+          updatedResidents.push({
             nik: nik,
-            reason: `Invalid birth date: ${member.tanggal_lahir}`
+            nama: member.nama_lengkap,
+            changes: changes
           });
           continue;
         }
 
+        residentsData.push(built.data);
+      }
 
-        const marriageDate = member.tanggal_perkawinan ? dateParser.toMySQLDate(member.tanggal_perkawinan) : null;
+      /**
+       * Nonaktifkan penduduk yang tidak lagi tercantum di KK
+       * Hanya untuk KK yang sudah ada dan atas pilihan operator
+       */
+      const deactivatedResidents = isNewFamily
+        ? []
+        : await this.resolveDeactivations(familyCardNumber, ocrData, options.deactivations || []);
 
+      // ========================================================================
+      // STEP 4: DATABASE OPERATIONS (SINGLE TRANSACTION)
+      // ========================================================================
 
-        const age = this.calculateAge(birthDate);
+      /**
+       * Family insert, perubahan penduduk lama, insert penduduk baru dan
+       * update member counts dijalankan dalam satu transaksi. Jika satu
+       * langkah gagal, semuanya di-rollback sehingga tidak ada family_data
+       * kosong atau data setengah tersimpan.
+       */
+      let familyResult;
+      let residentsResult = [];
 
-        
-        const religionId = await ReferenceService.getReligionId(member.agama);
-        const educationId = await ReferenceService.getEducationId(member.pendidikan);
-        const occupationId = await ReferenceService.getOccupationId(member.jenis_pekerjaan);
-        const maritalStatusId = await ReferenceService.getMaritalStatusId(member.status_perkawinan);
-        const familyRelationshipId = await ReferenceService.getFamilyRelationshipId(member.status_hubungan_dalam_keluarga);
-        const citizenshipId = await ReferenceService.getCitizenshipId(member.kewarganegaraan);
-        const ageCategoryId = await ReferenceService.getAgeCategoryId(age);
+      try {
+        ({ familyResult, residentsResult } = await db.executeTransaction(async (conn) => {
+          let family;
 
-        
-        const gender = member.jenis_kelamin === 'LAKI-LAKI' ? 'L' : 'P';
-
-        const residentData = {
-          nik: nik,
-          name: member.nama_lengkap,
-          birth_place: member.tempat_lahir || null,
-          birth_date: birthDate,
-          marriage_date: marriageDate,
-          gender: gender,
-          age: age,
-          family_card_number: familyCardNumber,
-          postal_code: ocrData.kode_pos || null,
-          address: ocrData.alamat || null,
-          father_name: member.nama_ayah || null,
-          mother_name: member.nama_ibu || null,
-          family_relationship_id: familyRelationshipId,
-          religion_id: religionId,
-          education_id: educationId,
-          occupation_id: occupationId,
-          marital_status_id: maritalStatusId,
-          citizenship_id: citizenshipId,
-          age_category_id: ageCategoryId,
-          blood_type_id: null,
-          province_code: regionCodes.province_code,
-          regency_code: regionCodes.regency_code,
-          district_code: regionCodes.district_code,
-          village_code: regionCodes.village_code,
-          hamlet_code: rtRwCodes.hamletCode,
-          community_unit_code: rtRwCodes.rwCode,
-          citizen_association_code: rtRwCodes.rtCode,
-          is_active: 1
-        };
+          if (familyData) {
+            logger.info(`Creating new family record: ${familyCardNumber}`);
+            family = await FamilyDataModel.create(familyData, conn);
+          } else {
+            family = { id: existingFamily.id, family_card_number: familyCardNumber };
+          }
 
-        residentsData.push(residentData);
-      }
+          for (const update of pendingUpdates) {
+            await this.applyResidentChanges(update.existing, update.data, update.changes, userId, conn);
+          }
 
-      
-      let residentsResult = [];
-      if (residentsData.length > 0) {
-        logger.info(`Creating ${residentsData.length} resident records...`);
-        residentsResult = await ResidentModel.bulkCreate(residentsData);
-      } else {
-        logger.warn('No new residents to create');
-      }
+          for (const move of pendingMoves) {
+            await this.moveResident(move.existing, move.data, move.changes, userId, conn);
+          }
 
-      
-      await FamilyDataModel.updateMemberCounts(familyCardNumber);
+          await this.deactivateResidents(familyCardNumber, deactivatedResidents, userId, conn);
+
+          let created = [];
+          if (residentsData.length > 0) {
+            logger.info(`Creating ${residentsData.length} resident records...`);
+            created = await ResidentModel.bulkCreate(residentsData, conn);
+          } else {
+            logger.warn('No new residents to create');
+          }
+
+          await FamilyDataModel.updateMemberCounts(familyCardNumber, conn);
+
+          await ValidationLogModel.create({
+            family_card_number: familyCardNumber,
+            status: validationStatus,
+            issues: validation.issues,
+            validated_by: userId
+          }, conn);
+
+          return { familyResult: family, residentsResult: created };
+        }));
+      } catch (error) {
+        error.rolledBack = true;
+        throw error;
+      }
 
       logger.info('Auto-create completed successfully');
 
       
       const totalFromOCR = ocrData.table.length;
       const newMembers = residentsResult.length;
+      const updatedMembers = updatedResidents.length;
+      const deactivatedMembers = deactivatedResidents.length;
+      const movedMembers = movedResidents.length;
       const skippedMembers = skippedResidents.length;
       const invalidMembers = invalidResidents.length;
 
@@ -421,6 +657,18 @@ class AutoCreateService {
 
       resultMessage += `\n- Total anggota dari OCR: ${totalFromOCR}`;
       resultMessage += `\n- Anggota baru ditambahkan: ${newMembers}`;
+
+      if (updatedMembers > 0) {
+        resultMessage += `\n- Anggota lama diperbarui: ${updatedMembers}`;
+      }
+
+      if (movedMembers > 0) {
+        resultMessage += `\n- Anggota pindah dari KK lain: ${movedMembers}`;
+      }
+
+      if (deactivatedMembers > 0) {
+        resultMessage += `\n- Anggota dinonaktifkan: ${deactivatedMembers}`;
+      }
       
       if (skippedMembers > 0) {
         resultMessage += `\n- Anggota yang sudah ada (skip): ${skippedMembers}`;
@@ -439,10 +687,22 @@ class AutoCreateService {
           residents: residentsResult,
           familyCount: isNewFamily ? 1 : 0,
           residentCount: newMembers,
+          updatedCount: updatedMembers,
+          deactivatedCount: deactivatedMembers,
+          movedCount: movedMembers,
           skippedCount: skippedMembers,
           invalidCount: invalidMembers,
+          updatedResidents: updatedResidents,
+          deactivatedResidents: deactivatedResidents,
+          movedResidents: movedResidents,
           skippedResidents: skippedResidents,
-          invalidResidents: invalidResidents
+          invalidResidents: invalidResidents,
+          regionMismatch: regionMismatch,
+          validation: {
+            status: validationStatus,
+            errorCount: validation.errors.length,
+            warningCount: validation.warnings.length
+          }
         }
       };
 
@@ -451,12 +711,570 @@ class AutoCreateService {
 
       return {
         success: false,
-        message: `Gagal membuat data KK: ${error.message}`,
+        message: `Gagal membuat data KK: ${this.describeError(error)}`,
+        error: error.message,
+        rolledBack: !!error.rolledBack
+      };
+    }
+  }
+
+  /**
+   * Terjemahkan error database ke pesan yang bisa dipahami operator
+   *
+   * @static
+   * @param {Error} error - Error dari mysql2 atau validasi
+   * @returns {string} Deskripsi error dalam Bahasa Indonesia
+   */
+  static describeError(error) {
+    const messages = {
+      ER_DUP_ENTRY: 'Data duplikat, NIK atau nomor KK sudah tersimpan oleh proses lain',
+      ER_NO_REFERENCED_ROW_2: 'Kode referensi atau kode wilayah tidak ditemukan di database',
+      ER_DATA_TOO_LONG: 'Ada data yang melebihi panjang kolom database',
+      ER_LOCK_WAIT_TIMEOUT: 'Database sedang sibuk, silakan coba lagi',
+      ER_LOCK_DEADLOCK: 'Database sedang sibuk, silakan coba lagi',
+      ECONNREFUSED: 'Tidak dapat terhubung ke database',
+      PROTOCOL_CONNECTION_LOST: 'Koneksi ke database terputus'
+    };
+
+    return messages[error.code] || error.message;
+  }
+
+  /**
+   * Preview perubahan untuk penduduk yang sudah terdaftar
+   *
+   * Dipanggil sebelum autoCreate agar operator bisa melihat field mana saja
+   * yang berbeda antara data OCR dan database, lalu memilih penduduk mana
+   * yang perubahannya disetujui (dikirim ke autoCreate via approvedUpdates).
+   *
+   * Tidak ada perubahan database di method ini.
+   *
+   * @async
+   * @static
+   * @param {Object} ocrData - Data hasil OCR (sama seperti autoCreate)
+   * @param {number} [userId] - ID user yang akan menyimpan (filter wilayah kerja untuk moves)
+   * @returns {Promise<Object>} Result object:
+   *   - success: {boolean}
+   *   - data.updates: {Array} - [{ nik, nama, changes: [{ field, label, oldValue, newValue, oldDisplay, newDisplay }] }]
+   *   - data.missing: {Array} - Penduduk aktif KK ini yang tidak ada di hasil
+   *     scan: [{ nik, nama }] (kandidat penonaktifan)
+   *   - data.moves: {Array} - Penduduk yang terdaftar di KK lain:
+   *     [{ nik, nama, fromFamilyCard, changes }] (kandidat pindah KK). Jika
+   *     userId diisi, penduduk dari KK di luar wilayah kerja user tidak
+   *     dimasukkan (autoCreate juga menolak memindahkannya)
+   *   - message/error: {string} - Jika gagal
+   *
+   * @example
+   * const preview = await AutoCreateService.previewChanges(ocrData, userId);
+   * const niks = preview.data.updates.map(u => u.nik);
+   * await AutoCreateService.autoCreate(ocrData, userId, { approvedUpdates: niks });
+   */
+  static async previewChanges(ocrData, userId = null) {
+    try {
+      const familyCardNumber = normalizeKK(ocrData && ocrData.nomor_kk);
+
+      if (!familyCardNumber || !ocrData.table) {
+        return { success: true, data: { updates: [], missing: [], moves: [] } };
+      }
+
+      /**
+       * Region codes tidak ikut dibandingkan, sehingga lookup API
+       * tidak diperlukan untuk preview
+       */
+      const context = { familyCardNumber, ocrData, regionCodes: {}, rtRwCodes: {} };
+      const updates = [];
+      const moves = [];
+
+      for (const member of ocrData.table) {
+        const nik = normalizeNIK(member.nik);
+        if (!nik) continue;
+
+        const existingResident = await ResidentModel.findByNIK(nik);
+        if (!existingResident) continue;
+
+        const built = await this.buildResidentData(member, nik, context);
+        if (!built.valid) continue;
+
+        const changes = await this.diffResident(existingResident, built.data, member);
+
+        if (existingResident.family_card_number !== familyCardNumber) {
+          if (userId && !(await this.checkMoveJurisdiction(existingResident, userId)).allowed) {
+            logger.info(`Move candidate ${nik} from KK ${existingResident.family_card_number} outside jurisdiction of user ${userId}, left out of review`);
+            continue;
+          }
+
+          moves.push({
+            nik,
+            nama: member.nama_lengkap,
+            fromFamilyCard: existingResident.family_card_number,
+            changes
+          });
+        } else if (changes.length > 0) {
+          updates.push({ nik, nama: member.nama_lengkap, changes });
+        }
+      }
+
+      const missing = (await this.findMissingResidents(familyCardNumber, ocrData))
+        .map(resident => ({ nik: resident.nik, nama: resident.name }));
+
+      return { success: true, data: { updates, missing, moves } };
+
+    } catch (error) {
+      logger.error('Error previewing resident changes:', error);
+
+      return {
+        success: false,
+        message: `Gagal memeriksa perubahan data: ${error.message}`,
         error: error.message
       };
     }
   }
 
+  /**
+   * Build row residents dari satu anggota OCR
+   *
+   * @async
+   * @static
+   * @param {Object} member - Anggota keluarga dari ocrData.table
+   * @param {string} nik - NIK yang sudah dinormalisasi
+   * @param {Object} context - { familyCardNumber, ocrData, regionCodes, rtRwCodes }
+   * @returns {Promise<Object>} { valid: true, data } atau { valid: false, reason }
+   */
+  static async buildResidentData(member, nik, context) {
+    const { familyCardNumber, ocrData, regionCodes, rtRwCodes } = context;
+
+    const birthDate = dateParser.toMySQLDate(member.tanggal_lahir);
+
+    if (!birthDate) {
+      return { valid: false, reason: `Invalid birth date: ${member.tanggal_lahir}` };
+    }
+
+
+    const marriageDate = member.tanggal_perkawinan ? dateParser.toMySQLDate(member.tanggal_perkawinan) : null;
+
+
+    const age = this.calculateAge(birthDate);
+
+    
+    const religionId = await ReferenceService.getReligionId(member.agama);
+    const educationId = await ReferenceService.getEducationId(member.pendidikan);
+    const occupationId = await ReferenceService.getOccupationId(member.jenis_pekerjaan);
+    const maritalStatusId = await ReferenceService.getMaritalStatusId(member.status_perkawinan);
+    const familyRelationshipId = await ReferenceService.getFamilyRelationshipId(member.status_hubungan_dalam_keluarga);
+    const citizenshipId = await ReferenceService.getCitizenshipId(member.kewarganegaraan);
+    const ageCategoryId = await ReferenceService.getAgeCategoryId(age);
+
+    
+    const gender = member.jenis_kelamin === 'LAKI-LAKI' ? 'L' : 'P';
+
+    return {
+      valid: true,
+      data: {
+        nik: nik,
+        name: member.nama_lengkap,
+        birth_place: member.tempat_lahir || null,
+        birth_date: birthDate,
+        marriage_date: marriageDate,
+        gender: gender,
+        age: age,
+        family_card_number: familyCardNumber,
+        postal_code: ocrData.kode_pos || null,
+        address: ocrData.alamat || null,
+        father_name: member.nama_ayah || null,
+        mother_name: member.nama_ibu || null,
+        family_relationship_id: familyRelationshipId,
+        religion_id: religionId,
+        education_id: educationId,
+        occupation_id: occupationId,
+        marital_status_id: maritalStatusId,
+        citizenship_id: citizenshipId,
+        age_category_id: ageCategoryId,
+        blood_type_id: null,
+        province_code: regionCodes.province_code || null,
+        regency_code: regionCodes.regency_code || null,
+        district_code: regionCodes.district_code || null,
+        village_code: regionCodes.village_code || null,
+        hamlet_code: rtRwCodes.hamletCode || null,
+        community_unit_code: rtRwCodes.rwCode || null,
+        citizen_association_code: rtRwCodes.rtCode || null,
+        is_active: 1
+      }
+    };
+  }
+
+  /**
+   * Bandingkan row residents di database dengan data hasil OCR
+   *
+   * Field yang kosong di OCR tidak dianggap perubahan (OCR tidak terbaca
+   * bukan berarti data dihapus). Perbandingan teks case-insensitive.
+   *
+   * @async
+   * @static
+   * @param {Object} existing - Row dari ResidentModel.findByNIK
+   * @param {Object} residentData - Hasil buildResidentData
+   * @param {Object} member - Anggota OCR asal (untuk cek field source)
+   * @returns {Promise<Array>} [{ field, label, oldValue, newValue, oldDisplay, newDisplay }]
+   */
+  static async diffResident(existing, residentData, member) {
+    const changes = [];
+
+    for (const def of RESIDENT_DIFF_FIELDS) {
+      if (def.source && !member[def.source]) continue;
+
+      const newValue = this.normalizeDiffValue(residentData[def.field], def);
+      if (newValue === null) continue;
+
+      const oldValue = this.normalizeDiffValue(existing[def.field], def);
+      const isSame = oldValue !== null && String(oldValue).toUpperCase() === String(newValue).toUpperCase();
+      if (isSame) continue;
+
+      changes.push({
+        field: def.field,
+        label: def.label,
+        oldValue: oldValue,
+        newValue: newValue,
+        oldDisplay: await this.formatDiffValue(oldValue, def),
+        newDisplay: await this.formatDiffValue(newValue, def)
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Terapkan perubahan yang disetujui ke residents dan catat audit log
+   *
+   * ResidentModel.update meng-update semua kolom, sehingga row lama
+   * digabung dengan field yang berubah. Jika tanggal lahir berubah,
+   * umur dan kategori umur ikut dihitung ulang.
+   *
+   * @async
+   * @static
+   * @param {Object} existing - Row dari ResidentModel.findByNIK
+   * @param {Object} residentData - Hasil buildResidentData
+   * @param {Array} changes - Hasil diffResident
+   * @param {number} userId - ID user yang menyetujui
+   * @param {mysql.PoolConnection} connection - Koneksi transaksi autoCreate
+   * @returns {Promise<void>}
+   * @throws {Error} Database error
+   */
+  static async applyResidentChanges(existing, residentData, changes, userId, connection) {
+    const updatedFields = {};
+
+    changes.forEach(change => {
+      updatedFields[change.field] = residentData[change.field];
+    });
+
+    if (updatedFields.birth_date) {
+      updatedFields.age = residentData.age;
+      updatedFields.age_category_id = residentData.age_category_id;
+    }
+
+    await ResidentModel.update(existing.nik, { ...existing, ...updatedFields }, connection);
+
+    await ResidentChangeLogModel.create(changes.map(change => ({
+      nik: existing.nik,
+      family_card_number: existing.family_card_number,
+      field: change.field,
+      old_value: change.oldValue,
+      new_value: change.newValue,
+      changed_by: userId,
+      source: 'ocr'
+    })), connection);
+
+    logger.info(`Updated resident ${existing.nik}: ${changes.map(c => c.field).join(', ')}`);
+  }
+
+  /**
+   * Cek wilayah kerja user terhadap KK lama penduduk yang akan dipindahkan
+   *
+   * Memindahkan penduduk juga mengubah KK lama (anggota berkurang), sehingga
+   * KK lama harus berada di wilayah kerja user seperti KK tujuan. Kode desa
+   * diambil dari family_data KK lama; kode desa penduduk hanya fallback.
+   *
+   * @async
+   * @static
+   * @param {Object} existing - Row dari ResidentModel.findByNIK (KK lama)
+   * @param {number} userId - ID user yang menyimpan
+   * @returns {Promise<Object>} Hasil JurisdictionService.checkRegion
+   * @throws {Error} Database error
+   */
+  static async checkMoveJurisdiction(existing, userId) {
+    const sourceFamily = await FamilyDataModel.findByFamilyCard(existing.family_card_number);
+    const sourceCode = (sourceFamily && sourceFamily.village_code) || existing.village_code;
+
+    return JurisdictionService.checkRegion(userId, sourceCode);
+  }
+
+  /**
+   * Pindahkan penduduk dari KK lain ke KK hasil scan
+   *
+   * Kasus pecah KK atau perkawinan: NIK sudah terdaftar di KK lama dan kini
+   * tercantum di KK baru. Dijalankan di transaksi autoCreate:
+   * 1. Update residents (nomor KK, alamat, kode wilayah dan field yang berubah)
+   * 2. Aktifkan kembali jika sebelumnya dinonaktifkan
+   * 3. Catat perubahan di resident_change_logs
+   * 4. Hitung ulang jumlah anggota KK lama dan KK baru
+   *
+   * @async
+   * @static
+   * @param {Object} existing - Row dari ResidentModel.findByNIK (KK lama)
+   * @param {Object} residentData - Hasil buildResidentData (KK baru)
+   * @param {Array} changes - Hasil diffResident
+   * @param {number} userId - ID user yang menyetujui
+   * @param {mysql.PoolConnection} connection - Koneksi transaksi autoCreate
+   * @returns {Promise<void>}
+   * @throws {Error} Database error (transaksi di-rollback oleh caller)
+   */
+  static async moveResident(existing, residentData, changes, userId, connection) {
+    const fromFamilyCard = existing.family_card_number;
+    const toFamilyCard = residentData.family_card_number;
+
+    const updatedFields = { family_card_number: toFamilyCard };
+    changes.forEach(change => {
+      updatedFields[change.field] = residentData[change.field];
+    });
+
+    if (updatedFields.birth_date) {
+      updatedFields.age = residentData.age;
+      updatedFields.age_category_id = residentData.age_category_id;
+    }
+
+    // Lokasi mengikuti KK baru; kode yang tidak ditemukan tetap memakai nilai lama
+    ['province_code', 'regency_code', 'district_code', 'village_code',
+      'hamlet_code', 'community_unit_code', 'citizen_association_code'].forEach(field => {
+      if (residentData[field]) {
+        updatedFields[field] = residentData[field];
+      }
+    });
+
+    const logs = [
+      { field: 'family_card_number', old_value: fromFamilyCard, new_value: toFamilyCard, note: 'Pindah KK' },
+      ...changes.map(change => ({ field: change.field, old_value: change.oldValue, new_value: change.newValue }))
+    ];
+
+    if (Number(existing.is_active) !== 1) {
+      logs.push({ field: 'is_active', old_value: 0, new_value: 1, note: 'Aktif kembali karena pindah KK' });
+    }
+
+    await ResidentModel.update(existing.nik, { ...existing, ...updatedFields }, connection);
+
+    if (Number(existing.is_active) !== 1) {
+      await ResidentModel.setActive(existing.nik, true, connection);
+    }
+
+    await ResidentChangeLogModel.create(logs.map(log => ({
+      ...log,
+      nik: existing.nik,
+      family_card_number: toFamilyCard,
+      changed_by: userId,
+      source: 'ocr'
+    })), connection);
+
+    // KK baru dihitung ulang di akhir transaksi autoCreate
+    await FamilyDataModel.updateMemberCounts(fromFamilyCard, connection);
+
+    logger.info(`Moved resident ${existing.nik} from KK ${fromFamilyCard} to ${toFamilyCard}`);
+  }
+
+  /**
+   * Cari penduduk aktif KK yang tidak tercantum di hasil scan
+   *
+   * @async
+   * @static
+   * @param {string} familyCardNumber - Nomor KK (sudah dinormalisasi)
+   * @param {Object} ocrData - Data hasil OCR
+   * @returns {Promise<Array>} Row residents yang tidak ada di ocrData.table
+   */
+  static async findMissingResidents(familyCardNumber, ocrData) {
+    const scannedNiks = ocrData.table.map(member => normalizeNIK(member.nik)).filter(Boolean);
+    const residents = await ResidentModel.findByFamilyCard(familyCardNumber);
+
+    return residents.filter(resident =>
+      Number(resident.is_active) === 1 && !scannedNiks.includes(resident.nik)
+    );
+  }
+
+  /**
+   * Validasi pilihan penonaktifan dari operator
+   *
+   * NIK dicek ulang terhadap findMissingResidents, sehingga penduduk yang
+   * masih tercantum di KK atau milik KK lain tidak ikut dinonaktifkan.
+   *
+   * @async
+   * @static
+   * @param {string} familyCardNumber - Nomor KK
+   * @param {Object} ocrData - Data hasil OCR
+   * @param {Array<Object>} deactivations - [{ nik, reason }]
+   * @returns {Promise<Array>} [{ nik, nama, reason }] dengan reason berupa label
+   * @throws {Error} Jika reason tidak dikenali
+   */
+  static async resolveDeactivations(familyCardNumber, ocrData, deactivations) {
+    if (deactivations.length === 0) {
+      return [];
+    }
+
+    const missing = await this.findMissingResidents(familyCardNumber, ocrData);
+    const resolved = [];
+
+    for (const { nik, reason } of deactivations) {
+      if (!INACTIVE_REASONS[reason]) {
+        throw new Error(`Unknown deactivation reason: ${reason}`);
+      }
+
+      const resident = missing.find(r => r.nik === nik);
+
+      if (!resident) {
+        logger.warn(`Resident ${nik} is not a missing member of ${familyCardNumber}, not deactivated`);
+        continue;
+      }
+
+      resolved.push({ nik, nama: resident.name, reason: INACTIVE_REASONS[reason] });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Nonaktifkan penduduk hasil resolveDeactivations dan catat alasannya
+   *
+   * @async
+   * @static
+   * @param {string} familyCardNumber - Nomor KK
+   * @param {Array<Object>} residents - Hasil resolveDeactivations
+   * @param {number} userId - ID user yang menyetujui
+   * @param {mysql.PoolConnection} connection - Koneksi transaksi autoCreate
+   * @returns {Promise<void>}
+   * @throws {Error} Database error
+   */
+  static async deactivateResidents(familyCardNumber, residents, userId, connection) {
+    for (const resident of residents) {
+      await ResidentModel.setActive(resident.nik, false, connection);
+
+      await ResidentChangeLogModel.create([{
+        nik: resident.nik,
+        family_card_number: familyCardNumber,
+        field: 'is_active',
+        old_value: 1,
+        new_value: 0,
+        changed_by: userId,
+        source: 'ocr',
+        note: resident.reason
+      }], connection);
+    }
+  }
+
+  
+  static normalizeDiffValue(value, def) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (def.type === 'date') {
+      const date = value instanceof Date ? moment(value) : moment(String(value).substring(0, 10), 'YYYY-MM-DD');
+      return date.isValid() ? date.format('YYYY-MM-DD') : null;
+    }
+
+    return String(value).trim() || null;
+  }
+
+  
+  static async formatDiffValue(value, def) {
+    if (value === null) return '-';
+
+    if (def.type === 'date') {
+      return moment(value, 'YYYY-MM-DD').format('DD-MM-YYYY');
+    }
+
+    if (def.field === 'gender') {
+      return value === 'L' ? 'LAKI-LAKI' : 'PEREMPUAN';
+    }
+
+    if (def.reference) {
+      const name = await ReferenceService.getReferenceName(def.reference, value);
+      return name || String(value);
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Tentukan kode wilayah untuk data KK
+   *
+   * Kode wilayah yang diatur operator via /kode-wilayah adalah sumber utama:
+   * kode provinsi/kabupaten/kecamatan/desa diturunkan langsung dari kode
+   * tersebut. Pencarian nama wilayah hasil OCR (parseRegionCodes) hanya
+   * dipakai jika tidak ada kode session, atau untuk mengisi level di bawah
+   * kode session (contoh: session hanya kode kecamatan) selama hasilnya
+   * masih berada di dalam wilayah session.
+   *
+   * @async
+   * @static
+   * @param {Object} ocrData - Data hasil OCR
+   * @param {Object} [region] - { villageCode, villageData } dari session
+   * @returns {Promise<Object>} { province_code, regency_code, district_code, village_code }
+   */
+  static async resolveRegionCodes(ocrData, region) {
+    if (!region || !region.villageCode) {
+      return this.parseRegionCodes(ocrData);
+    }
+
+    const codes = RegionService.splitRegionCode(region.villageCode);
+
+    if (codes.village_code) {
+      return codes;
+    }
+
+    const sessionPrefix = String(region.villageCode).replace(/\D/g, '');
+    const ocrCodes = await this.parseRegionCodes(ocrData);
+
+    Object.keys(codes).forEach(level => {
+      const ocrCode = ocrCodes[level];
+      if (!codes[level] && ocrCode && String(ocrCode).replace(/\D/g, '').startsWith(sessionPrefix)) {
+        codes[level] = ocrCode;
+      }
+    });
+
+    return codes;
+  }
+
+  /**
+   * Bandingkan nama wilayah hasil OCR dengan kode wilayah session
+   *
+   * Hanya level yang diketahui namanya di villageData (hasil
+   * RegionService.getRegion saat /kode-wilayah) dan terbaca di KK yang
+   * dibandingkan, sehingga field OCR kosong tidak dianggap berbeda.
+   *
+   * @static
+   * @param {Object} ocrData - Data hasil OCR
+   * @param {Object} [region] - { villageCode, villageData } dari session
+   * @returns {Array<Object>} [{ field, label, ocrName, sessionName }],
+   *   kosong jika cocok atau tidak bisa dibandingkan
+   */
+  static checkRegionMismatch(ocrData, region) {
+    if (!ocrData || !region || !region.villageData) {
+      return [];
+    }
+
+    const data = region.villageData;
+    const length = String(region.villageCode || data.code || '').replace(/\D/g, '').length;
+    const isVillage = length >= 10;
+
+    const levels = [
+      { field: 'provinsi', label: 'Provinsi', name: length === 2 ? data.name : data.province_name },
+      { field: 'kabupaten_kota', label: 'Kabupaten/Kota', name: length === 4 ? data.name : data.regency_name },
+      { field: 'kecamatan', label: 'Kecamatan', name: length === 6 ? data.name : data.district_name },
+      { field: 'desa_kelurahan', label: 'Desa/Kelurahan', name: isVillage ? data.name : null }
+    ];
+
+    return levels
+      .filter(level => level.name && level.name !== 'Tidak diketahui' && ocrData[level.field])
+      .filter(level => !RegionService.isSameRegionName(ocrData[level.field], level.name))
+      .map(level => ({
+        field: level.field,
+        label: level.label,
+        ocrName: ocrData[level.field],
+        sessionName: level.name
+      }));
+  }
+
   
   static async parseRegionCodes(ocrData) {
     try {
@@ -606,44 +1424,6 @@ class AutoCreateService {
       return null;
     }
   }
-
-  
-  static validateOcrData(ocrData) {
-    const errors = [];
-
-    
-    const familyCardNumber = normalizeKK(ocrData.nomor_kk);
-    if (!familyCardNumber) {
-      errors.push('Nomor KK tidak valid (harus 16 digit)');
-    }
-
-    
-    if (!ocrData.table || ocrData.table.length === 0) {
-      errors.push('Tidak ada anggota keluarga yang ditemukan');
-    } else {
-      
-      ocrData.table.forEach((member, index) => {
-        const nik = normalizeNIK(member.nik);
-
-        if (!nik) {
-          errors.push(`Anggota ${index + 1}: NIK tidak valid (${member.nama_lengkap})`);
-        }
-
-        if (!member.nama_lengkap || member.nama_lengkap.length < 2) {
-          errors.push(`Anggota ${index + 1}: Nama tidak valid`);
-        }
-
-        if (!member.tanggal_lahir) {
-          errors.push(`Anggota ${index + 1}: Tanggal lahir tidak valid (${member.nama_lengkap})`);
-        }
-      });
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
-  }
 }
 
 /**
@@ -653,11 +1433,12 @@ class AutoCreateService {
  *
  * DATA PROCESSING PIPELINE:
  * --------------------------
- * 1. OCR Data Validation
+ * 1. OCR Data Validation (ValidationService.validateDocument)
  *    - Structure validation (required fields)
  *    - Format validation (NIK, KK numbers)
  *    - Data type validation (dates, numbers)
- *    - Business rule validation
+ *    - Business rule validation (konsistensi NIK, struktur keluarga)
+ *    - Status invalid / review / warning / valid menentukan boleh simpan
  *
  * 2. Family Record Management
  *    - Check existing family records
@@ -836,6 +1617,7 @@ class AutoCreateService {
  * --------------
  * - src/database/FamilyDataModel.js: Family database operations
  * - src/database/ResidentModel.js: Resident database operations
+ * - src/database/ResidentChangeLogModel.js: Audit log perubahan resident
  * - src/services/RegionService.js: Region code processing
  * - src/services/ReferenceService.js: Reference data lookup
  * - src/utils/textCleaner.js: Text normalization
@@ -844,4 +1626,6 @@ class AutoCreateService {
  * ============================================================================
  */
 
+AutoCreateService.INACTIVE_REASONS = INACTIVE_REASONS;
+
 module.exports = AutoCreateService;
@@ -0,0 +1,570 @@
+/**
+ * ============================================================================
+ * DRAFT SERVICE - PENYIMPANAN DRAFT HASIL OCR PER CHAT
+ * ============================================================================
+ *
+ * File: DraftService.js
+ * Deskripsi: Service untuk menyimpan hasil OCR Kartu Keluarga sebagai draft
+ *            yang menunggu konfirmasi operator sebelum ditulis ke database
+ *
+ * Fitur Utama:
+ * - Satu draft aktif per chat ID (draft baru menggantikan draft lama)
+ * - Draft ID unik untuk mencegah tombol lama memproses draft baru
+ * - Expiry otomatis sesuai config.draft.expireMinutes
+ * - Auto cleanup expired drafts setiap 5 menit
+ * - Koreksi per-field dengan validasi ulang (aturan sama dengan OCR)
+ * - State koreksi per chat (field yang sedang menunggu input operator)
+ *
+ * Alur Draft:
+ * 1. photo.js menyimpan hasil OCR via createDraft()
+ * 2. Operator melihat preview dengan tombol Simpan / Koreksi / Batal
+ *    - Koreksi: field dipilih via setPendingEdit(), nilai baru diterapkan
+ *      via updateField() setelah divalidasi ulang
+ * 3. Tombol Simpan: jika ada penduduk lama yang datanya berbeda, daftar
+ *    perubahan (dan penduduk yang tidak lagi tercantum di KK) disimpan via
+ *    setReview() untuk diputuskan operator; setelah
+ *    itu draft dikunci via lockDraft() lalu disimpan ke database. Berhasil:
+ *    draft dihapus; gagal: kunci dilepas dan draft bisa disimpan ulang
+ *    (releaseDraft())
+ * 4. Tombol Batal: draft dihapus via deleteDraft()
+ * 5. Tidak ada aksi: draft expired dan dihapus oleh cleanup timer
+ *
+ * Dependencies:
+ * - logger: Logging aktivitas draft
+ * - config: Durasi expiry draft (config.draft.expireMinutes)
+ * - GeminiOcrService: Aturan normalisasi/validasi per-field (normalizeField)
+ *
+ * CATATAN PENTING:
+ * - Draft disimpan di memory (Map), akan hilang jika aplikasi restart
+ * - Tidak ada data yang ditulis ke database selama masih berupa draft
+ * - lockDraft() menandai draft sedang disimpan (processing) sehingga
+ *   double-click pada tombol Simpan tidak menyimpan data dua kali; draft
+ *   yang sedang disimpan tidak bisa dikoreksi, dibatalkan atau expired
+ *
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const GeminiOcrService = require('./GeminiOcrService');
+
+/**
+ * DraftService Class
+ *
+ * Class singleton untuk mengelola draft hasil OCR per chat.
+ *
+ * Draft Structure:
+ * {
+ *   id: string,             // Draft ID pendek (dipakai di callback_data tombol)
+ *   chatId: number,         // Telegram chat ID pemilik draft
+ *   userId: number,         // ID user yang mengirim foto
+ *   data: object,           // parsedData hasil OCR (nomor_kk, table, dll)
+ *   ocrInfo: object,        // { confidence, fieldConfidence, processingTime, imageAudit, pages, consensus }
+ *   messageId: number|null, // Message ID preview draft (untuk edit in-place)
+ *   pendingEdit: object|null, // { memberIndex, field } yang menunggu input
+ *   corrections: Array,     // Riwayat koreksi { memberIndex, field, oldValue, newValue, correctedAt }
+ *   review: object|null,    // Review sebelum simpan { updates, approved, moves, approvedMoves, missing, deactivations }
+ *   confidenceChecked: boolean, // Operator sudah mengonfirmasi field dengan confidence rendah dan error struktur keluarga
+ *   processing: boolean,    // Draft sedang disimpan ke database (lockDraft)
+ *   createdAt: Date,        // Waktu draft dibuat
+ *   expiresAt: Date         // Waktu draft expired
+ * }
+ *
+ * memberIndex bernilai null untuk field header KK (nomor_kk, alamat, dll)
+ * dan index 0-based pada data.table untuk field anggota keluarga.
+ *
+ * @class DraftService
+ */
+class DraftService {
+  /**
+   * Constructor - Inisialisasi Service
+   *
+   * Membuat Map untuk draft storage dan menjalankan auto cleanup timer.
+   *
+   * @constructor
+   */
+  constructor() {
+    // In-memory draft storage
+    // Key: chatId (number) - Telegram chat ID
+    // Value: draft object
+    this.drafts = new Map();
+
+    // Cleanup expired drafts setiap 5 menit
+    setInterval(() => {
+      this.cleanupExpiredDrafts();
+    }, 5 * 60 * 1000);
+  }
+
+  /**
+   * Durasi draft dalam milliseconds
+   *
+   * @returns {number} Durasi expiry draft
+   */
+  getExpiryMs() {
+    return config.draft.expireMinutes * 60 * 1000;
+  }
+
+  /**
+   * Create Draft
+   *
+   * Menyimpan hasil OCR sebagai draft baru untuk chat ini.
+   * Draft lama (jika ada) akan diganti.
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} draftData - Data draft
+   * @param {number} draftData.userId - ID user yang memproses
+   * @param {Object} draftData.data - parsedData hasil OCR
+   * @param {Object} draftData.ocrInfo - Informasi OCR (confidence, fieldConfidence,
+   *   processingTime, imageAudit: path foto asli/normalisasi untuk audit)
+   * @returns {Object} Draft yang baru dibuat
+   */
+  createDraft(chatId, { userId, data, ocrInfo }) {
+    const now = new Date();
+
+    if (this.drafts.has(chatId)) {
+      logger.info(`Replacing existing draft for chat ${chatId}`);
+    }
+
+    const draft = {
+      id: crypto.randomBytes(4).toString('hex'),
+      chatId,
+      userId,
+      data,
+      ocrInfo: ocrInfo || {},
+      messageId: null,
+      pendingEdit: null,
+      corrections: [],
+      review: null,
+      confidenceChecked: false,
+      processing: false,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + this.getExpiryMs())
+    };
+
+    this.drafts.set(chatId, draft);
+    logger.info(`Draft ${draft.id} created for chat ${chatId} (KK: ${data.nomor_kk})`);
+
+    return draft;
+  }
+
+  /**
+   * Get Draft
+   *
+   * Mengambil draft aktif untuk chat. Jika draftId diberikan, draft hanya
+   * dikembalikan jika ID-nya cocok (mencegah tombol dari preview lama
+   * memproses draft yang lebih baru).
+   *
+   * Draft yang sudah expired langsung dihapus (lazy deletion).
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} [draftId] - Draft ID dari callback_data
+   * @returns {Object|null} Draft atau null jika tidak ada/expired/tidak cocok
+   */
+  getDraft(chatId, draftId) {
+    const draft = this.drafts.get(chatId);
+
+    if (!draft) {
+      return null;
+    }
+
+    if (new Date() > draft.expiresAt && !draft.processing) {
+      this.drafts.delete(chatId);
+      logger.info(`Draft ${draft.id} for chat ${chatId} expired`);
+      return null;
+    }
+
+    if (draftId && draft.id !== draftId) {
+      return null;
+    }
+
+    return draft;
+  }
+
+  /**
+   * Set Draft Message
+   *
+   * Menyimpan message ID preview draft agar bisa diedit in-place.
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {number} messageId - Message ID preview draft
+   * @returns {boolean} true jika draft ditemukan
+   */
+  setDraftMessage(chatId, messageId) {
+    const draft = this.getDraft(chatId);
+
+    if (!draft) {
+      return false;
+    }
+
+    draft.messageId = messageId;
+    return true;
+  }
+
+  /**
+   * Set Pending Edit
+   *
+   * Menandai field yang sedang dikoreksi. Pesan teks berikutnya dari chat
+   * ini akan diperlakukan sebagai nilai baru untuk field tersebut.
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} target - Field yang dikoreksi
+   * @param {number|null} target.memberIndex - Index anggota (null untuk header KK)
+   * @param {string} target.field - Nama field
+   * @returns {boolean} true jika draft ditemukan
+   */
+  setPendingEdit(chatId, { memberIndex, field }) {
+    const draft = this.getDraft(chatId);
+
+    if (!draft) {
+      return false;
+    }
+
+    draft.pendingEdit = { memberIndex, field };
+    return true;
+  }
+
+  /**
+   * Clear Pending Edit
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @returns {void}
+   */
+  clearPendingEdit(chatId) {
+    const draft = this.getDraft(chatId);
+
+    if (draft) {
+      draft.pendingEdit = null;
+    }
+  }
+
+  /**
+   * Set Review
+   *
+   * Menyimpan hasil AutoCreateService.previewChanges beserta keputusan
+   * operator: NIK yang perubahannya disetujui (approved), NIK dari KK lain
+   * yang disetujui pindah (approvedMoves) dan alasan
+   * penonaktifan per NIK untuk penduduk yang tidak lagi tercantum
+   * (deactivations, contoh: { '3301...': 'meninggal' }).
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object|null} review - { updates, approved, moves, approvedMoves, missing, deactivations } atau null
+   * @returns {boolean} true jika draft ditemukan
+   */
+  setReview(chatId, review) {
+    const draft = this.getDraft(chatId);
+
+    if (!draft) {
+      return false;
+    }
+
+    draft.review = review;
+    return true;
+  }
+
+  /**
+   * Toggle Approval
+   *
+   * Membalik status persetujuan perubahan atau pindah KK untuk satu penduduk.
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} nik - NIK penduduk
+   * @param {string} [list='approved'] - 'approved' (perubahan data) atau
+   *   'approvedMoves' (pindah KK)
+   * @returns {boolean} true jika status berubah
+   */
+  toggleApproval(chatId, nik, list = 'approved') {
+    const draft = this.getDraft(chatId);
+
+    if (!draft || !draft.review) {
+      return false;
+    }
+
+    const approved = draft.review[list];
+    const index = approved.indexOf(nik);
+
+    if (index === -1) {
+      approved.push(nik);
+    } else {
+      approved.splice(index, 1);
+    }
+
+    return true;
+  }
+
+  /**
+   * Set Deactivation
+   *
+   * Menyimpan alasan penonaktifan untuk satu penduduk yang tidak lagi
+   * tercantum di KK. Reason null berarti penduduk tetap aktif.
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} nik - NIK penduduk
+   * @param {string|null} reason - Key AutoCreateService.INACTIVE_REASONS atau null
+   * @returns {boolean} true jika review ditemukan
+   */
+  setDeactivation(chatId, nik, reason) {
+    const draft = this.getDraft(chatId);
+
+    if (!draft || !draft.review) {
+      return false;
+    }
+
+    if (reason) {
+      draft.review.deactivations[nik] = reason;
+    } else {
+      delete draft.review.deactivations[nik];
+    }
+
+    return true;
+  }
+
+  /**
+   * Update Field
+   *
+   * Menerapkan koreksi operator pada satu field draft. Nilai baru dinormalisasi
+   * dan divalidasi dengan GeminiOcrService.normalizeField, aturan yang sama
+   * dengan post-processing hasil OCR. Nilai yang tidak valid ditolak dan
+   * draft tidak berubah.
+   *
+   * Koreksi yang berhasil:
+   * - Dicatat di draft.corrections
+   * - Confidence field menjadi 100 (nilai dari operator)
+   * - Menghapus pendingEdit
+   * - Menghapus review perubahan (harus dihitung ulang dari data terbaru)
+   * - Memperpanjang masa berlaku draft
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {Object} target - Field yang dikoreksi
+   * @param {number|null} target.memberIndex - Index anggota (null untuk header KK)
+   * @param {string} target.field - Nama field
+   * @param {string} value - Nilai baru dari operator
+   * @returns {Object} Result object
+   * @returns {boolean} result.success - Status koreksi
+   * @returns {string} result.message - Pesan error jika gagal
+   * @returns {string} result.oldValue - Nilai sebelum koreksi
+   * @returns {string} result.newValue - Nilai setelah normalisasi
+   */
+  updateField(chatId, { memberIndex, field }, value) {
+    const draft = this.getDraft(chatId);
+
+    if (!draft) {
+      return { success: false, message: 'Draft tidak ditemukan atau sudah kedaluwarsa' };
+    }
+
+    const record = memberIndex === null ? draft.data : draft.data.table[memberIndex];
+
+    if (!record) {
+      return { success: false, message: `Anggota nomor ${memberIndex + 1} tidak ada dalam draft` };
+    }
+
+    const normalized = GeminiOcrService.normalizeField(field, value);
+
+    if (!normalized.valid) {
+      return { success: false, message: normalized.error };
+    }
+
+    const oldValue = record[field];
+    record[field] = normalized.value;
+
+    draft.corrections.push({
+      memberIndex,
+      field,
+      oldValue,
+      newValue: normalized.value,
+      correctedAt: new Date()
+    });
+    this.setVerifiedConfidence(draft, { memberIndex, field });
+    draft.pendingEdit = null;
+    draft.review = null;
+    draft.expiresAt = new Date(Date.now() + this.getExpiryMs());
+
+    logger.info(`Draft ${draft.id} corrected: ${memberIndex === null ? 'header' : `member ${memberIndex + 1}`} ${field}`);
+
+    return { success: true, oldValue, newValue: normalized.value };
+  }
+
+  /**
+   * Tandai confidence satu field sebagai terverifikasi operator
+   *
+   * @param {Object} draft - Draft aktif
+   * @param {Object} target - { memberIndex, field }
+   * @returns {void}
+   */
+  setVerifiedConfidence(draft, { memberIndex, field }) {
+    const fieldConfidence = draft.ocrInfo.fieldConfidence;
+
+    if (!fieldConfidence) {
+      return;
+    }
+
+    const scores = memberIndex === null ? fieldConfidence.header : fieldConfidence.members[memberIndex];
+    if (scores) {
+      scores[field] = { score: 100, reason: null };
+    }
+  }
+
+  /**
+   * Mark Confidence Checked
+   *
+   * Operator menyatakan field dengan confidence rendah dan error struktur
+   * keluarga sudah dicek dengan foto KK, sehingga Simpan tidak lagi
+   * meminta konfirmasi.
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @returns {boolean} true jika draft ditemukan
+   */
+  markConfidenceChecked(chatId) {
+    const draft = this.getDraft(chatId);
+
+    if (!draft) {
+      return false;
+    }
+
+    draft.confidenceChecked = true;
+    return true;
+  }
+
+  /**
+   * Lock Draft
+   *
+   * Menandai draft sedang disimpan. Dipakai saat operator menekan Simpan
+   * agar draft hanya diproses sekali; draft tetap di storage sampai
+   * releaseDraft() dipanggil.
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} draftId - Draft ID dari callback_data
+   * @returns {Object|null} Draft atau null jika tidak ada/expired/tidak cocok/sedang disimpan
+   */
+  lockDraft(chatId, draftId) {
+    const draft = this.getDraft(chatId, draftId);
+
+    if (!draft || draft.processing) {
+      return null;
+    }
+
+    draft.processing = true;
+    return draft;
+  }
+
+  /**
+   * Release Draft
+   *
+   * Pasangan lockDraft(). Draft yang berhasil disimpan dihapus; draft yang
+   * gagal disimpan dikembalikan (kunci dilepas, masa berlaku diperpanjang)
+   * agar operator bisa memperbaiki atau menyimpan ulang.
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @param {string} draftId - Draft ID yang dikunci
+   * @param {boolean} saved - true jika draft berhasil disimpan
+   * @returns {void}
+   */
+  releaseDraft(chatId, draftId, saved) {
+    const draft = this.drafts.get(chatId);
+
+    if (!draft || draft.id !== draftId) {
+      return;
+    }
+
+    if (saved) {
+      this.drafts.delete(chatId);
+      return;
+    }
+
+    draft.processing = false;
+    draft.expiresAt = new Date(Date.now() + this.getExpiryMs());
+    logger.info(`Draft ${draftId} for chat ${chatId} restored after failed save`);
+  }
+
+  /**
+   * Delete Draft
+   *
+   * @param {number} chatId - Telegram chat ID
+   * @returns {boolean} true jika ada draft yang dihapus
+   */
+  deleteDraft(chatId) {
+    const deleted = this.drafts.delete(chatId);
+
+    if (deleted) {
+      logger.info(`Draft for chat ${chatId} discarded`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Cleanup Expired Drafts
+   *
+   * Dipanggil oleh setInterval. Tidak throw error untuk menjaga
+   * stability timer.
+   *
+   * @returns {void}
+   */
+  cleanupExpiredDrafts() {
+    const now = new Date();
+    let removedCount = 0;
+
+    for (const [chatId, draft] of this.drafts.entries()) {
+      if (now > draft.expiresAt && !draft.processing) {
+        this.drafts.delete(chatId);
+        removedCount++;
+      }
+    }
+
+    if (removedCount > 0) {
+      logger.info(`Cleaned up ${removedCount} expired drafts`);
+    }
+  }
+}
+
+// ============================================================================
+// EXPORT SINGLETON INSTANCE
+// ============================================================================
+
+/**
+ * Export singleton instance of DraftService
+ *
+ * Draft storage harus centralized: photo handler yang membuat draft dan
+ * draft handler yang memproses tombol harus melihat Map yang sama.
+ */
+module.exports = new DraftService();
+
+// ============================================================================
+// CATATAN UNTUK DEVELOPER
+// ============================================================================
+
+/**
+ * DRAFT LIFECYCLE
+ * ===============
+ *
+ * 1. KENAPA DRAFT?
+ *    - Hasil OCR bisa salah baca (NIK, nama, tanggal)
+ *    - Sebelumnya data langsung masuk ke tabel residents dan operator harus
+ *      memperbaiki lewat web SmartGov
+ *    - Dengan draft, operator mengecek dulu sebelum data ditulis
+ *
+ * 2. DRAFT ID
+ *    - 8 karakter hex, cukup pendek untuk callback_data (maks 64 byte)
+ *    - Setiap foto baru menghasilkan draft ID baru
+ *    - Tombol dari preview lama akan ditolak karena ID tidak cocok
+ *
+ * 3. EXPIRY
+ *    - Dihitung dari createdAt, diperpanjang setiap koreksi berhasil
+ *    - Lazy deletion di getDraft() + cleanup periodik setiap 5 menit
+ *
+ * 4. KOREKSI
+ *    - Validasi memakai GeminiOcrService.normalizeField agar nilai koreksi
+ *      mengikuti aturan yang sama dengan hasil OCR
+ *    - Nilai tidak valid ditolak, pendingEdit tetap aktif sampai operator
+ *      mengirim nilai yang benar atau membatalkan
+ *
+ * 5. CONFIDENCE PER FIELD
+ *    - ocrInfo.fieldConfidence berasal dari GeminiOcrService
+ *    - Field yang dikoreksi operator otomatis bernilai 100
+ *    - Field di bawah config.ocr.confidenceThreshold harus dikonfirmasi
+ *      (confidenceChecked) sebelum draft bisa disimpan
+ *
+ * 6. LIMITATIONS
+ *    - In-memory: draft hilang saat restart
+ *    - Satu draft per chat: foto kedua menggantikan draft pertama
+ */
@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * FILE: src/services/FileSessionStore.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * SessionStore yang menyimpan semua session login dalam satu file JSON
+ * ({ "<chatId>": session }). Cocok untuk deployment satu instance yang
+ * tidak ingin menambah tabel di database SmartGov.
+ *
+ * File ditulis ulang setiap ada perubahan: isi ditulis ke file sementara
+ * lalu di-rename, sehingga crash di tengah penulisan tidak merusak file
+ * lama. Penulisan diantrikan agar tidak saling menimpa.
+ *
+ * DEPENDENSI:
+ * - SessionStore: Base class
+ * - fs.promises, path: Baca/tulis file
+ *
+ * CATATAN:
+ * - File berisi data operator dan kode wilayah; dibuat dengan mode 0600
+ * - Pada Docker, mount direktori file (default ./data) sebagai volume
+ *
+ * ============================================================================
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const SessionStore = require('./SessionStore');
+
+/**
+ * Class FileSessionStore
+ *
+ * @class FileSessionStore
+ * @extends SessionStore
+ */
+class FileSessionStore extends SessionStore {
+  /**
+   * @param {Object} options - Konfigurasi store
+   * @param {string} options.filePath - Path file JSON session
+   */
+  constructor({ filePath }) {
+    super('file');
+    this.filePath = filePath;
+
+    /**
+     * Salinan isi file, key = chat ID (string)
+     * @type {Object<string, Object>}
+     */
+    this.records = {};
+
+    /**
+     * Antrian penulisan file
+     * @type {Promise<void>}
+     */
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Muat semua session yang belum expired dari file
+   *
+   * File yang belum ada dianggap kosong.
+   *
+   * @async
+   * @returns {Promise<Array<[number, Object]>>} Pasangan [chatId, session]
+   * @throws {Error} Jika file tidak bisa dibaca atau bukan JSON valid
+   */
+  async load() {
+    let content;
+
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.records = {};
+        return [];
+      }
+      throw error;
+    }
+
+    this.records = JSON.parse(content);
+
+    const now = new Date();
+    return Object.entries(this.records)
+      .map(([chatId, session]) => [Number(chatId), SessionStore.reviveDates(session)])
+      .filter(([, session]) => session.expiresAt > now);
+  }
+
+  /**
+   * Simpan session satu chat
+   *
+   * @async
+   * @param {number} chatId - Chat ID Telegram
+   * @param {Object} session - Session termasuk expiresAt
+   * @returns {Promise<void>}
+   * @throws {Error} Jika file tidak bisa ditulis
+   */
+  async save(chatId, session) {
+    this.records[chatId] = JSON.parse(JSON.stringify(session));
+    await this.write();
+  }
+
+  /**
+   * Hapus session satu chat
+   *
+   * @async
+   * @param {number} chatId - Chat ID Telegram
+   * @returns {Promise<void>}
+   * @throws {Error} Jika file tidak bisa ditulis
+   */
+  async remove(chatId) {
+    if (!(chatId in this.records)) {
+      return;
+    }
+
+    delete this.records[chatId];
+    await this.write();
+  }
+
+  /**
+   * Hapus semua session yang sudah expired
+   *
+   * @async
+   * @param {Date} now - Waktu pembanding
+   * @returns {Promise<number>} Jumlah session yang dihapus
+   * @throws {Error} Jika file tidak bisa ditulis
+   */
+  async removeExpired(now) {
+    const expired = Object.keys(this.records)
+      .filter(chatId => new Date(this.records[chatId].expiresAt) <= now);
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    expired.forEach(chatId => delete this.records[chatId]);
+    await this.write();
+    return expired.length;
+  }
+
+  /**
+   * Tulis seluruh records ke file (atomic: file sementara + rename)
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} Jika file tidak bisa ditulis
+   */
+  write() {
+    const run = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(this.records, null, 2), { mode: 0o600 });
+      await fs.rename(tempPath, this.filePath);
+    };
+
+    // Penulisan yang gagal (sudah dilaporkan ke caller sebelumnya) tidak
+    // boleh menghentikan antrian berikutnya
+    this.writing = this.writing.catch(() => {}).then(run);
+
+    return this.writing;
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,158 @@
+/**
+ * ============================================================================
+ * FILE: src/services/FixtureOcrProvider.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * OcrProvider deterministik untuk staging dan test yang tidak bisa memanggil
+ * Gemini. Hasil "OCR" dibaca dari file JSON di disk berdasarkan hash SHA-256
+ * foto asli, sehingga alur lengkap foto -> draft -> auto-create tetap bisa
+ * dijalankan tanpa API key.
+ *
+ * STRUKTUR DIREKTORI (config.ocr.fixtureDir, default ./fixtures/ocr):
+ *   fixtures/ocr/
+ *   ├── <sha256 foto>.json   # Hasil untuk satu foto tertentu
+ *   ├── <sha256 foto>.pass2.json  # Optional, pembacaan ke-2 mode konsensus
+ *   ├── <sha256 foto>.repair.json # Optional, jawaban repair { "<target id>": "nilai" }
+ *   └── default.json         # Dipakai jika hash tidak ditemukan; contoh KK
+ *                            # fiktif di repo
+ *
+ * Isi file JSON mengikuti struktur src/config/kkSchema.js (sama dengan
+ * respons Gemini). Hash foto yang tidak punya fixture ditulis di log,
+ * sehingga file baru cukup diberi nama sesuai hash tersebut.
+ *
+ * DEPENDENSI:
+ * - crypto: SHA-256 hash gambar
+ * - fs.promises, path: Membaca file fixture
+ * - OcrProvider: Base class provider
+ * - logger: Logging utility
+ *
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const OcrProvider = require('./OcrProvider');
+const logger = require('../utils/logger');
+
+/**
+ * Nama file fixture cadangan jika hash foto tidak punya fixture
+ * @constant {string}
+ */
+const DEFAULT_FIXTURE = 'default.json';
+
+/**
+ * Class FixtureOcrProvider
+ *
+ * @class FixtureOcrProvider
+ * @extends OcrProvider
+ */
+class FixtureOcrProvider extends OcrProvider {
+  /**
+   * @param {Object} options - Konfigurasi provider
+   * @param {string} options.fixtureDir - Direktori file fixture JSON
+   */
+  constructor({ fixtureDir }) {
+    super('fixture');
+    this.fixtureDir = fixtureDir;
+  }
+
+  /**
+   * Hitung hash SHA-256 isi gambar
+   *
+   * @static
+   * @param {Buffer} buffer - Isi file gambar
+   * @returns {string} Hash hex (64 karakter)
+   */
+  static hashImage(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Baca fixture untuk foto
+   *
+   * Hash dihitung dari foto asli (image.path), bukan hasil optimasi, agar
+   * tidak bergantung pada versi sharp.
+   *
+   * Pembacaan berikutnya pada mode konsensus (image.pass > 0) memakai
+   * <hash>.pass<N>.json jika ada, sehingga perbedaan hasil baca bisa
+   * disimulasikan; jika tidak ada, fixture utama dipakai (hasil sama).
+   *
+   * @async
+   * @param {Object} image - { path, buffer, mimeType, pass }
+   * @returns {Promise<Object>} Data KK dari fixture (object baru setiap panggilan)
+   * @throws {Error} Non-retryable jika fixture tidak ada atau bukan JSON valid
+   */
+  async extract(image) {
+    const hash = FixtureOcrProvider.hashImage(await fs.readFile(image.path));
+
+    const fileNames = [`${hash}.json`, DEFAULT_FIXTURE];
+    if (image.pass > 0) {
+      fileNames.unshift(`${hash}.pass${image.pass + 1}.json`);
+    }
+
+    for (const fileName of fileNames) {
+      const fixturePath = path.join(this.fixtureDir, fileName);
+      let content;
+
+      try {
+        content = await fs.readFile(fixturePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      try {
+        const data = JSON.parse(content);
+        logger.info(`Fixture OCR result loaded: ${fixturePath}`);
+        return data;
+      } catch (error) {
+        throw OcrProvider.fatalError(`Fixture ${fixturePath} is not valid JSON: ${error.message}`);
+      }
+    }
+
+    logger.warn(`No OCR fixture for image hash ${hash} in ${this.fixtureDir}`);
+    throw OcrProvider.fatalError(`Fixture OCR tidak ditemukan untuk gambar ini (hash ${hash})`);
+  }
+
+  /**
+   * Baca jawaban repair pass dari <hash>.repair.json
+   *
+   * @async
+   * @param {Object} image - { path, buffer, mimeType }
+   * @param {Array<Object>} targets - [{ id, ... }]
+   * @returns {Promise<Object<string, string>>} Nilai baru untuk target yang ada di fixture
+   * @throws {Error} Non-retryable jika fixture repair tidak ada atau bukan JSON valid
+   */
+  async repair(image, targets) {
+    const hash = FixtureOcrProvider.hashImage(await fs.readFile(image.path));
+    const fixturePath = path.join(this.fixtureDir, `${hash}.repair.json`);
+    let answers;
+
+    try {
+      answers = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      throw OcrProvider.fatalError(`Repair fixture ${fixturePath} not available: ${error.message}`);
+    }
+
+    logger.info(`Fixture repair result loaded: ${fixturePath}`);
+
+    const result = {};
+    targets.forEach(({ id }) => {
+      if (answers[id] !== undefined) {
+        result[id] = answers[id];
+      }
+    });
+    return result;
+  }
+
+  /**
+   * @returns {Object} { provider, fixtureDir }
+   */
+  getInfo() {
+    return { provider: this.name, fixtureDir: this.fixtureDir };
+  }
+}
+
+module.exports = FixtureOcrProvider;
@@ -0,0 +1,316 @@
+/**
+ * ============================================================================
+ * FILE: src/services/GeminiOcrProvider.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * OcrProvider yang memakai Google Gemini AI untuk mengekstrak data Kartu
+ * Keluarga dari gambar. Memakai JSON mode dengan responseSchema dari
+ * src/config/kkSchema.js.
+ *
+ * DEPENDENSI:
+ * - @google/generative-ai: Google Gemini AI SDK
+ * - OcrProvider: Base class provider
+ * - kkSchema: responseSchema data KK
+ * - logger: Logging utility
+ *
+ * CATATAN PENTING:
+ * - Client Gemini dibuat saat extract() pertama (lazy), bukan saat require,
+ *   sehingga aplikasi tetap bisa start tanpa GEMINI_API_KEY jika provider
+ *   lain yang dipakai
+ * - API key tidak ada = error non-retryable saat extract()
+ *
+ * ============================================================================
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const OcrProvider = require('./OcrProvider');
+const KkSchema = require('../config/kkSchema');
+const logger = require('../utils/logger');
+
+/**
+ * Class GeminiOcrProvider
+ *
+ * @class GeminiOcrProvider
+ * @extends OcrProvider
+ */
+class GeminiOcrProvider extends OcrProvider {
+  /**
+   * @param {Object} options - Konfigurasi provider
+   * @param {string} options.apiKey - Google Gemini API key
+   * @param {string} options.model - Nama model (contoh: 'gemini-2.5-flash')
+   * @param {number} options.timeout - Timeout API call (ms)
+   */
+  constructor({ apiKey, model, timeout }) {
+    super('gemini');
+
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+
+    /**
+     * Generative model instance per responseSchema, dibuat saat pertama
+     * dibutuhkan
+     * @type {Map<Object, Object>}
+     */
+    this.generativeModels = new Map();
+  }
+
+  /**
+   * Ambil (atau buat) generative model Gemini
+   *
+   * JSON mode dengan responseSchema: respons selalu JSON sesuai struktur
+   * KK (lihat src/config/kkSchema.js), tanpa markdown code block
+   *
+   * @param {Object} [responseSchema=KkSchema.RESPONSE_SCHEMA] - Schema respons
+   *   (RESPONSE_SCHEMA untuk extract, REPAIR_SCHEMA untuk repair)
+   * @returns {Object} GenerativeModel
+   * @throws {Error} Non-retryable jika GEMINI_API_KEY tidak di-set
+   */
+  getGenerativeModel(responseSchema = KkSchema.RESPONSE_SCHEMA) {
+    if (this.generativeModels.has(responseSchema)) {
+      return this.generativeModels.get(responseSchema);
+    }
+
+    if (!this.apiKey) {
+      throw OcrProvider.fatalError('GEMINI_API_KEY is not set in environment variables');
+    }
+
+    const genAI = new GoogleGenerativeAI(this.apiKey);
+    const generativeModel = genAI.getGenerativeModel({
+      model: this.model,
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema
+      }
+    });
+
+    this.generativeModels.set(responseSchema, generativeModel);
+    logger.info(`Gemini client initialized with model: ${this.model}`);
+    return generativeModel;
+  }
+
+  /**
+   * Kirim prompt dan gambar ke Gemini dengan timeout
+   *
+   * @async
+   * @param {Object} generativeModel - Hasil getGenerativeModel
+   * @param {string} prompt - Teks prompt
+   * @param {Object} image - { buffer, mimeType }
+   * @returns {Promise<string>} Teks respons (JSON)
+   * @throws {Error} Timeout atau error API
+   */
+  async generate(generativeModel, prompt, image) {
+    /**
+     * Format image data untuk Gemini API
+     * Menggunakan inlineData format dengan MIME type
+     */
+    const imagePart = {
+      inlineData: {
+        data: image.buffer.toString('base64'),
+        mimeType: image.mimeType
+      }
+    };
+
+    /**
+     * Call Gemini API dengan timeout protection
+     * Race condition antara API call dan timeout
+     */
+    logger.info('Calling Gemini API with timeout...');
+
+    const apiCall = generativeModel.generateContent([prompt, imagePart]);
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error(`Gemini API timeout after ${this.timeout}ms`)), this.timeout);
+    });
+
+    const result = await Promise.race([apiCall, timeoutPromise]);
+    const response = await result.response;
+    const text = response.text();
+
+    logger.info('Gemini API response received');
+    logger.info(`Raw response length: ${text.length} characters`);
+
+    return text;
+  }
+
+  /**
+   * Kirim gambar ke Gemini dan parse hasilnya
+   *
+   * @async
+   * @param {Object} image - { path, buffer, mimeType, pass }
+   * @returns {Promise<Object>} Data KK mentah
+   * @throws {Error} Timeout, error API, atau respons bukan JSON
+   */
+  async extract(image) {
+    const text = await this.generate(this.getGenerativeModel(), this.createPrompt(image.pass), image);
+    return this.parseResponse(text);
+  }
+
+  /**
+   * Baca ulang hanya field yang tidak valid
+   *
+   * Memakai prompt terfokus dan REPAIR_SCHEMA; field lain tidak dikirim
+   * ulang sehingga tidak ikut berubah.
+   *
+   * @async
+   * @param {Object} image - { path, buffer, mimeType }
+   * @param {Array<Object>} targets - [{ id, memberIndex, field, value, memberName }]
+   * @returns {Promise<Object<string, string>>} Nilai baru per target id
+   * @throws {Error} Timeout, error API, atau respons bukan JSON
+   */
+  async repair(image, targets) {
+    const text = await this.generate(
+      this.getGenerativeModel(KkSchema.REPAIR_SCHEMA),
+      this.createRepairPrompt(targets),
+      image
+    );
+
+    const answers = {};
+    (this.parseResponse(text).fields || []).forEach(({ target, value }) => {
+      answers[target] = value;
+    });
+
+    return answers;
+  }
+
+  /**
+   * @returns {Object} { provider, model, timeout }
+   */
+  getInfo() {
+    return { provider: this.name, model: this.model, timeout: this.timeout };
+  }
+
+  /**
+   * Create optimized prompt untuk Gemini AI
+   * 
+   * Membuat prompt yang dioptimasi khusus untuk extract data dari
+   * Kartu Keluarga Indonesia. Prompt ini dirancang untuk mendapatkan
+   * hasil OCR yang akurat dan konsisten.
+   * 
+   * PROMPT DESIGN PRINCIPLES:
+   * 1. Specificity: Fokus pada Kartu Keluarga Indonesia
+   * 2. Accuracy: Emphasis pada akurasi data kritis (NIK, KK)
+   * 3. Localization: Indonesian terms dan format
+   *
+   * Struktur output dan nilai enum tidak lagi dijelaskan di prompt karena
+   * sudah dipaksa oleh responseSchema (src/config/kkSchema.js).
+   *
+   * KEY FEATURES:
+   * - 16-digit validation untuk NIK dan nomor KK
+   * - Date format specification (DD-MM-YYYY)
+   * - RT/RW format validation
+   * - uncertain_fields untuk confidence per-field (field yang ragu dibaca)
+   *
+   * Pembacaan berikutnya pada mode konsensus (pass > 0) memakai instruksi
+   * tambahan agar tabel dibaca ulang baris per baris dan digit per digit,
+   * bukan mengulang cara baca yang sama.
+   *
+   * @param {number} [pass=0] - Urutan pembacaan (0 = utama)
+   * @returns {string} Optimized prompt untuk Gemini AI
+   *
+   * @example
+   * const prompt = provider.createPrompt();
+   * // Prompt akan digunakan dalam generateContent([prompt, imagePart])
+   */
+  createPrompt(pass = 0) {
+    const prompt = `Analyze this Indonesian Family Card (Kartu Keluarga/KK) image and extract ALL data with PERFECT accuracy.
+
+CRITICAL INSTRUCTIONS:
+1. This is an official Indonesian government document - accuracy is CRITICAL
+2. Extract the 16-digit family card number (Nomor KK) from the header
+3. Extract ALL family members from the table (usually 1-10 people)
+4. For EACH member, extract ALL fields accurately
+5. Pay special attention to NIK (16 digits) - this is the most important field
+6. Preserve exact names, do not translate or modify
+7. Extract dates in DD-MM-YYYY format (birth date AND marriage date if available)
+8. Extract "Tanggal Perkawinan" (marriage date) from the table - use empty string if not available or not married
+9. For fields with a fixed list of values, pick the value that matches the printed text
+10. List every field you could not read with certainty (blurred, covered, faded, damaged) in uncertain_fields of the same object (header or member) - never guess silently, especially for NIK, Nomor KK and dates
+
+VALIDATION RULES:
+- nomor_kk: MUST be exactly 16 digits
+- Each NIK: MUST be exactly 16 digits
+- table: MUST contain at least 1 member
+- tanggal_lahir: MUST be in DD-MM-YYYY format
+- rt_rw: MUST be in format XXX/XXX (3 digits slash 3 digits)
+- Use empty string for fields that are not printed or not readable`;
+
+    if (!pass) {
+      return prompt;
+    }
+
+    return `${prompt}
+
+INDEPENDENT VERIFICATION READ:
+Your answer will be compared with another reading of the same card, so do not rely on the overall look of the numbers.
+- Locate each table row by its "No" column and read the row from left to right
+- Read Nomor KK and every NIK one digit at a time, counting exactly 16 digits
+- Read each birth date as day, month and year separately before writing DD-MM-YYYY`;
+  }
+
+  /**
+   * Prompt pembacaan ulang field tertentu (repair pass)
+   *
+   * Setiap target disebut dengan lokasinya (header atau baris anggota),
+   * nama anggota sebagai penanda baris, dan hasil baca sebelumnya yang
+   * tidak valid.
+   *
+   * @param {Array<Object>} targets - [{ id, memberIndex, field, value, memberName }]
+   * @returns {string} Prompt untuk Gemini AI
+   */
+  createRepairPrompt(targets) {
+    const lines = targets.map(target => {
+      const location = target.memberIndex === null
+        ? 'card header'
+        : `family member table, row ${target.memberIndex + 1}${target.memberName ? ` (name: ${target.memberName})` : ''}`;
+      const fields = target.memberIndex === null ? KkSchema.HEADER_FIELDS : KkSchema.MEMBER_FIELDS;
+
+      return `- ${target.id}: ${fields[target.field].description}; ${location}; previous reading "${target.value || ''}"`;
+    });
+
+    return `This is an Indonesian Family Card (Kartu Keluarga/KK). A previous reading of this image produced invalid values for the fields below.
+
+Re-read ONLY these fields directly from the image, one character at a time:
+${lines.join('\n')}
+
+RULES:
+- Answer every target ID listed above, using the ID exactly as written
+- Nomor KK and NIK are exactly 16 digits
+- Dates use DD-MM-YYYY format
+- Use empty string if the value is really not readable`;
+  }
+
+  /**
+   * Parse respons JSON mode Gemini
+   *
+   * Dengan responseMimeType 'application/json' respons sudah berupa JSON
+   * murni, sehingga tidak ada lagi pembersihan markdown code block.
+   *
+   * @param {string} text - Teks respons Gemini
+   * @returns {Object} Data KK
+   * @throws {Error} Jika respons bukan JSON object
+   */
+  parseResponse(text) {
+    try {
+      logger.info('Parsing Gemini response...');
+
+      const parsed = JSON.parse(text);
+
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Response is not a JSON object');
+      }
+
+      logger.info('Successfully parsed JSON response');
+      logger.info(`Parsed data structure: nomor_kk=${parsed.nomor_kk}, members=${parsed.table?.length || 0}`);
+
+      return parsed;
+
+    } catch (error) {
+      logger.error('Failed to parse Gemini response:', error.message);
+      logger.error(`Raw text (first 1000 chars): ${text.substring(0, 1000)}`);
+      throw new Error(`Failed to parse Gemini response: ${error.message}`);
+    }
+  }
+}
+
+module.exports = GeminiOcrProvider;
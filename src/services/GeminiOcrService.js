@@ -9,25 +9,36 @@
  * seluruh pipeline dari image processing hingga data extraction dan
  * validation dengan tingkat akurasi tinggi.
  *
+ * Langkah "gambar -> JSON" didelegasikan ke OcrProvider yang dipilih lewat
+ * config.ocr.provider: 'gemini' (GeminiOcrProvider) atau 'fixture'
+ * (FixtureOcrProvider, JSON dari disk untuk staging/test).
+ *
  * TANGGAL DIBUAT: 2024
  * TANGGAL MODIFIKASI TERAKHIR: 2025-10-26
  *
  * DEPENDENSI:
- * - @google/generative-ai: Google Gemini AI SDK untuk OCR processing
+ * - GeminiOcrProvider / FixtureOcrProvider: Sumber ekstraksi data KK
  * - fs.promises: File system operations untuk image handling
  * - path: Path manipulation untuk file operations
  * - sharp: Image optimization dan processing library
  * - logger: Logging utility untuk tracking dan debugging
  * - textCleaner: Text normalization dan cleaning utilities
+ * - kkSchema: responseSchema, enum, dan pola format data KK
+ * - ImageQualityService: Quality gate foto sebelum OCR
+ * - ImageNormalizationService: Crop, deskew, dan koreksi perspektif dokumen
+ * - PdfService: Render halaman PDF untuk processPdf
+ * - ValidationService: Pencocokan isi NIK dengan data anggota
  *
  * FITUR UTAMA:
  * 1. AI-Powered OCR Processing
  *    - Google Gemini 2.5 Flash model untuk akurasi tinggi
  *    - Custom prompt engineering untuk Kartu Keluarga
+ *    - Structured output (JSON mode + responseSchema dari kkSchema)
  *    - Retry mechanism dengan exponential backoff
  *    - Timeout handling untuk reliability
  *
  * 2. Image Optimization
+ *    - Crop dokumen, deskew, dan koreksi perspektif (ImageNormalizationService)
  *    - Automatic image resizing untuk optimal processing
  *    - Quality optimization dengan Sharp library
  *    - Format conversion (JPEG optimization)
@@ -37,6 +48,8 @@
  *    - Extract structured data dari Kartu Keluarga
  *    - Validate NIK dan nomor KK format
  *    - Parse family member information
+ *    - Scan PDF multi-halaman digabung menjadi satu KK (processPdf)
+ *    - Album foto (beberapa bagian KK) digabung menjadi satu KK (processImages)
  *    - Normalize Indonesian text data
  *
  * 4. Post-Processing
@@ -65,31 +78,81 @@
  *   console.error('OCR failed:', result.error);
  * }
  * 
- * // Validate OCR result
- * const validation = GeminiOcrService.validateOcrResult(result);
- * if (!validation.valid) {
- *   console.log('Validation errors:', validation.errors);
- * }
+ * // Validasi data KK (satu lapisan validasi untuk seluruh pipeline)
+ * const validation = ValidationService.validateDocument(result.parsedData);
  * ```
  *
  * CATATAN PENTING:
- * - Memerlukan GEMINI_API_KEY environment variable
+ * - Provider 'gemini' memerlukan GEMINI_API_KEY; tanpa key, error muncul
+ *   saat foto diproses (bukan saat require)
  * - Model default: gemini-2.5-flash (cepat dan akurat)
  * - Timeout default: 30 detik per request
  * - Max retries: 2 kali dengan delay 2 detik
- * - Image akan di-optimize jika > 2400px width
+ * - Foto yang gagal quality gate (buram, gelap, resolusi kecil) ditolak
+ *   sebelum provider dipanggil (config.ocr.quality)
+ * - Image di-normalisasi (crop dokumen, koreksi perspektif, EXIF
+ *   orientation) dan di-resize jika sisi panjang > 2400px
+ * - Foto asli dan hasil normalisasi disimpan di config.ocr.imageAudit.dir
  * - Temporary files akan di-cleanup otomatis
- * - Confidence score dihitung berdasarkan completeness
+ * - Confidence dihitung per field (format, uncertain_fields dari provider,
+ *   nilai enum); confidence keseluruhan = rata-ratanya
+ * - Mode konsensus (OCR_CONSENSUS_PASSES > 1): nomor KK, NIK, dan tanggal
+ *   lahir dibaca beberapa kali dan dibandingkan (applyConsensus)
+ * - Field yang membuat validasi gagal dibaca ulang terfokus (repair pass)
+ *   sebelum retry penuh
  *
  * ============================================================================
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs').promises;
 const path = require('path');
 const sharp = require('sharp');
 const logger = require('../utils/logger');
 const TextCleaner = require('../utils/textCleaner');
+const Validator = require('../utils/validator');
+const KkSchema = require('../config/kkSchema');
+const config = require('../config/env');
+const GeminiOcrProvider = require('./GeminiOcrProvider');
+const FixtureOcrProvider = require('./FixtureOcrProvider');
+const ImageQualityService = require('./ImageQualityService');
+const ImageNormalizationService = require('./ImageNormalizationService');
+const PdfService = require('./PdfService');
+const ValidationService = require('./ValidationService');
+
+/**
+ * Skor confidence per field (0-100)
+ *
+ * - valid: format valid, tidak ditandai ragu oleh provider
+ * - unlisted: field enum dengan nilai di luar daftar KK
+ * - repaired: nilai hasil repair pass (bacaan pertama tidak valid)
+ * - inconsistent: NIK tidak cocok dengan tanggal lahir atau jenis kelamin
+ *   (ValidationService.validateNIKConsistency)
+ * - uncertain: provider melaporkan field tidak terbaca jelas
+ * - disputed: mode konsensus, hasil pembacaan berbeda
+ * - invalid: format tidak valid menurut normalizeField
+ * - missing: field wajib kosong
+ *
+ * @constant {Object<string, number>}
+ */
+const FIELD_SCORES = {
+  valid: 100,
+  unlisted: 60,
+  repaired: 70,
+  uncertain: 50,
+  inconsistent: 40,
+  disputed: 30,
+  invalid: 20,
+  missing: 0
+};
+
+/**
+ * Field kritis yang dibandingkan antar pembacaan pada mode konsensus
+ * @constant {Object<string, Array<string>>}
+ */
+const CONSENSUS_FIELDS = {
+  header: ['nomor_kk'],
+  member: ['nik', 'tanggal_lahir']
+};
 
 // ============================================================================
 // GEMINI OCR SERVICE CLASS
@@ -119,8 +182,7 @@ class GeminiOcrService {
   /**
    * Constructor - Inisialisasi Gemini OCR Service
    * 
-   * Setup konfigurasi, validasi API key, dan inisialisasi
-   * Google Generative AI client.
+   * Setup konfigurasi dan pilih OCR provider.
    * 
    * CONFIGURATION LOADING:
    * 1. Load API key dari environment variables
@@ -128,19 +190,15 @@ class GeminiOcrService {
    * 3. Configure retry dan timeout settings
    * 4. Setup temporary directory
    * 
-   * VALIDATION:
-   * - API key harus ada (throw error jika tidak)
-   * - Model harus valid Gemini model
-   * - Timeout dan retry harus positive numbers
-   * 
    * INITIALIZATION:
-   * - Create GoogleGenerativeAI instance
-   * - Get generative model dengan konfigurasi
+   * - Create OcrProvider sesuai config.ocr.provider
    * - Ensure temp directory exists
    * - Log initialization success
    * 
+   * Tidak ada validasi API key di sini: provider Gemini membuat client
+   * saat foto pertama diproses, sehingga require tidak pernah throw.
+   * 
    * @constructor
-   * @throws {Error} Jika GEMINI_API_KEY tidak di-set
    * 
    * @example
    * // Service di-initialize otomatis saat require
@@ -190,33 +248,15 @@ class GeminiOcrService {
      */
     this.tempDir = process.env.TEMP_DIR || './temp';
 
-    // ========================================================================
-    // VALIDATION
-    // ========================================================================
-    
-    /**
-     * Validasi API key requirement
-     * Throw error jika API key tidak tersedia
-     */
-    if (!this.apiKey) {
-      throw new Error('GEMINI_API_KEY is not set in environment variables');
-    }
-
     // ========================================================================
     // INITIALIZATION
     // ========================================================================
     
     /**
-     * Inisialisasi Google Generative AI client
-     * Menggunakan API key yang sudah divalidasi
+     * OCR provider untuk langkah gambar -> JSON data KK
+     * @type {OcrProvider}
      */
-    this.genAI = new GoogleGenerativeAI(this.apiKey);
-    
-    /**
-     * Get generative model instance
-     * Menggunakan model yang sudah dikonfigurasi
-     */
-    this.generativeModel = this.genAI.getGenerativeModel({ model: this.model });
+    this.provider = this.createProvider(config.ocr.provider);
 
     /**
      * Ensure temporary directory exists
@@ -228,7 +268,31 @@ class GeminiOcrService {
      * Log successful initialization
      * Informasi model dan konfigurasi yang digunakan
      */
-    logger.info(`GeminiOcrService initialized with model: ${this.model}`);
+    logger.info(`GeminiOcrService initialized with provider: ${this.provider.name}`);
+  }
+
+  /**
+   * Buat OCR provider berdasarkan nama
+   *
+   * @param {string} name - 'gemini' atau 'fixture'
+   * @returns {OcrProvider} Instance provider
+   * @throws {Error} Jika nama provider tidak dikenal
+   */
+  createProvider(name) {
+    switch (name) {
+      case 'gemini':
+        return new GeminiOcrProvider({
+          apiKey: this.apiKey,
+          model: this.model,
+          timeout: this.timeout
+        });
+
+      case 'fixture':
+        return new FixtureOcrProvider({ fixtureDir: config.ocr.fixtureDir });
+
+      default:
+        throw new Error(`Unknown OCR provider: ${name} (expected 'gemini' or 'fixture')`);
+    }
   }
 
   async ensureTempDir() {
@@ -247,13 +311,17 @@ class GeminiOcrService {
    * Menggunakan retry mechanism dan timeout protection untuk reliability.
    * 
    * PROCESSING PIPELINE:
-   * 1. Image Validation & Optimization
-   *    - Check file existence dan accessibility
-   *    - Optimize image size jika diperlukan
-   *    - Convert ke base64 untuk API
+   * 0. Quality Gate (sekali, sebelum retry loop)
+   *    - Tolak foto buram/gelap/silau/resolusi kecil dengan saran spesifik
+   *    - Tidak di-retry dan tidak memanggil provider
+   * 
+   * 1. Image Normalization & Audit (sekali, sebelum retry loop)
+   *    - Crop dokumen, koreksi perspektif dan EXIF orientation
+   *    - Resize jika diperlukan
+   *    - Simpan foto asli dan hasil normalisasi untuk audit
    * 
    * 2. AI Processing
-   *    - Send ke Google Gemini AI dengan custom prompt
+   *    - Ekstraksi via OcrProvider (Gemini dengan custom prompt, atau fixture)
    *    - Apply timeout protection
    *    - Handle API response
    * 
@@ -261,16 +329,16 @@ class GeminiOcrService {
    *    - Parse JSON response dari AI
    *    - Validate extracted data
    *    - Post-process dan clean data
-   *    - Calculate confidence score
+   *    - Calculate confidence per field
    * 
-   * 4. Cleanup & Return
-   *    - Cleanup temporary files
+   * 4. Return
    *    - Return structured result
    * 
    * RETRY MECHANISM:
    * - Max retries: 2 (configurable)
    * - Delay between retries: 2 detik
    * - Exponential backoff untuk transient failures
+   * - Error dengan retryable = false tidak di-retry
    * 
    * TIMEOUT PROTECTION:
    * - Default timeout: 30 detik
@@ -279,13 +347,30 @@ class GeminiOcrService {
    * 
    * @async
    * @param {string} imagePath - Path ke file image yang akan diproses
+   * @param {Object} [options] - Opsi pemrosesan
+   * @param {boolean} [options.requireHeader=true] - false untuk halaman
+   *   lanjutan (PDF/album) yang mungkin tidak memuat nomor KK; header
+   *   divalidasi setelah semua halaman digabung (mergeResults)
+   * @param {number} [options.passes=config.ocr.consensus.passes] - Jumlah
+   *   pembacaan independen; > 1 mengaktifkan mode konsensus (applyConsensus)
+   * @param {string} [options.source='photo'] - 'pdf' untuk halaman PDF hasil
+   *   render; quality gate melewati pemeriksaan brightness/contrast
    * @returns {Promise<Object>} Result object dengan struktur:
    *   - success: {boolean} - Status keberhasilan
-   *   - confidence: {number} - Confidence score (0-100)
+   *   - confidence: {number} - Confidence score (0-100), rata-rata fieldConfidence
+   *   - fieldConfidence: {Object} - Confidence per field, lihat
+   *     calculateFieldConfidence
    *   - parsedData: {Object|null} - Data yang diekstrak
    *   - processingTime: {number} - Waktu processing (ms)
    *   - memberCount: {number} - Jumlah anggota keluarga
    *   - error: {string} - Error message jika gagal
+   *   - qualityIssues: {Array} - [{ code, message }] jika ditolak quality gate
+   *   - imageAudit: {Object|null} - { originalPath, normalizedPath } jika
+   *     audit foto aktif
+   *   - consensus: {Object|null} - { requested, passes, agreed, disputed }
+   *     jika mode konsensus aktif
+   *   - repairs: {Array} - Field pembacaan utama yang diperbaiki repair pass
+   *     [{ memberIndex, field, oldValue, newValue, round }]
    * 
    * @throws {Error} Jika imagePath tidak valid atau tidak accessible
    * 
@@ -297,85 +382,61 @@ class GeminiOcrService {
    *   console.log('Confidence:', result.confidence);
    * }
    */
-  async processImage(imagePath) {
+  async processImage(imagePath, options = {}) {
+    const { requireHeader = true, passes = config.ocr.consensus.passes, source = 'photo' } = options;
     const startTime = Date.now();
     let attempt = 0;
 
-    while (attempt < this.maxRetries) {
-      try {
-        attempt++;
-        logger.info(`Processing image with Gemini AI (attempt ${attempt}/${this.maxRetries}): ${imagePath}`);
-
-        // ====================================================================
-        // STEP 1: IMAGE VALIDATION & OPTIMIZATION
-        // ====================================================================
-        
-        /**
-         * Validasi file existence dan accessibility
-         * Pastikan file image dapat diakses sebelum processing
-         */
-        await fs.access(imagePath);
-
-        /**
-         * Optimize image untuk processing yang optimal
-         * Resize jika terlalu besar, convert format jika diperlukan
-         */
-        const optimizedPath = await this.optimizeImage(imagePath);
+    // ========================================================================
+    // QUALITY GATE
+    // ========================================================================
 
-        /**
-         * Convert image ke base64 untuk API
-         * Gemini AI memerlukan base64 encoded image
-         */
-        const imageBuffer = await fs.readFile(optimizedPath);
-        const base64Image = imageBuffer.toString('base64');
+    /**
+     * Foto yang pasti gagal dibaca tidak dikirim ke provider sama sekali;
+     * retry tidak akan memperbaiki foto yang buram atau gelap
+     */
+    try {
+      const quality = await ImageQualityService.check(imagePath, { source });
 
-        /**
-         * Format image data untuk Gemini API
-         * Menggunakan inlineData format dengan MIME type
-         */
-        const imagePart = {
-          inlineData: {
-            data: base64Image,
-            mimeType: 'image/jpeg'
-          }
+      if (!quality.passed) {
+        return {
+          success: false,
+          error: `Image quality check failed: ${quality.issues.map(issue => issue.code).join(', ')}`,
+          qualityIssues: quality.issues,
+          confidence: 0,
+          parsedData: null
         };
+      }
+    } catch (error) {
+      logger.error('Image quality check failed to read image:', error.message);
+      return {
+        success: false,
+        error: `OCR processing failed: ${error.message}`,
+        confidence: 0,
+        parsedData: null
+      };
+    }
 
-        // ====================================================================
-        // STEP 2: AI PROCESSING
-        // ====================================================================
-
-        /**
-         * Create custom prompt untuk Kartu Keluarga
-         * Prompt yang dioptimasi untuk extract data KK
-         */
-        const prompt = this.createPrompt();
-
-        /**
-         * Call Gemini API dengan timeout protection
-         * Race condition antara API call dan timeout
-         */
-        logger.info('Calling Gemini API with timeout...');
-
-        const apiCall = this.generativeModel.generateContent([prompt, imagePart]);
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error(`Gemini API timeout after ${this.timeout}ms`)), this.timeout);
-        });
-
-        const result = await Promise.race([apiCall, timeoutPromise]);
-        const response = await result.response;
-        const text = response.text();
+    // ========================================================================
+    // STEP 1: IMAGE NORMALIZATION & AUDIT
+    // ========================================================================
 
-        logger.info('Gemini API response received');
-        logger.info(`Raw response length: ${text.length} characters`);
+    /**
+     * Normalisasi dijalankan sekali (bukan per retry): crop, perspektif,
+     * EXIF orientation, resize. Foto asli dan hasil normalisasi disimpan
+     * untuk audit, lalu file sementara langsung dihapus karena gambar
+     * sudah ada di memory.
+     */
+    let imageBuffer;
+    let imageAudit = null;
 
-        // ====================================================================
-        // STEP 3: CLEANUP OPTIMIZED IMAGE
-        // ====================================================================
+    try {
+      const optimizedPath = await this.optimizeImage(imagePath);
 
-        /**
-         * Cleanup optimized image jika berbeda dari original
-         * Hapus temporary file yang dibuat untuk optimization
-         */
+      try {
+        imageBuffer = await fs.readFile(optimizedPath);
+        imageAudit = await this.saveAuditImages(imagePath, optimizedPath);
+      } finally {
         if (optimizedPath !== imagePath) {
           try {
             await fs.unlink(optimizedPath);
@@ -384,36 +445,59 @@ class GeminiOcrService {
             logger.warn(`Failed to cleanup optimized image ${optimizedPath}:`, cleanupError.message);
           }
         }
+      }
+    } catch (error) {
+      logger.error('Failed to prepare image for OCR:', error.message);
+      return {
+        success: false,
+        error: `OCR processing failed: ${error.message}`,
+        confidence: 0,
+        parsedData: null
+      };
+    }
+
+    while (attempt < this.maxRetries) {
+      try {
+        attempt++;
+        logger.info(`Processing image with ${this.provider.name} OCR provider (attempt ${attempt}/${this.maxRetries}): ${imagePath}`);
 
         // ====================================================================
-        // STEP 4: DATA PROCESSING
+        // STEP 2-3: EXTRACTION & DATA PROCESSING
         // ====================================================================
 
         /**
-         * Parse JSON response dari Gemini AI
-         * Convert text response ke structured data
+         * Pembacaan utama; gagal = retry seluruh attempt
          */
-        const parsedData = this.parseGeminiResponse(text);
+        const primary = await this.extractPass(imagePath, imageBuffer, 0, { requireHeader });
+        const { data: cleanedData, fieldConfidence } = primary;
 
         /**
-         * Validate parsed data structure
-         * Pastikan data yang diekstrak valid dan lengkap
+         * Mode konsensus: pembacaan tambahan yang independen, lalu field
+         * kritis dibandingkan. Pembacaan tambahan yang gagal dilewati
+         * (field kritis tidak terkonfirmasi) tanpa mengulang pembacaan utama.
          */
-        if (!this.validateParsedData(parsedData)) {
-          throw new Error('Parsed data validation failed');
+        let consensus = null;
+        if (passes > 1) {
+          const reads = [primary];
+
+          for (let pass = 1; pass < passes; pass++) {
+            try {
+              reads.push(await this.extractPass(imagePath, imageBuffer, pass, { requireHeader }));
+            } catch (error) {
+              logger.warn(`Consensus read ${pass + 1}/${passes} failed, skipped:`, error.message);
+            }
+          }
+
+          consensus = { requested: passes, ...this.applyConsensus(reads) };
         }
 
         /**
-         * Post-process dan clean data
-         * Normalize text, clean OCR artifacts
+         * Cocokkan isi NIK dengan tanggal lahir, jenis kelamin dan kode
+         * kecamatan (setelah konsensus, yang bisa mengganti nilai field)
          */
-        const cleanedData = await this.postProcessData(parsedData);
+        this.applyNIKConsistency(cleanedData, fieldConfidence);
 
-        /**
-         * Calculate confidence score
-         * Berdasarkan completeness dan quality data
-         */
-        const confidence = this.calculateConfidence(cleanedData);
+        const confidence = this.calculateConfidence(fieldConfidence);
 
         const processingTime = Date.now() - startTime;
 
@@ -425,14 +509,31 @@ class GeminiOcrService {
         return {
           success: true,
           confidence: confidence,
+          fieldConfidence,
           parsedData: cleanedData,
           processingTime,
-          memberCount: cleanedData.table.length
+          memberCount: cleanedData.table.length,
+          imageAudit,
+          consensus,
+          repairs: primary.repairs
         };
 
       } catch (error) {
         logger.error(`Gemini OCR attempt ${attempt} failed:`, error.message);
 
+        /**
+         * Error non-retryable (API key tidak ada, fixture tidak ditemukan)
+         * langsung dikembalikan tanpa menunggu retry
+         */
+        if (error.retryable === false) {
+          return {
+            success: false,
+            error: `OCR processing failed: ${error.message}`,
+            confidence: 0,
+            parsedData: null
+          };
+        }
+
         if (attempt >= this.maxRetries) {
           return {
             success: false,
@@ -452,159 +553,472 @@ class GeminiOcrService {
   }
 
   /**
-   * Create optimized prompt untuk Gemini AI
-   * 
-   * Membuat prompt yang dioptimasi khusus untuk extract data dari
-   * Kartu Keluarga Indonesia. Prompt ini dirancang untuk mendapatkan
-   * hasil OCR yang akurat dan konsisten.
-   * 
-   * PROMPT DESIGN PRINCIPLES:
-   * 1. Specificity: Fokus pada Kartu Keluarga Indonesia
-   * 2. Accuracy: Emphasis pada akurasi data kritis (NIK, KK)
-   * 3. Structure: Clear JSON output format
-   * 4. Validation: Built-in validation rules
-   * 5. Localization: Indonesian terms dan format
-   * 
-   * KEY FEATURES:
-   * - 16-digit validation untuk NIK dan nomor KK
-   * - Indonesian gender terms (LAKI-LAKI/PEREMPUAN)
-   * - Family relationship mapping
-   * - Date format specification (DD-MM-YYYY)
-   * - Religion dan citizenship mapping
-   * - RT/RW format validation
-   * 
-   * OUTPUT FORMAT:
-   * - Pure JSON tanpa markdown
-   * - Structured data object
-   * - Array untuk family members
-   * - Validation-ready format
-   * 
-   * @returns {string} Optimized prompt untuk Gemini AI
-   * 
-   * @example
-   * const prompt = service.createPrompt();
-   * // Prompt akan digunakan dalam generateContent([prompt, imagePart])
+   * Satu pembacaan gambar oleh provider
+   *
+   * Extract, repair field yang tidak valid, validasi struktur,
+   * post-process, lalu hitung confidence per field. uncertain_fields
+   * dihapus dari data setelah dipakai.
+   *
+   * @async
+   * @param {string} imagePath - Path foto asli
+   * @param {Buffer} imageBuffer - Gambar hasil optimasi
+   * @param {number} pass - Urutan pembacaan (0 = utama)
+   * @param {Object} options - { requireHeader }
+   * @returns {Promise<Object>} { data, fieldConfidence, repairs }
+   * @throws {Error} Jika provider gagal atau struktur data tidak lengkap
    */
-  createPrompt() {
-    return `Analyze this Indonesian Family Card (Kartu Keluarga/KK) image and extract ALL data with PERFECT accuracy.
-
-CRITICAL INSTRUCTIONS:
-1. This is an official Indonesian government document - accuracy is CRITICAL
-2. Extract the 16-digit family card number (Nomor KK) from the header
-3. Extract ALL family members from the table (usually 1-10 people)
-4. For EACH member, extract ALL fields accurately
-5. Pay special attention to NIK (16 digits) - this is the most important field
-6. Preserve exact names, do not translate or modify
-7. Extract dates in DD-MM-YYYY format (birth date AND marriage date if available)
-8. For gender: use "LAKI-LAKI" or "PEREMPUAN" exactly
-9. For family relationship, use exact Indonesian terms like "KEPALA KELUARGA", "ISTRI", "ANAK", etc.
-10. Extract "Tanggal Perkawinan" (marriage date) from the table - use empty string if not available or not married
-
-IMPORTANT FIELD MAPPINGS:
-- Jenis Kelamin: must be "LAKI-LAKI" or "PEREMPUAN" (NOT "L" or "P")
-- Status Hubungan: "KEPALA KELUARGA", "SUAMI", "ISTRI", "ANAK", "MENANTU", "CUCU", "ORANGTUA", "MERTUA", "FAMILI LAIN", "LAINNYA"
-- Agama: "Islam", "Kristen", "Katholik", "Hindu", "Budha", "Konghucu", "Kepercayaan Terhadap Tuhan YME"
-- Kewarganegaraan: "WNI" or "WNA"
-
-DATA STRUCTURE TO EXTRACT:
-{
-  "nomor_kk": "string - 16 digit family card number",
-  "nama_kepala_keluarga": "string - head of family name",
-  "alamat": "string - complete address",
-  "rt_rw": "string - format: 001/002 (3 digits / 3 digits)",
-  "desa_kelurahan": "string - village/subdistrict name",
-  "kecamatan": "string - district name",
-  "kabupaten_kota": "string - regency/city name",
-  "provinsi": "string - province name",
-  "kode_pos": "string - postal code (5 digits)",
-  "table": [
-    {
-      "nik": "string - 16 digit ID number (CRITICAL: must be exact)",
-      "nama_lengkap": "string - full name",
-      "jenis_kelamin": "LAKI-LAKI or PEREMPUAN",
-      "tempat_lahir": "string - birth place",
-      "tanggal_lahir": "string - format: DD-MM-YYYY",
-      "agama": "string - religion",
-      "pendidikan": "string - education level",
-      "jenis_pekerjaan": "string - occupation",
-      "status_perkawinan": "string - marital status",
-      "tanggal_perkawinan": "string - marriage date in DD-MM-YYYY format (empty string if not married or not available)",
-      "status_hubungan_dalam_keluarga": "string - family relationship",
-      "kewarganegaraan": "string - citizenship (WNI or WNA)",
-      "nama_ayah": "string - father's name (empty string if not available)",
-      "nama_ibu": "string - mother's name (empty string if not available)"
-    }
-  ]
-}
+  async extractPass(imagePath, imageBuffer, pass, { requireHeader }) {
+    /**
+     * Provider mengubah gambar menjadi JSON data KK mentah
+     * (Gemini API, atau fixture dari disk untuk staging/test)
+     */
+    const parsedData = await this.provider.extract({
+      path: imagePath,
+      buffer: imageBuffer,
+      mimeType: 'image/jpeg',
+      pass
+    });
 
-VALIDATION RULES:
-- nomor_kk: MUST be exactly 16 digits
-- Each NIK: MUST be exactly 16 digits
-- table: MUST contain at least 1 member
-- tanggal_lahir: MUST be in DD-MM-YYYY format
-- jenis_kelamin: MUST be "LAKI-LAKI" or "PEREMPUAN" (exact match)
-- rt_rw: MUST be in format XXX/XXX (3 digits slash 3 digits)
+    /**
+     * Field yang tidak valid dibaca ulang secara terfokus sebelum validasi,
+     * sehingga satu NIK yang salah tidak memicu retry penuh
+     */
+    const repairs = await this.repairInvalidFields(imagePath, imageBuffer, parsedData, { requireHeader });
 
-RESPONSE FORMAT:
-Return ONLY a valid JSON object, no markdown code blocks, no explanations, no additional text.
-Start directly with { and end with }
+    /**
+     * Validate parsed data structure
+     * Field yang masih tidak valid setelah repair tidak menggagalkan OCR;
+     * ValidationService.validateDocument (photo.js) yang menentukan apakah
+     * dokumen ditolak atau cukup dikoreksi operator di draft
+     */
+    if (!this.validateParsedData(parsedData, { requireHeader })) {
+      throw new Error('Parsed data validation failed');
+    }
+
+    /**
+     * Post-process dan clean data
+     * Normalize text, clean OCR artifacts
+     */
+    const data = await this.postProcessData(parsedData);
+
+    /**
+     * Confidence per field, berdasarkan validasi format dan field yang
+     * dilaporkan ragu oleh provider
+     */
+    const fieldConfidence = this.calculateFieldConfidence(data);
+    this.stripUncertainFields(data);
+
+    repairs.forEach(repair => {
+      const scores = repair.memberIndex === null ? fieldConfidence.header : fieldConfidence.members[repair.memberIndex];
+
+      if (scores && scores[repair.field] && scores[repair.field].score > FIELD_SCORES.repaired) {
+        scores[repair.field] = { score: FIELD_SCORES.repaired, reason: `Dibaca ulang (hasil awal: ${repair.oldValue || '-'})` };
+      }
+    });
 
-BEGIN EXTRACTION:`;
+    return { data, fieldConfidence, repairs };
   }
 
-  parseGeminiResponse(text) {
-    try {
-      logger.info('Parsing Gemini response...');
+  /**
+   * Bandingkan field kritis antar pembacaan (mode konsensus)
+   *
+   * Field CONSENSUS_FIELDS (nomor KK, NIK, tanggal lahir) dibandingkan
+   * setelah dinormalisasi; anggota dicocokkan berdasarkan nama, lalu NIK
+   * (alignMembers), bukan urutan baris.
+   * - Semua pembacaan sama dan formatnya valid: diterima otomatis (skor
+   *   valid, meskipun provider melaporkan ragu)
+   * - Berbeda: nilai terbanyak dipakai (seri = pembacaan utama), skor
+   *   disputed (invalid jika formatnya salah) dengan semua hasil baca
+   *   sebagai reason
+   * - Anggota yang tidak ditemukan di salah satu pembacaan: field kritisnya
+   *   disputed, nilai pembacaan utama tidak diubah
+   *
+   * Data dan fieldConfidence pembacaan utama (reads[0]) diubah langsung.
+   *
+   * @param {Array<Object>} reads - Hasil extractPass, reads[0] = pembacaan utama
+   * @returns {Object} { passes, agreed, disputed } jumlah field kritis
+   */
+  applyConsensus(reads) {
+    const [primary] = reads;
+    const summary = { passes: reads.length, agreed: 0, disputed: 0 };
 
-      
-      let cleanedText = text.trim();
-      cleanedText = cleanedText.replace(/^```json\s*\n?/i, '');
-      cleanedText = cleanedText.replace(/^```\s*\n?/i, '');
-      cleanedText = cleanedText.replace(/\n?```\s*$/i, '');
-      cleanedText = cleanedText.trim();
+    if (reads.length < 2) {
+      return summary;
+    }
 
-      
-      logger.info(`Cleaned text (first 500 chars): ${cleanedText.substring(0, 500)}`);
+    const compare = (records, scores, field) => {
+      const values = records.map(record => record ? this.normalizeField(field, record[field]).value : '');
 
-      
-      const parsed = JSON.parse(cleanedText);
+      if (values.every(value => value === values[0])) {
+        if (values[0]) {
+          summary.agreed++;
+          if (this.normalizeField(field, values[0]).valid) {
+            scores[field] = { score: FIELD_SCORES.valid, reason: null };
+          }
+        }
+        return;
+      }
 
-      logger.info('Successfully parsed JSON response');
-      logger.info(`Parsed data structure: nomor_kk=${parsed.nomor_kk}, members=${parsed.table?.length || 0}`);
+      const counts = new Map();
+      values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+      let chosen = values[0];
+      counts.forEach((count, value) => {
+        if (count > (counts.get(chosen) || 0)) {
+          chosen = value;
+        }
+      });
 
-      return parsed;
+      summary.disputed++;
+      records[0][field] = chosen;
+      scores[field] = {
+        score: this.normalizeField(field, chosen).valid ? FIELD_SCORES.disputed : FIELD_SCORES.invalid,
+        reason: `Hasil baca berbeda: ${[...new Set(values.map(value => value || '-'))].join(' / ')}`
+      };
+    };
+
+    const memberCounts = reads.map(read => read.data.table.length);
+    if (new Set(memberCounts).size > 1) {
+      logger.warn(`Consensus reads found different member counts: ${memberCounts.join(', ')}`);
+    }
+
+    CONSENSUS_FIELDS.header.forEach(field => {
+      compare(reads.map(read => read.data), primary.fieldConfidence.header, field);
+    });
+
+    this.alignMembers(reads).forEach((records, index) => {
+      const scores = primary.fieldConfidence.members[index];
+
+      if (records.includes(null)) {
+        CONSENSUS_FIELDS.member.forEach(field => {
+          summary.disputed++;
+          scores[field] = {
+            score: Math.min(scores[field] ? scores[field].score : FIELD_SCORES.disputed, FIELD_SCORES.disputed),
+            reason: `Anggota tidak ditemukan di ${records.filter(record => !record).length} dari ${reads.length} hasil baca`
+          };
+        });
+        return;
+      }
+
+      CONSENSUS_FIELDS.member.forEach(field => compare(records, scores, field));
+    });
 
+    logger.info(`Consensus over ${reads.length} reads: ${summary.agreed} critical field(s) agreed, ${summary.disputed} disputed`);
+
+    return summary;
+  }
+
+  /**
+   * Cocokkan anggota pembacaan utama dengan baris di pembacaan lain
+   *
+   * Baris dicocokkan berdasarkan nama (setelah dinormalisasi), lalu NIK
+   * untuk anggota yang namanya dibaca berbeda. Setiap baris hanya dipakai
+   * sekali; urutan baris tidak dipakai karena pembacaan bisa melewatkan
+   * atau menambah baris.
+   *
+   * @param {Array<Object>} reads - Hasil extractPass, reads[0] = pembacaan utama
+   * @returns {Array<Array<Object|null>>} Per anggota pembacaan utama: record
+   *   dari setiap pembacaan (index 0 = anggota itu sendiri), null jika tidak
+   *   ditemukan
+   */
+  alignMembers(reads) {
+    const key = (field, member) => this.normalizeField(field, member[field]).value;
+    const used = reads.map(() => new Set());
+    const aligned = reads[0].data.table.map(member => [member]);
+
+    ['nama_lengkap', 'nik'].forEach(field => {
+      aligned.forEach(records => {
+        const value = key(field, records[0]);
+
+        reads.slice(1).forEach((read, offset) => {
+          const pass = offset + 1;
+
+          if (records[pass] || !value) {
+            return;
+          }
+
+          const index = read.data.table.findIndex((row, rowIndex) =>
+            !used[pass].has(rowIndex) && key(field, row) === value
+          );
+
+          if (index !== -1) {
+            used[pass].add(index);
+            records[pass] = read.data.table[index];
+          }
+        });
+      });
+    });
+
+    return aligned.map(records => reads.map((read, pass) => records[pass] || null));
+  }
+
+  /**
+   * Process scan KK berbentuk PDF
+   *
+   * Setiap halaman di-render menjadi JPEG (PdfService), diproses dengan
+   * pipeline yang sama seperti foto (processImage), lalu digabung menjadi
+   * satu hasil dengan mergeResults. Halaman yang gagal dibaca dilewati
+   * selama masih ada halaman lain yang berhasil.
+   *
+   * PDF ditolak sebelum render jika terenkripsi atau jumlah halamannya
+   * melebihi config.upload.pdf.maxPages.
+   *
+   * @async
+   * @param {string} pdfPath - Path file PDF
+   * @returns {Promise<Object>} Result object seperti processImage, ditambah:
+   *   - pages: {Object} - { source: 'pdf', total, failed } (lihat mergeResults)
+   *   - rejectionMessage: {string} - Pesan untuk operator jika PDF ditolak
+   */
+  async processPdf(pdfPath) {
+    const startTime = Date.now();
+    const { maxPages, dpi } = config.upload.pdf;
+
+    const reject = (error, rejectionMessage) => ({
+      success: false,
+      error,
+      rejectionMessage,
+      confidence: 0,
+      parsedData: null
+    });
+
+    let info;
+    try {
+      info = await PdfService.inspect(pdfPath);
     } catch (error) {
-      logger.error('Failed to parse Gemini response:', error.message);
-      logger.error(`Raw text (first 1000 chars): ${text.substring(0, 1000)}`);
-      throw new Error(`Failed to parse Gemini response: ${error.message}`);
+      logger.error('Failed to read PDF:', error.message);
+      return reject(`OCR processing failed: ${error.message}`);
     }
+
+    if (info.encrypted) {
+      return reject(
+        'PDF is encrypted',
+        'PDF terkunci password atau terenkripsi. Kirim ulang PDF tanpa password, atau kirim foto KK.'
+      );
+    }
+
+    if (!info.pages || info.pages > maxPages) {
+      return reject(
+        `PDF has ${info.pages} pages, limit is ${maxPages}`,
+        `PDF berisi ${info.pages || 'tidak diketahui'} halaman, maksimal ${maxPages} halaman. ` +
+        'Kirim hanya halaman Kartu Keluarga (KK).'
+      );
+    }
+
+    const pagesDir = path.join(this.tempDir, `pdf_${Date.now()}_${path.basename(pdfPath, path.extname(pdfPath))}`);
+    let merged;
+
+    try {
+      const pagePaths = await PdfService.rasterize(pdfPath, pagesDir, { dpi, lastPage: maxPages });
+      merged = await this.processImages(pagePaths, 'pdf');
+    } catch (error) {
+      logger.error('Failed to process PDF:', error.message);
+      return reject(`OCR processing failed: ${error.message}`);
+    } finally {
+      await fs.rm(pagesDir, { recursive: true, force: true });
+    }
+
+    if (merged.success && config.ocr.imageAudit.enabled) {
+      merged.imageAudit.documentPath = await this.saveAuditDocument(pdfPath);
+    }
+
+    merged.processingTime = Date.now() - startTime;
+    return merged;
   }
 
-  validateParsedData(data) {
-    const errors = [];
+  /**
+   * Process beberapa gambar dari satu KK (halaman PDF atau album foto)
+   *
+   * Setiap gambar diproses dengan processImage tanpa mewajibkan header
+   * (foto bagian bawah KK tidak memuat nomor KK), lalu digabung dengan
+   * mergeResults menjadi satu hasil.
+   *
+   * @async
+   * @param {Array<string>} imagePaths - Path gambar, urut sesuai dokumen
+   * @param {string} source - Jenis sumber ('pdf' atau 'album')
+   * @returns {Promise<Object>} Result object seperti processImage, ditambah
+   *   pages: { source, total, failed } (lihat mergeResults)
+   */
+  async processImages(imagePaths, source) {
+    const startTime = Date.now();
+    const results = [];
 
-    
-    if (!data.nomor_kk || !/^\d{16}$/.test(data.nomor_kk)) {
-      errors.push(`Invalid nomor_kk: ${data.nomor_kk}`);
+    for (const imagePath of imagePaths) {
+      results.push(await this.processImage(imagePath, {
+        requireHeader: false,
+        source: source === 'pdf' ? 'pdf' : 'photo'
+      }));
     }
 
-    
-    if (!data.table || !Array.isArray(data.table) || data.table.length === 0) {
-      errors.push('No family members found in table');
-    } else {
-      
-      data.table.forEach((member, index) => {
-        if (!member.nik || !/^\d{16}$/.test(member.nik)) {
-          errors.push(`Member ${index + 1}: Invalid NIK: ${member.nik}`);
-        }
-        if (!member.nama_lengkap || member.nama_lengkap.length < 2) {
-          errors.push(`Member ${index + 1}: Invalid name: ${member.nama_lengkap}`);
-        }
-        if (!['LAKI-LAKI', 'PEREMPUAN'].includes(member.jenis_kelamin)) {
-          errors.push(`Member ${index + 1}: Invalid gender: ${member.jenis_kelamin}`);
+    const merged = this.mergeResults(results, source);
+    merged.processingTime = Date.now() - startTime;
+    return merged;
+  }
+
+  /**
+   * Gabungkan hasil OCR beberapa halaman/foto menjadi satu KK
+   *
+   * ATURAN MERGE:
+   * - Header (nomor KK, alamat, wilayah) diambil dari halaman pertama yang
+   *   memuat nomor KK valid
+   * - Halaman dengan nomor KK valid yang berbeda = dokumen berbeda, ditolak
+   * - Anggota digabung sesuai urutan halaman; NIK yang muncul lagi tidak
+   *   ditambahkan, hanya mengisi field yang kosong di anggota pertama
+   * - Confidence per field ikut halaman asal nilainya; confidence
+   *   keseluruhan dihitung ulang dari gabungannya
+   *
+   * @param {Array<Object>} results - Hasil processImage per halaman (urut)
+   * @param {string} source - Jenis sumber ('pdf' atau 'album') untuk ocrInfo
+   * @returns {Object} Result object seperti processImage, ditambah
+   *   pages: { source, total, failed }. failed berisi [{ page, error,
+   *   qualityIssues, rejectionMessage }] per halaman yang gagal, sehingga
+   *   operator tahu halaman mana yang perlu difoto ulang dan kenapa
+   */
+  mergeResults(results, source) {
+    const failed = [];
+    const succeeded = [];
+
+    results.forEach((result, index) => {
+      if (result.success) {
+        succeeded.push(result);
+      } else {
+        failed.push({
+          page: index + 1,
+          error: result.error,
+          qualityIssues: result.qualityIssues || [],
+          rejectionMessage: result.rejectionMessage || null
+        });
+        logger.warn(`Page ${index + 1} of ${source} failed: ${result.error}`);
+      }
+    });
+
+    const pages = { source, total: results.length, failed };
+
+    if (succeeded.length === 0) {
+      const first = results[0] || { error: 'No pages to process', confidence: 0, parsedData: null };
+      return {
+        ...first,
+        success: false,
+        error: results.length > 1 ? `All ${results.length} pages failed: ${first.error}` : first.error,
+        pages
+      };
+    }
+
+    const headerResults = succeeded.filter(result =>
+      KkSchema.PATTERNS.nomor_kk.test(result.parsedData.nomor_kk || '')
+    );
+    const kkNumbers = [...new Set(headerResults.map(result => result.parsedData.nomor_kk))];
+
+    if (kkNumbers.length === 0) {
+      return {
+        success: false,
+        error: 'Nomor KK not found on any page',
+        confidence: 0,
+        parsedData: null,
+        pages
+      };
+    }
+
+    if (kkNumbers.length > 1) {
+      return {
+        success: false,
+        error: `Pages contain different KK numbers: ${kkNumbers.join(', ')}`,
+        rejectionMessage: `Dokumen berisi lebih dari satu Kartu Keluarga (nomor KK ${kkNumbers.join(', ')}). ` +
+          'Kirim satu KK per dokumen.',
+        confidence: 0,
+        parsedData: null,
+        pages
+      };
+    }
+
+    const { table: headerTable, ...header } = headerResults[0].parsedData;
+    const table = [];
+    const memberConfidence = [];
+    const byNik = new Map();
+
+    succeeded.forEach(result => {
+      result.parsedData.table.forEach((member, index) => {
+        const scores = result.fieldConfidence.members[index] || {};
+        const existing = byNik.get(member.nik);
+
+        if (!existing) {
+          const entry = { member: { ...member }, scores: { ...scores } };
+          byNik.set(member.nik, entry);
+          table.push(entry.member);
+          memberConfidence.push(entry.scores);
+          return;
         }
+
+        Object.entries(member).forEach(([field, value]) => {
+          if (!existing.member[field] && value) {
+            existing.member[field] = value;
+            if (scores[field]) {
+              existing.scores[field] = scores[field];
+            }
+          }
+        });
       });
+    });
+
+    const parsedData = { ...header, table };
+    const fieldConfidence = { header: headerResults[0].fieldConfidence.header, members: memberConfidence };
+
+    // Anggota dari halaman tanpa header baru bisa dicocokkan dengan nomor KK di sini
+    this.applyNIKConsistency(parsedData, fieldConfidence);
+
+    const consensusResults = succeeded.filter(result => result.consensus);
+    const consensus = consensusResults.length === 0 ? null : {
+      requested: consensusResults[0].consensus.requested,
+      passes: Math.min(...consensusResults.map(result => result.consensus.passes)),
+      agreed: consensusResults.reduce((total, result) => total + result.consensus.agreed, 0),
+      disputed: consensusResults.reduce((total, result) => total + result.consensus.disputed, 0)
+    };
+    const confidence = this.calculateConfidence(fieldConfidence);
+
+    logger.info(`Merged ${succeeded.length}/${results.length} ${source} page(s): ${table.length} members, confidence ${confidence}%`);
+
+    return {
+      success: true,
+      confidence,
+      fieldConfidence,
+      parsedData,
+      processingTime: succeeded.reduce((total, result) => total + (result.processingTime || 0), 0),
+      memberCount: table.length,
+      imageAudit: { pages: succeeded.map(result => result.imageAudit).filter(Boolean) },
+      consensus,
+      pages
+    };
+  }
+
+  /**
+   * Cek struktur data KK mentah dari provider
+   *
+   * Hanya struktur: tabel anggota berisi object, dan nomor KK terisi jika
+   * requireHeader. Format per field (NIK, nama, jenis kelamin, nomor KK)
+   * sudah dicoba diperbaiki repair pass dan sisanya dinilai
+   * ValidationService.validateDocument, sehingga satu field yang salah
+   * baca menjadi koreksi di draft, bukan retry penuh.
+   *
+   * @param {Object} data - Data KK mentah dari provider
+   * @param {Object} [options] - Opsi validasi
+   * @param {boolean} [options.requireHeader=true] - Wajibkan nomor KK
+   * @returns {boolean} true jika struktur lengkap
+   */
+  validateParsedData(data, { requireHeader = true } = {}) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      logger.error('Data validation failed: provider returned no object');
+      return false;
+    }
+
+    if (!Array.isArray(data.table) || data.table.length === 0) {
+      errors.push('No family members found in table');
+    } else if (data.table.some(member => !member || typeof member !== 'object')) {
+      errors.push('Family member table contains non-object rows');
+    }
+
+    if (requireHeader && !String(data.nomor_kk || '').trim()) {
+      errors.push('Missing nomor_kk');
     }
 
     if (errors.length > 0) {
@@ -617,19 +1031,132 @@ BEGIN EXTRACTION:`;
     return true;
   }
 
+  /**
+   * Cari field dengan format tidak valid
+   *
+   * Dipakai sebagai daftar target repair pass.
+   *
+   * @param {Object} data - Data KK mentah dari provider
+   * @param {Object} [options] - Opsi validasi
+   * @param {boolean} [options.requireHeader=true] - Periksa nomor KK
+   * @returns {Array<Object>} [{ id, memberIndex, field, value, memberName }];
+   *   id dipakai untuk memetakan jawaban repair (contoh: 'anggota3.nik')
+   */
+  findInvalidFields(data, { requireHeader = true } = {}) {
+    const invalid = [];
+    const add = (memberIndex, field, record) => invalid.push({
+      id: memberIndex === null ? `kk.${field}` : `anggota${memberIndex + 1}.${field}`,
+      memberIndex,
+      field,
+      value: record[field],
+      memberName: memberIndex === null ? '' : (record.nama_lengkap || '')
+    });
+
+    if (requireHeader && (!data.nomor_kk || !KkSchema.PATTERNS.nomor_kk.test(data.nomor_kk))) {
+      add(null, 'nomor_kk', data);
+    }
+
+    (Array.isArray(data.table) ? data.table : []).forEach((member, index) => {
+      if (!member.nik || !KkSchema.PATTERNS.nik.test(member.nik)) {
+        add(index, 'nik', member);
+      }
+      if (!member.nama_lengkap || member.nama_lengkap.length < 2) {
+        add(index, 'nama_lengkap', member);
+      }
+      if (!KkSchema.GENDERS.includes(member.jenis_kelamin)) {
+        add(index, 'jenis_kelamin', member);
+      }
+    });
+
+    return invalid;
+  }
+
+  /**
+   * Repair pass: baca ulang hanya field yang tidak valid
+   *
+   * Daripada mengulang ekstraksi penuh (yang bisa merusak field lain yang
+   * sudah benar), field dari findInvalidFields dikirim ke provider.repair
+   * dengan prompt terfokus, lalu jawabannya digabung ke data yang ada.
+   * Berhenti jika semua field valid, ronde mencapai config.ocr.repair.maxRounds,
+   * jumlah field melebihi maxFields (lebih baik retry penuh), atau provider
+   * gagal/tidak mendukung repair.
+   *
+   * @async
+   * @param {string} imagePath - Path foto asli
+   * @param {Buffer} imageBuffer - Gambar hasil optimasi
+   * @param {Object} data - Data KK mentah (diubah langsung)
+   * @param {Object} options - { requireHeader }
+   * @returns {Promise<Array<Object>>} [{ memberIndex, field, oldValue, newValue, round }]
+   */
+  async repairInvalidFields(imagePath, imageBuffer, data, { requireHeader }) {
+    const { enabled, maxRounds, maxFields } = config.ocr.repair;
+    const repairs = [];
+
+    if (!enabled || !Array.isArray(data.table) || data.table.length === 0) {
+      return repairs;
+    }
+
+    for (let round = 1; round <= maxRounds; round++) {
+      const targets = this.findInvalidFields(data, { requireHeader });
+
+      if (targets.length === 0) {
+        break;
+      }
+
+      if (targets.length > maxFields) {
+        logger.warn(`${targets.length} invalid fields exceed repair limit (${maxFields}), skipping repair`);
+        break;
+      }
+
+      logger.info(`Repair round ${round}/${maxRounds}: ${targets.map(target => target.id).join(', ')}`);
+
+      let answers;
+      try {
+        answers = await this.provider.repair({ path: imagePath, buffer: imageBuffer, mimeType: 'image/jpeg' }, targets);
+      } catch (error) {
+        logger.warn(`Repair round ${round} failed:`, error.message);
+        break;
+      }
+
+      targets.forEach(target => {
+        const answer = answers[target.id];
+
+        if (answer === undefined || answer === null || String(answer).trim() === '') {
+          return;
+        }
+
+        const record = target.memberIndex === null ? data : data.table[target.memberIndex];
+        const normalized = this.normalizeField(target.field, answer);
+
+        record[target.field] = normalized.valid ? normalized.value : String(answer).trim();
+        repairs.push({
+          memberIndex: target.memberIndex,
+          field: target.field,
+          oldValue: target.value || '',
+          newValue: record[target.field],
+          round
+        });
+      });
+    }
+
+    if (repairs.length > 0) {
+      logger.info(`Repaired ${repairs.length} field(s): ${repairs.map(repair => `${repair.field} ${repair.oldValue || '-'} -> ${repair.newValue}`).join(', ')}`);
+    }
+
+    return repairs;
+  }
+
   async postProcessData(data) {
     logger.info('Post-processing extracted data...');
 
     
-    data.alamat = TextCleaner.cleanOcrText(data.alamat || '');
-    data.desa_kelurahan = TextCleaner.cleanOcrText(data.desa_kelurahan || '');
-    data.kecamatan = TextCleaner.cleanOcrText(data.kecamatan || '');
-    data.kabupaten_kota = TextCleaner.cleanOcrText(data.kabupaten_kota || '');
-    data.provinsi = TextCleaner.cleanOcrText(data.provinsi || '');
+    ['alamat', 'desa_kelurahan', 'kecamatan', 'kabupaten_kota', 'provinsi'].forEach(field => {
+      data[field] = this.normalizeField(field, data[field]).value;
+    });
 
     
     if (data.rt_rw) {
-      data.rt_rw = this.normalizeRTRW(data.rt_rw);
+      data.rt_rw = this.normalizeField('rt_rw', data.rt_rw).value;
     }
 
     
@@ -652,23 +1179,23 @@ BEGIN EXTRACTION:`;
     try {
       
       if (member.nama_lengkap) {
-        member.nama_lengkap = TextCleaner.normalizeName(member.nama_lengkap);
+        member.nama_lengkap = this.normalizeField('nama_lengkap', member.nama_lengkap).value;
       }
 
       
       if (member.jenis_kelamin) {
-        const normalized = TextCleaner.normalizeGender(member.jenis_kelamin);
-        if (normalized) {
-          
-          member.jenis_kelamin = normalized === 'L' ? 'LAKI-LAKI' : 'PEREMPUAN';
+        const gender = this.normalizeField('jenis_kelamin', member.jenis_kelamin);
+        if (gender.valid) {
+          member.jenis_kelamin = gender.value;
         }
       }
 
       
       if (member.status_hubungan_dalam_keluarga) {
-        member.status_hubungan_dalam_keluarga = TextCleaner.normalizeFamilyRelationship(
+        member.status_hubungan_dalam_keluarga = this.normalizeField(
+          'status_hubungan_dalam_keluarga',
           member.status_hubungan_dalam_keluarga
-        );
+        ).value;
       }
 
       
@@ -679,7 +1206,7 @@ BEGIN EXTRACTION:`;
 
       
       if (member.tempat_lahir) {
-        member.tempat_lahir = TextCleaner.cleanOcrText(member.tempat_lahir);
+        member.tempat_lahir = this.normalizeField('tempat_lahir', member.tempat_lahir).value;
       }
 
       return member;
@@ -690,6 +1217,117 @@ BEGIN EXTRACTION:`;
     }
   }
 
+  /**
+   * Normalisasi dan validasi satu field KK
+   *
+   * Satu tempat untuk aturan per-field: dipakai postProcessData/processMember
+   * untuk hasil OCR, dan oleh koreksi draft agar nilai yang diketik operator
+   * melewati aturan yang sama.
+   *
+   * @param {string} field - Nama field (contoh: 'nik', 'nama_lengkap', 'rt_rw')
+   * @param {*} value - Nilai mentah
+   * @returns {{valid: boolean, value: string, error: string|null}}
+   *   value selalu berisi hasil normalisasi (atau nilai mentah jika tidak bisa
+   *   dinormalisasi), error berisi pesan Bahasa Indonesia jika tidak valid
+   */
+  normalizeField(field, value) {
+    const raw = value === null || value === undefined ? '' : String(value).trim();
+    const result = (valid, normalized, error = null) => ({ valid, value: normalized, error: valid ? null : error });
+
+    switch (field) {
+      case 'nomor_kk': {
+        const kk = TextCleaner.normalizeKK(raw);
+        return result(!!kk, kk || raw, 'Nomor KK harus 16 digit angka');
+      }
+
+      case 'nik': {
+        const nik = TextCleaner.normalizeNIK(raw);
+        return result(!!nik, nik || raw, 'NIK harus 16 digit angka');
+      }
+
+      case 'nama_lengkap':
+      case 'nama_kepala_keluarga': {
+        const name = TextCleaner.normalizeName(raw);
+        return result(Validator.isValidName(name), name, 'Nama minimal 2 huruf dan hanya boleh berisi huruf, spasi, titik, koma, apostrof, atau tanda hubung');
+      }
+
+      case 'nama_ayah':
+      case 'nama_ibu': {
+        if (!raw || raw === '-') {
+          return result(true, '');
+        }
+        const name = TextCleaner.normalizeName(raw);
+        return result(Validator.isValidName(name), name, 'Nama minimal 2 huruf dan hanya boleh berisi huruf, spasi, titik, koma, apostrof, atau tanda hubung');
+      }
+
+      case 'jenis_kelamin': {
+        const gender = TextCleaner.normalizeGender(raw);
+        const normalized = gender ? (gender === 'L' ? 'LAKI-LAKI' : 'PEREMPUAN') : raw;
+        return result(!!gender, normalized, 'Jenis kelamin harus LAKI-LAKI atau PEREMPUAN');
+      }
+
+      case 'tanggal_lahir':
+      case 'tanggal_perkawinan': {
+        if (!raw && field === 'tanggal_perkawinan') {
+          return result(true, '');
+        }
+        const date = raw.replace(/[/.]/g, '-');
+        return result(Validator.isValidDate(date), date, 'Tanggal harus berformat DD-MM-YYYY dan tidak boleh di masa depan');
+      }
+
+      case 'status_hubungan_dalam_keluarga': {
+        const relationship = TextCleaner.normalizeFamilyRelationship(raw);
+        return result(relationship.length > 0, relationship, 'Status hubungan dalam keluarga tidak boleh kosong');
+      }
+
+      case 'agama': {
+        const religion = TextCleaner.normalizeReligion(raw);
+        return result(religion.length > 0, religion, 'Agama tidak boleh kosong');
+      }
+
+      case 'pendidikan': {
+        const education = TextCleaner.normalizeEducation(raw);
+        return result(education.length > 0, education, 'Pendidikan tidak boleh kosong');
+      }
+
+      case 'jenis_pekerjaan': {
+        const occupation = TextCleaner.normalizeOccupation(raw);
+        return result(occupation.length > 0, occupation, 'Jenis pekerjaan tidak boleh kosong');
+      }
+
+      case 'status_perkawinan': {
+        const status = TextCleaner.normalizeMaritalStatus(raw);
+        return result(status.length > 0, status, 'Status perkawinan tidak boleh kosong');
+      }
+
+      case 'kewarganegaraan':
+        return result(true, TextCleaner.normalizeCitizenship(raw));
+
+      case 'rt_rw': {
+        const rtRw = this.normalizeRTRW(raw);
+        return result(Validator.isValidRTRW(rtRw), rtRw, 'RT/RW harus berformat 001/002');
+      }
+
+      case 'kode_pos': {
+        const postalCode = TextCleaner.normalizePostalCode(raw);
+        return result(!!postalCode, postalCode || raw, 'Kode pos harus 5 digit angka');
+      }
+
+      case 'alamat':
+      case 'desa_kelurahan':
+      case 'kecamatan':
+      case 'kabupaten_kota':
+      case 'provinsi':
+      case 'tempat_lahir': {
+        const text = TextCleaner.cleanOcrText(raw);
+        return result(text.length > 0, text, 'Nilai tidak boleh kosong');
+      }
+
+      default:
+        return result(false, raw, `Field ${field} tidak dikenali`);
+    }
+  }
+
   normalizeRTRW(rtRw) {
     if (!rtRw) return '';
 
@@ -704,7 +1342,40 @@ BEGIN EXTRACTION:`;
     return rtRw;
   }
 
+  /**
+   * Siapkan gambar untuk OCR provider
+   *
+   * Dengan config.ocr.normalize aktif, dokumen di-crop dan diluruskan oleh
+   * ImageNormalizationService. Jika normalisasi nonaktif atau gagal, foto
+   * hanya di-resize ke lebar maksimal 2400px.
+   *
+   * @async
+   * @param {string} imagePath - Path foto asli
+   * @returns {Promise<string>} Path gambar hasil (file baru di tempDir),
+   *   atau imagePath jika foto tidak perlu diubah
+   */
   async optimizeImage(imagePath) {
+    const outputPath = path.join(
+      this.tempDir,
+      `optimized_${Date.now()}_${path.basename(imagePath, path.extname(imagePath))}.jpg`
+    );
+
+    if (config.ocr.normalize) {
+      try {
+        const normalized = await ImageNormalizationService.normalize(imagePath);
+
+        if (!normalized.changed) {
+          return imagePath;
+        }
+
+        await fs.writeFile(outputPath, normalized.buffer);
+        logger.info(`Image optimized: ${imagePath} -> ${outputPath}`);
+        return outputPath;
+      } catch (error) {
+        logger.warn('Image normalization failed, falling back to resize:', error.message);
+      }
+    }
+
     try {
       const metadata = await sharp(imagePath).metadata();
 
@@ -713,11 +1384,6 @@ BEGIN EXTRACTION:`;
         return imagePath;
       }
 
-      const outputPath = path.join(
-        this.tempDir,
-        `optimized_${Date.now()}_${path.basename(imagePath)}`
-      );
-
       await sharp(imagePath)
         .resize({
           width: 2400,
@@ -737,136 +1403,237 @@ BEGIN EXTRACTION:`;
     }
   }
 
-  validateOcrResult(ocrResult) {
-    logger.info('Validating OCR result...');
-
-    if (!ocrResult || !ocrResult.success) {
-      return { valid: false, errors: ['OCR processing failed'] };
+  /**
+   * Simpan foto asli dan hasil normalisasi untuk audit
+   *
+   * Kedua file memakai id yang sama (<timestamp>_<nama foto>) sehingga
+   * pasangan original/normalized mudah dicocokkan. Kegagalan menyimpan
+   * tidak menghentikan OCR, hanya dicatat di log.
+   *
+   * @async
+   * @param {string} imagePath - Path foto asli
+   * @param {string} optimizedPath - Path gambar yang dikirim ke provider
+   * @returns {Promise<Object|null>} { originalPath, normalizedPath }, atau
+   *   null jika audit nonaktif atau gagal
+   */
+  async saveAuditImages(imagePath, optimizedPath) {
+    if (!config.ocr.imageAudit.enabled) {
+      return null;
     }
 
-    const data = ocrResult.parsedData;
-    const errors = [];
-
-    
-    if (!data.nomor_kk || !/^\d{16}$/.test(data.nomor_kk)) {
-      errors.push('Invalid or missing KK number');
-    }
+    try {
+      const auditDir = config.ocr.imageAudit.dir;
+      await fs.mkdir(auditDir, { recursive: true });
 
-    
-    if (!data.table || data.table.length === 0) {
-      errors.push('No family members found');
-    } else {
-      const validMembers = data.table.filter(m => m && /^\d{16}$/.test(m.nik));
-      if (validMembers.length === 0) {
-        errors.push('No valid NIKs found for family members');
-      }
-    }
+      const id = `${Date.now()}_${path.basename(imagePath, path.extname(imagePath))}`;
+      const originalPath = path.join(auditDir, `${id}_original${path.extname(imagePath) || '.jpg'}`);
+      const normalizedPath = path.join(auditDir, `${id}_normalized${path.extname(optimizedPath) || '.jpg'}`);
 
-    const result = {
-      valid: errors.length === 0,
-      errors,
-      warnings: errors.length > 0 ? errors : []
-    };
+      await fs.copyFile(imagePath, originalPath);
+      await fs.copyFile(optimizedPath, normalizedPath);
 
-    logger.info(`Validation result: ${result.valid ? 'PASSED' : 'FAILED'}`);
-    if (!result.valid) {
-      errors.forEach(err => logger.warn(`  - ${err}`));
+      logger.info(`OCR images saved for audit: ${originalPath}, ${normalizedPath}`);
+      return { originalPath, normalizedPath };
+    } catch (error) {
+      logger.warn('Failed to save OCR images for audit:', error.message);
+      return null;
     }
-
-    return result;
   }
+  /**
+   * Simpan dokumen sumber (PDF) untuk audit
+   *
+   * Halaman hasil render disimpan oleh saveAuditImages; file ini menyimpan
+   * PDF aslinya.
+   *
+   * @async
+   * @param {string} documentPath - Path dokumen asli
+   * @returns {Promise<string|null>} Path salinan, atau null jika gagal
+   */
+  async saveAuditDocument(documentPath) {
+    try {
+      const auditDir = config.ocr.imageAudit.dir;
+      await fs.mkdir(auditDir, { recursive: true });
 
-  calculateConfidence(data) {
-    logger.info('Calculating OCR confidence score...');
-
-    let totalScore = 0;
-    let maxScore = 0;
-
-
-    maxScore += 10;
-    if (data.nomor_kk && /^\d{16}$/.test(data.nomor_kk)) {
-      totalScore += 10;
-    } else if (data.nomor_kk) {
-      totalScore += 5;
-    }
-
-
-    const requiredFields = ['nama_kepala_keluarga', 'alamat', 'desa_kelurahan', 'kecamatan', 'kabupaten_kota', 'provinsi'];
-    requiredFields.forEach(field => {
-      maxScore += 3;
-      if (data[field] && data[field].length > 0) {
-        totalScore += 3;
-      } else if (data[field]) {
-        totalScore += 1;
-      }
-    });
-
+      const auditPath = path.join(auditDir, `${Date.now()}_${path.basename(documentPath)}`);
+      await fs.copyFile(documentPath, auditPath);
 
-    maxScore += 5;
-    if (data.rt_rw && /^\d{3}\/\d{3}$/.test(data.rt_rw)) {
-      totalScore += 5;
-    } else if (data.rt_rw) {
-      totalScore += 2;
+      logger.info(`OCR document saved for audit: ${auditPath}`);
+      return auditPath;
+    } catch (error) {
+      logger.warn('Failed to save OCR document for audit:', error.message);
+      return null;
     }
+  }
 
+  /**
+   * Hitung confidence per-field hasil OCR
+   *
+   * Setiap field yang terisi (dan field wajib yang kosong) diberi skor
+   * FIELD_SCORES, dari sinyal terlemah yang ditemukan:
+   * 1. Format tidak valid menurut normalizeField (pesan error jadi reason)
+   * 2. Dilaporkan provider tidak terbaca jelas (uncertain_fields)
+   * 3. Nilai enum di luar daftar KK (agama, hubungan, kewarganegaraan)
+   *
+   * Field opsional yang kosong tidak diberi skor.
+   *
+   * @param {Object} data - parsedData setelah postProcessData (masih
+   *   memuat uncertain_fields)
+   * @returns {Object} { header: { field: { score, reason } },
+   *   members: [{ field: { score, reason } }] } dengan index members sama
+   *   dengan data.table
+   */
+  calculateFieldConfidence(data) {
+    const scoreRecord = (record, fields, requiredFields) => {
+      const uncertain = Array.isArray(record[KkSchema.UNCERTAIN_FIELDS]) ? record[KkSchema.UNCERTAIN_FIELDS] : [];
+      const scores = {};
 
-    if (data.table && Array.isArray(data.table) && data.table.length > 0) {
-      data.table.forEach(member => {
+      Object.entries(fields).forEach(([field, def]) => {
+        const value = record[field] === null || record[field] === undefined ? '' : String(record[field]).trim();
 
-        maxScore += 10;
-        if (member.nik && /^\d{16}$/.test(member.nik)) {
-          totalScore += 10;
-        } else if (member.nik) {
-          totalScore += 4;
+        if (!value) {
+          if (requiredFields.includes(field)) {
+            scores[field] = { score: FIELD_SCORES.missing, reason: 'Tidak terbaca' };
+          }
+          return;
         }
 
+        const normalized = this.normalizeField(field, value);
 
-        maxScore += 3;
-        if (member.nama_lengkap && member.nama_lengkap.length >= 2) {
-          totalScore += 3;
-        } else if (member.nama_lengkap) {
-          totalScore += 1;
+        if (!normalized.valid) {
+          scores[field] = { score: FIELD_SCORES.invalid, reason: normalized.error };
+        } else if (uncertain.includes(field)) {
+          scores[field] = { score: FIELD_SCORES.uncertain, reason: 'Tidak terbaca jelas' };
+        } else if (def.enum && !def.enum.includes(normalized.value.toUpperCase())) {
+          scores[field] = { score: FIELD_SCORES.unlisted, reason: 'Nilai di luar daftar KK' };
+        } else {
+          scores[field] = { score: FIELD_SCORES.valid, reason: null };
         }
+      });
 
+      return scores;
+    };
 
-        maxScore += 2;
-        if (['LAKI-LAKI', 'PEREMPUAN'].includes(member.jenis_kelamin)) {
-          totalScore += 2;
-        }
+    return {
+      header: scoreRecord(data, KkSchema.HEADER_FIELDS, KkSchema.REQUIRED_HEADER_FIELDS),
+      members: (data.table || []).map(member =>
+        scoreRecord(member, KkSchema.MEMBER_FIELDS, KkSchema.REQUIRED_MEMBER_FIELDS)
+      )
+    };
+  }
 
+  /**
+   * Tandai NIK yang tidak cocok dengan data anggota
+   *
+   * Setiap anggota dicek dengan ValidationService.validateNIKConsistency
+   * terhadap kode kecamatan dari 6 digit pertama nomor KK. NIK dan field
+   * pasangannya (tanggal_lahir / jenis_kelamin) diturunkan ke skor
+   * inconsistent dengan pesan ketidakcocokan sebagai reason, kecuali
+   * skornya sudah lebih rendah. Kode kecamatan yang berbeda (notes) tidak
+   * menurunkan skor. Aman dipanggil ulang pada data yang sama.
+   *
+   * @param {Object} data - parsedData setelah postProcessData
+   * @param {Object} fieldConfidence - Hasil calculateFieldConfidence (diubah langsung)
+   * @returns {number} Jumlah anggota dengan NIK tidak cocok
+   */
+  applyNIKConsistency(data, fieldConfidence) {
+    const kecamatanCode = KkSchema.PATTERNS.nomor_kk.test(data.nomor_kk || '') ? data.nomor_kk.substring(0, 6) : null;
+    let inconsistent = 0;
 
-        maxScore += 2;
-        if (member.tanggal_lahir && /^\d{2}-\d{2}-\d{4}$/.test(member.tanggal_lahir)) {
-          totalScore += 2;
-        } else if (member.tanggal_lahir) {
-          totalScore += 1;
-        }
+    (data.table || []).forEach((member, index) => {
+      const scores = fieldConfidence.members[index];
+      const consistency = ValidationService.validateNIKConsistency(member.nik, member, { kecamatanCode });
 
+      if (!scores || consistency.isConsistent) {
+        return;
+      }
 
-        const optionalFields = ['tempat_lahir', 'agama', 'pendidikan', 'jenis_pekerjaan', 'status_perkawinan', 'status_hubungan_dalam_keluarga'];
-        optionalFields.forEach(field => {
-          maxScore += 1;
-          if (member[field] && member[field].length > 0) {
-            totalScore += 1;
+      inconsistent++;
+      consistency.errors.forEach(error => {
+        [...new Set(['nik', error.field])].forEach(field => {
+          if (!scores[field] || scores[field].score > FIELD_SCORES.inconsistent) {
+            scores[field] = { score: FIELD_SCORES.inconsistent, reason: error.message };
           }
         });
       });
+    });
+
+    if (inconsistent > 0) {
+      logger.info(`NIK consistency: ${inconsistent} member(s) with NIK not matching birth date or gender`);
     }
 
+    return inconsistent;
+  }
+
+  /**
+   * Hapus uncertain_fields dari parsedData
+   *
+   * Informasinya sudah dipindah ke fieldConfidence; parsedData yang masuk
+   * draft dan database hanya berisi field KK.
+   *
+   * @param {Object} data - parsedData
+   * @returns {Object} data yang sama
+   */
+  stripUncertainFields(data) {
+    delete data[KkSchema.UNCERTAIN_FIELDS];
+    (data.table || []).forEach(member => {
+      delete member[KkSchema.UNCERTAIN_FIELDS];
+    });
+    return data;
+  }
+
+  /**
+   * Confidence keseluruhan: rata-rata skor semua field yang dinilai
+   *
+   * @param {Object} fieldConfidence - Hasil calculateFieldConfidence
+   * @returns {number} Confidence 0-100
+   */
+  calculateConfidence(fieldConfidence) {
+    const scores = [fieldConfidence.header, ...fieldConfidence.members]
+      .flatMap(record => Object.values(record).map(entry => entry.score));
+
+    const confidence = scores.length > 0
+      ? Math.round(scores.reduce((total, score) => total + score, 0) / scores.length)
+      : 0;
 
-    const confidencePercentage = maxScore > 0 ? Math.round((totalScore / maxScore) * 100) : 0;
+    logger.info(`Confidence calculation: ${scores.length} fields, average ${confidence}%`);
+
+    return confidence;
+  }
+
+  /**
+   * Daftar field dengan confidence di bawah threshold
+   *
+   * @param {Object|null} fieldConfidence - Hasil calculateFieldConfidence
+   *   (ocrInfo.fieldConfidence pada draft)
+   * @param {number} [threshold=config.ocr.confidenceThreshold] - Batas skor
+   * @returns {Array<Object>} [{ memberIndex, field, score, reason }], urut
+   *   header lalu anggota; memberIndex null untuk field header
+   */
+  getLowConfidenceFields(fieldConfidence, threshold = config.ocr.confidenceThreshold) {
+    if (!fieldConfidence) {
+      return [];
+    }
 
-    logger.info(`Confidence calculation: ${totalScore}/${maxScore} = ${confidencePercentage}%`);
+    const collect = (record, memberIndex) => Object.entries(record)
+      .filter(([, entry]) => entry.score < threshold)
+      .map(([field, entry]) => ({ memberIndex, field, score: entry.score, reason: entry.reason }));
 
-    return confidencePercentage;
+    return [
+      ...collect(fieldConfidence.header, null),
+      ...fieldConfidence.members.flatMap((record, index) => collect(record, index))
+    ];
   }
 
   getStats() {
     return {
+      ...this.provider.getInfo(),
       model: this.model,
       maxRetries: this.maxRetries,
       timeout: this.timeout,
-      tempDir: this.tempDir
+      tempDir: this.tempDir,
+      normalize: config.ocr.normalize,
+      consensusPasses: config.ocr.consensus.passes,
+      imageAuditDir: config.ocr.imageAudit.enabled ? config.ocr.imageAudit.dir : null
     };
   }
 }
@@ -885,11 +1652,13 @@ BEGIN EXTRACTION:`;
  *
  * 2. Prompt Engineering
  *    - Specific instructions untuk Kartu Keluarga
- *    - Clear output format specification
+ *    - Output format dipaksa responseSchema (JSON mode), bukan teks prompt
  *    - Validation rules built-in
  *    - Indonesian localization
  *
  * 3. Error Handling
+ *    - Repair pass untuk field yang tidak valid (NIK kurang digit, dll);
+ *      retry penuh hanya jika repair tidak berhasil
  *    - Retry mechanism untuk transient failures
  *    - Timeout protection untuk long-running requests
  *    - Graceful degradation pada API failures
@@ -898,7 +1667,8 @@ BEGIN EXTRACTION:`;
  * IMAGE PROCESSING OPTIMIZATION:
  * ------------------------------
  * 1. Size Optimization
- *    - Resize jika width > 2400px
+ *    - Dokumen di-crop dan di-warp ke persegi panjang jika batasnya terdeteksi
+ *    - Resize jika sisi panjang > 2400px (width > 2400px jika normalisasi nonaktif)
  *    - Maintain aspect ratio
  *    - JPEG quality 90% untuk balance size/quality
  *    - Memory-efficient processing
@@ -931,10 +1701,19 @@ BEGIN EXTRACTION:`;
  *    - Business rule validation
  *
  * 3. Confidence Scoring
- *    - Based on data completeness
- *    - Field accuracy assessment
- *    - OCR quality indicators
- *    - Validation success rate
+ *    - Per field (FIELD_SCORES): format invalid, uncertain_fields dari
+ *      provider, nilai enum di luar daftar, field wajib kosong
+ *    - Field di bawah config.ocr.confidenceThreshold ditandai di draft dan
+ *      harus dikonfirmasi operator sebelum disimpan
+ *    - Mode konsensus: nomor KK/NIK/tanggal lahir yang sama di semua
+ *      pembacaan diterima otomatis; yang berbeda diberi skor disputed.
+ *      Anggota dicocokkan berdasarkan nama/NIK; anggota yang tidak ada di
+ *      semua pembacaan diberi skor disputed tanpa mengubah nilainya
+ *    - Setiap pembacaan tambahan = satu request Gemini lagi (biaya dan
+ *      waktu proses naik sebanding jumlah pembacaan)
+ *    - NIK yang tidak cocok dengan tanggal lahir (DDMMYY, DD+40 untuk
+ *      perempuan), jenis kelamin, atau kode kecamatan dari nomor KK diberi
+ *      skor inconsistent beserta bagian yang berbeda
  *
  * SECURITY CONSIDERATIONS:
  * ------------------------
@@ -1010,6 +1789,10 @@ BEGIN EXTRACTION:`;
  * - src/bot/handlers/photo.js: Photo upload handler
  * - src/services/AutoCreateService.js: Database operations
  * - src/utils/textCleaner.js: Text normalization
+ * - src/config/kkSchema.js: responseSchema dan enum data KK
+ * - src/services/OcrProvider.js: Interface provider ekstraksi
+ * - src/services/GeminiOcrProvider.js: Provider Google Gemini AI
+ * - src/services/FixtureOcrProvider.js: Provider fixture JSON (staging/test)
  * - src/config/env.js: Configuration management
  * - src/utils/logger.js: Logging utilities
  *
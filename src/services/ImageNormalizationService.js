@@ -0,0 +1,567 @@
+/**
+ * ============================================================================
+ * FILE: src/services/ImageNormalizationService.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Normalisasi foto Kartu Keluarga sebelum dikirim ke OCR provider.
+ * Foto KK dari HP biasanya diambil miring di atas meja; service ini
+ * mendeteksi batas dokumen, memperbaiki perspektif dan kemiringan, lalu
+ * memotong background sehingga tabel anggota keluarga (tempat sebagian
+ * besar kesalahan NIK) tampil lurus dan memenuhi gambar.
+ *
+ * PIPELINE:
+ * 1. EXIF orientation diterapkan (sharp.rotate())
+ * 2. Deteksi dokumen pada gambar greyscale kecil (DETECTION_SIZE):
+ *    - Threshold Otsu (KK berwarna terang, background lebih gelap)
+ *    - Connected component terbesar = kandidat dokumen (tulisan dan garis
+ *      tabel di dalamnya dihitung sebagai bagian dokumen)
+ *    - 4 sudut dari titik ekstrem (x+y dan x-y)
+ *    - Kandidat ditolak jika terlalu kecil, tidak convex, atau bentuknya
+ *      bukan segi empat
+ * 3. Perspective warp (homography + bilinear interpolation) ke persegi
+ *    panjang dengan ukuran sisi rata-rata dokumen
+ * 4. Resize ke maksimal OUTPUT_MAX_SIDE dan encode JPEG
+ *
+ * Jika dokumen tidak terdeteksi (atau sudah memenuhi frame), hanya langkah
+ * 1 dan 4 yang dijalankan.
+ *
+ * DEPENDENSI:
+ * - sharp: Decode, EXIF rotate, resize, encode
+ * - logger: Logging hasil normalisasi
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const ImageNormalizationService = require('./services/ImageNormalizationService');
+ *
+ * const result = await ImageNormalizationService.normalize('/path/to/kk.jpg');
+ * if (result.changed) {
+ *   await fs.writeFile('/path/to/kk_normalized.jpg', result.buffer);
+ * }
+ * ```
+ *
+ * ============================================================================
+ */
+
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Sisi panjang gambar untuk deteksi batas dokumen
+ * @constant {number}
+ */
+const DETECTION_SIZE = 600;
+
+/**
+ * Sisi panjang maksimal gambar sumber yang di-warp
+ * (membatasi memory untuk foto 48MP)
+ * @constant {number}
+ */
+const SOURCE_MAX_SIDE = 3200;
+
+/**
+ * Sisi panjang maksimal gambar hasil normalisasi
+ * @constant {number}
+ */
+const OUTPUT_MAX_SIDE = 2400;
+
+/**
+ * Luas minimal dokumen terhadap luas foto (di bawah ini dianggap bukan KK)
+ * @constant {number}
+ */
+const MIN_DOCUMENT_AREA = 0.2;
+
+/**
+ * Luas dokumen terhadap luas foto di atas ini dianggap sudah memenuhi frame
+ * (tidak perlu crop/warp)
+ * @constant {number}
+ */
+const FULL_FRAME_AREA = 0.95;
+
+/**
+ * Rasio minimal luas component (termasuk lubang tulisan) terhadap luas
+ * segi empat sudutnya (di bawah ini bentuk component bukan segi empat)
+ * @constant {number}
+ */
+const MIN_QUAD_FILL = 0.85;
+
+/**
+ * Class ImageNormalizationService
+ *
+ * Static class untuk crop, deskew, dan perspective correction foto KK.
+ *
+ * @class ImageNormalizationService
+ */
+class ImageNormalizationService {
+  /**
+   * Normalisasi foto KK
+   *
+   * @async
+   * @static
+   * @param {string} imagePath - Path foto asli
+   * @returns {Promise<Object>} Result object:
+   *   - changed: {boolean} - false jika foto sudah tegak, tanpa background,
+   *     dan tidak melebihi OUTPUT_MAX_SIDE (buffer null, pakai foto asli)
+   *   - buffer: {Buffer|null} - JPEG hasil normalisasi
+   *   - cropped: {boolean} - true jika batas dokumen terdeteksi dan di-warp
+   *   - corners: {Array|null} - [tl, tr, br, bl] dalam koordinat foto
+   *     (setelah EXIF rotate), masing-masing { x, y }
+   *   - width, height: {number} - Ukuran gambar hasil
+   * @throws {Error} Jika file tidak bisa dibaca sebagai gambar
+   */
+  static async normalize(imagePath) {
+    const metadata = await sharp(imagePath).metadata();
+    const exifRotated = !!metadata.orientation && metadata.orientation !== 1;
+
+    const source = await sharp(imagePath)
+      .rotate()
+      .resize({ width: SOURCE_MAX_SIDE, height: SOURCE_MAX_SIDE, fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const corners = await this.detectDocument(imagePath, source.info.width, source.info.height);
+
+    let pipeline;
+    let width;
+    let height;
+
+    if (corners) {
+      const warped = this.warpPerspective(source.data, source.info, corners);
+      width = warped.width;
+      height = warped.height;
+      pipeline = sharp(warped.data, { raw: { width, height, channels: 3 } });
+    } else {
+      const longSide = Math.max(metadata.width, metadata.height);
+      if (!exifRotated && longSide <= OUTPUT_MAX_SIDE) {
+        return { changed: false, buffer: null, cropped: false, corners: null, width: metadata.width, height: metadata.height };
+      }
+
+      width = source.info.width;
+      height = source.info.height;
+      pipeline = sharp(source.data, { raw: { width, height, channels: source.info.channels } });
+    }
+
+    const { data: buffer, info } = await pipeline
+      .resize({ width: OUTPUT_MAX_SIDE, height: OUTPUT_MAX_SIDE, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 90, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    logger.info(
+      `Image normalized: ${imagePath} (exif rotate: ${exifRotated}, ` +
+      `document ${corners ? 'cropped' : 'not detected'}) -> ${info.width}x${info.height}`
+    );
+
+    return {
+      changed: true,
+      buffer,
+      cropped: !!corners,
+      corners: corners ? corners.map(point => ({ x: Math.round(point.x), y: Math.round(point.y) })) : null,
+      width: info.width,
+      height: info.height
+    };
+  }
+
+  // ==========================================================================
+  // DOCUMENT DETECTION
+  // ==========================================================================
+
+  /**
+   * Deteksi 4 sudut dokumen
+   *
+   * @async
+   * @static
+   * @param {string} imagePath - Path foto asli
+   * @param {number} sourceWidth - Lebar gambar sumber (setelah EXIF rotate & resize)
+   * @param {number} sourceHeight - Tinggi gambar sumber
+   * @returns {Promise<Array|null>} [tl, tr, br, bl] dalam koordinat gambar sumber,
+   *   atau null jika dokumen tidak terdeteksi / sudah memenuhi frame
+   */
+  static async detectDocument(imagePath, sourceWidth, sourceHeight) {
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .greyscale()
+      .resize({ width: DETECTION_SIZE, height: DETECTION_SIZE, fit: 'inside' })
+      .blur(1.5)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const w = info.width;
+    const h = info.height;
+    const threshold = this.otsuThreshold(data);
+
+    const mask = new Uint8Array(w * h);
+    for (let i = 0; i < data.length; i++) {
+      mask[i] = data[i] > threshold ? 1 : 0;
+    }
+
+    const component = this.largestComponent(mask, w, h);
+    if (!component || component.size < w * h * MIN_DOCUMENT_AREA) {
+      return null;
+    }
+
+    const quad = this.findCorners(component.pixels, w);
+    const quadArea = this.polygonArea(quad);
+
+    if (quadArea < w * h * MIN_DOCUMENT_AREA || quadArea > w * h * FULL_FRAME_AREA) {
+      return null;
+    }
+
+    // Tulisan dan garis tabel KK adalah "lubang" gelap di dalam component
+    const filledArea = this.filledArea(component.pixels, w, h);
+    if (filledArea / quadArea < MIN_QUAD_FILL || !this.isConvex(quad)) {
+      return null;
+    }
+
+    const scaleX = sourceWidth / w;
+    const scaleY = sourceHeight / h;
+    return quad.map(point => ({ x: (point.x + 0.5) * scaleX, y: (point.y + 0.5) * scaleY }));
+  }
+
+  /**
+   * Threshold Otsu untuk gambar greyscale 8-bit
+   *
+   * @static
+   * @param {Buffer} data - Pixel greyscale
+   * @returns {number} Threshold (0-255)
+   */
+  static otsuThreshold(data) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+    let sumAll = 0;
+    for (let v = 0; v < 256; v++) sumAll += v * histogram[v];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = 0;
+    let threshold = 127;
+
+    for (let v = 0; v < 256; v++) {
+      weightBackground += histogram[v];
+      if (weightBackground === 0) continue;
+
+      const weightForeground = data.length - weightBackground;
+      if (weightForeground === 0) break;
+
+      sumBackground += v * histogram[v];
+      const meanBackground = sumBackground / weightBackground;
+      const meanForeground = (sumAll - sumBackground) / weightForeground;
+      const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        threshold = v;
+      }
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Connected component (4-neighbour) terbesar pada mask
+   *
+   * @static
+   * @param {Uint8Array} mask - 1 = foreground
+   * @param {number} w - Lebar mask
+   * @param {number} h - Tinggi mask
+   * @returns {Object|null} { size, pixels: Int32Array index pixel }
+   */
+  static largestComponent(mask, w, h) {
+    const visited = new Uint8Array(w * h);
+    const queue = new Int32Array(w * h);
+    let best = null;
+
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || visited[start]) continue;
+
+      let head = 0;
+      let tail = 0;
+      queue[tail++] = start;
+      visited[start] = 1;
+
+      while (head < tail) {
+        const i = queue[head++];
+        const x = i % w;
+        const neighbours = [
+          x > 0 ? i - 1 : -1,
+          x < w - 1 ? i + 1 : -1,
+          i >= w ? i - w : -1,
+          i < w * (h - 1) ? i + w : -1
+        ];
+
+        for (const n of neighbours) {
+          if (n >= 0 && mask[n] && !visited[n]) {
+            visited[n] = 1;
+            queue[tail++] = n;
+          }
+        }
+      }
+
+      if (!best || tail > best.size) {
+        best = { size: tail, pixels: queue.slice(0, tail) };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Luas component termasuk lubang di dalamnya
+   *
+   * Flood fill dari tepi gambar melalui pixel di luar component; pixel
+   * yang tidak terjangkau adalah component atau lubang yang dikelilinginya.
+   *
+   * @static
+   * @param {Int32Array} pixels - Index pixel component
+   * @param {number} w - Lebar mask
+   * @param {number} h - Tinggi mask
+   * @returns {number} Jumlah pixel component + lubang
+   */
+  static filledArea(pixels, w, h) {
+    const blocked = new Uint8Array(w * h);
+    for (let k = 0; k < pixels.length; k++) blocked[pixels[k]] = 1;
+
+    const queue = new Int32Array(w * h);
+    let head = 0;
+    let tail = 0;
+    const push = (i) => {
+      if (!blocked[i]) {
+        blocked[i] = 1;
+        queue[tail++] = i;
+      }
+    };
+
+    for (let x = 0; x < w; x++) {
+      push(x);
+      push((h - 1) * w + x);
+    }
+    for (let y = 0; y < h; y++) {
+      push(y * w);
+      push(y * w + w - 1);
+    }
+
+    while (head < tail) {
+      const i = queue[head++];
+      const x = i % w;
+      if (x > 0) push(i - 1);
+      if (x < w - 1) push(i + 1);
+      if (i >= w) push(i - w);
+      if (i < w * (h - 1)) push(i + w);
+    }
+
+    return w * h - tail;
+  }
+
+  /**
+   * Sudut segi empat dari titik ekstrem component
+   *
+   * top-left = min(x+y), bottom-right = max(x+y),
+   * top-right = max(x-y), bottom-left = min(x-y)
+   *
+   * @static
+   * @param {Int32Array} pixels - Index pixel component
+   * @param {number} w - Lebar mask
+   * @returns {Array<Object>} [tl, tr, br, bl]
+   */
+  static findCorners(pixels, w) {
+    let tl = null, tr = null, br = null, bl = null;
+    let minSum = Infinity, maxSum = -Infinity, maxDiff = -Infinity, minDiff = Infinity;
+
+    for (let k = 0; k < pixels.length; k++) {
+      const x = pixels[k] % w;
+      const y = (pixels[k] - x) / w;
+      const sum = x + y;
+      const diff = x - y;
+
+      if (sum < minSum) { minSum = sum; tl = { x, y }; }
+      if (sum > maxSum) { maxSum = sum; br = { x, y }; }
+      if (diff > maxDiff) { maxDiff = diff; tr = { x, y }; }
+      if (diff < minDiff) { minDiff = diff; bl = { x, y }; }
+    }
+
+    return [tl, tr, br, bl];
+  }
+
+  /**
+   * Luas polygon (shoelace formula)
+   *
+   * @static
+   * @param {Array<Object>} points - Titik polygon berurutan
+   * @returns {number} Luas (absolut)
+   */
+  static polygonArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return Math.abs(area) / 2;
+  }
+
+  /**
+   * Cek apakah polygon convex (semua cross product searah)
+   *
+   * @static
+   * @param {Array<Object>} points - Titik polygon berurutan
+   * @returns {boolean}
+   */
+  static isConvex(points) {
+    let sign = 0;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const c = points[(i + 2) % points.length];
+      const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+
+      if (cross === 0) return false;
+      if (sign === 0) sign = Math.sign(cross);
+      else if (Math.sign(cross) !== sign) return false;
+    }
+    return true;
+  }
+
+  // ==========================================================================
+  // PERSPECTIVE CORRECTION
+  // ==========================================================================
+
+  /**
+   * Warp area dokumen ke persegi panjang
+   *
+   * Ukuran hasil = panjang sisi terpanjang dokumen (atas/bawah untuk lebar,
+   * kiri/kanan untuk tinggi), dibatasi OUTPUT_MAX_SIDE.
+   *
+   * @static
+   * @param {Buffer} data - Pixel RGB gambar sumber
+   * @param {Object} info - { width, height, channels } gambar sumber
+   * @param {Array<Object>} corners - [tl, tr, br, bl] dalam koordinat sumber
+   * @returns {Object} { data: Buffer RGB, width, height }
+   */
+  static warpPerspective(data, info, corners) {
+    const [tl, tr, br, bl] = corners;
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+    let width = Math.max(distance(tl, tr), distance(bl, br));
+    let height = Math.max(distance(tl, bl), distance(tr, br));
+    const scale = Math.min(1, OUTPUT_MAX_SIDE / Math.max(width, height));
+    width = Math.max(1, Math.round(width * scale));
+    height = Math.max(1, Math.round(height * scale));
+
+    const H = this.computeHomography(
+      [{ x: 0, y: 0 }, { x: width - 1, y: 0 }, { x: width - 1, y: height - 1 }, { x: 0, y: height - 1 }],
+      corners
+    );
+
+    const channels = info.channels;
+    const srcW = info.width;
+    const srcH = info.height;
+    const output = Buffer.alloc(width * height * 3);
+
+    for (let v = 0; v < height; v++) {
+      for (let u = 0; u < width; u++) {
+        const denominator = H[6] * u + H[7] * v + 1;
+        const x = Math.min(srcW - 1, Math.max(0, (H[0] * u + H[1] * v + H[2]) / denominator));
+        const y = Math.min(srcH - 1, Math.max(0, (H[3] * u + H[4] * v + H[5]) / denominator));
+
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const x1 = Math.min(srcW - 1, x0 + 1);
+        const y1 = Math.min(srcH - 1, y0 + 1);
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const i00 = (y0 * srcW + x0) * channels;
+        const i10 = (y0 * srcW + x1) * channels;
+        const i01 = (y1 * srcW + x0) * channels;
+        const i11 = (y1 * srcW + x1) * channels;
+        const o = (v * width + u) * 3;
+
+        for (let c = 0; c < 3; c++) {
+          const top = data[i00 + c] + (data[i10 + c] - data[i00 + c]) * fx;
+          const bottom = data[i01 + c] + (data[i11 + c] - data[i01 + c]) * fx;
+          output[o + c] = Math.round(top + (bottom - top) * fy);
+        }
+      }
+    }
+
+    return { data: output, width, height };
+  }
+
+  /**
+   * Hitung homography 3x3 yang memetakan 4 titik from -> to
+   *
+   * Menyelesaikan sistem linear 8x8 (h33 = 1) dengan eliminasi Gauss.
+   *
+   * @static
+   * @param {Array<Object>} from - 4 titik asal { x, y }
+   * @param {Array<Object>} to - 4 titik tujuan { x, y }
+   * @returns {Array<number>} [h11, h12, h13, h21, h22, h23, h31, h32]
+   */
+  static computeHomography(from, to) {
+    const A = [];
+    for (let i = 0; i < 4; i++) {
+      const { x, y } = from[i];
+      const { x: X, y: Y } = to[i];
+      A.push([x, y, 1, 0, 0, 0, -x * X, -y * X, X]);
+      A.push([0, 0, 0, x, y, 1, -x * Y, -y * Y, Y]);
+    }
+
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 8; row++) {
+        if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+      }
+      [A[col], A[pivot]] = [A[pivot], A[col]];
+
+      for (let row = 0; row < 8; row++) {
+        if (row === col) continue;
+        const factor = A[row][col] / A[col][col];
+        for (let k = col; k < 9; k++) A[row][k] -= factor * A[col][k];
+      }
+    }
+
+    return A.map((row, i) => row[8] / row[i]);
+  }
+}
+
+module.exports = ImageNormalizationService;
+
+/**
+ * ============================================================================
+ * DEVELOPER NOTES
+ * ============================================================================
+ *
+ * BATASAN DETEKSI:
+ * ----------------
+ * - Deteksi mengandalkan kontras KK (terang) terhadap background (gelap).
+ *   KK di atas meja putih atau foto yang sudah di-crop rapat tidak
+ *   terdeteksi, dan foto dikirim tanpa crop (hanya EXIF rotate + resize)
+ * - Rotasi 90/180 derajat tanpa EXIF tidak dikoreksi; arah teks dibaca
+ *   oleh provider OCR
+ * - Semua kandidat yang meragukan (terlalu kecil, tidak convex, bentuk
+ *   bukan segi empat) ditolak: lebih aman mengirim foto asli daripada
+ *   crop yang memotong baris tabel
+ *
+ * AUDIT:
+ * ------
+ * - Sudut hasil deteksi dikembalikan di result.corners; GeminiOcrService
+ *   menyimpan foto asli dan hasil normalisasi ke config.ocr.imageAudit.dir
+ *
+ * PERFORMA:
+ * ---------
+ * - Deteksi berjalan pada gambar 600px; warp berjalan per pixel di JS
+ *   pada hasil maksimal 2400px (sekitar 4 juta pixel)
+ *
+ * RELATED FILES:
+ * --------------
+ * - src/services/GeminiOcrService.js: optimizeImage() memanggil normalize()
+ * - src/services/ImageQualityService.js: Quality gate sebelum normalisasi
+ *
+ * ============================================================================
+ */
@@ -0,0 +1,253 @@
+/**
+ * ============================================================================
+ * FILE: src/services/ImageQualityService.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Pemeriksaan kualitas foto Kartu Keluarga sebelum dikirim ke OCR provider.
+ * Foto yang terlalu kecil, buram, gelap, silau, kontras rendah, atau dengan
+ * perbandingan sisi tidak wajar ditolak dengan saran perbaikan, sehingga
+ * tidak menghabiskan quota dan retry Gemini.
+ *
+ * PEMERIKSAAN:
+ * 1. Resolusi: sisi panjang dan sisi pendek minimal (piksel)
+ * 2. Aspect ratio: sisi panjang / sisi pendek maksimal
+ * 3. Blur: variance Laplacian pada gambar greyscale ter-normalisasi
+ * 4. Gelap: rata-rata intensitas (0-255) minimal
+ * 5. Silau: porsi piksel terpotong putih (>= glareLevel) maksimal. Rata-rata
+ *    tidak dipakai di sini karena KK yang terpotret baik memang didominasi
+ *    kertas putih
+ * 6. Contrast: standar deviasi intensitas minimal
+ *
+ * Semua threshold ada di config.ocr.quality (lihat src/config/env.js).
+ *
+ * Halaman PDF yang di-render (source 'pdf') hanya diperiksa resolusi,
+ * aspect ratio dan blur: scan bersih memang didominasi kertas putih dan
+ * tidak punya masalah pencahayaan kamera, sehingga pemeriksaan brightness
+ * dan contrast hanya menolak scan yang baik.
+ *
+ * DEPENDENSI:
+ * - sharp: Decode gambar, EXIF rotate, greyscale, resize
+ * - config/env: Threshold pemeriksaan
+ * - logger: Logging hasil pemeriksaan
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const ImageQualityService = require('./services/ImageQualityService');
+ *
+ * const quality = await ImageQualityService.check('/path/to/kk.jpg');
+ * if (!quality.passed) {
+ *   quality.issues.forEach(issue => console.log(issue.message));
+ * }
+ * ```
+ *
+ * ============================================================================
+ */
+
+const sharp = require('sharp');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+/**
+ * Sisi panjang gambar saat menghitung blur/brightness/contrast
+ *
+ * Variance Laplacian bergantung pada skala gambar, sehingga semua foto
+ * di-resize ke ukuran yang sama agar threshold berlaku konsisten.
+ *
+ * @constant {number}
+ */
+const ANALYSIS_SIZE = 1000;
+
+/**
+ * Class ImageQualityService
+ *
+ * Static class untuk pemeriksaan kualitas foto sebelum OCR.
+ *
+ * @class ImageQualityService
+ */
+class ImageQualityService {
+  /**
+   * Periksa kualitas foto
+   *
+   * @async
+   * @static
+   * @param {string} imagePath - Path file foto
+   * @param {Object} [options] - Opsi pemeriksaan
+   * @param {string} [options.source='photo'] - 'photo' atau 'pdf' (halaman
+   *   PDF hasil render; brightness dan contrast tidak diperiksa)
+   * @returns {Promise<Object>} Result object:
+   *   - passed: {boolean} - true jika tidak ada masalah (atau pemeriksaan nonaktif)
+   *   - issues: {Array} - [{ code, message }] dengan message berisi saran
+   *     dalam Bahasa Indonesia
+   *   - metrics: {Object|null} - { width, height, aspectRatio, blurVariance,
+   *     brightness, contrast, glareRatio }
+   * @throws {Error} Jika file tidak bisa dibaca sebagai gambar
+   */
+  static async check(imagePath, { source = 'photo' } = {}) {
+    const thresholds = config.ocr.quality;
+
+    if (!thresholds.enabled) {
+      return { passed: true, issues: [], metrics: null };
+    }
+
+    const metrics = await this.measure(imagePath);
+    const issues = [];
+
+    const longSide = Math.max(metrics.width, metrics.height);
+    const shortSide = Math.min(metrics.width, metrics.height);
+
+    if (longSide < thresholds.minLongSide || shortSide < thresholds.minShortSide) {
+      issues.push({
+        code: 'resolution',
+        message: `Resolusi foto terlalu kecil (${metrics.width}x${metrics.height} piksel). ` +
+          `Minimal ${thresholds.minLongSide}x${thresholds.minShortSide} piksel; foto lebih dekat atau kirim dengan kualitas penuh.`
+      });
+    }
+
+    if (metrics.aspectRatio > thresholds.maxAspectRatio) {
+      issues.push({
+        code: 'aspect_ratio',
+        message: `Perbandingan sisi foto tidak wajar (${metrics.aspectRatio.toFixed(1)}:1). ` +
+          'Pastikan seluruh KK terlihat dan foto tidak terpotong.'
+      });
+    }
+
+    if (source === 'pdf') {
+      // Halaman hasil render: pencahayaan tidak relevan
+    } else if (metrics.brightness < thresholds.minBrightness) {
+      issues.push({
+        code: 'dark',
+        message: 'Foto terlalu gelap. Foto di tempat yang lebih terang atau nyalakan lampu.'
+      });
+    } else if (metrics.glareRatio > thresholds.maxGlareRatio) {
+      issues.push({
+        code: 'bright',
+        message: 'Foto terlalu terang atau silau. Hindari cahaya langsung dan pantulan flash.'
+      });
+    } else if (metrics.contrast < thresholds.minContrast) {
+      // Foto gelap/silau hampir selalu kontrasnya rendah; cukup satu saran
+      issues.push({
+        code: 'contrast',
+        message: 'Kontras foto terlalu rendah. Pastikan tulisan KK terlihat jelas dan tidak pudar.'
+      });
+    }
+
+    if (metrics.blurVariance < thresholds.minBlurVariance) {
+      issues.push({
+        code: 'blur',
+        message: 'Foto buram. Pastikan kamera fokus dan tidak bergerak saat memotret.'
+      });
+    }
+
+    logger.info(
+      `Image quality ${issues.length === 0 ? 'PASSED' : 'FAILED'} (${source}): ` +
+      `${metrics.width}x${metrics.height}, ratio=${metrics.aspectRatio.toFixed(2)}, ` +
+      `blur=${metrics.blurVariance.toFixed(1)}, brightness=${metrics.brightness.toFixed(1)}, ` +
+      `contrast=${metrics.contrast.toFixed(1)}, glare=${(metrics.glareRatio * 100).toFixed(1)}%`
+    );
+
+    return { passed: issues.length === 0, issues, metrics };
+  }
+
+  /**
+   * Hitung metrik kualitas foto
+   *
+   * Gambar diputar sesuai EXIF, diubah ke greyscale dan di-resize ke
+   * ANALYSIS_SIZE, lalu brightness (mean), contrast (standar deviasi),
+   * glareRatio (porsi piksel >= config.ocr.quality.glareLevel) dan blur
+   * (variance Laplacian 4-neighbour) dihitung.
+   *
+   * @async
+   * @static
+   * @param {string} imagePath - Path file foto
+   * @returns {Promise<Object>} { width, height, aspectRatio, blurVariance, brightness, contrast, glareRatio }
+   */
+  static async measure(imagePath) {
+    const metadata = await sharp(imagePath).metadata();
+
+    // EXIF orientation 5-8 = gambar diputar 90 derajat
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .greyscale()
+      .resize({ width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const w = info.width;
+    const h = info.height;
+
+    const { glareLevel } = config.ocr.quality;
+    let sum = 0;
+    let sumSquares = 0;
+    let glarePixels = 0;
+    for (let i = 0; i < data.length; i++) {
+      sum += data[i];
+      sumSquares += data[i] * data[i];
+      if (data[i] >= glareLevel) {
+        glarePixels++;
+      }
+    }
+    const brightness = sum / data.length;
+    const glareRatio = glarePixels / data.length;
+    const contrast = Math.sqrt(Math.max(0, sumSquares / data.length - brightness * brightness));
+
+    let lapSum = 0;
+    let lapSumSquares = 0;
+    let lapCount = 0;
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const i = y * w + x;
+        const laplacian = data[i - w] + data[i + w] + data[i - 1] + data[i + 1] - 4 * data[i];
+        lapSum += laplacian;
+        lapSumSquares += laplacian * laplacian;
+        lapCount++;
+      }
+    }
+    const lapMean = lapCount > 0 ? lapSum / lapCount : 0;
+    const blurVariance = lapCount > 0 ? lapSumSquares / lapCount - lapMean * lapMean : 0;
+
+    return {
+      width,
+      height,
+      aspectRatio: Math.max(width, height) / Math.max(1, Math.min(width, height)),
+      blurVariance,
+      brightness,
+      contrast,
+      glareRatio
+    };
+  }
+}
+
+module.exports = ImageQualityService;
+
+/**
+ * ============================================================================
+ * DEVELOPER NOTES
+ * ============================================================================
+ *
+ * KALIBRASI THRESHOLD:
+ * --------------------
+ * - Nilai metrik setiap foto ditulis di log ("Image quality PASSED/FAILED"),
+ *   gunakan untuk menyesuaikan OCR_QUALITY_* dari foto nyata
+ * - minBlurVariance berlaku untuk gambar ukuran ANALYSIS_SIZE; jika
+ *   ANALYSIS_SIZE diubah, threshold blur perlu dikalibrasi ulang
+ * - Foto KK asli dengan tulisan tajam biasanya punya variance Laplacian
+ *   jauh di atas threshold; foto goyang/tidak fokus jauh di bawahnya
+ *
+ * PERFORMA:
+ * ---------
+ * - Analisis memakai gambar greyscale maksimal 1000px (sekitar 1 juta
+ *   piksel), cukup cepat untuk dijalankan di setiap foto
+ *
+ * RELATED FILES:
+ * --------------
+ * - src/services/GeminiOcrService.js: Memanggil check() sebelum OCR
+ * - src/bot/handlers/photo.js: Menampilkan saran ke operator
+ * - src/config/env.js: config.ocr.quality
+ *
+ * ============================================================================
+ */
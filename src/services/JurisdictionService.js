@@ -0,0 +1,160 @@
+/**
+ * ============================================================================
+ * FILE: src/services/JurisdictionService.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Pemeriksaan wilayah kerja user. Operator hanya boleh mengatur kode
+ * wilayah (/kode-wilayah) dan menyimpan KK di desa/kecamatan yang
+ * ditugaskan kepadanya (tabel user_regions). Admin
+ * (canAccessAllRegions) tidak dibatasi.
+ *
+ * Aturan cakupan: kode wilayah X termasuk wilayah kerja jika X diawali
+ * salah satu kode yang ditugaskan. Penugasan kecamatan 33.01.06 mencakup
+ * 33.01.06 dan semua desa 33.01.06.xxxx; penugasan desa 33.01.06.2016
+ * hanya mencakup desa itu (tidak termasuk kecamatannya).
+ *
+ * DEPENDENSI:
+ * - UserModel: Permission user (canAccessAllRegions)
+ * - UserRegionModel: Daftar wilayah kerja user
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const JurisdictionService = require('./services/JurisdictionService');
+ *
+ * const access = await JurisdictionService.checkRegion(userId, '3301062016');
+ * if (!access.allowed) {
+ *   console.log('Wilayah kerja:', access.regionCodes.map(JurisdictionService.formatCode));
+ * }
+ * ```
+ *
+ * ============================================================================
+ */
+
+const UserModel = require('../database/UserModel');
+const UserRegionModel = require('../database/UserRegionModel');
+
+/**
+ * Panjang kode yang boleh ditugaskan: kecamatan (6) dan desa/kelurahan (10)
+ * @constant {Array<number>}
+ */
+const ASSIGNABLE_LENGTHS = [6, 10];
+
+/**
+ * Class JurisdictionService
+ *
+ * Static class untuk pemeriksaan wilayah kerja.
+ *
+ * @class JurisdictionService
+ */
+class JurisdictionService {
+  /**
+   * Ubah kode wilayah menjadi digit saja
+   *
+   * @static
+   * @param {string} code - Kode wilayah (boleh dengan titik)
+   * @returns {string} Kode tanpa titik
+   */
+  static normalizeCode(code) {
+    return String(code || '').replace(/\D/g, '');
+  }
+
+  /**
+   * Format kode wilayah dengan titik untuk ditampilkan
+   *
+   * @static
+   * @param {string} code - Kode wilayah
+   * @returns {string} Contoh: '3301062016' -> '33.01.06.2016'
+   */
+  static formatCode(code) {
+    const digits = JurisdictionService.normalizeCode(code);
+    const head = digits.substring(0, 6).replace(/(\d{2})(?=\d)/g, '$1.');
+
+    return digits.length > 6 ? `${head}.${digits.substring(6)}` : head;
+  }
+
+  /**
+   * Cek apakah kode bisa ditugaskan sebagai wilayah kerja
+   *
+   * @static
+   * @param {string} code - Kode wilayah
+   * @returns {boolean} true untuk kode kecamatan atau desa
+   */
+  static isAssignableCode(code) {
+    return ASSIGNABLE_LENGTHS.includes(JurisdictionService.normalizeCode(code).length);
+  }
+
+  /**
+   * Cek apakah kode wilayah termasuk salah satu wilayah kerja
+   *
+   * @static
+   * @param {Array<string>} regionCodes - Wilayah kerja (digit saja)
+   * @param {string} code - Kode wilayah yang dicek
+   * @returns {boolean} true jika tercakup
+   */
+  static covers(regionCodes, code) {
+    const digits = JurisdictionService.normalizeCode(code);
+
+    return digits.length > 0 && regionCodes.some(regionCode => digits.startsWith(regionCode));
+  }
+
+  /**
+   * Ambil wilayah kerja user
+   *
+   * @async
+   * @static
+   * @param {number} userId - ID user
+   * @returns {Promise<Object>} { unrestricted, regionCodes }
+   *   unrestricted = true untuk admin; regionCodes kosong untuk user yang
+   *   belum ditugaskan (tidak boleh menangani wilayah mana pun)
+   * @throws {Error} Database error
+   */
+  static async getJurisdiction(userId) {
+    const permissions = await UserModel.getUserPermissions(userId);
+
+    if (permissions && permissions.canAccessAllRegions) {
+      return { unrestricted: true, regionCodes: [] };
+    }
+
+    return { unrestricted: false, regionCodes: await UserRegionModel.findByUser(userId) };
+  }
+
+  /**
+   * Cek apakah user boleh menangani kode wilayah
+   *
+   * @async
+   * @static
+   * @param {number} userId - ID user
+   * @param {string} code - Kode wilayah (boleh dengan titik)
+   * @returns {Promise<Object>} { allowed, unrestricted, regionCodes }
+   * @throws {Error} Database error
+   */
+  static async checkRegion(userId, code) {
+    const jurisdiction = await JurisdictionService.getJurisdiction(userId);
+
+    return {
+      ...jurisdiction,
+      allowed: jurisdiction.unrestricted || JurisdictionService.covers(jurisdiction.regionCodes, code)
+    };
+  }
+
+  /**
+   * Pesan penolakan untuk operator
+   *
+   * @static
+   * @param {string} subject - Yang ditolak, contoh: 'Kode wilayah 33.01.07'
+   * @param {Array<string>} regionCodes - Wilayah kerja user
+   * @returns {string} Pesan dalam Bahasa Indonesia
+   */
+  static describeDenial(subject, regionCodes) {
+    if (regionCodes.length === 0) {
+      return `${subject} berada di luar wilayah kerja Anda. ` +
+        'Akun Anda belum memiliki wilayah kerja; hubungi admin untuk penugasan wilayah.';
+    }
+
+    return `${subject} berada di luar wilayah kerja Anda. ` +
+      `Wilayah kerja Anda: ${regionCodes.map(JurisdictionService.formatCode).join(', ')}.`;
+  }
+}
+
+module.exports = JurisdictionService;
@@ -0,0 +1,285 @@
+/**
+ * ============================================================================
+ * FILE: src/services/LoginGuardService.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Perlindungan /login dari brute force. Login gagal dihitung per chat ID
+ * dan per username (tabel login_attempts, lihat LoginAttemptModel):
+ * - Setelah freeAttempts kali gagal, percobaan berikutnya harus menunggu
+ *   jeda yang berlipat dua setiap gagal (exponential backoff)
+ * - Setelah lockThreshold kali gagal untuk satu username, akun dikunci
+ *   selama lockMinutes walaupun password benar; AuthService melaporkan
+ *   penguncian ke caller agar admin diberi notifikasi
+ * - Login berhasil menghapus penghitung chat dan username
+ *
+ * Percobaan yang ditolak karena jeda/kunci tidak memeriksa password dan
+ * tidak menambah penghitung.
+ *
+ * DEPENDENSI:
+ * - LoginAttemptModel: Penyimpanan penghitung (persisten)
+ * - config: Aturan backoff dan penguncian (config.loginProtection)
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const LoginGuardService = require('./services/LoginGuardService');
+ *
+ * const guard = await LoginGuardService.check(chatId, username);
+ * if (!guard.allowed) {
+ *   return LoginGuardService.describeBlock(guard);
+ * }
+ *
+ * // ... verifikasi password ...
+ * const failure = await LoginGuardService.recordFailure(chatId, username);
+ * if (failure.lockTriggered) {
+ *   // beri tahu admin
+ * }
+ * ```
+ *
+ * ============================================================================
+ */
+
+const LoginAttemptModel = require('../database/LoginAttemptModel');
+const config = require('../config/env');
+
+/**
+ * Penghitung direset jika tidak ada login gagal selama 24 jam
+ * @constant {number}
+ */
+const ATTEMPT_RESET = 24 * 60 * 60 * 1000;
+
+/**
+ * Panjang maksimal username yang disimpan (kolom subject)
+ * @constant {number}
+ */
+const MAX_SUBJECT_LENGTH = 100;
+
+/**
+ * Subjek (chat/username) yang sedang menjalankan login
+ * Mencegah banyak percobaan paralel lolos sebelum gagal pertama tercatat
+ * @type {Set<string>}
+ */
+const pending = new Set();
+
+/**
+ * Class LoginGuardService
+ *
+ * Static class untuk pembatasan percobaan login.
+ *
+ * @class LoginGuardService
+ */
+class LoginGuardService {
+  /**
+   * Daftar subjek yang dibatasi untuk satu percobaan login
+   *
+   * @static
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {string} username - Username yang dicoba
+   * @returns {Array<[string, string]>} Pasangan [scope, subject]
+   */
+  static getSubjects(chatId, username) {
+    return [
+      ['chat', String(chatId)],
+      ['username', String(username || '').trim().toLowerCase().substring(0, MAX_SUBJECT_LENGTH)]
+    ];
+  }
+
+  /**
+   * Tandai login sedang berjalan untuk chat dan username
+   *
+   * @static
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {string} username - Username yang dicoba
+   * @returns {boolean} false jika chat/username masih punya login yang berjalan
+   */
+  static acquire(chatId, username) {
+    const keys = LoginGuardService.getSubjects(chatId, username).map(([scope, subject]) => `${scope}:${subject}`);
+
+    if (keys.some(key => pending.has(key))) {
+      return false;
+    }
+
+    keys.forEach(key => pending.add(key));
+    return true;
+  }
+
+  /**
+   * Lepas tanda login yang berjalan (pasangan acquire)
+   *
+   * @static
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {string} username - Username yang dicoba
+   * @returns {void}
+   */
+  static release(chatId, username) {
+    LoginGuardService.getSubjects(chatId, username)
+      .forEach(([scope, subject]) => pending.delete(`${scope}:${subject}`));
+  }
+
+  /**
+   * Lama jeda setelah sejumlah gagal berturut-turut
+   *
+   * @static
+   * @param {number} failures - Jumlah gagal
+   * @returns {number} Jeda dalam detik (0 = tanpa jeda)
+   */
+  static getBackoffSeconds(failures) {
+    const { freeAttempts, backoffBaseSeconds, backoffMaxSeconds } = config.loginProtection;
+
+    if (failures < freeAttempts) {
+      return 0;
+    }
+
+    return Math.min(backoffBaseSeconds * Math.pow(2, failures - freeAttempts), backoffMaxSeconds);
+  }
+
+  /**
+   * Cek apakah login boleh dicoba sekarang
+   *
+   * @async
+   * @static
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {string} username - Username yang dicoba
+   * @returns {Promise<Object>} { allowed, locked, retryAfter }
+   *   retryAfter dalam detik; locked = true jika akun sedang dikunci
+   * @throws {Error} Database error
+   */
+  static async check(chatId, username) {
+    const now = new Date();
+    let retryAfter = 0;
+    let locked = false;
+
+    for (const [scope, subject] of LoginGuardService.getSubjects(chatId, username)) {
+      const row = await LoginAttemptModel.find(scope, subject);
+
+      if (!row) {
+        continue;
+      }
+
+      if (row.locked_until && row.locked_until > now) {
+        locked = true;
+        retryAfter = Math.max(retryAfter, Math.ceil((row.locked_until - now) / 1000));
+      } else if (row.blocked_until && row.blocked_until > now) {
+        retryAfter = Math.max(retryAfter, Math.ceil((row.blocked_until - now) / 1000));
+      }
+    }
+
+    return { allowed: retryAfter === 0, locked, retryAfter };
+  }
+
+  /**
+   * Catat login gagal untuk chat dan username
+   *
+   * @async
+   * @static
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {string} username - Username yang dicoba
+   * @returns {Promise<Object>} { lockTriggered, retryAfter }
+   *   lockTriggered = true jika gagal ini membuat akun dikunci
+   * @throws {Error} Database error
+   */
+  static async recordFailure(chatId, username) {
+    const { lockThreshold, lockMinutes } = config.loginProtection;
+    const now = new Date();
+    let lockTriggered = false;
+    let retryAfter = 0;
+
+    for (const [scope, subject] of LoginGuardService.getSubjects(chatId, username)) {
+      const row = await LoginAttemptModel.find(scope, subject);
+      const stale = !row || now - row.last_failure_at > ATTEMPT_RESET;
+
+      let failures = stale ? 1 : row.failures + 1;
+      let delay = LoginGuardService.getBackoffSeconds(failures);
+      let lockedUntil = row && row.locked_until > now ? row.locked_until : null;
+
+      if (scope === 'username' && failures >= lockThreshold) {
+        // Kunci menggantikan backoff; penghitung mulai dari nol setelah kunci berakhir
+        lockTriggered = true;
+        lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+        failures = 0;
+        delay = lockMinutes * 60;
+      }
+
+      retryAfter = Math.max(retryAfter, delay);
+
+      await LoginAttemptModel.save(scope, subject, {
+        failures,
+        lastFailureAt: now,
+        blockedUntil: delay > 0 && !lockedUntil ? new Date(now.getTime() + delay * 1000) : null,
+        lockedUntil
+      });
+    }
+
+    return { lockTriggered, retryAfter };
+  }
+
+  /**
+   * Hapus penghitung setelah login berhasil
+   *
+   * @async
+   * @static
+   * @param {number|string} chatId - Telegram chat ID
+   * @param {string} username - Username yang berhasil login
+   * @returns {Promise<void>}
+   * @throws {Error} Database error
+   */
+  static async recordSuccess(chatId, username) {
+    for (const [scope, subject] of LoginGuardService.getSubjects(chatId, username)) {
+      await LoginAttemptModel.clear(scope, subject);
+    }
+  }
+
+  /**
+   * Hapus penghitung yang sudah direset (dipanggil periodik)
+   *
+   * @async
+   * @static
+   * @returns {Promise<number>} Jumlah baris yang dihapus
+   * @throws {Error} Database error
+   */
+  static async cleanup() {
+    const now = new Date();
+    return LoginAttemptModel.removeStale(new Date(now.getTime() - ATTEMPT_RESET), now);
+  }
+
+  /**
+   * Format jeda untuk pesan ke user
+   *
+   * @static
+   * @param {number} seconds - Jeda dalam detik
+   * @returns {string} Contoh: '2 menit 30 detik'
+   */
+  static formatWait(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+
+    if (minutes === 0) {
+      return `${rest} detik`;
+    }
+
+    return rest > 0 ? `${minutes} menit ${rest} detik` : `${minutes} menit`;
+  }
+
+  /**
+   * Pesan untuk percobaan yang ditolak
+   *
+   * Pesan sama untuk username terdaftar maupun tidak, sehingga tidak
+   * membocorkan username mana yang valid.
+   *
+   * @static
+   * @param {Object} guard - Hasil check()
+   * @returns {string} Pesan dalam Bahasa Indonesia
+   */
+  static describeBlock(guard) {
+    const wait = LoginGuardService.formatWait(guard.retryAfter);
+
+    if (guard.locked) {
+      return 'Akun dikunci sementara karena terlalu banyak percobaan login gagal. ' +
+        `Coba lagi dalam ${wait} atau hubungi admin.`;
+    }
+
+    return `Terlalu banyak percobaan login gagal. Coba lagi dalam ${wait}.`;
+  }
+}
+
+module.exports = LoginGuardService;
@@ -0,0 +1,127 @@
+/**
+ * ============================================================================
+ * FILE: src/services/MysqlSessionStore.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * SessionStore yang menyimpan session login di tabel bot_sessions pada
+ * database SmartGov. Satu baris = satu chat ID. Isi session disimpan
+ * sebagai JSON; user_id, village_code, last_activity dan expires_at juga
+ * disimpan sebagai kolom agar bisa di-query dan dibersihkan langsung.
+ *
+ * Database Schema (dibuat oleh migrasi database/migrations/001_bot_tables.sql):
+ * CREATE TABLE bot_sessions (
+ *   chat_id BIGINT NOT NULL PRIMARY KEY,
+ *   user_id BIGINT UNSIGNED NOT NULL,
+ *   village_code VARCHAR(20) NULL,
+ *   data TEXT NOT NULL,
+ *   last_activity DATETIME NOT NULL,
+ *   expires_at DATETIME NOT NULL,
+ *   INDEX idx_bot_sessions_expires (expires_at)
+ * )
+ *
+ * DEPENDENSI:
+ * - SessionStore: Base class
+ * - database: Pool MySQL (db.query)
+ * - logger: Logging utility
+ *
+ * ============================================================================
+ */
+
+const SessionStore = require('./SessionStore');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Class MysqlSessionStore
+ *
+ * @class MysqlSessionStore
+ * @extends SessionStore
+ */
+class MysqlSessionStore extends SessionStore {
+  constructor() {
+    super('mysql');
+  }
+
+  /**
+   * Muat semua session yang belum expired
+   *
+   * @async
+   * @returns {Promise<Array<[number, Object]>>} Pasangan [chatId, session]
+   * @throws {Error} Database error
+   */
+  async load() {
+    const rows = await db.query(
+      'SELECT chat_id, data FROM bot_sessions WHERE expires_at > ?',
+      [new Date()]
+    );
+
+    const entries = [];
+    for (const row of rows) {
+      try {
+        entries.push([Number(row.chat_id), SessionStore.reviveDates(JSON.parse(row.data))]);
+      } catch (error) {
+        logger.warn(`Skipping unreadable session for chat ${row.chat_id}: ${error.message}`);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Simpan session satu chat (insert atau replace)
+   *
+   * @async
+   * @param {number} chatId - Chat ID Telegram
+   * @param {Object} session - Session termasuk expiresAt
+   * @returns {Promise<void>}
+   * @throws {Error} Database error
+   */
+  async save(chatId, session) {
+    await db.query(
+      `INSERT INTO bot_sessions (chat_id, user_id, village_code, data, last_activity, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         user_id = VALUES(user_id),
+         village_code = VALUES(village_code),
+         data = VALUES(data),
+         last_activity = VALUES(last_activity),
+         expires_at = VALUES(expires_at)`,
+      [
+        chatId,
+        session.userId,
+        session.villageCode || null,
+        JSON.stringify(session),
+        session.lastActivity,
+        session.expiresAt
+      ]
+    );
+  }
+
+  /**
+   * Hapus session satu chat
+   *
+   * @async
+   * @param {number} chatId - Chat ID Telegram
+   * @returns {Promise<void>}
+   * @throws {Error} Database error
+   */
+  async remove(chatId) {
+    await db.query('DELETE FROM bot_sessions WHERE chat_id = ?', [chatId]);
+  }
+
+  /**
+   * Hapus semua session yang sudah expired
+   *
+   * @async
+   * @param {Date} now - Waktu pembanding
+   * @returns {Promise<number>} Jumlah baris yang dihapus
+   * @throws {Error} Database error
+   */
+  async removeExpired(now) {
+    const result = await db.query('DELETE FROM bot_sessions WHERE expires_at <= ?', [now]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = MysqlSessionStore;
@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * FILE: src/services/OcrProvider.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Interface (base class) untuk sumber ekstraksi data Kartu Keluarga.
+ * GeminiOcrService menjalankan pipeline OCR (optimasi gambar, retry,
+ * validasi, post-processing, confidence) dan hanya memanggil provider untuk
+ * langkah "gambar -> JSON data KK mentah".
+ *
+ * Implementasi:
+ * - GeminiOcrProvider: Google Gemini AI (production)
+ * - FixtureOcrProvider: JSON dari disk per hash gambar (staging/test, tanpa
+ *   akses ke Gemini)
+ *
+ * Provider dipilih lewat config.ocr.provider (env OCR_PROVIDER).
+ *
+ * KONTRAK extract():
+ * - Input: { path, buffer, mimeType, pass }
+ *   - path: File foto asli dari Telegram
+ *   - buffer: Gambar yang sudah dioptimasi (dikirim ke AI)
+ *   - mimeType: MIME type buffer
+ *   - pass: Urutan pembacaan (0 = utama); pada mode konsensus
+ *     (config.ocr.consensus.passes > 1) pembacaan berikutnya harus
+ *     independen dari pembacaan utama
+ * - Output: Object data KK dengan struktur src/config/kkSchema.js
+ * - Error dengan error.retryable = false menghentikan retry pipeline
+ *   (contoh: API key tidak ada, fixture tidak ditemukan)
+ *
+ * KONTRAK repair() (optional):
+ * - Input: image seperti extract(), dan targets
+ *   [{ id, memberIndex, field, value, memberName }] berisi field yang tidak
+ *   valid setelah extract()
+ * - Output: { <id>: nilai baru } hanya untuk field yang diminta
+ * - Provider tanpa repair() membuat pipeline langsung memakai retry penuh
+ *
+ * ============================================================================
+ */
+
+/**
+ * Class OcrProvider
+ *
+ * Base class; subclass wajib meng-override extract().
+ *
+ * @class OcrProvider
+ */
+class OcrProvider {
+  /**
+   * @param {string} name - Nama provider (untuk logging dan getStats)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Ekstrak data KK dari gambar
+   *
+   * @async
+   * @param {Object} image - { path, buffer, mimeType, pass }
+   * @returns {Promise<Object>} Data KK mentah (belum di-post-process)
+   * @throws {Error} Jika ekstraksi gagal
+   */
+  async extract(image) {
+    throw new Error(`${this.constructor.name}.extract() is not implemented`);
+  }
+
+  /**
+   * Baca ulang field tertentu yang tidak valid (repair pass)
+   *
+   * @async
+   * @param {Object} image - { path, buffer, mimeType }
+   * @param {Array<Object>} targets - [{ id, memberIndex, field, value, memberName }]
+   * @returns {Promise<Object<string, string>>} Nilai baru per target id
+   * @throws {Error} Non-retryable jika provider tidak mendukung repair
+   */
+  async repair(image, targets) {
+    throw OcrProvider.fatalError(`${this.constructor.name} does not support field repair`);
+  }
+
+  /**
+   * Informasi provider untuk getStats / logging
+   *
+   * @returns {Object} { provider }
+   */
+  getInfo() {
+    return { provider: this.name };
+  }
+
+  /**
+   * Buat error yang tidak perlu di-retry oleh pipeline
+   *
+   * @static
+   * @param {string} message - Pesan error
+   * @returns {Error} Error dengan retryable = false
+   */
+  static fatalError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+}
+
+module.exports = OcrProvider;
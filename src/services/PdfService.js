@@ -0,0 +1,161 @@
+/**
+ * ============================================================================
+ * FILE: src/services/PdfService.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Utility untuk scan Kartu Keluarga berbentuk PDF. Membaca informasi PDF
+ * (jumlah halaman, enkripsi) dan me-render setiap halaman menjadi JPEG di
+ * server sendiri, sehingga halaman bisa diproses oleh pipeline OCR foto
+ * yang sama (quality gate, normalisasi, OCR provider).
+ *
+ * DEPENDENSI:
+ * - poppler-utils (system package): pdfinfo dan pdftoppm
+ *   - Alpine: apk add poppler-utils
+ *   - Debian/Ubuntu: apt-get install poppler-utils
+ * - child_process: Menjalankan pdfinfo / pdftoppm
+ * - fs.promises, path: Membaca hasil render
+ * - logger: Logging utility
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const PdfService = require('./services/PdfService');
+ *
+ * const info = await PdfService.inspect('/path/to/kk.pdf');
+ * if (!info.encrypted) {
+ *   const pages = await PdfService.rasterize('/path/to/kk.pdf', '/tmp/pages', { dpi: 200 });
+ * }
+ * ```
+ *
+ * ============================================================================
+ */
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Batas waktu per perintah poppler (milliseconds)
+ * @constant {number}
+ */
+const COMMAND_TIMEOUT = 60000;
+
+/**
+ * Prefix nama file hasil render (pdftoppm menambah -<nomor halaman>.jpg)
+ * @constant {string}
+ */
+const PAGE_PREFIX = 'page';
+
+/**
+ * Class PdfService
+ *
+ * Static class untuk inspeksi dan rasterisasi PDF.
+ *
+ * @class PdfService
+ */
+class PdfService {
+  /**
+   * Baca informasi PDF
+   *
+   * PDF dengan user password tidak bisa dibuka pdfinfo sama sekali; PDF
+   * dengan owner password terbaca tapi berstatus "Encrypted: yes". Keduanya
+   * dilaporkan sebagai encrypted.
+   *
+   * @async
+   * @static
+   * @param {string} pdfPath - Path file PDF
+   * @returns {Promise<Object>} { pages: number|null, encrypted: boolean }
+   * @throws {Error} Jika poppler-utils tidak terpasang atau file bukan PDF valid
+   */
+  static async inspect(pdfPath) {
+    let stdout;
+
+    try {
+      ({ stdout } = await execFileAsync('pdfinfo', [pdfPath], { timeout: COMMAND_TIMEOUT }));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('pdfinfo not found, install poppler-utils');
+      }
+      if (/password/i.test(error.stderr || '')) {
+        return { pages: null, encrypted: true };
+      }
+      throw new Error(`Invalid PDF: ${(error.stderr || error.message).trim()}`);
+    }
+
+    const pagesMatch = stdout.match(/^Pages:\s+(\d+)/m);
+
+    return {
+      pages: pagesMatch ? parseInt(pagesMatch[1]) : null,
+      encrypted: /^Encrypted:\s+yes/m.test(stdout)
+    };
+  }
+
+  /**
+   * Render halaman PDF menjadi JPEG
+   *
+   * @async
+   * @static
+   * @param {string} pdfPath - Path file PDF
+   * @param {string} outputDir - Direktori output (dibuat jika belum ada)
+   * @param {Object} options - Opsi render
+   * @param {number} options.dpi - Resolusi render
+   * @param {number} [options.lastPage] - Halaman terakhir yang di-render
+   * @returns {Promise<Array<string>>} Path JPEG per halaman, urut halaman
+   * @throws {Error} Jika poppler-utils tidak terpasang atau render gagal
+   */
+  static async rasterize(pdfPath, outputDir, { dpi, lastPage }) {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const args = ['-r', String(dpi), '-jpeg', '-jpegopt', 'quality=90'];
+    if (lastPage) {
+      args.push('-f', '1', '-l', String(lastPage));
+    }
+    args.push(pdfPath, path.join(outputDir, PAGE_PREFIX));
+
+    try {
+      await execFileAsync('pdftoppm', args, { timeout: COMMAND_TIMEOUT });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('pdftoppm not found, install poppler-utils');
+      }
+      throw new Error(`Failed to render PDF: ${(error.stderr || error.message).trim()}`);
+    }
+
+    // pdftoppm memberi nomor halaman dengan zero padding sesuai jumlah halaman
+    // (page-1.jpg atau page-01.jpg), jadi urutkan berdasarkan angka
+    const pageNumber = (fileName) => parseInt(fileName.match(/-(\d+)\.jpg$/)[1]);
+    const pages = (await fs.readdir(outputDir))
+      .filter(fileName => fileName.startsWith(`${PAGE_PREFIX}-`) && fileName.endsWith('.jpg'))
+      .sort((a, b) => pageNumber(a) - pageNumber(b))
+      .map(fileName => path.join(outputDir, fileName));
+
+    logger.info(`PDF rasterized: ${pdfPath} -> ${pages.length} page(s) at ${dpi} DPI`);
+    return pages;
+  }
+}
+
+module.exports = PdfService;
+
+/**
+ * ============================================================================
+ * DEVELOPER NOTES
+ * ============================================================================
+ *
+ * KENAPA POPPLER:
+ * ---------------
+ * - Build sharp/libvips standar tidak menyertakan loader PDF
+ * - pdftoppm dijalankan sebagai proses terpisah dengan timeout, sehingga
+ *   PDF yang rusak atau sangat besar tidak membuat proses bot hang
+ *
+ * RELATED FILES:
+ * --------------
+ * - src/services/GeminiOcrService.js: processPdf() (batas halaman, merge)
+ * - src/bot/index.js: Meneruskan dokumen application/pdf ke photo handler
+ * - Dockerfile: Instalasi poppler-utils
+ *
+ * ============================================================================
+ */
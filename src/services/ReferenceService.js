@@ -673,6 +673,42 @@ class ReferenceService {
     };
   }
 
+  /**
+   * Get nama reference berdasarkan ID (kebalikan dari get*Id)
+   *
+   * Dipakai untuk menampilkan perubahan data penduduk ke operator,
+   * contoh: occupation_id 5 -> "WIRASWASTA".
+   *
+   * @param {string} type - Key reference (religions, educations, occupations,
+   *   maritalStatuses, bloodTypes, citizenships, familyRelationships, ageCategories)
+   * @param {number} id - ID reference
+   * @returns {Promise<string|null>} Nama reference atau null jika tidak ditemukan
+   *
+   * @example
+   * const name = await ReferenceService.getReferenceName('religions', 1);
+   * // Returns: 'ISLAM'
+   */
+  async getReferenceName(type, id) {
+    if (id === null || id === undefined) return null;
+
+    const getters = {
+      religions: () => this.getReligions(),
+      educations: () => this.getEducations(),
+      occupations: () => this.getOccupations(),
+      maritalStatuses: () => this.getMaritalStatuses(),
+      bloodTypes: () => this.getBloodTypes(),
+      citizenships: () => this.getCitizenships(),
+      familyRelationships: () => this.getFamilyRelationships(),
+      ageCategories: () => this.getAgeCategories()
+    };
+
+    if (!getters[type]) return null;
+
+    const items = await getters[type]();
+    const item = items.find(i => String(i.id) === String(id));
+    return item ? item.name : null;
+  }
+
   clearCache() {
     this.cache = {
       religions: null,
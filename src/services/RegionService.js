@@ -727,6 +727,73 @@ class RegionService {
       return null;
     }
   }
+
+  /**
+   * Pecah kode wilayah menjadi kode per level administrasi
+   *
+   * Kode wilayah Kemendagri bersifat hierarkis (prefix), sehingga kode
+   * provinsi/kabupaten/kecamatan bisa diturunkan langsung dari kode desa
+   * tanpa API call. Level yang tidak tercakup oleh kode bernilai null.
+   *
+   * @param {string} code - Kode wilayah, dengan atau tanpa titik
+   * @returns {Object} { province_code, regency_code, district_code, village_code }
+   *
+   * @example
+   * RegionService.splitRegionCode('3301062016');
+   * // Returns: { province_code: '33', regency_code: '33.01',
+   * //            district_code: '33.01.06', village_code: '33.01.06.2016' }
+   */
+  splitRegionCode(code) {
+    const digits = String(code || '').replace(/\D/g, '');
+    const format = (length) => {
+      if (digits.length < length) return null;
+      return digits.substring(0, length).replace(/(\d{2})(?=\d)/g, '$1.');
+    };
+
+    return {
+      province_code: format(2),
+      regency_code: format(4),
+      district_code: format(6),
+      village_code: digits.length >= 10 ? format(6) + '.' + digits.substring(6, 10) : null
+    };
+  }
+
+  /**
+   * Normalisasi nama wilayah untuk perbandingan
+   *
+   * Menghapus awalan administratif (PROVINSI, KABUPATEN, KAB., KOTA,
+   * KECAMATAN, DESA, KELURAHAN, dll) dan karakter non-alfanumerik.
+   *
+   * @param {string} name - Nama wilayah
+   * @returns {string} Nama ter-normalisasi (uppercase), '' jika kosong
+   */
+  normalizeRegionName(name) {
+    return String(name || '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, ' ')
+      .replace(/\b(PROVINSI|PROV|KABUPATEN|KAB|KOTA|KECAMATAN|KEC|DESA|KELURAHAN|KEL|DS)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Cek apakah dua nama wilayah merujuk ke wilayah yang sama
+   *
+   * Memakai strategi yang sama dengan search*: exact match atau contains
+   * (dua arah) setelah normalisasi.
+   *
+   * @param {string} a - Nama wilayah pertama (contoh: hasil OCR)
+   * @param {string} b - Nama wilayah kedua (contoh: dari Region API)
+   * @returns {boolean} true jika sama
+   */
+  isSameRegionName(a, b) {
+    const left = this.normalizeRegionName(a);
+    const right = this.normalizeRegionName(b);
+
+    if (!left || !right) return false;
+
+    return left === right || left.includes(right) || right.includes(left);
+  }
 }
 
 /**
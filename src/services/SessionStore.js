@@ -0,0 +1,109 @@
+/**
+ * ============================================================================
+ * FILE: src/services/SessionStore.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Interface (base class) untuk penyimpanan session login operator.
+ * AuthService tetap menyimpan session aktif di Map (dibaca sinkron oleh
+ * semua command dan handler), dan memakai store untuk menulis setiap
+ * perubahan session serta memuat ulang semua session saat bot start,
+ * sehingga deploy atau crash tidak membuat operator logout dan kehilangan
+ * kode wilayah.
+ *
+ * Implementasi:
+ * - MysqlSessionStore: Tabel bot_sessions di database SmartGov (production)
+ * - FileSessionStore: File JSON di disk (tanpa tabel tambahan)
+ *
+ * Store dipilih lewat config.session.store (env SESSION_STORE).
+ *
+ * KONTRAK RECORD:
+ * - Key: chat ID Telegram
+ * - Value: object session AuthService ({ userId, username, nama_lengkap,
+ *   level, villageCode, villageData, loginAt, lastActivity }) ditambah
+ *   expiresAt. loginAt, lastActivity dan expiresAt berupa Date.
+ *
+ * ============================================================================
+ */
+
+/**
+ * Class SessionStore
+ *
+ * Base class; subclass wajib meng-override semua method.
+ *
+ * @class SessionStore
+ */
+class SessionStore {
+  /**
+   * @param {string} name - Nama store (untuk logging dan getSessionStats)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Muat semua session yang tersimpan
+   *
+   * @async
+   * @returns {Promise<Array<[number, Object]>>} Pasangan [chatId, session]
+   * @throws {Error} Jika store tidak bisa dibaca
+   */
+  async load() {
+    throw new Error(`${this.constructor.name}.load() is not implemented`);
+  }
+
+  /**
+   * Simpan (insert atau replace) session satu chat
+   *
+   * @async
+   * @param {number} chatId - Chat ID Telegram
+   * @param {Object} session - Session termasuk expiresAt
+   * @returns {Promise<void>}
+   * @throws {Error} Jika penulisan gagal
+   */
+  async save(chatId, session) {
+    throw new Error(`${this.constructor.name}.save() is not implemented`);
+  }
+
+  /**
+   * Hapus session satu chat (logout)
+   *
+   * @async
+   * @param {number} chatId - Chat ID Telegram
+   * @returns {Promise<void>}
+   * @throws {Error} Jika penulisan gagal
+   */
+  async remove(chatId) {
+    throw new Error(`${this.constructor.name}.remove() is not implemented`);
+  }
+
+  /**
+   * Hapus semua session yang expiresAt-nya sudah lewat
+   *
+   * @async
+   * @param {Date} now - Waktu pembanding
+   * @returns {Promise<number>} Jumlah session yang dihapus
+   * @throws {Error} Jika penulisan gagal
+   */
+  async removeExpired(now) {
+    throw new Error(`${this.constructor.name}.removeExpired() is not implemented`);
+  }
+
+  /**
+   * Ubah field tanggal hasil JSON.parse menjadi Date
+   *
+   * @static
+   * @param {Object} session - Session dari JSON
+   * @returns {Object} Session dengan loginAt, lastActivity, expiresAt berupa Date
+   */
+  static reviveDates(session) {
+    return {
+      ...session,
+      loginAt: new Date(session.loginAt),
+      lastActivity: new Date(session.lastActivity),
+      expiresAt: new Date(session.expiresAt)
+    };
+  }
+}
+
+module.exports = SessionStore;
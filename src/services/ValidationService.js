@@ -21,6 +21,7 @@
  * - ../utils/logger: Logging utility untuk tracking
  * - ../utils/validator: Existing validator untuk backward compatibility
  * - ../utils/textCleaner: Text normalization utilities
+ * - ../config/kkSchema: Enum dan pola format data KK (sama dengan responseSchema Gemini)
  *
  * FILOSOFI VALIDASI:
  * 1. Single Responsibility: Setiap method validasi satu aspek specific
@@ -51,6 +52,7 @@
  * if (!docValid.isValid) {
  *   console.log('Document validation errors:', docValid.errors);
  * }
+ * console.log('Status:', docValid.status); // valid | warning | review | invalid
  *
  * // Check completeness
  * const completeness = ValidationService.checkCompleteness(kkData);
@@ -63,6 +65,253 @@
 const logger = require('../utils/logger');
 const Validator = require('../utils/validator');
 const TextCleaner = require('../utils/textCleaner');
+const KkSchema = require('../config/kkSchema');
+
+/**
+ * Status hasil validateDocument
+ *
+ * - valid: tidak ada temuan
+ * - warning: hanya peringatan, boleh disimpan
+ * - review: ada error yang harus dikoreksi atau dikonfirmasi operator
+ * - confirmed: status review yang sudah dikonfirmasi operator (diberikan
+ *   AutoCreateService saat menyimpan, bukan oleh validateDocument)
+ * - invalid: data tidak bisa dipakai (BLOCKING_CODES)
+ *
+ * @constant {Object<string, string>}
+ */
+const STATUS = {
+  VALID: 'valid',
+  WARNING: 'warning',
+  REVIEW: 'review',
+  CONFIRMED: 'confirmed',
+  INVALID: 'invalid'
+};
+
+/**
+ * Kode error yang membuat data KK tidak bisa dipakai sama sekali
+ * (tidak bisa diperbaiki lewat koreksi draft)
+ *
+ * @constant {Array<string>}
+ */
+const BLOCKING_CODES = ['no_data', 'kk_invalid', 'no_members', 'no_valid_nik'];
+
+/**
+ * ============================================================================
+ * FAMILY STRUCTURE RULES
+ * ============================================================================
+ */
+
+/**
+ * Selisih umur minimal orang tua dan anak (tahun)
+ *
+ * Selisih di bawah ini masih mungkin tapi jarang, sehingga dilaporkan
+ * sebagai warning; anak yang lahir sebelum orang tuanya adalah error.
+ *
+ * @constant {number}
+ */
+const MIN_PARENT_AGE_GAP = 12;
+
+/**
+ * Pasangan hubungan keluarga yang harus lebih tua / lebih muda
+ *
+ * - ANAK lebih muda dari KEPALA KELUARGA dan pasangannya
+ * - ORANG TUA dan MERTUA lebih tua dari KEPALA KELUARGA
+ *
+ * @constant {Array<Object>}
+ */
+const PARENT_CHILD_ROLES = [
+  { child: ['ANAK'], parent: ['KEPALA KELUARGA', 'ISTRI', 'SUAMI'] },
+  { child: ['KEPALA KELUARGA'], parent: ['ORANG TUA', 'MERTUA'] }
+];
+
+/**
+ * Parse tanggal DD-MM-YYYY
+ *
+ * @param {string} value - Tanggal
+ * @returns {Date|null} null jika kosong atau formatnya salah
+ */
+function parseDate(value) {
+  const match = String(value || '').trim().match(/^(\d{2})-(\d{2})-(\d{4})$/);
+  if (!match) return null;
+
+  const date = new Date(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Selisih dua tanggal dalam tahun (desimal)
+ *
+ * @param {Date} older - Tanggal lahir yang lebih dulu
+ * @param {Date} younger - Tanggal lahir yang lebih akhir
+ * @returns {number} Selisih tahun, negatif jika urutannya terbalik
+ */
+function yearsBetween(older, younger) {
+  return (younger.getTime() - older.getTime()) / (365.25 * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Bandingkan nama tanpa memperhitungkan huruf besar, tanda baca dan spasi ganda
+ *
+ * @param {string} a - Nama pertama
+ * @param {string} b - Nama kedua
+ * @returns {boolean} true jika sama
+ */
+function isSameName(a, b) {
+  const normalize = (name) => TextCleaner.normalizeName(String(name || ''))
+    .replace(/[^A-Z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return normalize(a) !== '' && normalize(a) === normalize(b);
+}
+
+/**
+ * Label anggota untuk pesan: "Anggota 2 SITI AMINAH (ISTRI)"
+ *
+ * @param {Object} entry - Entry anggota (lihat validateFamilyStructure)
+ * @returns {string} Label anggota
+ */
+function describeMember(entry) {
+  return `Anggota ${entry.index + 1}` +
+    (entry.member.nama_lengkap ? ` ${entry.member.nama_lengkap}` : '') +
+    (entry.relationship ? ` (${entry.relationship})` : '');
+}
+
+/**
+ * Aturan struktur keluarga
+ *
+ * Setiap aturan menerima context { members, heads, spouses } (lihat
+ * ValidationService.validateFamilyStructure) dan
+ * mengembalikan daftar temuan { severity: 'error'|'warning', message,
+ * members: [index 0-based] }. Aturan baru cukup ditambahkan ke array ini.
+ *
+ * @constant {Array<{id: string, description: string, check: Function}>}
+ */
+const FAMILY_RULES = [
+  {
+    id: 'single_head',
+    description: 'Tepat satu KEPALA KELUARGA',
+    check: ({ heads }) => {
+      if (heads.length === 1) return [];
+
+      if (heads.length === 0) {
+        return [{ severity: 'error', message: 'Tidak ada anggota dengan status KEPALA KELUARGA', members: [] }];
+      }
+
+      return [{
+        severity: 'error',
+        message: `Lebih dari satu KEPALA KELUARGA: ${heads.map(describeMember).join(', ')}`,
+        members: heads.map(entry => entry.index)
+      }];
+    }
+  },
+  {
+    id: 'spouse_gender',
+    description: 'Pasangan kepala keluarga berlawanan jenis kelamin',
+    check: ({ heads, spouses }) => {
+      const issues = [];
+
+      spouses.forEach(spouse => {
+        const expected = spouse.relationship === 'ISTRI' ? 'P' : 'L';
+
+        if (spouse.gender && spouse.gender !== expected) {
+          issues.push({
+            severity: 'error',
+            message: `${describeMember(spouse)} berjenis kelamin ${spouse.gender === 'L' ? 'LAKI-LAKI' : 'PEREMPUAN'}`,
+            members: [spouse.index]
+          });
+        } else if (heads.length === 1 && heads[0].gender && spouse.gender && heads[0].gender === spouse.gender) {
+          issues.push({
+            severity: 'error',
+            message: `${describeMember(spouse)} berjenis kelamin sama dengan ${describeMember(heads[0])}`,
+            members: [heads[0].index, spouse.index]
+          });
+        }
+      });
+
+      return issues;
+    }
+  },
+  {
+    id: 'parent_age',
+    description: 'Anak lebih muda dari orang tua',
+    check: ({ members }) => {
+      const issues = [];
+
+      PARENT_CHILD_ROLES.forEach(roles => {
+        const children = members.filter(entry => roles.child.includes(entry.relationship) && entry.birthDate);
+        const parents = members.filter(entry => roles.parent.includes(entry.relationship) && entry.birthDate);
+
+        children.forEach(child => {
+          parents.forEach(parent => {
+            const gap = yearsBetween(parent.birthDate, child.birthDate);
+
+            if (gap <= 0) {
+              issues.push({
+                severity: 'error',
+                message: `${describeMember(child)} lahir ${child.member.tanggal_lahir}, tidak lebih muda dari ` +
+                  `${describeMember(parent)} lahir ${parent.member.tanggal_lahir}`,
+                members: [child.index, parent.index]
+              });
+            } else if (gap < MIN_PARENT_AGE_GAP) {
+              issues.push({
+                severity: 'warning',
+                message: `${describeMember(child)} hanya ${Math.floor(gap)} tahun lebih muda dari ${describeMember(parent)}`,
+                members: [child.index, parent.index]
+              });
+            }
+          });
+        });
+      });
+
+      return issues;
+    }
+  },
+  {
+    id: 'marital_status',
+    description: 'Status kawin jika ada tanggal perkawinan',
+    check: ({ members }) => members
+      .filter(entry => entry.member.tanggal_perkawinan && entry.maritalStatus === 'BELUM KAWIN')
+      .map(entry => ({
+        severity: 'error',
+        message: `${describeMember(entry)} memiliki tanggal perkawinan ${entry.member.tanggal_perkawinan} tetapi berstatus BELUM KAWIN`,
+        members: [entry.index]
+      }))
+  },
+  {
+    id: 'parent_names',
+    description: 'Nama ayah/ibu anak sesuai kepala keluarga dan pasangannya',
+    check: ({ heads, spouses, members }) => {
+      if (heads.length !== 1) return [];
+
+      const couple = [heads[0], ...spouses];
+      const father = couple.find(entry => entry.gender === 'L');
+      const mother = couple.find(entry => entry.gender === 'P');
+      const issues = [];
+
+      members.filter(entry => entry.relationship === 'ANAK').forEach(child => {
+        [
+          { parent: father, field: 'nama_ayah', label: 'Nama ayah' },
+          { parent: mother, field: 'nama_ibu', label: 'Nama ibu' }
+        ].forEach(({ parent, field, label }) => {
+          const name = child.member[field];
+
+          if (!parent || !parent.member.nama_lengkap || !name || name === '-') return;
+
+          if (!isSameName(name, parent.member.nama_lengkap)) {
+            issues.push({
+              severity: 'warning',
+              message: `${label} ${describeMember(child)} tertulis ${name}, tidak sama dengan ${describeMember(parent)}`,
+              members: [child.index, parent.index]
+            });
+          }
+        });
+      });
+
+      return issues;
+    }
+  }
+];
 
 /**
  * ============================================================================
@@ -100,7 +349,7 @@ class ValidationService {
    *
    * @example
    * validateNIK('12345')
-   * // Returns: { isValid: false, errors: ['NIK must be exactly 16 digits'], value: '12345' }
+   * // Returns: { isValid: false, errors: ['NIK harus 16 digit (terbaca 5 digit)'], value: '12345' }
    */
   static validateNIK(nik) {
     const result = {
@@ -112,7 +361,7 @@ class ValidationService {
     // Check null/undefined/empty
     if (!nik) {
       result.isValid = false;
-      result.errors.push('NIK is required');
+      result.errors.push('NIK wajib diisi');
       return result;
     }
 
@@ -121,13 +370,13 @@ class ValidationService {
     // Check length
     if (nikStr.length !== 16) {
       result.isValid = false;
-      result.errors.push(`NIK must be exactly 16 digits (got ${nikStr.length})`);
+      result.errors.push(`NIK harus 16 digit (terbaca ${nikStr.length} digit)`);
     }
 
     // Check numeric
-    if (!/^\d{16}$/.test(nikStr)) {
+    if (!KkSchema.PATTERNS.nik.test(nikStr)) {
       result.isValid = false;
-      result.errors.push('NIK must contain only numeric characters (0-9)');
+      result.errors.push('NIK hanya boleh berisi angka (0-9)');
     }
 
     if (result.isValid) {
@@ -139,6 +388,156 @@ class ValidationService {
     return result;
   }
 
+  /**
+   * Uraikan bagian-bagian NIK
+   *
+   * Tanggal di NIK untuk perempuan ditambah 40 (contoh: lahir tanggal 12
+   * tertulis 52), sehingga jenis kelamin bisa diturunkan dari NIK.
+   *
+   * @param {string|number} nik - NIK 16 digit
+   * @returns {Object|null} null jika format NIK tidak valid, selain itu:
+   *   { regionCode, day, month, year, gender, sequence, validDate }
+   *   - regionCode: 6 digit kode kecamatan
+   *   - day/month/year: tanggal lahir (day sudah dikurangi 40, year 2 digit)
+   *   - gender: 'L' atau 'P'
+   *   - validDate: false jika tanggal/bulan di NIK tidak mungkin (contoh: 35)
+   *
+   * @example
+   * decodeNIK('3301065205900001')
+   * // Returns: { regionCode: '330106', day: 12, month: 5, year: 90, gender: 'P', sequence: '0001', validDate: true }
+   */
+  static decodeNIK(nik) {
+    const nikStr = nik ? String(nik).trim() : '';
+
+    if (!KkSchema.PATTERNS.nik.test(nikStr)) {
+      return null;
+    }
+
+    const rawDay = parseInt(nikStr.substring(6, 8));
+    const female = rawDay > 40;
+    const day = female ? rawDay - 40 : rawDay;
+    const month = parseInt(nikStr.substring(8, 10));
+
+    return {
+      regionCode: nikStr.substring(0, 6),
+      day,
+      month,
+      year: parseInt(nikStr.substring(10, 12)),
+      gender: female ? 'P' : 'L',
+      sequence: nikStr.substring(12),
+      validDate: day >= 1 && day <= 31 && month >= 1 && month <= 12
+    };
+  }
+
+  /**
+   * Cocokkan isi NIK dengan data anggota keluarga
+   *
+   * NIK menyimpan kode kecamatan (6 digit pertama) dan tanggal lahir
+   * (DDMMYY, DD+40 untuk perempuan). Setiap bagian dibandingkan dengan
+   * tanggal_lahir, jenis_kelamin dan kode kecamatan KK, sehingga salah baca
+   * satu digit pada NIK atau field pasangannya terdeteksi.
+   *
+   * Field yang kosong atau formatnya tidak valid dilewati (sudah dilaporkan
+   * validasi format). Hasil ini adalah peringatan untuk dicek operator,
+   * bukan penolakan.
+   *
+   * Kode wilayah NIK adalah tempat NIK diterbitkan, bukan domisili sekarang,
+   * sehingga pasangan dan anggota pindahan wajar berbeda dari KK. Perbedaan
+   * kode wilayah hanya dicatat di notes (informasi) dan tidak membuat
+   * isConsistent false.
+   *
+   * @param {string|number} nik - NIK anggota
+   * @param {Object} [member] - { tanggal_lahir, jenis_kelamin }
+   * @param {Object} [options] - Opsi pencocokan
+   * @param {string} [options.kecamatanCode] - Kode kecamatan KK; boleh
+   *   bertitik atau kode desa lengkap (contoh: '33.01.06.2016'), yang dipakai
+   *   6 digit pertama
+   * @returns {Object} { isConsistent: boolean, errors: Array<Object>, notes: Array<Object>,
+   *   decoded: Object|null }
+   *   errors berisi { code, field, message } dengan code 'nik_date' |
+   *   'birth_date' | 'gender' dan field pasangan NIK yang tidak cocok;
+   *   notes berisi { code: 'region', field: 'nik', message }
+   *
+   * @example
+   * validateNIKConsistency('3301061205900001', { tanggal_lahir: '21-05-1990', jenis_kelamin: 'LAKI-LAKI' })
+   * // Returns: { isConsistent: false, errors: [{ code: 'birth_date', field: 'tanggal_lahir',
+   * //   message: 'Tanggal lahir di NIK 12-05-90 tidak sama dengan tanggal lahir 21-05-1990 (beda tanggal)' }], ... }
+   */
+  static validateNIKConsistency(nik, member = {}, options = {}) {
+    const result = {
+      isConsistent: true,
+      errors: [],
+      notes: [],
+      decoded: this.decodeNIK(nik)
+    };
+
+    const decoded = result.decoded;
+    if (!decoded) {
+      return result;
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const nikDate = `${pad(decoded.day)}-${pad(decoded.month)}-${pad(decoded.year)}`;
+    const addError = (code, field, message) => {
+      result.isConsistent = false;
+      result.errors.push({ code, field, message });
+    };
+
+    if (!decoded.validDate) {
+      addError('nik_date', 'nik', `Digit tanggal lahir di NIK (${String(nik).trim().substring(6, 12)}) bukan tanggal yang valid`);
+    } else {
+      // Tanggal lahir: bandingkan tanggal, bulan dan 2 digit terakhir tahun
+      const dateMatch = String(member.tanggal_lahir || '').trim().match(/^(\d{2})-(\d{2})-(\d{4})$/);
+
+      if (dateMatch) {
+        const differences = [];
+        if (parseInt(dateMatch[1]) !== decoded.day) differences.push('tanggal');
+        if (parseInt(dateMatch[2]) !== decoded.month) differences.push('bulan');
+        if (parseInt(dateMatch[3]) % 100 !== decoded.year) differences.push('tahun');
+
+        if (differences.length > 0) {
+          addError(
+            'birth_date',
+            'tanggal_lahir',
+            `Tanggal lahir di NIK ${nikDate} tidak sama dengan tanggal lahir ${dateMatch[0]} (beda ${differences.join(', ')})`
+          );
+        }
+      }
+
+      // Jenis kelamin: tanggal NIK > 40 berarti perempuan
+      const gender = member.jenis_kelamin ? TextCleaner.normalizeGender(String(member.jenis_kelamin)) : null;
+
+      if (gender && gender !== decoded.gender) {
+        const nikDay = String(nik).trim().substring(6, 8);
+        addError(
+          'gender',
+          'jenis_kelamin',
+          decoded.gender === 'P'
+            ? `NIK menunjukkan PEREMPUAN (tanggal ${nikDay} = ${pad(decoded.day)} + 40), jenis kelamin tertulis LAKI-LAKI`
+            : `NIK menunjukkan LAKI-LAKI (tanggal ${nikDay} tanpa tambahan 40), jenis kelamin tertulis PEREMPUAN`
+        );
+      }
+    }
+
+    // Kode wilayah: 6 digit pertama NIK = kecamatan tempat NIK diterbitkan
+    const kecamatanCode = String(options.kecamatanCode || '').replace(/\D/g, '').substring(0, 6);
+
+    if (kecamatanCode.length === 6 && kecamatanCode !== decoded.regionCode) {
+      result.notes.push({
+        code: 'region',
+        field: 'nik',
+        message: `NIK diterbitkan di kecamatan ${decoded.regionCode}, KK di kecamatan ${kecamatanCode} ` +
+          '(wajar untuk pasangan atau anggota pindahan)'
+      });
+    }
+
+    if (!result.isConsistent) {
+      logger.debug(`NIK consistency check failed: ${result.errors.map(error => error.code).join(', ')}`);
+    }
+
+    return result;
+  }
+
   // ==========================================================================
   // NOMOR KK VALIDATION
   // ==========================================================================
@@ -166,7 +565,7 @@ class ValidationService {
     // Check null/undefined/empty
     if (!kk) {
       result.isValid = false;
-      result.errors.push('Nomor KK is required');
+      result.errors.push('Nomor KK wajib diisi');
       return result;
     }
 
@@ -175,13 +574,13 @@ class ValidationService {
     // Check length
     if (kkStr.length !== 16) {
       result.isValid = false;
-      result.errors.push(`Nomor KK must be exactly 16 digits (got ${kkStr.length})`);
+      result.errors.push(`Nomor KK harus 16 digit (terbaca ${kkStr.length} digit)`);
     }
 
     // Check numeric
-    if (!/^\d{16}$/.test(kkStr)) {
+    if (!KkSchema.PATTERNS.nomor_kk.test(kkStr)) {
       result.isValid = false;
-      result.errors.push('Nomor KK must contain only numeric characters (0-9)');
+      result.errors.push('Nomor KK hanya boleh berisi angka (0-9)');
     }
 
     if (result.isValid) {
@@ -214,7 +613,7 @@ class ValidationService {
    *
    * @example
    * validateDate('32-01-2024')
-   * // Returns: { isValid: false, errors: ['Invalid day (must be 01-31)'], value: '32-01-2024' }
+   * // Returns: { isValid: false, errors: ['Tanggal tidak valid (harus 01-31, terbaca 32)'], value: '32-01-2024' }
    */
   static validateDate(dateStr) {
     const result = {
@@ -226,7 +625,7 @@ class ValidationService {
     // Check null/undefined/empty
     if (!dateStr) {
       result.isValid = false;
-      result.errors.push('Date is required');
+      result.errors.push('Tanggal wajib diisi');
       return result;
     }
 
@@ -236,7 +635,7 @@ class ValidationService {
 
     if (!match) {
       result.isValid = false;
-      result.errors.push('Date format must be DD-MM-YYYY');
+      result.errors.push('Format tanggal harus DD-MM-YYYY');
       return result;
     }
 
@@ -247,18 +646,18 @@ class ValidationService {
     // Validate ranges
     if (month < 1 || month > 12) {
       result.isValid = false;
-      result.errors.push(`Invalid month (must be 01-12, got ${month})`);
+      result.errors.push(`Bulan tidak valid (harus 01-12, terbaca ${month})`);
     }
 
     if (day < 1 || day > 31) {
       result.isValid = false;
-      result.errors.push(`Invalid day (must be 01-31, got ${day})`);
+      result.errors.push(`Tanggal tidak valid (harus 01-31, terbaca ${day})`);
     }
 
     const currentYear = new Date().getFullYear();
     if (year < 1900 || year > currentYear) {
       result.isValid = false;
-      result.errors.push(`Invalid year (must be 1900-${currentYear}, got ${year})`);
+      result.errors.push(`Tahun tidak valid (harus 1900-${currentYear}, terbaca ${year})`);
     }
 
     if (result.isValid) {
@@ -300,7 +699,7 @@ class ValidationService {
 
     if (!gender) {
       result.isValid = false;
-      result.errors.push('Gender is required');
+      result.errors.push('Jenis kelamin wajib diisi');
       return result;
     }
 
@@ -308,7 +707,7 @@ class ValidationService {
 
     if (!normalized) {
       result.isValid = false;
-      result.errors.push(`Invalid gender (must be LAKI-LAKI or PEREMPUAN, got ${gender})`);
+      result.errors.push(`Jenis kelamin tidak valid (harus ${KkSchema.GENDERS.join(' atau ')}, terbaca ${gender})`);
       return result;
     }
 
@@ -322,7 +721,7 @@ class ValidationService {
   /**
    * Validasi enum value (agama, pendidikan, pekerjaan, status perkawinan)
    *
-   * @param {string} field - Nama field (untuk error message)
+   * @param {string} field - Nama / label field (untuk error message)
    * @param {string} value - Value yang akan divalidasi
    * @param {string[]} allowedValues - List of allowed values
    * @returns {Object} { isValid: boolean, errors: string[], value: string }
@@ -340,7 +739,7 @@ class ValidationService {
 
     if (!value) {
       result.isValid = false;
-      result.errors.push(`${field} is required`);
+      result.errors.push(`${field} wajib diisi`);
       return result;
     }
 
@@ -349,7 +748,7 @@ class ValidationService {
     if (!allowedValues.includes(normalizedValue)) {
       result.isValid = false;
       result.errors.push(
-        `Invalid ${field} (got "${value}", expected one of: ${allowedValues.join(', ')})`
+        `${field} tidak ada di daftar KK (terbaca "${value}", pilihan: ${allowedValues.join(', ')})`
       );
     }
 
@@ -484,6 +883,77 @@ class ValidationService {
     return result;
   }
 
+  // ==========================================================================
+  // FAMILY STRUCTURE VALIDATION
+  // ==========================================================================
+
+  /**
+   * Validasi struktur keluarga dalam satu KK
+   *
+   * Menjalankan semua aturan FAMILY_RULES: tepat satu kepala keluarga,
+   * pasangan berlawanan jenis kelamin, anak lebih muda dari orang tua,
+   * status kawin jika ada tanggal perkawinan, serta nama ayah/ibu anak
+   * sesuai kepala keluarga dan pasangannya.
+   *
+   * Field yang kosong atau tidak valid dilewati oleh aturan yang
+   * membutuhkannya (sudah dilaporkan validasi per field).
+   *
+   * @param {Object} kkData - Data KK dengan kkData.table
+   * @returns {Object} { isValid: boolean, errors: Array<Object>, warnings: Array<Object> }
+   *   Setiap temuan berisi { rule, severity, message, members } dengan
+   *   members = index anggota (0-based) yang terlibat; isValid false jika
+   *   ada error
+   *
+   * @example
+   * const family = validateFamilyStructure(kkData);
+   * family.errors.forEach(issue => console.log(issue.message));
+   * // 'Anggota 3 ANDI (ANAK) lahir 01-01-1970, tidak lebih muda dari Anggota 1 BUDI (KEPALA KELUARGA) lahir 05-06-1980'
+   */
+  static validateFamilyStructure(kkData) {
+    const result = {
+      isValid: true,
+      errors: [],
+      warnings: []
+    };
+
+    const members = (kkData && Array.isArray(kkData.table) ? kkData.table : [])
+      .map((member, index) => ({
+        index,
+        member,
+        relationship: TextCleaner.normalizeFamilyRelationship(String(member.status_hubungan_dalam_keluarga || '')),
+        gender: member.jenis_kelamin ? TextCleaner.normalizeGender(String(member.jenis_kelamin)) : null,
+        maritalStatus: TextCleaner.normalizeMaritalStatus(String(member.status_perkawinan || '')),
+        birthDate: parseDate(member.tanggal_lahir)
+      }));
+
+    if (members.length === 0) {
+      return result;
+    }
+
+    const context = {
+      members,
+      heads: members.filter(entry => entry.relationship === 'KEPALA KELUARGA'),
+      spouses: members.filter(entry => entry.relationship === 'ISTRI' || entry.relationship === 'SUAMI')
+    };
+
+    FAMILY_RULES.forEach(rule => {
+      rule.check(context).forEach(issue => {
+        const finding = { rule: rule.id, ...issue };
+
+        if (issue.severity === 'error') {
+          result.isValid = false;
+          result.errors.push(finding);
+        } else {
+          result.warnings.push(finding);
+        }
+      });
+    });
+
+    logger.debug(`Family structure validation: ${result.errors.length} errors, ${result.warnings.length} warnings`);
+
+    return result;
+  }
+
   // ==========================================================================
   // FULL DOCUMENT VALIDATION
   // ==========================================================================
@@ -493,31 +963,50 @@ class ValidationService {
    *
    * Melakukan comprehensive validation terhadap seluruh data KK:
    * 1. Header validation (nomor KK, nama kepala keluarga, alamat)
-   * 2. Member validation (setiap anggota keluarga)
-   * 3. Completeness check
-   * 4. Data consistency check
+   * 2. Member validation (setiap anggota keluarga, termasuk pencocokan NIK)
+   * 3. Family structure (validateFamilyStructure), hasil terstruktur di
+   *    result.family
+   * 4. Completeness check
+   *
+   * Setiap temuan juga dicatat di result.issues dengan referensi anggota
+   * dan field, dan diringkas menjadi result.status (lihat STATUS):
+   * - invalid: data tidak bisa dipakai sama sekali (BLOCKING_CODES)
+   * - review: ada error yang harus dikoreksi atau dikonfirmasi operator
+   * - warning: hanya ada peringatan
+   * - valid: tidak ada temuan
    *
    * @param {Object} kkData - Data Kartu Keluarga lengkap
    * @param {string} kkData.nomor_kk - Nomor KK
    * @param {string} kkData.nama_kepala_keluarga - Nama kepala keluarga
    * @param {string} kkData.alamat - Alamat
    * @param {Array} kkData.table - Array anggota keluarga
-   * @returns {Object} { isValid: boolean, errors: string[], warnings: string[], completeness: Object }
+   * @param {Object} [options] - Opsi validasi
+   * @param {string} [options.kecamatanCode] - Kode kecamatan untuk
+   *   pencocokan NIK (default: 6 digit pertama nomor KK)
+   * @returns {Object} { isValid: boolean, status: string, errors: string[], warnings: string[],
+   *   issues: Array<Object>, completeness: Object, family: Object|null }
+   *   issues berisi { severity: 'error'|'warning'|'info', code, message,
+   *   memberIndex (0-based, null untuk header/KK), field (null jika tidak
+   *   menunjuk satu field) }
    *
    * @example
    * const result = validateDocument(kkData);
-   * if (!result.isValid) {
+   * if (result.status === ValidationService.STATUS.INVALID) {
    *   console.log('Validation errors:', result.errors);
-   *   console.log('Warnings:', result.warnings);
-   *   console.log('Completeness:', result.completeness.percentage + '%');
    * }
+   * result.issues
+   *   .filter(issue => issue.memberIndex === 0)
+   *   .forEach(issue => console.log(issue.field, issue.message));
    */
-  static validateDocument(kkData) {
+  static validateDocument(kkData, options = {}) {
     const result = {
       isValid: true,
+      status: STATUS.VALID,
       errors: [],
       warnings: [],
+      issues: [],
       completeness: null,
+      family: null,
       details: {
         headerValid: true,
         membersValid: true,
@@ -525,73 +1014,101 @@ class ValidationService {
       }
     };
 
+    const addIssue = (severity, code, message, { memberIndex = null, field = null } = {}) => {
+      result.issues.push({ severity, code, message, memberIndex, field });
+
+      if (severity === 'error') {
+        result.isValid = false;
+        result.errors.push(message);
+      } else if (severity === 'warning') {
+        result.warnings.push(message);
+      }
+    };
+
     logger.info('Starting full document validation...');
 
     // Validate input
     if (!kkData || typeof kkData !== 'object') {
-      result.isValid = false;
-      result.errors.push('Invalid data: kkData must be an object');
+      addIssue('error', 'no_data', 'Data KK tidak valid');
+      result.status = STATUS.INVALID;
       return result;
     }
 
     // 1. Validate Nomor KK
     const kkValidation = this.validateKK(kkData.nomor_kk);
     if (!kkValidation.isValid) {
-      result.isValid = false;
       result.details.headerValid = false;
-      result.errors.push(...kkValidation.errors);
+      kkValidation.errors.forEach(error => addIssue('error', 'kk_invalid', error, { field: 'nomor_kk' }));
     }
 
     // 2. Validate Nama Kepala Keluarga
     if (!kkData.nama_kepala_keluarga || kkData.nama_kepala_keluarga.trim().length < 2) {
-      result.isValid = false;
       result.details.headerValid = false;
-      result.errors.push('Nama kepala keluarga is required (minimum 2 characters)');
+      addIssue('error', 'head_name_invalid', 'Nama kepala keluarga wajib diisi (minimal 2 huruf)', { field: 'nama_kepala_keluarga' });
     }
 
     // 3. Validate Alamat
     if (!kkData.alamat || kkData.alamat.trim().length < 5) {
-      result.isValid = false;
       result.details.headerValid = false;
-      result.errors.push('Alamat is required (minimum 5 characters)');
+      addIssue('error', 'address_invalid', 'Alamat wajib diisi (minimal 5 karakter)', { field: 'alamat' });
     }
 
     // 4. Validate Table (anggota keluarga)
     if (!kkData.table || !Array.isArray(kkData.table) || kkData.table.length === 0) {
-      result.isValid = false;
       result.details.membersValid = false;
-      result.errors.push('No family members found (table is empty)');
+      addIssue('error', 'no_members', 'Tidak ada anggota keluarga (tabel anggota kosong)');
     } else {
-      // Validate each member
+      // Validate each member; NIK dicocokkan dengan kode kecamatan KK
+      const kecamatanCode = options.kecamatanCode ||
+        (kkValidation.isValid ? kkValidation.value.substring(0, 6) : null);
+
       kkData.table.forEach((member, index) => {
-        const memberResult = this.validateMember(member, index + 1);
+        const memberResult = this.validateMember(member, index + 1, { kecamatanCode });
         result.details.memberResults.push(memberResult);
 
         if (!memberResult.isValid) {
-          result.isValid = false;
           result.details.membersValid = false;
-          result.errors.push(...memberResult.errors.map(err => `Member ${index + 1}: ${err}`));
         }
 
-        if (memberResult.warnings && memberResult.warnings.length > 0) {
-          result.warnings.push(...memberResult.warnings.map(warn => `Member ${index + 1}: ${warn}`));
-        }
+        memberResult.issues.forEach(issue => {
+          addIssue(issue.severity, issue.code, `Anggota ${index + 1}: ${issue.message}`, { memberIndex: index, field: issue.field });
+        });
+      });
+
+      if (!result.details.memberResults.some(memberResult => memberResult.nikValid)) {
+        addIssue('error', 'no_valid_nik', 'Tidak ada anggota dengan NIK yang valid');
+      }
+
+      // 5. Family structure (kepala keluarga, pasangan, umur anak, nama orang tua)
+      result.family = this.validateFamilyStructure(kkData);
+
+      [...result.family.errors, ...result.family.warnings].forEach(issue => {
+        addIssue(issue.severity, `family_${issue.rule}`, issue.message, {
+          memberIndex: issue.members.length > 0 ? issue.members[0] : null
+        });
       });
     }
 
-    // 5. Check completeness
+    // 6. Check completeness
     result.completeness = this.checkCompleteness(kkData);
 
     if (result.completeness.percentage < 80) {
-      result.warnings.push(`Data completeness is low: ${result.completeness.percentage}%`);
+      addIssue('warning', 'completeness_low', `Kelengkapan data rendah: ${result.completeness.percentage}%`);
     }
 
-    if (result.completeness.criticalMissing.length > 0) {
-      result.warnings.push(`Critical fields missing: ${result.completeness.criticalMissing.join(', ')}`);
+    // Ringkas temuan menjadi status dokumen
+    const errorCodes = result.issues.filter(issue => issue.severity === 'error').map(issue => issue.code);
+
+    if (errorCodes.some(code => BLOCKING_CODES.includes(code))) {
+      result.status = STATUS.INVALID;
+    } else if (errorCodes.length > 0) {
+      result.status = STATUS.REVIEW;
+    } else if (result.warnings.length > 0) {
+      result.status = STATUS.WARNING;
     }
 
     // Log result
-    logger.info(`Document validation ${result.isValid ? 'PASSED' : 'FAILED'}`);
+    logger.info(`Document validation ${result.isValid ? 'PASSED' : 'FAILED'} (status: ${result.status})`);
     logger.info(`  - Errors: ${result.errors.length}`);
     logger.info(`  - Warnings: ${result.warnings.length}`);
     logger.info(`  - Completeness: ${result.completeness.percentage}%`);
@@ -604,59 +1121,91 @@ class ValidationService {
    *
    * @param {Object} member - Data anggota keluarga
    * @param {number} memberNumber - Nomor urut member (untuk error message)
-   * @returns {Object} { isValid: boolean, errors: string[], warnings: string[] }
+   * @param {Object} [options] - Opsi validasi
+   * @param {string} [options.kecamatanCode] - Kode kecamatan KK untuk
+   *   pencocokan NIK (lihat validateNIKConsistency)
+   * @returns {Object} { isValid: boolean, nikValid: boolean, errors: string[], warnings: string[],
+   *   issues: Array<Object> }
+   *   issues berisi { severity, code, field, message }. Ketidakcocokan isi
+   *   NIK dengan tanggal lahir atau jenis kelamin masuk ke warnings; kode
+   *   kecamatan NIK yang berbeda dari KK hanya menjadi issue 'info'
    *
    * @example
    * validateMember({ nik: '...', nama_lengkap: '...', jenis_kelamin: 'L' }, 1)
    */
-  static validateMember(member, memberNumber = 0) {
+  static validateMember(member, memberNumber = 0, options = {}) {
     const result = {
       isValid: true,
+      nikValid: false,
       errors: [],
-      warnings: []
+      warnings: [],
+      issues: []
+    };
+
+    const addIssue = (severity, code, field, message) => {
+      result.issues.push({ severity, code, field, message });
+
+      if (severity === 'error') {
+        result.isValid = false;
+        result.errors.push(message);
+      } else if (severity === 'warning') {
+        result.warnings.push(message);
+      }
     };
 
     if (!member || typeof member !== 'object') {
-      result.isValid = false;
-      result.errors.push('Invalid member data');
+      addIssue('error', 'member_invalid', null, 'Data anggota tidak valid');
       return result;
     }
 
     // Validate NIK
     const nikValidation = this.validateNIK(member.nik);
-    if (!nikValidation.isValid) {
-      result.isValid = false;
-      result.errors.push(...nikValidation.errors);
+    result.nikValid = nikValidation.isValid;
+    nikValidation.errors.forEach(error => addIssue('error', 'nik_invalid', 'nik', error));
+
+    // Cross-check NIK dengan tanggal lahir, jenis kelamin dan kode kecamatan
+    if (nikValidation.isValid) {
+      const consistency = this.validateNIKConsistency(member.nik, member, options);
+      consistency.errors.forEach(error => addIssue('warning', 'nik_consistency', error.field, error.message));
+      consistency.notes.forEach(note => addIssue('info', 'nik_region', note.field, note.message));
     }
 
     // Validate Nama Lengkap
     if (!member.nama_lengkap || member.nama_lengkap.trim().length < 2) {
-      result.isValid = false;
-      result.errors.push('Nama lengkap is required (minimum 2 characters)');
+      addIssue('error', 'name_invalid', 'nama_lengkap', 'Nama lengkap wajib diisi (minimal 2 huruf)');
     }
 
     // Validate Jenis Kelamin
     const genderValidation = this.validateGender(member.jenis_kelamin);
-    if (!genderValidation.isValid) {
-      result.isValid = false;
-      result.errors.push(...genderValidation.errors);
-    }
+    genderValidation.errors.forEach(error => addIssue('error', 'gender_invalid', 'jenis_kelamin', error));
 
     // Validate Tanggal Lahir (if present)
     if (member.tanggal_lahir) {
       const dateValidation = this.validateDate(member.tanggal_lahir);
-      if (!dateValidation.isValid) {
-        result.warnings.push(...dateValidation.errors);
-      }
+      dateValidation.errors.forEach(error => addIssue('warning', 'birth_date_invalid', 'tanggal_lahir', `Tanggal lahir: ${error}`));
     } else {
-      result.warnings.push('Tanggal lahir is missing');
+      addIssue('warning', 'birth_date_missing', 'tanggal_lahir', 'Tanggal lahir kosong');
     }
 
     // Validate Tempat Lahir (if present)
     if (member.tempat_lahir && member.tempat_lahir.trim().length < 2) {
-      result.warnings.push('Tempat lahir is too short (minimum 2 characters)');
+      addIssue('warning', 'birth_place_short', 'tempat_lahir', 'Tempat lahir terlalu pendek (minimal 2 huruf)');
     }
 
+    // Validate enum fields (if present) against the same values as the Gemini responseSchema
+    const enumFields = {
+      agama: { label: 'Agama', values: KkSchema.RELIGIONS },
+      status_hubungan_dalam_keluarga: { label: 'Hubungan dalam keluarga', values: KkSchema.FAMILY_RELATIONSHIPS },
+      kewarganegaraan: { label: 'Kewarganegaraan', values: KkSchema.CITIZENSHIPS }
+    };
+
+    Object.entries(enumFields).forEach(([field, { label, values }]) => {
+      if (!member[field]) return;
+
+      const enumValidation = this.validateEnum(label, member[field], values);
+      enumValidation.errors.forEach(error => addIssue('warning', 'enum_unlisted', field, error));
+    });
+
     logger.debug(`Member ${memberNumber} validation: ${result.isValid ? 'PASSED' : 'FAILED'} (${result.errors.length} errors, ${result.warnings.length} warnings)`);
 
     return result;
@@ -668,6 +1217,9 @@ class ValidationService {
  * MODULE EXPORTS
  * ============================================================================
  */
+ValidationService.STATUS = STATUS;
+ValidationService.BLOCKING_CODES = BLOCKING_CODES;
+
 module.exports = ValidationService;
 
 /**
@@ -708,50 +1260,37 @@ module.exports = ValidationService;
  *    This is acceptable for OCR results (not all fields always extracted)
  *
  * 4. WARNINGS VS ERRORS:
- *    - errors: Block processing (data tidak boleh disimpan)
+ *    - errors: Harus dikoreksi atau dikonfirmasi operator (status review);
+ *      error BLOCKING_CODES membuat data tidak bisa dipakai (status invalid)
  *    - warnings: Informational (data boleh disimpan tapi perlu review)
  *
  *    Example:
- *    - Missing NIK = ERROR (critical field)
- *    - Missing pekerjaan = WARNING (standard field)
- *
- * 5. INTEGRATION WITH GEMINI OCR:
- *    ```javascript
- *    // In GeminiOcrService.js
- *    const ocrResult = await this.extractDataWithGemini(imagePath);
+ *    - Nomor KK tidak valid = ERROR blocking (status invalid)
+ *    - Missing NIK satu anggota = ERROR (status review)
+ *    - Missing tanggal lahir = WARNING
  *
- *    // Replace validateParsedData() with:
- *    const validation = ValidationService.validateDocument(ocrResult.parsedData);
+ * 5. PIPELINE OCR -> DATABASE:
+ *    validateDocument adalah satu-satunya lapisan validasi antara OCR dan
+ *    penyimpanan:
+ *    - src/bot/handlers/photo.js: status invalid ditolak dengan daftar
+ *      error; selain itu draft dibuat
+ *    - src/bot/handlers/draft.js: issues tampil di preview draft; error
+ *      (status review) harus dikoreksi atau dinyatakan Sudah Dicek
+ *    - src/services/AutoCreateService.js: validasi ulang sebelum menulis
+ *      database, menolak invalid dan review yang belum dikonfirmasi, lalu
+ *      mencatat status dan issues di ocr_validation_logs
  *
- *    if (!validation.isValid) {
- *      logger.error('OCR validation failed:', validation.errors);
- *      throw new Error('OCR result validation failed');
- *    }
- *
- *    if (validation.completeness.percentage < 70) {
- *      logger.warn('Low completeness:', validation.completeness.percentage);
- *      // Maybe retry OCR or flag for manual review
- *    }
- *    ```
- *
- * 6. INTEGRATION WITH AUTOCREATE SERVICE:
+ * 6. STRUCTURED ISSUES:
  *    ```javascript
- *    // In AutoCreateService.js
- *    async createFromOCR(ocrData) {
- *      // Validate before database insert
- *      const validation = ValidationService.validateDocument(ocrData);
- *
- *      if (!validation.isValid) {
- *        return {
- *          success: false,
- *          message: 'Invalid data cannot be saved',
- *          errors: validation.errors
- *        };
- *      }
+ *    const validation = ValidationService.validateDocument(data);
+ *
+ *    // Temuan untuk field tertentu (contoh: tandai di preview)
+ *    validation.issues
+ *      .filter(issue => issue.memberIndex === 2 && issue.field === 'nik')
+ *      .forEach(issue => console.log(issue.severity, issue.message));
  *
- *      // Proceed with database insert
- *      const result = await FamilyDataModel.create(ocrData);
- *      // ...
+ *    if (validation.status === ValidationService.STATUS.INVALID) {
+ *      // Tolak, minta foto ulang
  *    }
  *    ```
  *
@@ -789,11 +1328,28 @@ module.exports = ValidationService;
  *        it('should reject NIK with wrong length', () => {
  *          const result = ValidationService.validateNIK('12345');
  *          expect(result.isValid).toBe(false);
- *          expect(result.errors).toContain('NIK must be exactly 16 digits (got 5)');
+ *          expect(result.errors).toContain('NIK harus 16 digit (terbaca 5 digit)');
  *        });
  *      });
  *    });
  *    ```
  *
+ * 9. NIK CONSISTENCY:
+ *    validateNIK hanya memeriksa format. validateNIKConsistency mencocokkan
+ *    isi NIK (kode kecamatan, DDMMYY, DD+40 perempuan) dengan tanggal_lahir,
+ *    jenis_kelamin dan kode kecamatan KK, dengan pesan yang menyebut bagian
+ *    yang berbeda. Beda tanggal/jenis kelamin dipakai sebagai warning dan
+ *    oleh GeminiOcrService.applyNIKConsistency untuk menurunkan skor field
+ *    di draft. Beda kode kecamatan hanya info (notes): NIK tetap memakai
+ *    kecamatan tempat terbit setelah pindah atau menikah.
+ *
+ * 10. FAMILY STRUCTURE RULES:
+ *    FAMILY_RULES adalah daftar aturan { id, description, check }. check
+ *    menerima context { members, heads, spouses } (relationship, gender,
+ *    birthDate sudah dinormalisasi) dan mengembalikan temuan dengan index
+ *    anggota. Untuk aturan baru, tambahkan entry tanpa mengubah
+ *    validateFamilyStructure. Error struktur keluarga harus dikonfirmasi
+ *    operator sebelum draft disimpan (src/bot/handlers/draft.js).
+ *
  * ============================================================================
  */
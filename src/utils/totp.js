@@ -0,0 +1,190 @@
+/**
+ * ============================================================================
+ * FILE: src/utils/totp.js
+ * ============================================================================
+ *
+ * DESKRIPSI:
+ * Utility class untuk TOTP (Time-based One-Time Password, RFC 6238) yang
+ * dipakai sebagai faktor kedua login. Kompatibel dengan aplikasi
+ * authenticator umum (Google Authenticator, Microsoft Authenticator,
+ * Authy): HMAC-SHA1, 6 digit, periode 30 detik, secret base32.
+ *
+ * DEPENDENSI:
+ * - crypto (Node.js built-in): HMAC dan random secret
+ *
+ * CARA PENGGUNAAN:
+ * ```javascript
+ * const Totp = require('./utils/totp');
+ *
+ * const secret = Totp.generateSecret();
+ * const uri = Totp.buildUri(secret, 'operator1');  // untuk aplikasi authenticator
+ *
+ * const step = Totp.verify(secret, '123456');
+ * if (step !== null) {
+ *   // kode valid untuk time step `step`
+ * }
+ * ```
+ *
+ * ============================================================================
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Alfabet base32 (RFC 4648)
+ * @constant {string}
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Periode satu kode (detik)
+ * @constant {number}
+ */
+const PERIOD = 30;
+
+/**
+ * Jumlah digit kode
+ * @constant {number}
+ */
+const DIGITS = 6;
+
+/**
+ * Toleransi selisih jam: kode dari 1 periode sebelum/sesudah tetap diterima
+ * @constant {number}
+ */
+const WINDOW = 1;
+
+/**
+ * Nama issuer yang tampil di aplikasi authenticator
+ * @constant {string}
+ */
+const ISSUER = 'SmartGov Bot';
+
+/**
+ * Class Totp
+ *
+ * Static utility class untuk TOTP. Tidak menyimpan state.
+ */
+class Totp {
+  /**
+   * Membuat secret acak (160 bit) dalam base32
+   *
+   * @returns {string} Secret base32, 32 karakter
+   */
+  static generateSecret() {
+    const bytes = crypto.randomBytes(20);
+    let bits = '';
+    let secret = '';
+
+    for (const byte of bytes) {
+      bits += byte.toString(2).padStart(8, '0');
+    }
+
+    for (let i = 0; i + 5 <= bits.length; i += 5) {
+      secret += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5), 2)];
+    }
+
+    return secret;
+  }
+
+  /**
+   * Decode secret base32 menjadi Buffer
+   *
+   * @param {string} secret - Secret base32 (spasi dan padding diabaikan)
+   * @returns {Buffer} Key HMAC
+   * @throws {Error} Jika secret mengandung karakter non-base32
+   */
+  static decodeSecret(secret) {
+    const clean = secret.toUpperCase().replace(/[\s=]/g, '');
+    let bits = '';
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base32 character in TOTP secret: ${char}`);
+      }
+      bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Time step untuk suatu waktu
+   *
+   * @param {number} [now=Date.now()] - Waktu dalam milliseconds
+   * @returns {number} Nomor periode sejak epoch
+   */
+  static getStep(now = Date.now()) {
+    return Math.floor(now / 1000 / PERIOD);
+  }
+
+  /**
+   * Hitung kode untuk satu time step (HOTP, RFC 4226)
+   *
+   * @param {string} secret - Secret base32
+   * @param {number} step - Time step
+   * @returns {string} Kode 6 digit
+   */
+  static generate(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', Totp.decodeSecret(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Verifikasi kode dari user
+   *
+   * Mengembalikan time step yang cocok, sehingga caller bisa menolak kode
+   * yang sudah pernah dipakai (step <= step terakhir yang diterima).
+   *
+   * @param {string} secret - Secret base32
+   * @param {string} code - Kode dari aplikasi authenticator (spasi diabaikan)
+   * @param {number} [now=Date.now()] - Waktu dalam milliseconds
+   * @returns {number|null} Time step yang cocok, null jika kode salah
+   */
+  static verify(secret, code, now = Date.now()) {
+    const clean = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) {
+      return null;
+    }
+
+    const current = Totp.getStep(now);
+
+    for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+      const expected = Totp.generate(secret, step);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * URI otpauth:// untuk didaftarkan di aplikasi authenticator
+   *
+   * @param {string} secret - Secret base32
+   * @param {string} username - Username SmartGov (label akun)
+   * @returns {string} URI otpauth
+   */
+  static buildUri(secret, username) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+      `&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+  }
+}
+
+module.exports = Totp;
@@ -982,6 +982,12 @@ module.exports = Validator;
  *    - Keunikan NIK/KK (harus cek database)
  *    - Status aktif NIK/KK di Dukcapil
  *
+ *    isValidNIK sengaja tetap boolean format-only: alur OCR tidak lagi
+ *    memakai Validator (lihat ValidationService, USAGE NOTES 1), dan
+ *    pencocokan isi NIK butuh data anggota dan nomor KK yang tidak ada di
+ *    signature ini. Pencocokan tersebut ada di
+ *    ValidationService.validateNIKConsistency.
+ *
  *    Untuk validasi lebih mendalam, integrate dengan:
  *    - Database lokal untuk cek duplikasi
  *    - API Dukcapil untuk verifikasi (jika available)